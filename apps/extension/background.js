@@ -6,34 +6,264 @@
 import {
   KNOWN_TRACKER_DOMAIN_PATTERNS,
   MESSAGE_TYPES,
+  FILTER_LISTS_STORAGE_KEY,
+  createDomainSuffixMatcher,
+  createTrackerRuleMatcher,
+  toFilterResourceType,
   SUSPICIOUS_ENDPOINT_PATTERNS,
+  TRACKING_QUERY_PARAM_PATTERNS,
+  LINK_DECORATION,
+  getComparableDomain,
+  THIRD_PARTY_CATEGORIES,
+  classifyHost,
+  getEntityForHost,
+  CONSENT_MANAGERS,
+  SOCIAL_EMBEDS,
   isThirdPartyHost,
   createErrorPayload,
   createRequestId,
   validateIncomingMessage
 } from "./messages.js";
+import { parseFilterList, sanitizeFilterListName, upsertFilterList } from "./filter-lists.js";
 
 const ANALYSIS_TIMEOUT_MS = 1500;
+// Subframes get a shorter budget so one slow ad frame cannot time out the whole page.
+const SUBFRAME_COLLECTION_TIMEOUT_MS = 1000;
+const MAX_COLLECTED_SUBFRAMES = 30;
+// frame-signals.js and what it needs, injected into subframes when an analysis
+// runs instead of loading the full content script bundle into every frame.
+const SUBFRAME_COLLECTOR_FILES = Object.freeze([
+  "data/public-suffix-list.js",
+  "domain.js",
+  "tracker-matcher.js",
+  "data/tracker-entities.js",
+  "entities.js",
+  "frame-signals.js"
+]);
 const NETWORK_WINDOW_MS = 60000;
 const NETWORK_BURST_WINDOW_MS = 5000;
 const MAX_TAB_NETWORK_EVENTS = 500;
+const MAX_REPORTED_THIRD_PARTY_HOSTS = 100;
+// Rule ids in this range belong to tracker blocking (`block_known_trackers` and
+// `block_fingerprinting_scripts`); other DNR features must use their own range.
+const TRACKER_BLOCKING_RULE_ID_RANGE = Object.freeze({ min: 1000, max: 5999 });
+const TRACKER_BLOCKING_SCOPES = Object.freeze(["site", "global"]);
+const TRACKER_BLOCKING_PERSISTENCE_MODES = Object.freeze(["dynamic", "session"]);
+const DEFAULT_TRACKER_BLOCKING_OPTIONS = Object.freeze({ scope: "site", persistence: "dynamic" });
+// Rule ids in this range belong to `strip_tracking_params`: one redirect rule
+// per site plus at most one rule for all sites.
+const TRACKING_PARAM_STRIPPING_RULE_ID_RANGE = Object.freeze({ min: 6000, max: 6999 });
+const TRACKING_PARAM_STRIPPING_SCOPES = Object.freeze(["site", "global", "off"]);
+// Rule ids in this range belong to `send_gpc_signal`: two header rules per
+// site (navigations to it and requests it makes) plus one for all sites.
+const GPC_RULE_ID_RANGE = Object.freeze({ min: 7000, max: 7999 });
+const GPC_SCOPES = Object.freeze(["site", "global", "off"]);
+// Rule ids in this range belong to `limit_third_party_scripts`: one script
+// block rule per (site, script host) pair.
+const SCRIPT_BLOCKING_RULE_ID_RANGE = Object.freeze({ min: 8000, max: 8999 });
+const SCRIPT_BLOCKING_MODES = Object.freeze(["block", "unblock"]);
+const MAX_SCRIPT_BLOCKING_HOSTS = 50;
+// Rule ids in this range belong to click-to-load embeds: one dynamic sub_frame
+// block rule per site with placeholders turned on, plus session allow rules
+// for the embeds the user clicked, scoped to their tab.
+const EMBED_BLOCKING_RULE_ID_RANGE = Object.freeze({ min: 9000, max: 9999 });
+// Every embed in data/social-embeds.js as one RE2 `regexFilter`: each host
+// and path pattern with its anchors dropped, joined as alternatives.
+const EMBED_FRAME_REGEX_FILTER = `^https?://(${SOCIAL_EMBEDS.map(
+  (embed) => `${embed.hostPattern.replace(/^\^|\$$/g, "")}${embed.pathPattern.replace(/^\^/, "")}`
+).join("|")})`;
+const EMBED_FRAME_PATTERN = new RegExp(EMBED_FRAME_REGEX_FILTER, "i");
+// Resource types for header rules; without the list, rules skip main_frame.
+const ALL_RESOURCE_TYPES = Object.freeze([
+  "main_frame",
+  "sub_frame",
+  "stylesheet",
+  "script",
+  "image",
+  "font",
+  "object",
+  "xmlhttprequest",
+  "ping",
+  "csp_report",
+  "media",
+  "websocket",
+  "webtransport",
+  "webbundle",
+  "other"
+]);
+// Registered through chrome.scripting to set navigator.globalPrivacyControl.
+const GPC_PAGE_SCRIPT_ID = "privacy-assistant-gpc";
+// Per-site tracker request counts taken when GPC was turned on, for the honoring check.
+const GPC_BASELINES_STORAGE_KEY = "privacyAssistantGpcBaselinesV1";
+const GPC_WELL_KNOWN_TIMEOUT_MS = 1000;
+const GPC_WELL_KNOWN_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+// Below this many tracker requests before GPC, a drop cannot be told from noise.
+const GPC_MIN_BASELINE_TRACKER_REQUESTS = 3;
+// How long `clean_current_url` waits for the cleaned URL to load before re-analysis.
+const TAB_NAVIGATION_TIMEOUT_MS = 5000;
+const SITE_STORAGE_DATA_TYPES = Object.freeze([
+  { type: "cookies", label: "cookies" },
+  { type: "localStorage", label: "localStorage" },
+  { type: "indexedDB", label: "IndexedDB" },
+  { type: "cacheStorage", label: "Cache Storage" },
+  { type: "serviceWorkers", label: "service workers" },
+  { type: "fileSystems", label: "file systems" }
+]);
+const MAX_THIRD_PARTY_STORAGE_ORIGINS = 20;
+const NETWORK_STATE_STORAGE_KEY = "privacyAssistantNetworkStateV1";
+// Site domains where content.js rejects consent banners on every visit.
+const CONSENT_AUTO_REJECT_STORAGE_KEY = "privacyAssistantConsentAutoRejectSitesV1";
+// Site domains where content.js cleans decorated links on every visit.
+const LINK_AUTO_CLEAN_STORAGE_KEY = "privacyAssistantLinkAutoCleanSitesV1";
+// Site domains where content.js turns social embeds into click-to-load placeholders.
+const EMBED_PLACEHOLDER_STORAGE_KEY = "privacyAssistantEmbedPlaceholderSitesV1";
+// Setting id -> `{ value, levelOfControl }` from before `harden_network_privacy`
+// changed it; entries are dropped once reverted.
+const NETWORK_PRIVACY_BACKUP_STORAGE_KEY = "privacyAssistantNetworkPrivacyBackupV1";
+// Content-settings pattern -> types `review_tracking_permissions` set to
+// "block" there, so they can be re-allowed.
+const REVOKED_SITE_PERMISSIONS_STORAGE_KEY = "privacyAssistantRevokedSitePermissionsV1";
+const NETWORK_PRIVACY_MODES = Object.freeze(["harden", "revert"]);
+// The hardened preset: `chrome.privacy[namespace][id]` is set to `hardenedValue`.
+const NETWORK_PRIVACY_SETTINGS = Object.freeze([
+  {
+    id: "webRTCIPHandlingPolicy",
+    namespace: "network",
+    label: "WebRTC IP handling",
+    hardenedValue: "disable_non_proxied_udp"
+  },
+  {
+    id: "hyperlinkAuditingEnabled",
+    namespace: "websites",
+    label: "Hyperlink auditing (ping)",
+    hardenedValue: false
+  },
+  { id: "referrersEnabled", namespace: "websites", label: "Referrers", hardenedValue: false },
+  {
+    id: "networkPredictionEnabled",
+    namespace: "network",
+    label: "Network prediction",
+    hardenedValue: false
+  },
+  {
+    id: "thirdPartyCookiesAllowed",
+    namespace: "websites",
+    label: "Third-party cookies",
+    hardenedValue: false
+  }
+]);
+// `chrome.contentSettings` types audited per site. For the "high" and "medium"
+// ones Chrome's default is ask or block, so "allow" means the site was granted it.
+const SITE_PERMISSION_TYPES = Object.freeze([
+  { type: "location", label: "Location", sensitivity: "high" },
+  { type: "camera", label: "Camera", sensitivity: "high" },
+  { type: "microphone", label: "Microphone", sensitivity: "high" },
+  { type: "notifications", label: "Notifications", sensitivity: "medium" },
+  { type: "popups", label: "Pop-ups and redirects", sensitivity: "medium" },
+  { type: "automaticDownloads", label: "Automatic downloads", sensitivity: "medium" },
+  { type: "javascript", label: "JavaScript", sensitivity: "low" },
+  { type: "cookies", label: "Cookies", sensitivity: "low" }
+]);
+const SITE_PERMISSION_SETTINGS = Object.freeze(["allow", "block", "ask", "session_only"]);
+const SITE_PERMISSION_MODES = Object.freeze(["revoke", "restore"]);
+// levelOfControl values that leave a setting out of this extension's reach.
+const NETWORK_PRIVACY_LOCKED_REASONS = Object.freeze({
+  not_controllable: "controlled by policy",
+  controlled_by_other_extensions: "controlled by another extension"
+});
+const NETWORK_STATE_PERSIST_DELAY_MS = 1000;
+const MAX_PERSISTED_URL_LENGTH = 1024;
+// Serialized size allowed for persisted network events across all tabs.
+// chrome.storage.session holds 1 MB in total before Chrome 112, and the rest
+// is left for response signals, GPC baselines and similar keys.
+const MAX_PERSISTED_NETWORK_EVENTS_BYTES = 512 * 1024;
+const MAX_TAB_SET_COOKIE_EVENTS = 200;
+const MAX_HEADER_VALUE_LENGTH = 300;
+const HSTS_MIN_RECOMMENDED_MAX_AGE_SECONDS = 15552000;
+const REFERRER_POLICY_TOKENS = Object.freeze([
+  "no-referrer",
+  "no-referrer-when-downgrade",
+  "origin",
+  "origin-when-cross-origin",
+  "same-origin",
+  "strict-origin",
+  "strict-origin-when-cross-origin",
+  "unsafe-url"
+]);
+const WEAK_REFERRER_POLICIES = Object.freeze(["unsafe-url", "no-referrer-when-downgrade"]);
+const FINGERPRINTING_TECHNIQUES = Object.freeze(["canvas", "webgl", "audio", "fonts", "navigator"]);
+const MAX_FINGERPRINTING_BLOCK_DOMAINS = 20;
+const PERSISTENT_IDENTIFIER_STORES = Object.freeze(["localStorage", "sessionStorage", "cookies"]);
+const PERSISTENT_IDENTIFIER_KINDS = Object.freeze(["known_key", "uuid", "hex", "base64"]);
+const SENSITIVE_FIELD_KINDS = Object.freeze(["password", "card", "email"]);
+const MAX_REPORTED_SENSITIVE_FIELD_LISTENERS = 30;
+const MAX_REPORTED_RISKY_FORMS = 20;
+// Final path segments (extension dropped) of well-known pixel endpoints,
+// such as Meta's `/tr`, Google Analytics' `/collect` and generic `/pixel.gif`.
+const PIXEL_PATH_SEGMENTS = Object.freeze([
+  "pixel",
+  "px",
+  "1x1",
+  "tr",
+  "collect",
+  "beacon",
+  "track",
+  "imp",
+  "impression"
+]);
+// Most recent tracker requests kept with their timestamps for the
+// pre-consent audit and the GPC honoring check.
+const MAX_TRACKER_REQUEST_TIMELINE = 200;
+const CONSENT_STATES = Object.freeze(["given", "rejected", "pending", "not_required", "no_cmp"]);
+const consentManagerHostMatcher = createDomainSuffixMatcher(
+  CONSENT_MANAGERS.flatMap((consentManager) => consentManager.scriptHosts)
+);
+const workerStartedAtMs = Date.now();
+// Origin -> { checkedAtMs, result } for /.well-known/gpc.json lookups.
+const gpcWellKnownCache = new Map();
 const networkEventsByTab = new Map();
+// Per tab: `{ mainFrameHeaders, setCookieEvents }` captured from `onHeadersReceived`.
+const responseSignalsByTab = new Map();
 const networkCollectionState = {
   listenerReady: false,
   unavailableReason: null
 };
+const responseHeaderCollectionState = {
+  listenerReady: false,
+  unavailableReason: null
+};
+// Tracks how long the buffered window has been observed without losing state.
+// `coverageStartedAtMs` survives service-worker restarts through chrome.storage.session.
+const networkCoverageState = {
+  coverageStartedAtMs: workerStartedAtMs,
+  restartTimestampsMs: [],
+  persistTimer: null
+};
 
 function clearTabNetworkEvents(tabId) {
   if (typeof tabId !== "number" || tabId < 0) {
     return;
   }
   networkEventsByTab.delete(tabId);
+  const responseSignals = responseSignalsByTab.get(tabId);
+  if (responseSignals) {
+    responseSignals.setCookieEvents = [];
+  }
+  scheduleNetworkStatePersist();
 }
 
 chrome.runtime.onInstalled.addListener(() => {
   console.log("Privacy Assistant installed");
 });
 
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearTabNetworkEvents(tabId);
+  responseSignalsByTab.delete(tabId);
+  void removeEmbedAllowRules(tabId).catch(() => {
+    // session rules go away with the browser session anyway
+  });
+});
+
 function isSupportedHttpUrl(url) {
   return typeof url === "string" && (url.startsWith("http://") || url.startsWith("https://"));
 }
@@ -112,16 +342,782 @@ function sanitizeCountedItems(value, keyName) {
     .filter((item) => item[keyName].length > 0 && item.count > 0);
 }
 
+function normalizeHeaderSnapshot(snapshot) {
+  return {
+    present: snapshot?.present === true,
+    value: typeof snapshot?.value === "string" ? snapshot.value : null
+  };
+}
+
+function normalizeSecurityHeaders(securityHeaders) {
+  if (!securityHeaders || securityHeaders.observed !== true) {
+    return { observed: false, issues: [] };
+  }
+  return {
+    observed: true,
+    contentSecurityPolicy: normalizeHeaderSnapshot(securityHeaders.contentSecurityPolicy),
+    strictTransportSecurity: normalizeHeaderSnapshot(securityHeaders.strictTransportSecurity),
+    referrerPolicy: normalizeHeaderSnapshot(securityHeaders.referrerPolicy),
+    permissionsPolicy: normalizeHeaderSnapshot(securityHeaders.permissionsPolicy),
+    issues: Array.isArray(securityHeaders.issues)
+      ? securityHeaders.issues.filter(
+        (issue) => typeof issue?.header === "string" && typeof issue?.issue === "string"
+      )
+      : []
+  };
+}
+
+// Same bound content.js applies when recording: `data:` URLs keep only the
+// scheme, everything else is cut to MAX_PERSISTED_URL_LENGTH.
+function toBoundedElementUrl(url) {
+  if (typeof url !== "string" || url.length === 0) {
+    return null;
+  }
+  if (/^\s*data:/i.test(url)) {
+    return "data:";
+  }
+  return url.slice(0, MAX_PERSISTED_URL_LENGTH);
+}
+
+function normalizeElementRegistry(elementRegistry) {
+  const elementCounts = {};
+  for (const kind of ["script", "iframe", "img", "link"]) {
+    const counts = elementRegistry?.elementCounts?.[kind];
+    elementCounts[kind] = {
+      inDom: toSafeNumber(counts?.inDom),
+      everLoaded: toSafeNumber(counts?.everLoaded),
+      removed: toSafeNumber(counts?.removed),
+      dynamic: toSafeNumber(counts?.dynamic)
+    };
+  }
+  return {
+    observing: typeof elementRegistry?.observedSinceMs === "number",
+    observedSinceMs: toSafeNumber(elementRegistry?.observedSinceMs),
+    truncated: elementRegistry?.truncated === true,
+    elementCounts,
+    sampledDynamicElements: Array.isArray(elementRegistry?.sampledDynamicElements)
+      ? elementRegistry.sampledDynamicElements.map((element) => ({
+        ...element,
+        url: toBoundedElementUrl(element?.url)
+      }))
+      : []
+  };
+}
+
+function normalizeFingerprintingSignals(fingerprintingSignals) {
+  const techniques = toSortedStringArray(fingerprintingSignals?.techniques).filter((technique) =>
+    FINGERPRINTING_TECHNIQUES.includes(technique)
+  );
+  const callers = Array.isArray(fingerprintingSignals?.callers)
+    ? fingerprintingSignals.callers
+      .filter((caller) => typeof caller?.scriptUrl === "string")
+      .map((caller) => ({
+        scriptUrl: caller.scriptUrl,
+        hostname: typeof caller.hostname === "string" ? caller.hostname : null,
+        isThirdParty: caller.isThirdParty === true,
+        techniques: toSortedStringArray(caller.techniques),
+        callCount: toSafeNumber(caller.callCount)
+      }))
+    : [];
+  return {
+    instrumented: fingerprintingSignals?.instrumented === true,
+    techniques,
+    techniqueCount: techniques.length,
+    apiCalls: Array.isArray(fingerprintingSignals?.apiCalls)
+      ? fingerprintingSignals.apiCalls
+        .filter((call) => typeof call?.api === "string")
+        .map((call) => ({
+          api: call.api,
+          technique: typeof call.technique === "string" ? call.technique : "unknown",
+          count: toSafeNumber(call.count)
+        }))
+      : [],
+    callers,
+    thirdPartyCallerHosts: toSortedStringArray(fingerprintingSignals?.thirdPartyCallerHosts),
+    distinctMeasuredFontCount: toSafeNumber(fingerprintingSignals?.distinctMeasuredFontCount)
+  };
+}
+
+/**
+ * Combines fingerprinting reports from several frames. Caller third-party
+ * flags are recomputed against the top frame, since each frame judged them
+ * against its own origin.
+ */
+function mergeFingerprintingSignals(reports, topHostname) {
+  const instrumentedReports = reports.filter((report) => report?.instrumented === true);
+  if (instrumentedReports.length === 0 || (reports[0]?.instrumented && instrumentedReports.length === 1)) {
+    return reports[0] ?? null;
+  }
+
+  const apiCallCounts = new Map();
+  const techniquesByApi = new Map();
+  const callers = [];
+  let distinctMeasuredFontCount = 0;
+  for (const report of instrumentedReports) {
+    for (const call of Array.isArray(report.apiCalls) ? report.apiCalls : []) {
+      apiCallCounts.set(call.api, (apiCallCounts.get(call.api) ?? 0) + toSafeNumber(call.count));
+      techniquesByApi.set(call.api, call.technique);
+    }
+    for (const caller of Array.isArray(report.callers) ? report.callers : []) {
+      callers.push({
+        ...caller,
+        isThirdParty: typeof caller.hostname === "string"
+          ? isThirdPartyHost(caller.hostname, topHostname)
+          : false
+      });
+    }
+    distinctMeasuredFontCount = Math.max(
+      distinctMeasuredFontCount,
+      toSafeNumber(report.distinctMeasuredFontCount)
+    );
+  }
+
+  return {
+    instrumented: true,
+    techniques: Array.from(
+      new Set(instrumentedReports.flatMap((report) => report.techniques ?? []))
+    ),
+    apiCalls: Array.from(apiCallCounts.entries())
+      .map(([api, count]) => ({ api, technique: techniquesByApi.get(api), count }))
+      .sort((a, b) => b.count - a.count),
+    callers: callers.sort(
+      (a, b) =>
+        (b.techniques?.length ?? 0) - (a.techniques?.length ?? 0) || b.callCount - a.callCount
+    ),
+    thirdPartyCallerHosts: Array.from(
+      new Set(callers.filter((caller) => caller.isThirdParty).map((caller) => caller.hostname))
+    ),
+    distinctMeasuredFontCount
+  };
+}
+
+function getFrameOrigin(frameUrl) {
+  try {
+    const parsed = new URL(frameUrl);
+    return { origin: parsed.origin, hostname: parsed.hostname };
+  } catch {
+    return { origin: null, hostname: "" };
+  }
+}
+
+/**
+ * Summarizes each subframe's content signals (origin only, never the full
+ * frame URL) and collects the script hosts, tracker hits and fingerprinting
+ * reports that need merging into the page-level analysis. Tracker hits are
+ * matched here, since frame-signals.js has no access to imported filter lists.
+ */
+function buildFrameBreakdown(frames, topHostname) {
+  const breakdown = [];
+  const thirdPartyScriptDomains = new Set();
+  const trackerDomainHits = new Set();
+  const fingerprintingReports = [];
+  const pixelReports = [];
+  const sensitiveDataReports = [];
+
+  for (const frame of Array.isArray(frames) ? frames : []) {
+    const frameSignals = { collectors: frame?.collectors };
+    const scriptSignals = getNestedCollectorData(frameSignals, "scriptSignals") ?? {};
+    const storageSignals = getNestedCollectorData(frameSignals, "storageSignals") ?? {};
+    const fingerprintingSignals = getNestedCollectorData(frameSignals, "fingerprintingSignals");
+    const { origin, hostname } = getFrameOrigin(frame?.url);
+
+    const scriptDomains = toSortedStringArray(scriptSignals.scriptDomains);
+    const frameThirdPartyScriptDomains = scriptDomains.filter((domain) =>
+      isThirdPartyHost(domain, topHostname)
+    );
+    const frameTrackerDomainHits = scriptDomains.filter((domain) =>
+      trackerRuleMatcherState.matcher.matches(domain, {
+        thirdParty: hostname ? isThirdPartyHost(domain, hostname) : false,
+        resourceType: "script"
+      })
+    );
+    frameThirdPartyScriptDomains.forEach((domain) => thirdPartyScriptDomains.add(domain));
+    frameTrackerDomainHits.forEach((domain) => trackerDomainHits.add(domain));
+    if (fingerprintingSignals) {
+      fingerprintingReports.push(fingerprintingSignals);
+    }
+    const pixelSignals = getNestedCollectorData(frameSignals, "pixelSignals");
+    if (pixelSignals) {
+      pixelReports.push(pixelSignals);
+    }
+    const sensitiveDataSignals = getNestedCollectorData(frameSignals, "sensitiveDataSignals");
+    if (sensitiveDataSignals) {
+      sensitiveDataReports.push({ ...sensitiveDataSignals, frameOrigin: origin });
+    }
+
+    breakdown.push({
+      frameId: toSafeNumber(frame?.frameId),
+      parentFrameId: typeof frame?.parentFrameId === "number" ? frame.parentFrameId : -1,
+      origin,
+      isThirdParty: hostname ? isThirdPartyHost(hostname, topHostname) : false,
+      status: ["success", "partial"].includes(frame?.status) ? frame.status : "failed",
+      scriptDomainCount: scriptDomains.length,
+      thirdPartyScriptDomains: frameThirdPartyScriptDomains,
+      storage: {
+        localStorageKeyCount: toSafeNumber(storageSignals.localStorage?.keyCount),
+        sessionStorageKeyCount: toSafeNumber(storageSignals.sessionStorage?.keyCount),
+        approxBytes:
+          toSafeNumber(storageSignals.localStorage?.approxBytes) +
+          toSafeNumber(storageSignals.sessionStorage?.approxBytes)
+      },
+      trackerDomainHits: frameTrackerDomainHits,
+      fingerprintingTechniques: toSortedStringArray(fingerprintingSignals?.techniques)
+    });
+  }
+
+  return {
+    frames: breakdown,
+    thirdPartyScriptDomains: Array.from(thirdPartyScriptDomains),
+    trackerDomainHits: Array.from(trackerDomainHits),
+    fingerprintingReports,
+    pixelReports,
+    sensitiveDataReports
+  };
+}
+
+function toSensitivity(value) {
+  return SENSITIVE_FIELD_KINDS.includes(value) ? value : null;
+}
+
+/**
+ * Merges session-replay, keystroke-listener and risky-form evidence from every
+ * frame. Third-party verdicts stay relative to the frame that reported them,
+ * so a payment iframe listening to its own card field is not flagged.
+ * Replay vendors are also recognized from network hosts.
+ */
+function buildSensitiveDataSignals({ reports, thirdPartyHosts }) {
+  const vendors = new Map();
+  const addVendorEvidence = (name, evidence) => {
+    const vendor = vendors.get(name) ?? new Set();
+    vendor.add(evidence);
+    vendors.set(name, vendor);
+  };
+  const sensitiveFieldListeners = [];
+  const riskyForms = [];
+
+  for (const report of reports.filter(Boolean)) {
+    const frameOrigin = typeof report.frameOrigin === "string" ? report.frameOrigin : null;
+    for (const vendor of Array.isArray(report.replayVendors) ? report.replayVendors : []) {
+      if (typeof vendor?.name === "string") {
+        toSortedStringArray(vendor.evidence).forEach((evidence) => addVendorEvidence(vendor.name, evidence));
+      }
+    }
+    for (const listener of Array.isArray(report.sensitiveFieldListeners) ? report.sensitiveFieldListeners : []) {
+      if (typeof listener?.scriptUrl !== "string") {
+        continue;
+      }
+      sensitiveFieldListeners.push({
+        scriptUrl: listener.scriptUrl,
+        hostname: typeof listener.hostname === "string" ? listener.hostname : null,
+        target: ["field", "form", "document"].includes(listener.target) ? listener.target : "document",
+        fieldLabel: typeof listener.fieldLabel === "string" ? listener.fieldLabel : null,
+        sensitivity: toSensitivity(listener.sensitivity),
+        eventTypes: toSortedStringArray(listener.eventTypes),
+        frameOrigin
+      });
+    }
+    for (const form of Array.isArray(report.riskyForms) ? report.riskyForms : []) {
+      if (typeof form?.actionOrigin !== "string") {
+        continue;
+      }
+      const sensitiveFields = (Array.isArray(form.sensitiveFields) ? form.sensitiveFields : [])
+        .filter((field) => typeof field?.label === "string" && toSensitivity(field.sensitivity))
+        .map((field) => ({ label: field.label, sensitivity: field.sensitivity }));
+      riskyForms.push({
+        actionOrigin: form.actionOrigin,
+        method: form.method === "post" ? "post" : "get",
+        isThirdParty: form.isThirdParty === true,
+        isInsecure: form.isInsecure === true,
+        sensitiveFields,
+        sensitiveFieldCount: Math.max(toSafeNumber(form.sensitiveFieldCount), sensitiveFields.length),
+        frameOrigin
+      });
+    }
+  }
+
+  for (const { host } of thirdPartyHosts) {
+    const entity = getEntityForHost(host);
+    if (entity?.category === "session_replay") {
+      addVendorEvidence(entity.name, `requests to ${host}`);
+    }
+  }
+
+  const replayVendors = Array.from(vendors.entries())
+    .map(([name, evidence]) => ({ name, evidence: Array.from(evidence).sort() }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  riskyForms.sort((a, b) => b.sensitiveFieldCount - a.sensitiveFieldCount);
+
+  return {
+    listenersInstrumented: reports.some((report) => report?.listenersInstrumented === true),
+    pageHasSensitiveFields: reports.some((report) => report?.pageHasSensitiveFields === true),
+    replayVendorCount: replayVendors.length,
+    replayVendors,
+    sensitiveFieldListenerCount: sensitiveFieldListeners.length,
+    sensitiveFieldListeners: sensitiveFieldListeners.slice(0, MAX_REPORTED_SENSITIVE_FIELD_LISTENERS),
+    riskyFormCount: riskyForms.length,
+    riskyForms: riskyForms.slice(0, MAX_REPORTED_RISKY_FORMS)
+  };
+}
+
+/**
+ * Combines pixel and beacon evidence from the network buffer and from every
+ * frame's DOM. Host lists only keep hosts third-party to the top frame.
+ */
+function buildPixelSignals({ networkSignals, pixelReports, topHostname }) {
+  const isThirdPartyToPage = (host) =>
+    typeof host === "string" && host !== "unknown" && isThirdPartyHost(host, topHostname);
+  const reports = pixelReports.filter(Boolean);
+  const sumReports = (key) => reports.reduce((sum, report) => sum + toSafeNumber(report[key]), 0);
+  const collectHosts = (key) =>
+    reports.flatMap((report) => (Array.isArray(report[key]) ? report[key] : []));
+
+  const beaconHostCounts = new Map();
+  for (const report of reports) {
+    for (const destination of Array.isArray(report.beaconDestinations) ? report.beaconDestinations : []) {
+      if (isThirdPartyToPage(destination?.host)) {
+        beaconHostCounts.set(
+          destination.host,
+          (beaconHostCounts.get(destination.host) ?? 0) + toSafeNumber(destination.count)
+        );
+      }
+    }
+  }
+
+  const pingHosts = toSortedStringArray(networkSignals?.pingHosts).filter(isThirdPartyToPage);
+  const pixelLikeImageHosts = toSortedStringArray(networkSignals?.pixelLikeImageHosts);
+  const tinyThirdPartyImageHosts = toSortedStringArray(
+    Array.from(new Set(collectHosts("tinyThirdPartyImageHosts")))
+  ).filter(isThirdPartyToPage);
+  const noscriptPixelHosts = toSortedStringArray(
+    Array.from(new Set(collectHosts("noscriptPixelHosts")))
+  ).filter(isThirdPartyToPage);
+  const beaconHosts = toSortedStringArray(Array.from(beaconHostCounts.keys()));
+
+  return {
+    beaconInstrumented: reports.some((report) => report.beaconInstrumented === true),
+    pingRequestCount: toSafeNumber(networkSignals?.pingRequestCount),
+    pingHosts,
+    pixelLikeImageRequestCount: toSafeNumber(networkSignals?.pixelLikeImageRequestCount),
+    pixelLikeImageHosts,
+    tinyImageCount: sumReports("tinyImageCount"),
+    tinyThirdPartyImageHosts,
+    noscriptPixelCount: sumReports("noscriptPixelCount"),
+    noscriptPixelHosts,
+    beaconCallCount: sumReports("beaconCallCount"),
+    beaconHosts: beaconHosts.map((host) => ({ host, count: beaconHostCounts.get(host) })),
+    pixelHosts: toSortedStringArray(
+      Array.from(
+        new Set([
+          ...pingHosts,
+          ...pixelLikeImageHosts,
+          ...tinyThirdPartyImageHosts,
+          ...noscriptPixelHosts,
+          ...beaconHosts
+        ])
+      )
+    )
+  };
+}
+
+/**
+ * Combines the consent state read in the top frame with the buffered tracker
+ * request timeline. Tracker requests made after the page started loading and
+ * before any consent was recorded are "pre-consent"; CMP SDK hosts are never
+ * counted. The audit is only meaningful when a CMP or IAB framework is
+ * present, and only "complete" when the network buffer covers the whole load.
+ */
+function buildConsentSignals({ consentSignals, networkSignals }) {
+  const consent = consentSignals?.consent ?? {};
+  const state = CONSENT_STATES.includes(consent.state) ? consent.state : "no_cmp";
+  const pageStartedAtMs = toSafeNumber(consentSignals?.pageStartedAtMs);
+  const recordedAtMs = typeof consent.recordedAtMs === "number" ? consent.recordedAtMs : null;
+  const consentManagers = Array.isArray(consentSignals?.consentManagers)
+    ? consentSignals.consentManagers
+      .filter((consentManager) => typeof consentManager?.name === "string")
+      .map((consentManager) => ({
+        id: String(consentManager.id),
+        name: consentManager.name,
+        evidence: toSortedStringArray(consentManager.evidence)
+      }))
+    : [];
+
+  let auditStatus = "complete";
+  if (!networkSignals || !consentSignals || pageStartedAtMs === 0) {
+    auditStatus = "unavailable";
+  } else if (state === "no_cmp" || state === "not_required") {
+    auditStatus = "not_applicable";
+  } else if (
+    typeof networkSignals.observedSinceMs !== "number" ||
+    networkSignals.observedSinceMs > pageStartedAtMs
+  ) {
+    auditStatus = "partial";
+  }
+
+  const preConsentHostCounts = new Map();
+  let preConsentRequestCount = 0;
+  // Consent recorded before this page load (an earlier visit) leaves nothing to flag.
+  const auditUntilMs = recordedAtMs ?? Number.POSITIVE_INFINITY;
+  if (!["unavailable", "not_applicable"].includes(auditStatus) && auditUntilMs > pageStartedAtMs) {
+    const timeline = Array.isArray(networkSignals.trackerRequestTimeline)
+      ? networkSignals.trackerRequestTimeline
+      : [];
+    for (const request of timeline) {
+      if (
+        typeof request?.host !== "string" ||
+        typeof request.timestampMs !== "number" ||
+        request.timestampMs < pageStartedAtMs ||
+        request.timestampMs >= auditUntilMs ||
+        consentManagerHostMatcher.matches(request.host)
+      ) {
+        continue;
+      }
+      preConsentRequestCount += 1;
+      preConsentHostCounts.set(request.host, (preConsentHostCounts.get(request.host) ?? 0) + 1);
+    }
+  }
+
+  const autoReject = consentSignals?.autoReject ?? {};
+  return {
+    instrumented: consentSignals?.instrumented === true,
+    consentManagers,
+    bannerVisible: consentSignals?.bannerVisible === true,
+    frameworks: consentSignals?.frameworks ?? null,
+    consentState: state,
+    consentSource: typeof consent.source === "string" ? consent.source : null,
+    consentRecordedAt: recordedAtMs === null ? null : new Date(recordedAtMs).toISOString(),
+    consentRecordedBeforePageLoad: recordedAtMs !== null && recordedAtMs <= pageStartedAtMs,
+    consentTimestampPrecise: consent.precise === true,
+    autoReject: {
+      enabled: autoReject.enabled === true,
+      ranAt: typeof autoReject.ranAt === "string" ? autoReject.ranAt : null,
+      consentManagers: toSortedStringArray(autoReject.consentManagers),
+      failedStepCount: toSafeNumber(autoReject.failedStepCount)
+    },
+    preConsentAudit: {
+      status: auditStatus,
+      trackerRequestCount: preConsentRequestCount,
+      trackerHosts: Array.from(preConsentHostCounts.entries())
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([host, count]) => ({ host, count }))
+    }
+  };
+}
+
+/**
+ * Normalizes the top frame's storage inventory. `totalFootprintBytes` adds the
+ * Web Storage and `document.cookie` sizes to `navigator.storage.estimate()`
+ * usage, which covers IndexedDB, Cache Storage and service workers but not
+ * those two. HttpOnly cookies are invisible to the page and are not included,
+ * neither in the footprint nor in the persistent identifier scan.
+ */
+function buildStorageSignals(storageSignals) {
+  const webStorage = (area) => ({
+    keyCount: toSafeNumber(area?.keyCount),
+    approxBytes: toSafeNumber(area?.approxBytes)
+  });
+  const localStorage = webStorage(storageSignals.localStorage);
+  const sessionStorage = webStorage(storageSignals.sessionStorage);
+  const cookies = storageSignals.cookies ?? {};
+  const indexedDb = storageSignals.indexedDB ?? {};
+  const cacheStorage = storageSignals.cacheStorage ?? {};
+  const serviceWorkers = storageSignals.serviceWorkers ?? {};
+  const estimate = storageSignals.estimate ?? {};
+  const persistentIdentifiers = storageSignals.persistentIdentifiers ?? {};
+  const cookieBytes = toSafeNumber(cookies.approxBytes);
+  const estimatedUsageBytes = toSafeNumber(estimate.usageBytes);
+
+  return {
+    localStorage,
+    sessionStorage,
+    cookies: {
+      available: cookies.available === true,
+      count: toSafeNumber(cookies.count),
+      approxBytes: cookieBytes,
+      names: toSortedStringArray(cookies.names)
+    },
+    indexedDB: {
+      available: indexedDb.available === true,
+      databaseCount: toSafeNumber(indexedDb.databaseCount),
+      databases: Array.isArray(indexedDb.databases)
+        ? indexedDb.databases
+          .filter((database) => typeof database?.name === "string")
+          .map((database) => ({ name: database.name, version: toSafeNumber(database.version) }))
+        : []
+    },
+    cacheStorage: {
+      available: cacheStorage.available === true,
+      cacheCount: toSafeNumber(cacheStorage.cacheCount),
+      cacheNames: toSortedStringArray(cacheStorage.cacheNames)
+    },
+    serviceWorkers: {
+      available: serviceWorkers.available === true,
+      registrationCount: toSafeNumber(serviceWorkers.registrationCount),
+      registrations: Array.isArray(serviceWorkers.registrations)
+        ? serviceWorkers.registrations.map((registration) => ({
+          scope: typeof registration?.scope === "string" ? registration.scope : null,
+          scriptUrl: typeof registration?.scriptUrl === "string" ? registration.scriptUrl : null
+        }))
+        : []
+    },
+    estimate: {
+      available: estimate.available === true,
+      usageBytes: estimatedUsageBytes,
+      quotaBytes: toSafeNumber(estimate.quotaBytes),
+      usageDetails: Object.fromEntries(
+        Object.entries(estimate.usageDetails ?? {}).map(([type, bytes]) => [type, toSafeNumber(bytes)])
+      )
+    },
+    totalFootprintBytes:
+      localStorage.approxBytes + sessionStorage.approxBytes + cookieBytes + estimatedUsageBytes,
+    persistentIdentifiers: {
+      count: toSafeNumber(persistentIdentifiers.count),
+      knownKeyCount: toSafeNumber(persistentIdentifiers.knownKeyCount),
+      byStore: Object.fromEntries(
+        PERSISTENT_IDENTIFIER_STORES.map((store) => [
+          store,
+          toSafeNumber(persistentIdentifiers.byStore?.[store])
+        ])
+      ),
+      samples: Array.isArray(persistentIdentifiers.samples)
+        ? persistentIdentifiers.samples
+          .filter(
+            (sample) =>
+              PERSISTENT_IDENTIFIER_STORES.includes(sample?.store) &&
+              PERSISTENT_IDENTIFIER_KINDS.includes(sample.kind) &&
+              typeof sample.key === "string"
+          )
+          .map((sample) => ({
+            store: sample.store,
+            key: sample.key,
+            kind: sample.kind,
+            entropyBits: toSafeNumber(sample.entropyBits)
+          }))
+        : []
+    }
+  };
+}
+
+/**
+ * Tracker requests made since the page load started, read from the capped
+ * timeline. The GPC baseline and the later check both count this way, so the
+ * two numbers are comparable. Null when the page load began before the
+ * observed window (like the pre-consent audit's "partial") or the timeline
+ * cap dropped requests made during it, since a truncated count would read
+ * as a drop or as no change.
+ */
+function countPageTrackerRequests(networkSignals, pageStartedAtMs) {
+  const timeline = Array.isArray(networkSignals?.trackerRequestTimeline)
+    ? networkSignals.trackerRequestTimeline
+    : [];
+  if (
+    typeof networkSignals?.observedSinceMs !== "number" ||
+    networkSignals.observedSinceMs > pageStartedAtMs
+  ) {
+    return null;
+  }
+  const timelineTruncated = toSafeNumber(networkSignals.knownTrackerRequestCount) > timeline.length;
+  if (timelineTruncated && toSafeNumber(timeline[0]?.timestampMs) >= pageStartedAtMs) {
+    return null;
+  }
+  return timeline.filter((request) => toSafeNumber(request?.timestampMs) >= pageStartedAtMs)
+    .length;
+}
+
+/**
+ * Answers "GPC honored?" by comparing tracker requests on the current page
+ * load (started after GPC was turned on) with the baseline counted just
+ * before. A drop of half or more is "likely_honored"; less than a fifth is
+ * "not_honored". It is a heuristic: page content and caching also change
+ * tracker traffic between loads.
+ */
+function buildGpcSignals({ gpcSignals, networkSignals, pageStartedAtMs }) {
+  const enabled = gpcSignals?.globalEnabled === true || gpcSignals?.siteEnabled === true;
+  const baseline = gpcSignals?.baseline ?? null;
+  const baselineTrackerRequests =
+    typeof baseline?.trackerRequestCount === "number" ? baseline.trackerRequestCount : null;
+  let currentTrackerRequests = null;
+  let honoringStatus = "not_enabled";
+  if (enabled) {
+    if (baselineTrackerRequests === null) {
+      honoringStatus = "no_baseline";
+    } else if (!networkSignals || pageStartedAtMs === 0) {
+      honoringStatus = "unavailable";
+    } else if (pageStartedAtMs <= toSafeNumber(baseline.capturedAtMs)) {
+      honoringStatus = "awaiting_reload";
+    } else {
+      currentTrackerRequests = countPageTrackerRequests(networkSignals, pageStartedAtMs);
+      const change =
+        currentTrackerRequests !== null && baselineTrackerRequests >= GPC_MIN_BASELINE_TRACKER_REQUESTS
+          ? (currentTrackerRequests - baselineTrackerRequests) / baselineTrackerRequests
+          : null;
+      if (currentTrackerRequests === null) {
+        honoringStatus = "unavailable";
+      } else if (change !== null && change <= -0.5) {
+        honoringStatus = "likely_honored";
+      } else if (change !== null && change > -0.2) {
+        honoringStatus = "not_honored";
+      } else {
+        honoringStatus = "inconclusive";
+      }
+    }
+  }
+
+  const wellKnown = gpcSignals?.wellKnown ?? {};
+  return {
+    available: Boolean(gpcSignals),
+    enabled,
+    scope: gpcSignals?.globalEnabled ? "global" : gpcSignals?.siteEnabled ? "site" : "off",
+    wellKnown: {
+      status: ["supported", "not_supported", "missing"].includes(wellKnown.status)
+        ? wellKnown.status
+        : "unavailable",
+      lastUpdate: typeof wellKnown.lastUpdate === "string" ? wellKnown.lastUpdate : null
+    },
+    honoring: {
+      status: honoringStatus,
+      baselineTrackerRequests,
+      currentTrackerRequests
+    }
+  };
+}
+
+/**
+ * Groups every third-party host seen by the network, script and cookie
+ * collectors under the organization that operates it. Request counts come
+ * from the network window only; hosts seen solely in the DOM or cookie jar
+ * count as zero requests but still list their owner.
+ */
+function buildEntitySignals({ thirdPartyHosts, scriptDomains, cookieDomains }) {
+  const requestCountsByHost = new Map(thirdPartyHosts.map((item) => [item.host, item.count]));
+  const hosts = new Set([...requestCountsByHost.keys(), ...scriptDomains, ...cookieDomains]);
+  const entitiesByName = new Map();
+  const unattributedHosts = [];
+  let unattributedRequestCount = 0;
+
+  for (const rawHost of hosts) {
+    const host = rawHost.replace(/^\./, "");
+    const requestCount = requestCountsByHost.get(rawHost) ?? 0;
+    const entity = getEntityForHost(host);
+    if (!entity) {
+      if (!unattributedHosts.includes(host)) {
+        unattributedHosts.push(host);
+      }
+      unattributedRequestCount += requestCount;
+      continue;
+    }
+
+    const group = entitiesByName.get(entity.name) ?? {
+      name: entity.name,
+      categories: [],
+      hosts: [],
+      requestCount: 0,
+      scriptDomainCount: 0
+    };
+    if (!group.categories.includes(entity.category)) {
+      group.categories.push(entity.category);
+    }
+    if (!group.hosts.includes(host)) {
+      group.hosts.push(host);
+    }
+    group.requestCount += requestCount;
+    if (scriptDomains.includes(rawHost)) {
+      group.scriptDomainCount += 1;
+    }
+    entitiesByName.set(entity.name, group);
+  }
+
+  const entities = Array.from(entitiesByName.values())
+    .map((group) => ({
+      ...group,
+      categories: group.categories.sort((a, b) => a.localeCompare(b)),
+      hosts: group.hosts.sort((a, b) => a.localeCompare(b))
+    }))
+    .sort(
+      (a, b) =>
+        b.requestCount - a.requestCount ||
+        b.hosts.length - a.hosts.length ||
+        a.name.localeCompare(b.name)
+    );
+
+  return {
+    entityCount: entities.length,
+    entities,
+    unattributedHostCount: unattributedHosts.length,
+    unattributedHosts: unattributedHosts.sort((a, b) => a.localeCompare(b)),
+    unattributedRequestCount
+  };
+}
+
+/**
+ * Classifies third-party script domains and network hosts by service category.
+ * Requests to hosts beyond the reported host cap are counted as "unknown" so
+ * the per-category request counts always add up to `thirdPartyRequestCount`.
+ */
+function buildThirdPartyCategories({ thirdPartyHosts, thirdPartyRequestCount, scriptDomains }) {
+  const hostCategories = {};
+  const scriptDomainCountsByCategory = Object.fromEntries(
+    THIRD_PARTY_CATEGORIES.map((category) => [category, 0])
+  );
+  const requestCountsByCategory = { ...scriptDomainCountsByCategory };
+
+  for (const host of scriptDomains) {
+    hostCategories[host] = classifyHost(host);
+    scriptDomainCountsByCategory[hostCategories[host]] += 1;
+  }
+
+  let attributedRequestCount = 0;
+  for (const { host, count } of thirdPartyHosts) {
+    hostCategories[host] = hostCategories[host] ?? classifyHost(host);
+    requestCountsByCategory[hostCategories[host]] += count;
+    attributedRequestCount += count;
+  }
+  requestCountsByCategory.unknown += Math.max(0, thirdPartyRequestCount - attributedRequestCount);
+
+  return { hostCategories, scriptDomainCountsByCategory, requestCountsByCategory };
+}
+
 function buildNormalizedAnalysis({ requestId, tabContext, collectors, durationMs, requestedAt, completedAt }) {
   const contentPageSignals = getCollectorData(collectors, "contentPageSignals");
   const scriptSignals = getNestedCollectorData(contentPageSignals, "scriptSignals") ?? {};
   const storageSignals = getNestedCollectorData(contentPageSignals, "storageSignals") ?? {};
   const trackingHeuristics = getNestedCollectorData(contentPageSignals, "trackingHeuristics") ?? {};
   const pageContext = getNestedCollectorData(contentPageSignals, "pageContext") ?? {};
+  const fingerprintingSignals = getNestedCollectorData(contentPageSignals, "fingerprintingSignals");
+  const pixelSignals = getNestedCollectorData(contentPageSignals, "pixelSignals");
+  const sensitiveDataSignals = getNestedCollectorData(contentPageSignals, "sensitiveDataSignals");
+  const consentSignals = getNestedCollectorData(contentPageSignals, "consentSignals");
+  const linkDecorationSignals =
+    getNestedCollectorData(contentPageSignals, "linkDecorationSignals") ?? {};
+  const embedSignals = getNestedCollectorData(contentPageSignals, "embedSignals") ?? {};
+  const trackingParamStripping = getCollectorData(collectors, "trackingParamStripping");
+  const gpcSignals = getCollectorData(collectors, "gpcSignals");
+  const networkPrivacySettings = getCollectorData(collectors, "networkPrivacySettings");
+  const sitePermissions = getCollectorData(collectors, "sitePermissions");
+  const scriptBlocking = getCollectorData(collectors, "scriptBlocking");
   const cookieSignals = getCollectorData(collectors, "cookieSignals");
   const networkSignals = getCollectorData(collectors, "networkRequestSignals");
   const networkSignalsAvailable = Boolean(networkSignals) && networkSignals.available !== false;
+  const responseHeaderSignals = getCollectorData(collectors, "responseHeaderSignals");
+  const headerSignalsAvailable =
+    Boolean(responseHeaderSignals) && responseHeaderSignals.available !== false;
   const baseConfidence = calculateConfidence(collectors);
+  const frameBreakdown = buildFrameBreakdown(contentPageSignals?.frames, tabContext.hostname);
+  const thirdPartyScriptDomains = toSortedStringArray(
+    Array.from(
+      new Set([
+        ...toSortedStringArray(scriptSignals.thirdPartyScriptDomains),
+        ...frameBreakdown.thirdPartyScriptDomains
+      ])
+    )
+  );
+  const trackerDomainHits = toSortedStringArray(
+    Array.from(
+      new Set([
+        ...toSortedStringArray(trackingHeuristics.trackerDomainHits),
+        ...frameBreakdown.trackerDomainHits
+      ])
+    )
+  );
 
   const normalized = {
     requestId,
@@ -141,29 +1137,26 @@ function buildNormalizedAnalysis({ requestId, tabContext, collectors, durationMs
       contentReachable: Boolean(getCollectorData(collectors, "contentReachability")?.reachable),
       contentSignalsAvailable: Boolean(contentPageSignals),
       cookieSignalsAvailable: Boolean(getCollectorData(collectors, "cookieSignals")),
-      networkSignalsAvailable
+      networkSignalsAvailable,
+      headerSignalsAvailable,
+      fingerprintingInstrumented: fingerprintingSignals?.instrumented === true
     },
     scriptSignals: {
       totalScriptTagsWithSrc: toSafeNumber(scriptSignals.totalScriptTagsWithSrc),
       externalScriptCount: toSafeNumber(scriptSignals.externalScriptCount),
-      thirdPartyScriptDomainCount: toSafeNumber(scriptSignals.thirdPartyScriptDomainCount),
-      thirdPartyScriptDomains: toSortedStringArray(scriptSignals.thirdPartyScriptDomains)
-    },
-    storageSignals: {
-      localStorage: {
-        keyCount: toSafeNumber(storageSignals.localStorage?.keyCount),
-        approxBytes: toSafeNumber(storageSignals.localStorage?.approxBytes)
-      },
-      sessionStorage: {
-        keyCount: toSafeNumber(storageSignals.sessionStorage?.keyCount),
-        approxBytes: toSafeNumber(storageSignals.sessionStorage?.approxBytes)
-      }
+      thirdPartyScriptDomainCount: thirdPartyScriptDomains.length,
+      thirdPartyScriptDomains,
+      currentThirdPartyScriptDomainCount: toSafeNumber(
+        scriptSignals.currentThirdPartyScriptDomainCount
+      ),
+      elementRegistry: normalizeElementRegistry(scriptSignals.elementRegistry)
     },
+    storageSignals: buildStorageSignals(storageSignals),
     trackingHeuristics: {
-      trackerDomainHitCount: toSafeNumber(trackingHeuristics.trackerDomainHitCount),
+      trackerDomainHitCount: trackerDomainHits.length,
       endpointPatternHitCount: toSafeNumber(trackingHeuristics.endpointPatternHitCount),
       trackingQueryParamCount: toSafeNumber(trackingHeuristics.trackingQueryParamCount),
-      trackerDomainHits: toSortedStringArray(trackingHeuristics.trackerDomainHits),
+      trackerDomainHits,
       trackingQueryParams: toSortedStringArray(trackingHeuristics.trackingQueryParams)
     },
     cookieSignals: {
@@ -181,6 +1174,7 @@ function buildNormalizedAnalysis({ requestId, tabContext, collectors, durationMs
       totalObservedRequests: toSafeNumber(networkSignals?.totalObservedRequests),
       thirdPartyRequestCount: toSafeNumber(networkSignals?.thirdPartyRequestCount),
       thirdPartyTopHosts: sanitizeCountedItems(networkSignals?.thirdPartyTopHosts, "host"),
+      thirdPartyHosts: sanitizeCountedItems(networkSignals?.thirdPartyHosts, "host"),
       suspiciousEndpointHitCount: toSafeNumber(networkSignals?.suspiciousEndpointHitCount),
       suspiciousEndpointPatternCounts: sanitizeCountedItems(
         networkSignals?.suspiciousEndpointPatternCounts,
@@ -188,21 +1182,134 @@ function buildNormalizedAnalysis({ requestId, tabContext, collectors, durationMs
       ),
       knownTrackerDomainHitCount: toSafeNumber(networkSignals?.knownTrackerDomainHitCount),
       shortWindowBurstCount: toSafeNumber(networkSignals?.shortWindowBurstCount),
-      knownTrackerDomains: toSortedStringArray(networkSignals?.knownTrackerDomains)
+      knownTrackerDomains: toSortedStringArray(networkSignals?.knownTrackerDomains),
+      windowStatus: ["complete", "interrupted", "partial"].includes(networkSignals?.windowStatus)
+        ? networkSignals.windowStatus
+        : "partial",
+      windowCoverageMs: toSafeNumber(networkSignals?.windowCoverageMs),
+      lastInterruptionAt:
+        typeof networkSignals?.lastInterruptionAt === "string"
+          ? networkSignals.lastInterruptionAt
+          : null
+    },
+    headerSignals: {
+      available: headerSignalsAvailable,
+      securityHeaders: normalizeSecurityHeaders(responseHeaderSignals?.securityHeaders),
+      thirdPartySetCookieCount: toSafeNumber(responseHeaderSignals?.thirdPartySetCookieCount),
+      thirdPartyCookieSettingHosts: toSortedStringArray(
+        responseHeaderSignals?.thirdPartyCookieSettingHosts
+      ),
+      trackerCookieSettingHosts: toSortedStringArray(
+        responseHeaderSignals?.trackerCookieSettingHosts
+      ),
+      sampledThirdPartySetCookies: Array.isArray(responseHeaderSignals?.sampledThirdPartySetCookies)
+        ? responseHeaderSignals.sampledThirdPartySetCookies
+        : []
+    },
+    fingerprintingSignals: normalizeFingerprintingSignals(
+      mergeFingerprintingSignals(
+        [fingerprintingSignals, ...frameBreakdown.fingerprintingReports],
+        tabContext.hostname
+      )
+    ),
+    pixelSignals: buildPixelSignals({
+      networkSignals: networkSignalsAvailable ? networkSignals : null,
+      pixelReports: [pixelSignals, ...frameBreakdown.pixelReports],
+      topHostname: tabContext.hostname
+    }),
+    sensitiveDataSignals: buildSensitiveDataSignals({
+      reports: [sensitiveDataSignals, ...frameBreakdown.sensitiveDataReports],
+      thirdPartyHosts: sanitizeCountedItems(networkSignals?.thirdPartyHosts, "host")
+    }),
+    consentSignals: buildConsentSignals({
+      consentSignals,
+      networkSignals: networkSignalsAvailable ? networkSignals : null
+    }),
+    linkDecorationSignals: {
+      scannedLinkCount: toSafeNumber(linkDecorationSignals.scannedLinkCount),
+      outboundLinkCount: toSafeNumber(linkDecorationSignals.outboundLinkCount),
+      decoratedLinkCount: toSafeNumber(linkDecorationSignals.decoratedLinkCount),
+      redirectWrappedLinkCount: toSafeNumber(linkDecorationSignals.redirectWrappedLinkCount),
+      trackingParams: sanitizeCountedItems(linkDecorationSignals.trackingParams, "param"),
+      redirectors: sanitizeCountedItems(linkDecorationSignals.redirectors, "name"),
+      autoClean: {
+        enabled: linkDecorationSignals.autoClean?.enabled === true,
+        cleanedLinkCount: toSafeNumber(linkDecorationSignals.autoClean?.cleanedLinkCount)
+      }
+    },
+    embedSignals: {
+      loadedEmbedCount: toSafeNumber(embedSignals.loadedEmbedCount),
+      deferredEmbedCount: toSafeNumber(embedSignals.deferredEmbedCount),
+      restoredEmbedCount: toSafeNumber(embedSignals.restoredEmbedCount),
+      providers: sanitizeCountedItems(embedSignals.providers, "name"),
+      autoDefer: { enabled: embedSignals.autoDefer?.enabled === true }
+    },
+    trackingParamStripping: {
+      available: Boolean(trackingParamStripping),
+      globalEnabled: trackingParamStripping?.globalEnabled === true,
+      siteEnabled: trackingParamStripping?.siteEnabled === true,
+      siteRuleCount: toSafeNumber(trackingParamStripping?.siteRuleCount)
+    },
+    gpcSignals: buildGpcSignals({
+      gpcSignals,
+      networkSignals: networkSignalsAvailable ? networkSignals : null,
+      pageStartedAtMs: toSafeNumber(pageContext.startedAtMs)
+    }),
+    scriptBlocking: {
+      available: Boolean(scriptBlocking),
+      siteDomain: typeof scriptBlocking?.siteDomain === "string" ? scriptBlocking.siteDomain : null,
+      blockedHosts: Array.isArray(scriptBlocking?.blockedHosts) ? scriptBlocking.blockedHosts : []
     },
+    sitePermissions: {
+      available: Boolean(sitePermissions),
+      origin: typeof sitePermissions?.origin === "string" ? sitePermissions.origin : null,
+      permissions: Array.isArray(sitePermissions?.permissions)
+        ? sitePermissions.permissions.filter((permission) =>
+          SITE_PERMISSION_SETTINGS.includes(permission?.setting)
+        )
+        : [],
+      revokedTypes: SITE_PERMISSION_TYPES.map(({ type }) => type).filter(
+        (type) => Array.isArray(sitePermissions?.revokedTypes) && sitePermissions.revokedTypes.includes(type)
+      )
+    },
+    networkPrivacySettings: {
+      available: Boolean(networkPrivacySettings),
+      settings: Array.isArray(networkPrivacySettings?.settings) ? networkPrivacySettings.settings : [],
+      revertAvailable: networkPrivacySettings?.revertAvailable === true
+    },
+    frameSignals: {
+      subframeCount: frameBreakdown.frames.length,
+      collectedSubframeCount: frameBreakdown.frames.filter((frame) => frame.status !== "failed")
+        .length,
+      thirdPartyFrameCount: frameBreakdown.frames.filter((frame) => frame.isThirdParty).length,
+      frames: frameBreakdown.frames
+    },
+    thirdPartyCategories: buildThirdPartyCategories({
+      thirdPartyHosts: sanitizeCountedItems(networkSignals?.thirdPartyHosts, "host"),
+      thirdPartyRequestCount: toSafeNumber(networkSignals?.thirdPartyRequestCount),
+      scriptDomains: thirdPartyScriptDomains
+    }),
+    entitySignals: buildEntitySignals({
+      thirdPartyHosts: sanitizeCountedItems(networkSignals?.thirdPartyHosts, "host"),
+      scriptDomains: thirdPartyScriptDomains,
+      cookieDomains: toSortedStringArray(cookieSignals?.thirdPartyCookieDomains)
+    }),
     derived: {
       totalThirdPartySignals:
-        toSafeNumber(scriptSignals.thirdPartyScriptDomainCount) +
+        thirdPartyScriptDomains.length +
         toSafeNumber(cookieSignals?.thirdPartyCookieEstimateCount) +
         toSafeNumber(networkSignals?.thirdPartyRequestCount),
       totalTrackingIndicators:
-        toSafeNumber(trackingHeuristics.trackerDomainHitCount) +
+        trackerDomainHits.length +
         toSafeNumber(trackingHeuristics.endpointPatternHitCount) +
         toSafeNumber(trackingHeuristics.trackingQueryParamCount) +
         toSafeNumber(networkSignals?.suspiciousEndpointHitCount) +
         toSafeNumber(networkSignals?.knownTrackerDomainHitCount)
     },
-    confidence: networkSignalsAvailable ? baseConfidence : degradeConfidence(baseConfidence)
+    confidence:
+      networkSignalsAvailable && networkSignals.windowStatus === "complete"
+        ? baseConfidence
+        : degradeConfidence(baseConfidence)
   };
 
   return normalized;
@@ -241,49 +1348,470 @@ function appendNetworkEvent(tabId, event) {
   }
 
   networkEventsByTab.set(tabId, filtered);
+  scheduleNetworkStatePersist();
 }
 
-try {
-  chrome.webRequest.onBeforeRequest.addListener(
-    (details) => {
-      if (typeof details.tabId !== "number" || details.tabId < 0) {
-        return;
-      }
-      if (!isSupportedHttpUrl(details.url)) {
-        return;
-      }
-
-      appendNetworkEvent(details.tabId, {
-        timestampMs: Date.now(),
-        url: details.url,
-        requestHost: parseHostnameFromUrl(details.url),
-        initiatorHost: details.initiator ? parseHostnameFromUrl(details.initiator) : "",
-        type: details.type
-      });
-    },
-    { urls: ["http://*/*", "https://*/*"] }
+function isValidNetworkEvent(event) {
+  return (
+    Boolean(event) &&
+    typeof event.timestampMs === "number" &&
+    typeof event.url === "string" &&
+    typeof event.requestHost === "string"
   );
-  networkCollectionState.listenerReady = true;
-  networkCollectionState.unavailableReason = null;
-} catch (error) {
-  networkCollectionState.listenerReady = false;
-  networkCollectionState.unavailableReason =
-    error instanceof Error ? error.message : "webRequest listener setup failed";
 }
 
-async function collectCookieSignals(tabContext) {
-  const firstPartyHost = tabContext.hostname;
-  const cookies = await chrome.cookies.getAll({ url: tabContext.url });
+function scheduleNetworkStatePersist() {
+  if (networkCoverageState.persistTimer !== null) {
+    return;
+  }
+  networkCoverageState.persistTimer = setTimeout(() => {
+    networkCoverageState.persistTimer = null;
+    void persistNetworkState();
+  }, NETWORK_STATE_PERSIST_DELAY_MS);
+}
 
-  let firstPartyCookieCount = cookies.length;
-  let thirdPartyCookieEstimateCount = 0;
-  const thirdPartyDomains = new Set();
+/**
+ * Keeps the newest in-window events of all tabs that fit in
+ * MAX_PERSISTED_NETWORK_EVENTS_BYTES. `coveredSinceMs` is when the kept
+ * events become complete again (null when nothing was dropped), so a restore
+ * reports the window as partial instead of quietly missing events.
+ */
+function toPersistedNetworkEvents(cutoff) {
+  const recentEvents = [];
+  for (const [tabId, events] of networkEventsByTab.entries()) {
+    for (const event of events) {
+      if (event.timestampMs >= cutoff) {
+        recentEvents.push({
+          tabId,
+          event: { ...event, url: event.url.slice(0, MAX_PERSISTED_URL_LENGTH) }
+        });
+      }
+    }
+  }
+  recentEvents.sort((a, b) => b.event.timestampMs - a.event.timestampMs);
 
-  // `chrome.cookies.getAll({ url })` primarily returns cookies scoped to the current page's URL,
-  // which tends to miss third-party cookie state. To estimate third-party cookies relevant to the
-  // current page, sample top observed third-party request hosts from recent network events and
-  // query cookie state for those hosts.
+  const eventsByTab = {};
+  let totalBytes = 0;
+  let coveredSinceMs = null;
+  for (const { tabId, event } of recentEvents) {
+    totalBytes += JSON.stringify(event).length;
+    if (totalBytes > MAX_PERSISTED_NETWORK_EVENTS_BYTES) {
+      coveredSinceMs = event.timestampMs + 1;
+      break;
+    }
+    (eventsByTab[tabId] ??= []).unshift(event);
+  }
+  return { eventsByTab, coveredSinceMs };
+}
+
+/**
+ * Writes the in-window events of every tab to chrome.storage.session so the
+ * buffer survives MV3 service-worker suspension. Writes are debounced; events
+ * received after the last write are lost if the worker is stopped in between.
+ * If the write still fails (quota), a snapshot without events replaces the
+ * stale one so the restored window starts over as partial.
+ */
+async function persistNetworkState() {
+  // Never overwrite the stored snapshot before it has been merged back in.
+  await networkStateRestored;
+  const cutoff = Date.now() - NETWORK_WINDOW_MS;
+  const { eventsByTab, coveredSinceMs } = toPersistedNetworkEvents(cutoff);
+  const responseSignalsSnapshot = {};
+  for (const [tabId, responseSignals] of responseSignalsByTab.entries()) {
+    responseSignalsSnapshot[tabId] = {
+      mainFrameHeaders: responseSignals.mainFrameHeaders,
+      setCookieEvents: responseSignals.setCookieEvents.filter(
+        (event) => event.timestampMs >= cutoff
+      )
+    };
+  }
+
+  const restartTimestampsMs = networkCoverageState.restartTimestampsMs.filter(
+    (timestampMs) => timestampMs >= cutoff
+  );
+  try {
+    await chrome.storage.session.set({
+      [NETWORK_STATE_STORAGE_KEY]: {
+        coverageStartedAtMs: Math.max(networkCoverageState.coverageStartedAtMs, coveredSinceMs ?? 0),
+        restartTimestampsMs,
+        eventsByTab,
+        responseSignalsByTab: responseSignalsSnapshot
+      }
+    });
+  } catch (error) {
+    console.warn("Failed to persist network events", error);
+    await chrome.storage.session
+      .set({
+        [NETWORK_STATE_STORAGE_KEY]: {
+          coverageStartedAtMs: Date.now(),
+          restartTimestampsMs,
+          eventsByTab: {},
+          responseSignalsByTab: {}
+        }
+      })
+      .catch(() => {
+        // nothing more to fall back to; the next write tries again
+      });
+  }
+}
+
+/**
+ * Restores buffered events after a service-worker restart. Events that
+ * arrived before restoration finished are kept after the restored ones.
+ * A missing snapshot means this is the first worker of the browser session.
+ */
+async function rehydrateNetworkState() {
+  try {
+    const stored = (await chrome.storage.session.get(NETWORK_STATE_STORAGE_KEY))[
+      NETWORK_STATE_STORAGE_KEY
+    ];
+    if (stored && typeof stored === "object") {
+      const cutoff = Date.now() - NETWORK_WINDOW_MS;
+      const storedEventsByTab =
+        stored.eventsByTab && typeof stored.eventsByTab === "object" ? stored.eventsByTab : {};
+      for (const [rawTabId, storedEvents] of Object.entries(storedEventsByTab)) {
+        const tabId = Number(rawTabId);
+        if (!Number.isInteger(tabId) || tabId < 0 || !Array.isArray(storedEvents)) {
+          continue;
+        }
+        const restoredEvents = storedEvents.filter(
+          (event) => isValidNetworkEvent(event) && event.timestampMs >= cutoff
+        );
+        const liveEvents = networkEventsByTab.get(tabId) ?? [];
+        networkEventsByTab.set(
+          tabId,
+          [...restoredEvents, ...liveEvents].slice(-MAX_TAB_NETWORK_EVENTS)
+        );
+      }
+
+      const storedResponseSignals =
+        stored.responseSignalsByTab && typeof stored.responseSignalsByTab === "object"
+          ? stored.responseSignalsByTab
+          : {};
+      for (const [rawTabId, storedSignals] of Object.entries(storedResponseSignals)) {
+        const tabId = Number(rawTabId);
+        if (!Number.isInteger(tabId) || tabId < 0 || !storedSignals) {
+          continue;
+        }
+        const liveSignals = getTabResponseSignals(tabId);
+        const restoredSetCookies = Array.isArray(storedSignals.setCookieEvents)
+          ? storedSignals.setCookieEvents.filter(
+            (event) => typeof event?.timestampMs === "number" && event.timestampMs >= cutoff
+          )
+          : [];
+        liveSignals.setCookieEvents = [...restoredSetCookies, ...liveSignals.setCookieEvents].slice(
+          -MAX_TAB_SET_COOKIE_EVENTS
+        );
+        liveSignals.mainFrameHeaders = liveSignals.mainFrameHeaders ?? storedSignals.mainFrameHeaders ?? null;
+      }
+
+      if (typeof stored.coverageStartedAtMs === "number") {
+        networkCoverageState.coverageStartedAtMs = Math.min(
+          stored.coverageStartedAtMs,
+          workerStartedAtMs
+        );
+      }
+      const storedRestarts = Array.isArray(stored.restartTimestampsMs)
+        ? stored.restartTimestampsMs.filter((timestampMs) => typeof timestampMs === "number")
+        : [];
+      networkCoverageState.restartTimestampsMs = [...storedRestarts, workerStartedAtMs];
+    }
+  } catch (error) {
+    console.warn("Failed to restore network events", error);
+  }
+  scheduleNetworkStatePersist();
+}
+
+const networkStateRestored = rehydrateNetworkState();
+
+// Built-in tracker domains plus imported filter lists, recompiled whenever the
+// stored lists change.
+const trackerRuleMatcherState = {
+  matcher: createTrackerRuleMatcher([]),
+  ready: null
+};
+
+async function readStoredFilterLists() {
+  const stored = (await chrome.storage.local.get(FILTER_LISTS_STORAGE_KEY))[FILTER_LISTS_STORAGE_KEY];
+  return Array.isArray(stored) ? stored : [];
+}
+
+async function reloadTrackerRuleMatcher() {
+  try {
+    trackerRuleMatcherState.matcher = createTrackerRuleMatcher(await readStoredFilterLists());
+  } catch (error) {
+    console.warn("Failed to load imported filter lists", error);
+  }
+}
+
+trackerRuleMatcherState.ready = reloadTrackerRuleMatcher();
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes[FILTER_LISTS_STORAGE_KEY]) {
+    trackerRuleMatcherState.ready = reloadTrackerRuleMatcher();
+  }
+});
+
+function toFilterListSummary(list) {
+  return {
+    id: list.id,
+    name: list.name,
+    blockRuleCount: Array.isArray(list.block) ? list.block.length : 0,
+    exceptionRuleCount: Array.isArray(list.allow) ? list.allow.length : 0,
+    skippedRuleCount: typeof list.skippedCount === "number" ? list.skippedCount : 0,
+    importedAt: list.importedAt ?? null
+  };
+}
+
+async function listFilterLists() {
+  const lists = await readStoredFilterLists();
+  return lists.map(toFilterListSummary);
+}
+
+/**
+ * Parses and stores a filter list. Importing a list with the same name
+ * replaces the previous import so re-importing refreshes it in place.
+ */
+async function importFilterList({ name, fileName, text }) {
+  if (typeof text !== "string" || text.trim().length === 0) {
+    throw new Error("The selected filter list is empty.");
+  }
+
+  const parsed = parseFilterList(text);
+  if (parsed.block.length === 0 && parsed.allow.length === 0) {
+    throw new Error(
+      "No supported rules found. Only domain rules such as ||example.com^ can be imported."
+    );
+  }
+
+  const resolvedName = sanitizeFilterListName(name, parsed.title ?? fileName);
+  const nextLists = upsertFilterList(await readStoredFilterLists(), {
+    id: createRequestId("filter_list"),
+    name: resolvedName,
+    importedAt: new Date().toISOString(),
+    block: parsed.block,
+    allow: parsed.allow,
+    skippedCount: parsed.skippedCount
+  });
+
+  await chrome.storage.local.set({ [FILTER_LISTS_STORAGE_KEY]: nextLists });
+  return toFilterListSummary(nextLists.find((list) => list.name === resolvedName));
+}
+
+async function removeFilterList(listId) {
+  const lists = await readStoredFilterLists();
+  const nextLists = lists.filter((list) => list.id !== listId);
+  await chrome.storage.local.set({ [FILTER_LISTS_STORAGE_KEY]: nextLists });
+  return { removedCount: lists.length - nextLists.length };
+}
+
+/**
+ * Describes how trustworthy the buffered window is:
+ * - complete: observed continuously for the full window
+ * - interrupted: the service worker restarted inside the window; events were
+ *   restored but some may have been dropped around the restart
+ * - partial: observation started less than one window ago
+ */
+function getNetworkWindowStatus(now) {
+  const cutoff = now - NETWORK_WINDOW_MS;
+  const lastRestartMs = networkCoverageState.restartTimestampsMs
+    .filter((timestampMs) => timestampMs >= cutoff)
+    .reduce((latest, timestampMs) => Math.max(latest, timestampMs), 0);
+  const coverageMs = Math.min(
+    NETWORK_WINDOW_MS,
+    Math.max(0, now - networkCoverageState.coverageStartedAtMs)
+  );
+
+  let windowStatus = "complete";
+  if (lastRestartMs > 0) {
+    windowStatus = "interrupted";
+  } else if (coverageMs < NETWORK_WINDOW_MS) {
+    windowStatus = "partial";
+  }
+
+  return {
+    windowStatus,
+    windowCoverageMs: coverageMs,
+    lastInterruptionAt: lastRestartMs > 0 ? new Date(lastRestartMs).toISOString() : null
+  };
+}
+
+try {
+  chrome.webRequest.onBeforeRequest.addListener(
+    (details) => {
+      if (typeof details.tabId !== "number" || details.tabId < 0) {
+        return;
+      }
+      if (!isSupportedHttpUrl(details.url)) {
+        return;
+      }
+
+      appendNetworkEvent(details.tabId, {
+        timestampMs: Date.now(),
+        url: details.url,
+        requestHost: parseHostnameFromUrl(details.url),
+        initiatorHost: details.initiator ? parseHostnameFromUrl(details.initiator) : "",
+        type: details.type
+      });
+    },
+    { urls: ["http://*/*", "https://*/*"] }
+  );
+  networkCollectionState.listenerReady = true;
+  networkCollectionState.unavailableReason = null;
+} catch (error) {
+  networkCollectionState.listenerReady = false;
+  networkCollectionState.unavailableReason =
+    error instanceof Error ? error.message : "webRequest listener setup failed";
+}
+
+function getTabResponseSignals(tabId) {
+  let responseSignals = responseSignalsByTab.get(tabId);
+  if (!responseSignals) {
+    responseSignals = { mainFrameHeaders: null, setCookieEvents: [] };
+    responseSignalsByTab.set(tabId, responseSignals);
+  }
+  return responseSignals;
+}
+
+function getHeaderValues(responseHeaders, headerName) {
+  if (!Array.isArray(responseHeaders)) {
+    return [];
+  }
+  return responseHeaders
+    .filter((header) => header?.name?.toLowerCase() === headerName && typeof header.value === "string")
+    .flatMap((header) => header.value.split("\n"))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parses the attributes of one `Set-Cookie` header. The cookie value is
+ * deliberately dropped so no identifiers are kept in extension memory.
+ */
+function parseSetCookieHeader(rawHeader, responseHost) {
+  const [nameValue, ...attributeParts] = rawHeader.split(";");
+  const separatorIndex = nameValue.indexOf("=");
+  const name = (separatorIndex >= 0 ? nameValue.slice(0, separatorIndex) : nameValue).trim();
+  if (!name) {
+    return null;
+  }
+
+  const attributes = new Map();
+  for (const part of attributeParts) {
+    const [rawKey, ...rawValue] = part.split("=");
+    attributes.set(rawKey.trim().toLowerCase(), rawValue.join("=").trim());
+  }
+
+  let expiresAt = null;
+  const maxAge = Number.parseInt(attributes.get("max-age") ?? "", 10);
+  if (Number.isFinite(maxAge)) {
+    expiresAt = new Date(Date.now() + maxAge * 1000).toISOString();
+  } else if (attributes.has("expires")) {
+    const expiresMs = Date.parse(attributes.get("expires"));
+    expiresAt = Number.isFinite(expiresMs) ? new Date(expiresMs).toISOString() : null;
+  }
+
+  const sameSite = (attributes.get("samesite") ?? "").toLowerCase();
+  return {
+    name,
+    domain: normalizeCookieDomain(attributes.get("domain") || responseHost),
+    expiresAt,
+    sameSite: ["strict", "lax", "none"].includes(sameSite) ? sameSite : "unspecified",
+    partitioned: attributes.has("partitioned"),
+    secure: attributes.has("secure")
+  };
+}
+
+// Only the stored and displayed copy is truncated; assessSecurityHeaders
+// works on the full header values.
+function toHeaderSnapshot(values) {
+  if (values.length === 0) {
+    return { present: false, value: null };
+  }
+  return { present: true, value: values.join(", ").slice(0, MAX_HEADER_VALUE_LENGTH) };
+}
+
+function handleHeadersReceived(details) {
+  if (typeof details.tabId !== "number" || details.tabId < 0) {
+    return;
+  }
+  if (!isSupportedHttpUrl(details.url)) {
+    return;
+  }
+
+  const responseHost = parseHostnameFromUrl(details.url);
+  const responseSignals = getTabResponseSignals(details.tabId);
+  const now = Date.now();
+
+  if (details.type === "main_frame") {
+    const headerValues = {
+      contentSecurityPolicy: getHeaderValues(details.responseHeaders, "content-security-policy"),
+      strictTransportSecurity: getHeaderValues(details.responseHeaders, "strict-transport-security"),
+      referrerPolicy: getHeaderValues(details.responseHeaders, "referrer-policy"),
+      permissionsPolicy: getHeaderValues(details.responseHeaders, "permissions-policy")
+    };
+    responseSignals.mainFrameHeaders = {
+      url: details.url,
+      host: responseHost,
+      observedAtMs: now,
+      contentSecurityPolicy: toHeaderSnapshot(headerValues.contentSecurityPolicy),
+      strictTransportSecurity: toHeaderSnapshot(headerValues.strictTransportSecurity),
+      referrerPolicy: toHeaderSnapshot(headerValues.referrerPolicy),
+      permissionsPolicy: toHeaderSnapshot(headerValues.permissionsPolicy),
+      issues: assessSecurityHeaders(headerValues, details.url)
+    };
+  }
+
+  const setCookies = getHeaderValues(details.responseHeaders, "set-cookie")
+    .map((rawHeader) => parseSetCookieHeader(rawHeader, responseHost))
+    .filter(Boolean);
+  if (setCookies.length > 0) {
+    const cutoff = now - NETWORK_WINDOW_MS;
+    responseSignals.setCookieEvents = [
+      ...responseSignals.setCookieEvents.filter((event) => event.timestampMs >= cutoff),
+      ...setCookies.map((cookie) => ({
+        timestampMs: now,
+        responseHost,
+        type: details.type,
+        ...cookie
+      }))
+    ].slice(-MAX_TAB_SET_COOKIE_EVENTS);
+  }
+
+  if (details.type === "main_frame" || setCookies.length > 0) {
+    scheduleNetworkStatePersist();
+  }
+}
+
+try {
+  // `extraHeaders` is required for Chrome to expose `Set-Cookie` to listeners.
+  chrome.webRequest.onHeadersReceived.addListener(
+    handleHeadersReceived,
+    { urls: ["http://*/*", "https://*/*"] },
+    ["responseHeaders", "extraHeaders"]
+  );
+  responseHeaderCollectionState.listenerReady = true;
+  responseHeaderCollectionState.unavailableReason = null;
+} catch (error) {
+  responseHeaderCollectionState.listenerReady = false;
+  responseHeaderCollectionState.unavailableReason =
+    error instanceof Error ? error.message : "onHeadersReceived listener setup failed";
+}
+
+async function collectCookieSignals(tabContext) {
+  const firstPartyHost = tabContext.hostname;
+  const cookies = await chrome.cookies.getAll({ url: tabContext.url });
+
+  let firstPartyCookieCount = cookies.length;
+  let thirdPartyCookieEstimateCount = 0;
+  const thirdPartyDomains = new Set();
+
+  // `chrome.cookies.getAll({ url })` primarily returns cookies scoped to the current page's URL,
+  // which tends to miss third-party cookie state. To estimate third-party cookies relevant to the
+  // current page, sample top observed third-party request hosts from recent network events and
+  // query cookie state for those hosts.
   if (networkCollectionState.listenerReady) {
+    await networkStateRestored;
     const events = networkEventsByTab.get(tabContext.tabId) ?? [];
     const now = Date.now();
     const recentEvents = events.filter((event) => event.timestampMs >= now - NETWORK_WINDOW_MS);
@@ -342,6 +1870,25 @@ async function collectCookieSignals(tabContext) {
   };
 }
 
+/**
+ * Image URLs that carry data rather than pictures: a `.gif` (the classic 1x1
+ * tracking GIF) or a known pixel endpoint path, with a query string. Query
+ * parameters alone are not enough, since CDN and resizing URLs carry them too.
+ */
+function isPixelLikeImageUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.search.length <= 1) {
+      return false;
+    }
+    const pathname = parsed.pathname.toLowerCase();
+    const lastSegment = pathname.slice(pathname.lastIndexOf("/") + 1).replace(/\.(gif|png)$/, "");
+    return pathname.endsWith(".gif") || PIXEL_PATH_SEGMENTS.includes(lastSegment);
+  } catch {
+    return false;
+  }
+}
+
 async function collectNetworkRequestSignals(tabContext) {
   if (!networkCollectionState.listenerReady) {
     return {
@@ -352,14 +1899,26 @@ async function collectNetworkRequestSignals(tabContext) {
       totalObservedRequests: 0,
       thirdPartyRequestCount: 0,
       thirdPartyTopHosts: [],
+      thirdPartyHosts: [],
       suspiciousEndpointHitCount: 0,
       suspiciousEndpointPatternCounts: [],
       knownTrackerDomainHitCount: 0,
+      knownTrackerRequestCount: 0,
       knownTrackerDomains: [],
-      shortWindowBurstCount: 0
+      pingRequestCount: 0,
+      pingHosts: [],
+      pixelLikeImageRequestCount: 0,
+      pixelLikeImageHosts: [],
+      trackerRequestTimeline: [],
+      observedSinceMs: null,
+      shortWindowBurstCount: 0,
+      windowStatus: "partial",
+      windowCoverageMs: 0,
+      lastInterruptionAt: null
     };
   }
 
+  await networkStateRestored;
   const events = networkEventsByTab.get(tabContext.tabId) ?? [];
   const firstPartyHost = tabContext.hostname;
   const now = Date.now();
@@ -370,9 +1929,19 @@ async function collectNetworkRequestSignals(tabContext) {
   const thirdPartyHostCounts = new Map();
   const suspiciousPatternCounts = new Map();
   const trackerDomainMatches = new Set();
+  const pingHosts = new Set();
+  const pixelLikeImageHosts = new Set();
+  let pingRequestCount = 0;
+  let pixelLikeImageRequestCount = 0;
+  const trackerRequestTimeline = [];
+  let knownTrackerRequestCount = 0;
+
+  await trackerRuleMatcherState.ready;
+  const trackerRuleMatcher = trackerRuleMatcherState.matcher;
 
   for (const event of recentEvents) {
-    if (isThirdPartyHost(event.requestHost, firstPartyHost)) {
+    const isThirdParty = isThirdPartyHost(event.requestHost, firstPartyHost);
+    if (isThirdParty) {
       thirdPartyRequestCount += 1;
       const existingCount = thirdPartyHostCounts.get(event.requestHost) ?? 0;
       thirdPartyHostCounts.set(event.requestHost, existingCount + 1);
@@ -387,23 +1956,41 @@ async function collectNetworkRequestSignals(tabContext) {
       }
     }
 
-    const hostLower = event.requestHost.toLowerCase();
-    for (const pattern of KNOWN_TRACKER_DOMAIN_PATTERNS) {
-      if (hostLower.includes(pattern)) {
-        trackerDomainMatches.add(event.requestHost);
-      }
+    const isTracker = trackerRuleMatcher.matches(event.requestHost, {
+      thirdParty: isThirdParty,
+      resourceType: toFilterResourceType(event.type)
+    });
+    if (isTracker) {
+      knownTrackerRequestCount += 1;
+      trackerDomainMatches.add(event.requestHost);
+      trackerRequestTimeline.push({ host: event.requestHost, timestampMs: event.timestampMs });
+    }
+
+    // `ping` covers navigator.sendBeacon and <a ping> hyperlink auditing.
+    if (event.type === "ping") {
+      pingRequestCount += 1;
+      pingHosts.add(event.requestHost);
+    } else if (
+      event.type === "image" &&
+      isThirdParty &&
+      (isTracker || isPixelLikeImageUrl(event.url))
+    ) {
+      pixelLikeImageRequestCount += 1;
+      pixelLikeImageHosts.add(event.requestHost);
     }
   }
 
+  const windowStatus = getNetworkWindowStatus(now);
   const recentWindowStart = now - NETWORK_BURST_WINDOW_MS;
   const shortWindowCount = recentEvents.filter(
     (event) => event.timestampMs >= recentWindowStart
   ).length;
 
-  const thirdPartyTopHosts = Array.from(thirdPartyHostCounts.entries())
+  const thirdPartyHosts = Array.from(thirdPartyHostCounts.entries())
     .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
-    .slice(0, 5)
+    .slice(0, MAX_REPORTED_THIRD_PARTY_HOSTS)
     .map(([host, count]) => ({ host, count }));
+  const thirdPartyTopHosts = thirdPartyHosts.slice(0, 5);
 
   const suspiciousEndpointPatternCounts = Array.from(suspiciousPatternCounts.entries())
     .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
@@ -417,15 +2004,193 @@ async function collectNetworkRequestSignals(tabContext) {
     totalObservedRequests: recentEvents.length,
     thirdPartyRequestCount,
     thirdPartyTopHosts,
+    thirdPartyHosts,
     suspiciousEndpointHitCount,
     suspiciousEndpointPatternCounts,
     knownTrackerDomainHitCount: trackerDomainMatches.size,
+    knownTrackerRequestCount,
     knownTrackerDomains: Array.from(trackerDomainMatches),
-    shortWindowBurstCount: shortWindowCount
+    pingRequestCount,
+    pingHosts: Array.from(pingHosts),
+    pixelLikeImageRequestCount,
+    pixelLikeImageHosts: Array.from(pixelLikeImageHosts),
+    trackerRequestTimeline: trackerRequestTimeline.slice(-MAX_TRACKER_REQUEST_TIMELINE),
+    shortWindowBurstCount: shortWindowCount,
+    ...windowStatus,
+    // Requests before this time may be missing: outside the observed window,
+    // or dropped from a full buffer.
+    observedSinceMs: Math.max(
+      now - windowStatus.windowCoverageMs,
+      events.length >= MAX_TAB_NETWORK_EVENTS ? events[0].timestampMs : 0
+    )
   };
   return payload;
 }
 
+/**
+ * What one CSP policy allows for scripts, from its `script-src` directive or
+ * else `default-src`. A policy without either does not restrict scripts.
+ */
+function assessCspScriptPolicy(policy) {
+  const directives = policy
+    .toLowerCase()
+    .split(";")
+    .map((directive) => directive.trim().split(/\s+/));
+  const sources =
+    directives.find(([name]) => name === "script-src") ??
+    directives.find(([name]) => name === "default-src") ??
+    null;
+  if (!sources) {
+    return { restricted: false, unsafeInline: true, unsafeEval: true, anyHost: true };
+  }
+  const usesNonceOrHash = sources.some((source) => /^'(nonce|sha256|sha384|sha512)-/.test(source));
+  return {
+    restricted: true,
+    unsafeInline: sources.includes("'unsafe-inline'") && !usesNonceOrHash,
+    unsafeEval: sources.includes("'unsafe-eval'"),
+    anyHost: sources.some((source) => ["*", "https:", "http:"].includes(source))
+  };
+}
+
+/**
+ * Rates the page's security headers from their full values. Several CSP
+ * headers, or one header listing policies separated by commas, are enforced
+ * together, so a script loosening is reported only when every policy allows it.
+ */
+function assessSecurityHeaders(headerValues, pageUrl) {
+  const isHttps = typeof pageUrl === "string" && pageUrl.startsWith("https://");
+  const issues = [];
+
+  const cspPolicies = headerValues.contentSecurityPolicy
+    .flatMap((value) => value.split(","))
+    .map((policy) => policy.trim())
+    .filter(Boolean);
+  if (cspPolicies.length === 0) {
+    issues.push({ header: "Content-Security-Policy", issue: "missing" });
+  } else {
+    const assessments = cspPolicies.map(assessCspScriptPolicy);
+    const everyPolicy = (key) => assessments.every((assessment) => assessment[key]);
+    if (!assessments.some((assessment) => assessment.restricted)) {
+      issues.push({ header: "Content-Security-Policy", issue: "no script-src or default-src" });
+    } else {
+      if (everyPolicy("unsafeInline")) {
+        issues.push({ header: "Content-Security-Policy", issue: "allows 'unsafe-inline' scripts" });
+      }
+      if (everyPolicy("unsafeEval")) {
+        issues.push({ header: "Content-Security-Policy", issue: "allows 'unsafe-eval'" });
+      }
+      if (everyPolicy("anyHost")) {
+        issues.push({ header: "Content-Security-Policy", issue: "allows scripts from any host" });
+      }
+    }
+  }
+
+  const hstsValues = headerValues.strictTransportSecurity;
+  if (isHttps && hstsValues.length === 0) {
+    issues.push({ header: "Strict-Transport-Security", issue: "missing" });
+  } else if (isHttps) {
+    const maxAgeMatch = /max-age\s*=\s*"?(\d+)/i.exec(hstsValues.join(", "));
+    const maxAge = maxAgeMatch ? Number.parseInt(maxAgeMatch[1], 10) : 0;
+    if (maxAge < HSTS_MIN_RECOMMENDED_MAX_AGE_SECONDS) {
+      issues.push({ header: "Strict-Transport-Security", issue: `short max-age (${maxAge}s)` });
+    }
+  }
+
+  if (headerValues.referrerPolicy.length === 0) {
+    issues.push({ header: "Referrer-Policy", issue: "missing" });
+  } else {
+    // Browsers ignore unknown tokens and apply the last recognised one, so
+    // `unsafe-url, foo-bar` still sends full URLs.
+    const effectivePolicy = headerValues.referrerPolicy
+      .join(",")
+      .split(",")
+      .map((token) => token.trim().toLowerCase())
+      .filter((token) => REFERRER_POLICY_TOKENS.includes(token))
+      .pop();
+    if (WEAK_REFERRER_POLICIES.includes(effectivePolicy)) {
+      issues.push({ header: "Referrer-Policy", issue: `leaks full URLs (${effectivePolicy})` });
+    }
+  }
+
+  if (headerValues.permissionsPolicy.length === 0) {
+    issues.push({ header: "Permissions-Policy", issue: "missing" });
+  }
+
+  return issues;
+}
+
+/**
+ * Summarizes response headers seen for the tab: the page's security headers
+ * from its last main-frame response, and cookies set by third-party responses
+ * within the network window.
+ */
+async function collectResponseHeaderSignals(tabContext) {
+  if (!responseHeaderCollectionState.listenerReady) {
+    return {
+      available: false,
+      unavailableReason:
+        responseHeaderCollectionState.unavailableReason ?? "HEADERS_LISTENER_UNAVAILABLE",
+      securityHeaders: null,
+      thirdPartySetCookieCount: 0,
+      thirdPartyCookieSettingHosts: [],
+      trackerCookieSettingHosts: [],
+      sampledThirdPartySetCookies: []
+    };
+  }
+
+  await networkStateRestored;
+  const responseSignals = responseSignalsByTab.get(tabContext.tabId) ?? null;
+  const mainFrameHeaders =
+    responseSignals?.mainFrameHeaders?.host === tabContext.hostname
+      ? responseSignals.mainFrameHeaders
+      : null;
+
+  const cutoff = Date.now() - NETWORK_WINDOW_MS;
+  const thirdPartySetCookies = (responseSignals?.setCookieEvents ?? []).filter(
+    (event) =>
+      event.timestampMs >= cutoff && isThirdPartyHost(event.responseHost, tabContext.hostname)
+  );
+  const cookieSettingHosts = new Set(thirdPartySetCookies.map((event) => event.responseHost));
+  await trackerRuleMatcherState.ready;
+  // Matched per response so `$script`-style rules see the resource type.
+  const trackerCookieSettingHosts = new Set(
+    thirdPartySetCookies
+      .filter((event) =>
+        trackerRuleMatcherState.matcher.matches(event.responseHost, {
+          thirdParty: true,
+          resourceType: toFilterResourceType(event.type)
+        })
+      )
+      .map((event) => event.responseHost)
+  );
+
+  return {
+    available: true,
+    unavailableReason: null,
+    securityHeaders: mainFrameHeaders
+      ? {
+        observed: true,
+        contentSecurityPolicy: mainFrameHeaders.contentSecurityPolicy,
+        strictTransportSecurity: mainFrameHeaders.strictTransportSecurity,
+        referrerPolicy: mainFrameHeaders.referrerPolicy,
+        permissionsPolicy: mainFrameHeaders.permissionsPolicy,
+        issues: Array.isArray(mainFrameHeaders.issues) ? mainFrameHeaders.issues : []
+      }
+      : null,
+    thirdPartySetCookieCount: thirdPartySetCookies.length,
+    thirdPartyCookieSettingHosts: Array.from(cookieSettingHosts),
+    trackerCookieSettingHosts: Array.from(trackerCookieSettingHosts),
+    sampledThirdPartySetCookies: thirdPartySetCookies.slice(-25).map((event) => ({
+      host: event.responseHost,
+      name: event.name,
+      domain: event.domain,
+      expiresAt: event.expiresAt,
+      sameSite: event.sameSite,
+      partitioned: event.partitioned
+    }))
+  };
+}
+
 /**
  * Resolves the currently active tab and extracts normalized context needed
  * by collectors (tab id, full URL, and hostname).
@@ -481,29 +2246,35 @@ async function withTimeout(name, task, timeoutMs = ANALYSIS_TIMEOUT_MS) {
  */
 async function collectContentReachability(tabId, requestId) {
   return new Promise((resolve, reject) => {
-    chrome.tabs.sendMessage(tabId, { type: MESSAGE_TYPES.PING_CONTENT, requestId }, (response) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-        return;
-      }
-      if (!response || response.ok !== true) {
-        reject(new Error("Content script reachability check returned invalid response"));
-        return;
+    chrome.tabs.sendMessage(
+      tabId,
+      { type: MESSAGE_TYPES.PING_CONTENT, requestId },
+      { frameId: 0 },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (!response || response.ok !== true) {
+          reject(new Error("Content script reachability check returned invalid response"));
+          return;
+        }
+        resolve({
+          reachable: Boolean(response?.ok),
+          source: response?.source ?? "unknown",
+          requestId: response?.requestId ?? null
+        });
       }
-      resolve({
-        reachable: Boolean(response?.ok),
-        source: response?.source ?? "unknown",
-        requestId: response?.requestId ?? null
-      });
-    });
+    );
   });
 }
 
-async function collectPageSignalsFromContent(tabId, requestId) {
+function requestTopFrameSignals(tabId, requestId) {
   return new Promise((resolve, reject) => {
     chrome.tabs.sendMessage(
       tabId,
       { type: MESSAGE_TYPES.COLLECT_PAGE_SIGNALS, requestId },
+      { frameId: 0 },
       (response) => {
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message));
@@ -524,12 +2295,78 @@ async function collectPageSignalsFromContent(tabId, requestId) {
   });
 }
 
+function runFrameSignalsCollector() {
+  return globalThis.PrivacyAssistantFrameSignals?.collectFrameSignals() ?? null;
+}
+
 /**
- * Temporary placeholder collector for runtime-level signals.
+ * Collects one subframe's signals with frame-signals.js. The collector files
+ * are only injected when the frame does not have them yet, so a frame keeps
+ * one copy across repeated analyses.
  */
-async function collectPlaceholderRuntimeSignals() {
-  return {
-    runtimeReady: true,
+async function collectSubframeSignals(tabId, frameId) {
+  const target = { tabId, frameIds: [frameId] };
+  let [injection] = await chrome.scripting.executeScript({ target, func: runFrameSignalsCollector });
+  if (!injection?.result) {
+    await chrome.scripting.executeScript({ target, files: SUBFRAME_COLLECTOR_FILES });
+    [injection] = await chrome.scripting.executeScript({ target, func: runFrameSignalsCollector });
+  }
+  if (!injection?.result) {
+    throw new Error("Subframe signal collection returned no result");
+  }
+  return injection.result;
+}
+
+async function listCollectableSubframes(tabId) {
+  try {
+    const frames = await chrome.webNavigation.getAllFrames({ tabId });
+    return (frames ?? [])
+      .filter((frame) => frame.frameId !== 0 && isSupportedHttpUrl(frame.url))
+      .slice(0, MAX_COLLECTED_SUBFRAMES);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Collects content signals from the top frame's content script and, through
+ * frame-signals.js injected on demand, from every http(s) subframe. The top
+ * frame's result is returned as before (its failure fails the collector);
+ * subframe results are attached as `frames`, each with its own status so a
+ * blocked or slow frame only drops out of the breakdown.
+ */
+async function collectPageSignalsFromContent(tabId, requestId) {
+  const subframes = await listCollectableSubframes(tabId);
+  const [topFrame, ...frameResults] = await Promise.all([
+    requestTopFrameSignals(tabId, requestId),
+    ...subframes.map((frame) =>
+      withTimeout(
+        `frame:${frame.frameId}`,
+        () => collectSubframeSignals(tabId, frame.frameId),
+        SUBFRAME_COLLECTION_TIMEOUT_MS
+      )
+    )
+  ]);
+
+  return {
+    ...topFrame,
+    frames: subframes.map((frame, index) => ({
+      frameId: frame.frameId,
+      parentFrameId: frame.parentFrameId,
+      url: frame.url,
+      status: frameResults[index].status === "success" ? frameResults[index].data.status : "failed",
+      error: frameResults[index].error ?? null,
+      collectors: frameResults[index].data?.collectors ?? []
+    }))
+  };
+}
+
+/**
+ * Temporary placeholder collector for runtime-level signals.
+ */
+async function collectPlaceholderRuntimeSignals() {
+  return {
+    runtimeReady: true,
     note: "Collector placeholders"
   };
 }
@@ -600,7 +2437,8 @@ async function runAnalysisPipeline(requestId) {
           contentReachable: false,
           contentSignalsAvailable: false,
           cookieSignalsAvailable: false,
-          networkSignalsAvailable: false
+          networkSignalsAvailable: false,
+          headerSignalsAvailable: false
         },
         networkSignals: {
           ...normalizedAnalysis.networkSignals,
@@ -615,6 +2453,12 @@ async function runAnalysisPipeline(requestId) {
     withTimeout("contentPageSignals", () => collectPageSignalsFromContent(tabContext.tabId, requestId)),
     withTimeout("cookieSignals", () => collectCookieSignals(tabContext)),
     withTimeout("networkRequestSignals", () => collectNetworkRequestSignals(tabContext)),
+    withTimeout("responseHeaderSignals", () => collectResponseHeaderSignals(tabContext)),
+    withTimeout("trackingParamStripping", () => collectTrackingParamStrippingState(tabContext)),
+    withTimeout("gpcSignals", () => collectGpcSignals(tabContext)),
+    withTimeout("networkPrivacySettings", () => collectNetworkPrivacySettings()),
+    withTimeout("sitePermissions", () => collectSitePermissions(tabContext)),
+    withTimeout("scriptBlocking", () => collectScriptBlockingState(tabContext)),
     withTimeout("runtimeSignals", () => collectPlaceholderRuntimeSignals())
   ]);
 
@@ -639,6 +2483,12 @@ async function runAnalysisPipeline(requestId) {
         normalizedAnalysis.networkSignals.unavailableReason ??
         "Network signal collection is unavailable"
     });
+  } else if (normalizedAnalysis.networkSignals.windowStatus === "interrupted") {
+    warnings.push({
+      code: "NETWORK_WINDOW_INTERRUPTED",
+      message:
+        "The background worker restarted during the network window; some requests may be missing."
+    });
   }
 
   return {
@@ -686,19 +2536,6 @@ function openSettingsTabForAction(actionId, targetUrl) {
   return chrome.tabs.create({ url: targetUrl });
 }
 
-function toSettingsSiteDetailsUrl(tabContext) {
-  const rawUrl = typeof tabContext?.url === "string" ? tabContext.url : "";
-  if (!isSupportedHttpUrl(rawUrl)) {
-    return null;
-  }
-  try {
-    const parsed = new URL(rawUrl);
-    return `chrome://settings/content/siteDetails?site=${encodeURIComponent(parsed.origin)}`;
-  } catch {
-    return null;
-  }
-}
-
 async function clearCookiesForTabContext(tabContext, mode) {
   if (!tabContext || !tabContext.url || !tabContext.hostname) {
     return { eligibleCount: 0, removedCount: 0, failedCount: 0 };
@@ -744,209 +2581,1986 @@ async function clearCookiesForTabContext(tabContext, mode) {
   return { eligibleCount, removedCount, failedCount };
 }
 
-async function executeImproveAction(actionId, tabContext) {
-  if (actionId === "reduce_third_party_cookies") {
-    const summary = await clearCookiesForTabContext(tabContext, "third_party_only");
-    if (summary.eligibleCount === 0) {
-      return {
-        actionId,
-        status: "skipped",
-        message: "No third-party cookies were eligible for removal on this page."
-      };
-    }
-    if (summary.removedCount > 0) {
-      return {
-        actionId,
-        status: "success",
-        message: `Removed ${summary.removedCount} third-party cookie(s).`
-      };
-    }
-    await openSettingsTabForAction(actionId, "chrome://settings/cookies");
-    return {
-      actionId,
-      status: "success",
-      message:
-        "Automatic cookie cleanup was limited. Opened Cookies settings. Steps: 1) Block third-party cookies, 2) Clear site data if needed."
-    };
-  }
+function sanitizeTrackerBlockingOptions(rawOptions) {
+  const scope = TRACKER_BLOCKING_SCOPES.includes(rawOptions?.scope)
+    ? rawOptions.scope
+    : DEFAULT_TRACKER_BLOCKING_OPTIONS.scope;
+  const persistence = TRACKER_BLOCKING_PERSISTENCE_MODES.includes(rawOptions?.persistence)
+    ? rawOptions.persistence
+    : DEFAULT_TRACKER_BLOCKING_OPTIONS.persistence;
+  return { scope, persistence };
+}
 
-  if (actionId === "clear_site_storage_data") {
-    const summary = await clearCookiesForTabContext(tabContext, "all_current_site");
-    if (summary.eligibleCount === 0) {
-      await openSettingsTabForAction(actionId, "chrome://settings/siteData");
-      return {
-        actionId,
-        status: "success",
-        message:
-          "No removable cookies were found automatically. Opened site-data settings. Steps: 1) Search this domain, 2) Remove stored data."
-      };
-    }
-    if (summary.removedCount > 0) {
-      return {
-        actionId,
-        status: "success",
-        message:
-          `Cleared ${summary.removedCount} site cookie(s). ` +
-          "If needed, open site-data settings to remove remaining storage."
-      };
-    }
-    await openSettingsTabForAction(actionId, "chrome://settings/siteData");
-    return {
-      actionId,
-      status: "success",
-      message:
-        "Automatic site-data cleanup was limited. Opened site-data settings. Steps: 1) Search this domain, 2) Remove remaining data."
-    };
-  }
+function sanitizeSiteStorageClearingOptions(rawOptions) {
+  return {
+    includeThirdPartyHosts: rawOptions?.includeThirdPartyHosts === true
+  };
+}
 
-  if (actionId === "review_tracking_permissions") {
-    const siteDetailsUrl = toSettingsSiteDetailsUrl(tabContext);
-    await openSettingsTabForAction(
-      actionId,
-      siteDetailsUrl ?? "chrome://settings/content/all"
-    );
-    return {
-      actionId,
-      status: "success",
-      message:
-        "Opened this site's permission details. Steps: 1) Review this site permissions, 2) restrict tracking-related access."
-    };
-  }
+function sanitizeBlockingDomains(domains, limit) {
+  return Array.from(
+    new Set(
+      (Array.isArray(domains) ? domains : [])
+        .filter((domain) => typeof domain === "string")
+        .map((domain) => domain.trim().toLowerCase())
+        .filter((domain) => /^[a-z0-9.-]+$/.test(domain) && domain.includes("."))
+    )
+  ).slice(0, limit);
+}
 
-  if (actionId === "harden_network_privacy") {
-    await openSettingsTabForAction(actionId, "chrome://settings/security");
-    return {
-      actionId,
-      status: "success",
-      message:
-        "Opened security settings. Steps: 1) Use Enhanced protection, 2) Review secure DNS and privacy controls."
-    };
-  }
+function sanitizeFingerprintingBlockingOptions(rawOptions) {
+  return {
+    domains: sanitizeBlockingDomains(rawOptions?.domains, MAX_FINGERPRINTING_BLOCK_DOMAINS)
+  };
+}
 
-  if (actionId === "limit_third_party_scripts") {
-    await openSettingsTabForAction(actionId, "chrome://settings/content/javascript");
-    return {
-      actionId,
-      status: "success",
-      message:
-        "Opened JavaScript settings. Steps: 1) Restrict JavaScript for high-risk sites, 2) Use per-site blocking for untrusted domains."
-    };
-  }
+function sanitizeScriptBlockingOptions(rawOptions) {
+  return {
+    mode: SCRIPT_BLOCKING_MODES.includes(rawOptions?.mode) ? rawOptions.mode : "block",
+    hosts: sanitizeBlockingDomains(rawOptions?.hosts, MAX_SCRIPT_BLOCKING_HOSTS)
+  };
+}
 
-  if (actionId === "block_known_trackers") {
-    await openSettingsTabForAction(actionId, "chrome://settings/cookies");
-    return {
-      actionId,
-      status: "success",
-      message:
-        "Opened Cookies settings. Enable third-party cookie blocking to reduce tracker domains."
-    };
+// Options of the actions that can also run automatically on the site
+// (see setSiteAutoRunSetting).
+function sanitizeAutoRunOptions(rawOptions) {
+  return {
+    // null leaves the site's automatic run setting unchanged.
+    autoRunOnSite: typeof rawOptions?.autoRunOnSite === "boolean" ? rawOptions.autoRunOnSite : null
+  };
+}
+
+function sanitizeTrackingParamStrippingOptions(rawOptions) {
+  return {
+    scope: TRACKING_PARAM_STRIPPING_SCOPES.includes(rawOptions?.scope) ? rawOptions.scope : "site"
+  };
+}
+
+function sanitizeGpcOptions(rawOptions) {
+  return { scope: GPC_SCOPES.includes(rawOptions?.scope) ? rawOptions.scope : "site" };
+}
+
+function sanitizeSitePermissionOptions(rawOptions) {
+  const types = Array.isArray(rawOptions?.types) ? rawOptions.types : [];
+  return {
+    mode: SITE_PERMISSION_MODES.includes(rawOptions?.mode) ? rawOptions.mode : "revoke",
+    types: SITE_PERMISSION_TYPES.map(({ type }) => type).filter((type) => types.includes(type))
+  };
+}
+
+function sanitizeNetworkPrivacyOptions(rawOptions) {
+  return { mode: NETWORK_PRIVACY_MODES.includes(rawOptions?.mode) ? rawOptions.mode : "harden" };
+}
+
+function sanitizeActionOptions(rawActionOptions) {
+  if (!rawActionOptions || typeof rawActionOptions !== "object") {
+    return {};
   }
+  return {
+    block_known_trackers: sanitizeTrackerBlockingOptions(rawActionOptions.block_known_trackers),
+    clear_site_storage_data: sanitizeSiteStorageClearingOptions(
+      rawActionOptions.clear_site_storage_data
+    ),
+    block_fingerprinting_scripts: sanitizeFingerprintingBlockingOptions(
+      rawActionOptions.block_fingerprinting_scripts
+    ),
+    reject_consent_banners: sanitizeAutoRunOptions(rawActionOptions.reject_consent_banners),
+    clean_link_decoration: sanitizeAutoRunOptions(rawActionOptions.clean_link_decoration),
+    strip_tracking_params: sanitizeTrackingParamStrippingOptions(
+      rawActionOptions.strip_tracking_params
+    ),
+    send_gpc_signal: sanitizeGpcOptions(rawActionOptions.send_gpc_signal),
+    harden_network_privacy: sanitizeNetworkPrivacyOptions(rawActionOptions.harden_network_privacy),
+    review_tracking_permissions: sanitizeSitePermissionOptions(
+      rawActionOptions.review_tracking_permissions
+    ),
+    limit_third_party_scripts: sanitizeScriptBlockingOptions(
+      rawActionOptions.limit_third_party_scripts
+    ),
+    defer_social_embeds: sanitizeAutoRunOptions(rawActionOptions.defer_social_embeds)
+  };
+}
 
-  await openSettingsTabForAction(actionId, "chrome://settings/privacy");
+function isTrackerBlockingRuleId(ruleId) {
+  return (
+    Number.isInteger(ruleId) &&
+    ruleId >= TRACKER_BLOCKING_RULE_ID_RANGE.min &&
+    ruleId <= TRACKER_BLOCKING_RULE_ID_RANGE.max
+  );
+}
+
+function toTrackerBlockingRuleSummary(rule, persistence) {
+  if (!rule || !isTrackerBlockingRuleId(rule.id)) {
+    return null;
+  }
+  const trackerDomain = rule.condition?.requestDomains?.[0] ?? "";
+  const siteDomain = rule.condition?.initiatorDomains?.[0] ?? null;
   return {
-    actionId,
-    status: "success",
-    message:
-      "Opened general privacy settings. Steps: 1) Review tracking-related controls, 2) tighten permissions for this site."
+    ruleId: rule.id,
+    trackerDomain,
+    scope: siteDomain ? "site" : "global",
+    siteDomain,
+    persistence
   };
 }
 
-async function executeImproveActionQueue(selectedActionIds, tabContext) {
-  if (!Array.isArray(selectedActionIds)) {
-    return [];
+/**
+ * Lists the declarativeNetRequest rules installed by `block_known_trackers`,
+ * from both the dynamic (persistent) and session rule sets.
+ */
+async function listTrackerBlockingRules() {
+  const [dynamicRules, sessionRules] = await Promise.all([
+    chrome.declarativeNetRequest.getDynamicRules(),
+    chrome.declarativeNetRequest.getSessionRules()
+  ]);
+  return [
+    ...dynamicRules.map((rule) => toTrackerBlockingRuleSummary(rule, "dynamic")),
+    ...sessionRules.map((rule) => toTrackerBlockingRuleSummary(rule, "session"))
+  ]
+    .filter(Boolean)
+    .sort(
+      (a, b) =>
+        (a.siteDomain ?? "").localeCompare(b.siteDomain ?? "") ||
+        a.trackerDomain.localeCompare(b.trackerDomain)
+    );
+}
+
+async function removeTrackerBlockingRules(ruleIds) {
+  const requestedIds = new Set(
+    Array.isArray(ruleIds) ? ruleIds.filter((ruleId) => isTrackerBlockingRuleId(ruleId)) : []
+  );
+  if (requestedIds.size === 0) {
+    return { removedCount: 0 };
   }
 
-  const seen = new Set();
-  const orderedActionIds = [];
-  for (const actionId of selectedActionIds) {
-    if (typeof actionId !== "string" || seen.has(actionId)) {
+  const existingRules = await listTrackerBlockingRules();
+  const dynamicIds = [];
+  const sessionIds = [];
+  for (const rule of existingRules) {
+    if (!requestedIds.has(rule.ruleId)) {
       continue;
     }
-    seen.add(actionId);
-    orderedActionIds.push(actionId);
+    if (rule.persistence === "session") {
+      sessionIds.push(rule.ruleId);
+    } else {
+      dynamicIds.push(rule.ruleId);
+    }
   }
 
-  const results = [];
-  for (const actionId of orderedActionIds) {
-    try {
-      const result = await executeImproveAction(actionId, tabContext);
-      results.push(result);
-    } catch (error) {
-      results.push({
-        actionId,
-        status: "failed",
-        message: error instanceof Error ? error.message : "Action failed unexpectedly."
-      });
+  if (dynamicIds.length > 0) {
+    await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds: dynamicIds });
+  }
+  if (sessionIds.length > 0) {
+    await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: sessionIds });
+  }
+  return { removedCount: dynamicIds.length + sessionIds.length };
+}
+
+/**
+ * Drops patterns already covered by a broader pattern in the list
+ * (e.g. `connect.facebook.net` when `facebook.net` is present), since
+ * `requestDomains` also matches subdomains.
+ */
+function getTrackerBlockingDomains() {
+  const patterns = Array.from(
+    new Set(KNOWN_TRACKER_DOMAIN_PATTERNS.map((pattern) => pattern.toLowerCase()))
+  );
+  return patterns.filter(
+    (pattern) =>
+      !patterns.some((candidate) => candidate !== pattern && pattern.endsWith(`.${candidate}`))
+  );
+}
+
+function allocateRuleIds(count, range, usedIds, featureLabel = "tracker blocking") {
+  const allocated = [];
+  for (let ruleId = range.min; ruleId <= range.max && allocated.length < count; ruleId++) {
+    if (!usedIds.has(ruleId)) {
+      allocated.push(ruleId);
     }
   }
-  const anyActionApplied = results.some((result) => result.status === "success");
-  if (anyActionApplied && tabContext && typeof tabContext.tabId === "number") {
-    // Drop pre-action network history so post-action scoring reflects fresh traffic sooner.
-    clearTabNetworkEvents(tabContext.tabId);
+  if (allocated.length < count) {
+    throw new Error(`No free rule ids left for ${featureLabel}. Remove some existing rules first.`);
   }
-  return results;
+  return allocated;
 }
 
 /**
- * Runtime message router:
- * - PING: quick health response
- * - RUN_ANALYSIS: executes analysis pipeline asynchronously
+ * Installs one block rule per tracker domain (the known tracker list unless
+ * `trackerDomains` is given), either scoped to the current site (via
+ * `initiatorDomains`) or for all sites. Domains that already have an
+ * equivalent rule are left untouched.
  */
-chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
-  const validation = validateIncomingMessage(message);
-  if (!validation.ok) {
-    sendResponse(
-      createErrorPayload({
-        source: "background",
-        requestId: null,
-        code: "INVALID_MESSAGE",
-        error: validation.error
-      })
-    );
-    return;
+async function installTrackerBlockingRules(
+  tabContext,
+  rawOptions,
+  trackerDomains = getTrackerBlockingDomains()
+) {
+  const options = sanitizeTrackerBlockingOptions(rawOptions);
+  let siteDomain = null;
+  if (options.scope === "site") {
+    siteDomain = getComparableDomain(tabContext?.hostname ?? "");
+    if (!siteDomain) {
+      throw new Error("Site-scoped tracker blocking needs an active http(s) tab.");
+    }
   }
 
-  if (message.type === MESSAGE_TYPES.PING) {
-    sendResponse({
-      ok: true,
-      source: "background",
-      requestId: message.requestId ?? null
-    });
-    return;
+  const [dynamicRules, sessionRules] = await Promise.all([
+    chrome.declarativeNetRequest.getDynamicRules(),
+    chrome.declarativeNetRequest.getSessionRules()
+  ]);
+  const usedIds = new Set([...dynamicRules, ...sessionRules].map((rule) => rule.id));
+  const alreadyBlocked = new Set(
+    [
+      ...dynamicRules.map((rule) => toTrackerBlockingRuleSummary(rule, "dynamic")),
+      ...sessionRules.map((rule) => toTrackerBlockingRuleSummary(rule, "session"))
+    ]
+      .filter((rule) => rule && rule.siteDomain === siteDomain)
+      .map((rule) => rule.trackerDomain)
+  );
+
+  const domainsToBlock = trackerDomains.filter(
+    (domain) => !alreadyBlocked.has(domain)
+  );
+  const ruleIds = allocateRuleIds(domainsToBlock.length, TRACKER_BLOCKING_RULE_ID_RANGE, usedIds);
+  const addRules = domainsToBlock.map((domain, index) => ({
+    id: ruleIds[index],
+    priority: 1,
+    action: { type: "block" },
+    condition: {
+      requestDomains: [domain],
+      domainType: "thirdParty",
+      ...(siteDomain ? { initiatorDomains: [siteDomain] } : {})
+    }
+  }));
+
+  if (addRules.length > 0) {
+    if (options.persistence === "session") {
+      await chrome.declarativeNetRequest.updateSessionRules({ addRules });
+    } else {
+      await chrome.declarativeNetRequest.updateDynamicRules({ addRules });
+    }
   }
 
-  if (message.type === MESSAGE_TYPES.EXECUTE_IMPROVE_PRIVACY_ACTIONS) {
-    const requestId = message.requestId ?? createRequestId("improve_privacy");
-    const selectedActionIds = Array.isArray(message.selectedActionIds)
-      ? message.selectedActionIds
-          .filter((actionId) => typeof actionId === "string" && actionId.trim().length > 0)
-          .slice(0, 25)
-      : [];
+  return {
+    addedRuleIds: ruleIds,
+    existingRuleCount: trackerDomains.length - domainsToBlock.length,
+    scope: options.scope,
+    siteDomain,
+    persistence: options.persistence
+  };
+}
 
-    (async () => {
-      try {
-        let tabContext = null;
-        try {
-          tabContext = await getActiveTabContext();
-        } catch {
-          tabContext = null;
-        }
+function isScriptBlockingRuleId(ruleId) {
+  return (
+    Number.isInteger(ruleId) &&
+    ruleId >= SCRIPT_BLOCKING_RULE_ID_RANGE.min &&
+    ruleId <= SCRIPT_BLOCKING_RULE_ID_RANGE.max
+  );
+}
 
-        const results = await executeImproveActionQueue(selectedActionIds, tabContext);
-        const refreshedAnalysis = await runAnalysisPipeline(createRequestId("analysis_refresh"));
+/**
+ * Lists the script hosts `limit_third_party_scripts` blocks on one site, as
+ * `{ ruleId, host }` sorted by host.
+ */
+function getScriptBlockingRules(dynamicRules, siteDomain) {
+  return dynamicRules
+    .filter(
+      (rule) => isScriptBlockingRuleId(rule.id) && rule.condition?.initiatorDomains?.[0] === siteDomain
+    )
+    .map((rule) => ({ ruleId: rule.id, host: rule.condition?.requestDomains?.[0] ?? "" }))
+    .sort((a, b) => a.host.localeCompare(b.host));
+}
 
-        sendResponse({
-          ok: true,
-          source: "background",
-          requestId,
-          payload: {
-            results,
-            refreshedAnalysis
-          }
-        });
-      } catch (error) {
-        sendResponse(
+async function collectScriptBlockingState(tabContext) {
+  const siteDomain = getComparableDomain(tabContext.hostname);
+  const dynamicRules = await chrome.declarativeNetRequest.getDynamicRules();
+  return {
+    siteDomain,
+    blockedHosts: siteDomain ? getScriptBlockingRules(dynamicRules, siteDomain) : []
+  };
+}
+
+/**
+ * Blocks (or re-enables) scripts from the given third-party hosts on the
+ * current site only: each rule matches `script` requests whose initiator is
+ * the site, so the same hosts keep working elsewhere. Scripts that subframes
+ * load are initiated by the frame's own origin and are not affected.
+ */
+async function setScriptBlocking(tabContext, rawOptions) {
+  const { mode, hosts } = sanitizeScriptBlockingOptions(rawOptions);
+  const siteDomain = getComparableDomain(tabContext?.hostname ?? "");
+  if (!siteDomain) {
+    throw new Error("Blocking third-party scripts needs an active http(s) tab.");
+  }
+  const dynamicRules = await chrome.declarativeNetRequest.getDynamicRules();
+  const existingRules = getScriptBlockingRules(dynamicRules, siteDomain);
+
+  if (mode === "unblock") {
+    const removedRules = existingRules.filter((rule) => hosts.includes(rule.host));
+    if (removedRules.length > 0) {
+      await chrome.declarativeNetRequest.updateDynamicRules({
+        removeRuleIds: removedRules.map((rule) => rule.ruleId)
+      });
+    }
+    return { mode, siteDomain, changedHosts: removedRules.map((rule) => rule.host) };
+  }
+
+  const blockedHosts = new Set(existingRules.map((rule) => rule.host));
+  const hostsToBlock = hosts.filter(
+    (host) => isThirdPartyHost(host, siteDomain) && !blockedHosts.has(host)
+  );
+  const ruleIds = allocateRuleIds(
+    hostsToBlock.length,
+    SCRIPT_BLOCKING_RULE_ID_RANGE,
+    new Set(dynamicRules.map((rule) => rule.id)),
+    "script blocking"
+  );
+  if (hostsToBlock.length > 0) {
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      addRules: hostsToBlock.map((host, index) => ({
+        id: ruleIds[index],
+        priority: 1,
+        action: { type: "block" },
+        condition: {
+          requestDomains: [host],
+          initiatorDomains: [siteDomain],
+          resourceTypes: ["script"]
+        }
+      }))
+    });
+  }
+  return { mode, siteDomain, changedHosts: hostsToBlock };
+}
+
+function isTrackingParamStrippingRuleId(ruleId) {
+  return (
+    Number.isInteger(ruleId) &&
+    ruleId >= TRACKING_PARAM_STRIPPING_RULE_ID_RANGE.min &&
+    ruleId <= TRACKING_PARAM_STRIPPING_RULE_ID_RANGE.max
+  );
+}
+
+function isTrackingQueryParam(name) {
+  const lowerName = name.toLowerCase();
+  return TRACKING_QUERY_PARAM_PATTERNS.some((pattern) => lowerName.includes(pattern));
+}
+
+/**
+ * `queryTransform.removeParams` only matches whole parameter names, so prefix
+ * patterns such as `utm_` are expanded to the names listed in
+ * `data/link-decoration.js`.
+ */
+function getNavigationTrackingParams() {
+  return Array.from(
+    new Set(
+      TRACKING_QUERY_PARAM_PATTERNS.flatMap((pattern) =>
+        pattern.endsWith("_")
+          ? LINK_DECORATION.trackingParams.filter((param) => param.startsWith(pattern))
+          : [pattern]
+      )
+    )
+  );
+}
+
+/**
+ * Maps each site with a `strip_tracking_params` redirect rule (null for the
+ * all-sites rule) to its rule id.
+ */
+function getTrackingParamStrippingRules(dynamicRules) {
+  return new Map(
+    dynamicRules
+      .filter((rule) => isTrackingParamStrippingRuleId(rule.id))
+      .map((rule) => [rule.condition?.requestDomains?.[0] ?? null, rule.id])
+  );
+}
+
+/**
+ * Installs or removes the redirect rule that drops tracking parameters from
+ * top-level navigations, for the current site or for all sites. The rule only
+ * matches URLs carrying one of the parameters, so clean URLs are never
+ * redirected. "off" removes both the site rule and the all-sites rule.
+ */
+async function setTrackingParamStripping(tabContext, scope) {
+  const siteDomain = getComparableDomain(tabContext?.hostname ?? "");
+  if (scope !== "global" && !siteDomain) {
+    throw new Error("Per-site tracking parameter stripping needs an active http(s) tab.");
+  }
+
+  const dynamicRules = await chrome.declarativeNetRequest.getDynamicRules();
+  const existingRules = getTrackingParamStrippingRules(dynamicRules);
+  if (scope === "off") {
+    const removedScopes = [];
+    const removeRuleIds = [];
+    for (const [ruleSite, ruleScope] of [[siteDomain, "site"], [null, "global"]]) {
+      if (existingRules.has(ruleSite)) {
+        removedScopes.push(ruleScope);
+        removeRuleIds.push(existingRules.get(ruleSite));
+      }
+    }
+    if (removeRuleIds.length > 0) {
+      await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds });
+    }
+    return { scope, siteDomain, changedRuleCount: removeRuleIds.length, removedScopes };
+  }
+
+  const ruleSite = scope === "global" ? null : siteDomain;
+  if (existingRules.has(ruleSite)) {
+    return { scope, siteDomain, changedRuleCount: 0 };
+  }
+  const [ruleId] = allocateRuleIds(
+    1,
+    TRACKING_PARAM_STRIPPING_RULE_ID_RANGE,
+    new Set(dynamicRules.map((rule) => rule.id)),
+    "tracking parameter stripping"
+  );
+  const params = getNavigationTrackingParams();
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    addRules: [
+      {
+        id: ruleId,
+        priority: 1,
+        action: {
+          type: "redirect",
+          redirect: { transform: { queryTransform: { removeParams: params } } }
+        },
+        condition: {
+          // Rules are matched against the URL without its fragment.
+          regexFilter: `[?&](${params.join("|")})(=|&|$)`,
+          isUrlFilterCaseSensitive: false,
+          resourceTypes: ["main_frame"],
+          ...(ruleSite ? { requestDomains: [ruleSite] } : {})
+        }
+      }
+    ]
+  });
+  return { scope, siteDomain, changedRuleCount: 1 };
+}
+
+async function collectTrackingParamStrippingState(tabContext) {
+  const rules = getTrackingParamStrippingRules(await chrome.declarativeNetRequest.getDynamicRules());
+  const siteDomain = getComparableDomain(tabContext.hostname);
+  return {
+    globalEnabled: rules.has(null),
+    siteEnabled: Boolean(siteDomain) && rules.has(siteDomain),
+    siteRuleCount: Array.from(rules.keys()).filter((site) => site !== null).length
+  };
+}
+
+function isGpcRuleId(ruleId) {
+  return (
+    Number.isInteger(ruleId) &&
+    ruleId >= GPC_RULE_ID_RANGE.min &&
+    ruleId <= GPC_RULE_ID_RANGE.max
+  );
+}
+
+/**
+ * Maps each site with `send_gpc_signal` header rules (null for the all-sites
+ * rule) to its rule ids.
+ */
+function getGpcRules(dynamicRules) {
+  const rules = new Map();
+  for (const rule of dynamicRules) {
+    if (!isGpcRuleId(rule.id)) {
+      continue;
+    }
+    const site = rule.condition?.requestDomains?.[0] ?? rule.condition?.initiatorDomains?.[0] ?? null;
+    rules.set(site, [...(rules.get(site) ?? []), rule.id]);
+  }
+  return rules;
+}
+
+function buildGpcRules(ruleIds, siteDomain) {
+  const action = {
+    type: "modifyHeaders",
+    requestHeaders: [{ header: "Sec-GPC", operation: "set", value: "1" }]
+  };
+  if (!siteDomain) {
+    return [{ id: ruleIds[0], priority: 1, action, condition: { resourceTypes: [...ALL_RESOURCE_TYPES] } }];
+  }
+  return [
+    {
+      id: ruleIds[0],
+      priority: 1,
+      action,
+      condition: { requestDomains: [siteDomain], resourceTypes: ["main_frame", "sub_frame"] }
+    },
+    {
+      id: ruleIds[1],
+      priority: 1,
+      action,
+      condition: { initiatorDomains: [siteDomain], resourceTypes: [...ALL_RESOURCE_TYPES] }
+    }
+  ];
+}
+
+/**
+ * Registers gpc.js in the MAIN world on exactly the sites that have GPC header
+ * rules (every http(s) page when the all-sites rule exists), and unregisters
+ * it when none are left.
+ */
+async function syncGpcPageScript(gpcRules) {
+  const matches = gpcRules.has(null)
+    ? ["http://*/*", "https://*/*"]
+    : Array.from(gpcRules.keys()).flatMap((site) => [`*://${site}/*`, `*://*.${site}/*`]);
+  const [registered] = await chrome.scripting.getRegisteredContentScripts({
+    ids: [GPC_PAGE_SCRIPT_ID]
+  });
+  if (matches.length === 0) {
+    if (registered) {
+      await chrome.scripting.unregisterContentScripts({ ids: [GPC_PAGE_SCRIPT_ID] });
+    }
+    return;
+  }
+  const script = {
+    id: GPC_PAGE_SCRIPT_ID,
+    js: ["gpc.js"],
+    matches,
+    runAt: "document_start",
+    world: "MAIN",
+    allFrames: true,
+    persistAcrossSessions: true
+  };
+  if (registered) {
+    await chrome.scripting.updateContentScripts([script]);
+  } else {
+    await chrome.scripting.registerContentScripts([script]);
+  }
+}
+
+async function setGpcBaseline(siteDomain, baseline) {
+  const stored = (await chrome.storage.session.get(GPC_BASELINES_STORAGE_KEY))[
+    GPC_BASELINES_STORAGE_KEY
+  ];
+  const baselines = stored && typeof stored === "object" ? { ...stored } : {};
+  if (baseline) {
+    baselines[siteDomain] = baseline;
+  } else {
+    delete baselines[siteDomain];
+  }
+  await chrome.storage.session.set({ [GPC_BASELINES_STORAGE_KEY]: baselines });
+}
+
+async function getPageStartedAtMs(tabId) {
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => performance.timeOrigin
+    });
+    return toSafeNumber(injection?.result);
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Turns the `Sec-GPC: 1` header and `navigator.globalPrivacyControl` on for
+ * the current site or for all sites, or off for both. When turning it on, the
+ * tracker requests of the tab's current page load are kept as the baseline
+ * that the honoring check compares the next page load against, unless the
+ * network buffer did not cover the whole load.
+ */
+async function setGpcMode(tabContext, scope) {
+  const siteDomain = getComparableDomain(tabContext?.hostname ?? "");
+  if (scope !== "global" && !siteDomain) {
+    throw new Error("Per-site Global Privacy Control needs an active http(s) tab.");
+  }
+
+  const dynamicRules = await chrome.declarativeNetRequest.getDynamicRules();
+  const existingRules = getGpcRules(dynamicRules);
+  const removedScopes = [];
+  let changedRuleCount = 0;
+  if (scope === "off") {
+    const removeRuleIds = [];
+    for (const [ruleSite, ruleScope] of [[siteDomain, "site"], [null, "global"]]) {
+      if (existingRules.has(ruleSite)) {
+        removedScopes.push(ruleScope);
+        removeRuleIds.push(...existingRules.get(ruleSite));
+        existingRules.delete(ruleSite);
+      }
+    }
+    if (removeRuleIds.length > 0) {
+      await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds });
+    }
+    changedRuleCount = removeRuleIds.length;
+    if (siteDomain) {
+      await setGpcBaseline(siteDomain, null);
+    }
+  } else {
+    const ruleSite = scope === "global" ? null : siteDomain;
+    if (!existingRules.has(ruleSite)) {
+      const ruleIds = allocateRuleIds(
+        ruleSite ? 2 : 1,
+        GPC_RULE_ID_RANGE,
+        new Set(dynamicRules.map((rule) => rule.id)),
+        "Global Privacy Control"
+      );
+      const addRules = buildGpcRules(ruleIds, ruleSite);
+      await chrome.declarativeNetRequest.updateDynamicRules({ addRules });
+      existingRules.set(ruleSite, ruleIds);
+      changedRuleCount = addRules.length;
+
+      const networkSignals = siteDomain ? await collectNetworkRequestSignals(tabContext) : null;
+      const pageStartedAtMs = networkSignals?.available
+        ? await getPageStartedAtMs(tabContext.tabId)
+        : 0;
+      const trackerRequestCount =
+        pageStartedAtMs > 0 ? countPageTrackerRequests(networkSignals, pageStartedAtMs) : null;
+      if (trackerRequestCount !== null) {
+        await setGpcBaseline(siteDomain, { capturedAtMs: Date.now(), trackerRequestCount });
+      }
+    }
+  }
+
+  await syncGpcPageScript(existingRules);
+  return { scope, siteDomain, changedRuleCount, removedScopes };
+}
+
+/**
+ * Reads the site's /.well-known/gpc.json (cached per origin). "supported"
+ * means the file declares `"gpc": true`; "unavailable" covers network errors
+ * and timeouts, which are not cached.
+ */
+async function fetchGpcWellKnown(pageUrl) {
+  const origin = new URL(pageUrl).origin;
+  const cached = gpcWellKnownCache.get(origin);
+  if (cached && Date.now() - cached.checkedAtMs < GPC_WELL_KNOWN_CACHE_TTL_MS) {
+    return cached.result;
+  }
+
+  let result;
+  try {
+    const response = await fetch(`${origin}/.well-known/gpc.json`, {
+      credentials: "omit",
+      signal: AbortSignal.timeout(GPC_WELL_KNOWN_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      result = { status: "missing", lastUpdate: null };
+    } else {
+      const body = await response.json().catch(() => null);
+      result = {
+        status: body?.gpc === true ? "supported" : "not_supported",
+        lastUpdate: typeof body?.lastUpdate === "string" ? body.lastUpdate.slice(0, 32) : null
+      };
+    }
+  } catch {
+    return { status: "unavailable", lastUpdate: null };
+  }
+  gpcWellKnownCache.set(origin, { checkedAtMs: Date.now(), result });
+  return result;
+}
+
+async function collectGpcSignals(tabContext) {
+  const siteDomain = getComparableDomain(tabContext.hostname);
+  const [dynamicRules, storedBaselines, wellKnown] = await Promise.all([
+    chrome.declarativeNetRequest.getDynamicRules(),
+    chrome.storage.session.get(GPC_BASELINES_STORAGE_KEY),
+    fetchGpcWellKnown(tabContext.url)
+  ]);
+  const rules = getGpcRules(dynamicRules);
+  return {
+    globalEnabled: rules.has(null),
+    siteEnabled: Boolean(siteDomain) && rules.has(siteDomain),
+    baseline: storedBaselines[GPC_BASELINES_STORAGE_KEY]?.[siteDomain] ?? null,
+    wellKnown
+  };
+}
+
+// No port in the pattern, so it covers the origin's host on any port.
+function toContentSettingsPattern(pageUrl) {
+  const { protocol, hostname } = new URL(pageUrl);
+  return `${protocol}//${hostname}/*`;
+}
+
+async function readRevokedSitePermissions() {
+  const stored = await chrome.storage.local.get(REVOKED_SITE_PERMISSIONS_STORAGE_KEY);
+  const revoked = stored[REVOKED_SITE_PERMISSIONS_STORAGE_KEY];
+  return revoked && typeof revoked === "object" ? revoked : {};
+}
+
+async function writeRevokedSitePermissions(revoked) {
+  for (const [pattern, types] of Object.entries(revoked)) {
+    if (!Array.isArray(types) || types.length === 0) {
+      delete revoked[pattern];
+    }
+  }
+  if (Object.keys(revoked).length === 0) {
+    await chrome.storage.local.remove(REVOKED_SITE_PERMISSIONS_STORAGE_KEY);
+    return;
+  }
+  await chrome.storage.local.set({ [REVOKED_SITE_PERMISSIONS_STORAGE_KEY]: revoked });
+}
+
+/**
+ * Reads the effective `chrome.contentSettings` value of each audited type for
+ * the tab's page: site exceptions, policy and Chrome's defaults combined.
+ * `revokedTypes` lists the ones this extension blocked and can re-allow.
+ */
+async function collectSitePermissions(tabContext) {
+  const [details, revoked] = await Promise.all([
+    Promise.all(
+      SITE_PERMISSION_TYPES.map(({ type }) =>
+        chrome.contentSettings[type].get({ primaryUrl: tabContext.url })
+      )
+    ),
+    readRevokedSitePermissions()
+  ]);
+  return {
+    origin: new URL(tabContext.url).origin,
+    revokedTypes: revoked[toContentSettingsPattern(tabContext.url)] ?? [],
+    permissions: SITE_PERMISSION_TYPES.map(({ type, label, sensitivity }, index) => ({
+      type,
+      label,
+      sensitivity,
+      setting: details[index].setting
+    }))
+  };
+}
+
+/**
+ * Sets each selected type to "block" for the tab's host and records it under
+ * REVOKED_SITE_PERMISSIONS_STORAGE_KEY. Content settings from an extension
+ * override the user's own site exceptions, so Chrome shows them as managed
+ * by this extension.
+ */
+async function revokeSitePermissions(tabContext, types) {
+  if (!tabContext || !isSupportedHttpUrl(tabContext.url)) {
+    throw new Error("Revoking site permissions needs an active http(s) tab.");
+  }
+  const primaryPattern = toContentSettingsPattern(tabContext.url);
+  const revoked = await readRevokedSitePermissions();
+  const revokedTypes = new Set(revoked[primaryPattern] ?? []);
+  const breakdown = [];
+  for (const { type, label } of SITE_PERMISSION_TYPES) {
+    if (!types.includes(type)) {
+      continue;
+    }
+    try {
+      const { setting } = await chrome.contentSettings[type].get({ primaryUrl: tabContext.url });
+      if (setting === "block") {
+        breakdown.push({ label, status: "skipped", itemCount: null, message: "already blocked" });
+        continue;
+      }
+      await chrome.contentSettings[type].set({ primaryPattern, setting: "block" });
+      revokedTypes.add(type);
+      breakdown.push({ label, status: "success", itemCount: null, message: `${setting} -> block` });
+    } catch (error) {
+      breakdown.push({
+        label,
+        status: "failed",
+        itemCount: null,
+        message: error instanceof Error ? error.message : "Could not change the permission"
+      });
+    }
+  }
+  revoked[primaryPattern] = Array.from(revokedTypes);
+  await writeRevokedSitePermissions(revoked);
+  return { primaryPattern, breakdown };
+}
+
+/**
+ * Undoes `revokeSitePermissions` for the selected types on the tab's host.
+ * `contentSettings[type].clear` drops every setting this extension made for
+ * the type, on all sites, so the blocks still recorded for other sites are
+ * set again right after. A site that cannot be blocked again is dropped from
+ * the record and listed in `unblockedElsewhere`, so storage matches Chrome.
+ */
+async function restoreSitePermissions(tabContext, types) {
+  if (!tabContext || !isSupportedHttpUrl(tabContext.url)) {
+    throw new Error("Re-allowing site permissions needs an active http(s) tab.");
+  }
+  const primaryPattern = toContentSettingsPattern(tabContext.url);
+  const revoked = await readRevokedSitePermissions();
+  const breakdown = [];
+  const unblockedElsewhere = [];
+  for (const { type, label } of SITE_PERMISSION_TYPES) {
+    if (!types.includes(type)) {
+      continue;
+    }
+    if (!(revoked[primaryPattern] ?? []).includes(type)) {
+      breakdown.push({
+        label,
+        status: "skipped",
+        itemCount: null,
+        message: "not blocked by this extension"
+      });
+      continue;
+    }
+    try {
+      await chrome.contentSettings[type].clear({});
+    } catch (error) {
+      breakdown.push({
+        label,
+        status: "failed",
+        itemCount: null,
+        message: error instanceof Error ? error.message : "Could not change the permission"
+      });
+      continue;
+    }
+    revoked[primaryPattern] = revoked[primaryPattern].filter((revokedType) => revokedType !== type);
+    breakdown.push({
+      label,
+      status: "success",
+      itemCount: null,
+      message: "back to your own setting"
+    });
+
+    for (const [pattern, patternTypes] of Object.entries(revoked)) {
+      if (!patternTypes.includes(type)) {
+        continue;
+      }
+      try {
+        await chrome.contentSettings[type].set({ primaryPattern: pattern, setting: "block" });
+      } catch (error) {
+        revoked[pattern] = patternTypes.filter((revokedType) => revokedType !== type);
+        const entry = {
+          label: `${label} on ${pattern}`,
+          status: "failed",
+          itemCount: null,
+          message: `no longer blocked (${error instanceof Error ? error.message : "could not block it again"})`
+        };
+        breakdown.push(entry);
+        unblockedElsewhere.push(entry);
+      }
+    }
+  }
+  await writeRevokedSitePermissions(revoked);
+  return { primaryPattern, breakdown, unblockedElsewhere };
+}
+
+function getPrivacySetting(setting) {
+  return chrome.privacy[setting.namespace][setting.id];
+}
+
+function formatPrivacySettingValue(value) {
+  if (typeof value === "boolean") {
+    return value ? "on" : "off";
+  }
+  return String(value);
+}
+
+async function readNetworkPrivacyBackup() {
+  const stored = await chrome.storage.local.get(NETWORK_PRIVACY_BACKUP_STORAGE_KEY);
+  const backup = stored[NETWORK_PRIVACY_BACKUP_STORAGE_KEY];
+  return backup && typeof backup === "object" ? backup : {};
+}
+
+async function writeNetworkPrivacyBackup(backup) {
+  if (Object.keys(backup).length === 0) {
+    await chrome.storage.local.remove(NETWORK_PRIVACY_BACKUP_STORAGE_KEY);
+    return;
+  }
+  await chrome.storage.local.set({ [NETWORK_PRIVACY_BACKUP_STORAGE_KEY]: backup });
+}
+
+/**
+ * Reads each setting of the hardened preset with its level of control. These
+ * are browser-wide, so the result does not depend on the tab.
+ */
+async function collectNetworkPrivacySettings() {
+  const [details, backup] = await Promise.all([
+    Promise.all(NETWORK_PRIVACY_SETTINGS.map((setting) => getPrivacySetting(setting).get({}))),
+    readNetworkPrivacyBackup()
+  ]);
+  return {
+    settings: NETWORK_PRIVACY_SETTINGS.map((setting, index) => ({
+      id: setting.id,
+      label: setting.label,
+      value: details[index].value,
+      hardenedValue: setting.hardenedValue,
+      levelOfControl: details[index].levelOfControl
+    })),
+    revertAvailable: Object.keys(backup).length > 0
+  };
+}
+
+/**
+ * Sets every controllable setting to its hardened value, recording the value
+ * it replaced unless an earlier run already recorded one (so revert goes back
+ * to the user's own choice, not an intermediate state).
+ */
+async function applyNetworkPrivacyPreset() {
+  const backup = await readNetworkPrivacyBackup();
+  const breakdown = [];
+  let lockedCount = 0;
+  for (const setting of NETWORK_PRIVACY_SETTINGS) {
+    const control = getPrivacySetting(setting);
+    try {
+      const current = await control.get({});
+      const lockedReason = NETWORK_PRIVACY_LOCKED_REASONS[current.levelOfControl];
+      if (lockedReason) {
+        lockedCount += 1;
+        breakdown.push({ label: setting.label, status: "skipped", itemCount: null, message: lockedReason });
+        continue;
+      }
+      if (current.value === setting.hardenedValue) {
+        breakdown.push({
+          label: setting.label,
+          status: "skipped",
+          itemCount: null,
+          message: `already ${formatPrivacySettingValue(setting.hardenedValue)}`
+        });
+        continue;
+      }
+      await control.set({ value: setting.hardenedValue });
+      backup[setting.id] ??= { value: current.value, levelOfControl: current.levelOfControl };
+      breakdown.push({
+        label: setting.label,
+        status: "success",
+        itemCount: null,
+        message: `${formatPrivacySettingValue(current.value)} -> ${formatPrivacySettingValue(setting.hardenedValue)}`
+      });
+    } catch (error) {
+      breakdown.push({
+        label: setting.label,
+        status: "failed",
+        itemCount: null,
+        message: error instanceof Error ? error.message : "Could not change the setting"
+      });
+    }
+  }
+  await writeNetworkPrivacyBackup(backup);
+  return { breakdown, lockedCount };
+}
+
+/**
+ * Restores the values recorded by `applyNetworkPrivacyPreset`. A setting this
+ * extension did not control before is cleared rather than set, which hands it
+ * back to the user's own Chrome setting.
+ */
+async function revertNetworkPrivacyPreset() {
+  const backup = await readNetworkPrivacyBackup();
+  const breakdown = [];
+  for (const setting of NETWORK_PRIVACY_SETTINGS) {
+    const previous = backup[setting.id];
+    if (!previous) {
+      continue;
+    }
+    const control = getPrivacySetting(setting);
+    try {
+      if (previous.levelOfControl === "controlled_by_this_extension") {
+        await control.set({ value: previous.value });
+      } else {
+        await control.clear({});
+      }
+      delete backup[setting.id];
+      breakdown.push({
+        label: setting.label,
+        status: "success",
+        itemCount: null,
+        message: `back to ${formatPrivacySettingValue(previous.value)}`
+      });
+    } catch (error) {
+      breakdown.push({
+        label: setting.label,
+        status: "failed",
+        itemCount: null,
+        message: error instanceof Error ? error.message : "Could not restore the setting"
+      });
+    }
+  }
+  await writeNetworkPrivacyBackup(backup);
+  return breakdown;
+}
+
+function waitForTabLoad(tabId, timeoutMs) {
+  return new Promise((resolve) => {
+    const finish = (loaded) => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      resolve(loaded);
+    };
+    const onUpdated = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === "complete") {
+        finish(true);
+      }
+    };
+    const timer = setTimeout(() => finish(false), timeoutMs);
+    chrome.tabs.onUpdated.addListener(onUpdated);
+  });
+}
+
+/**
+ * Reloads the tab without the tracking parameters in its URL and waits for
+ * the cleaned page to load, so the follow-up analysis sees the new page.
+ */
+async function cleanTabUrl(tabContext) {
+  if (!tabContext || !isSupportedHttpUrl(tabContext.url)) {
+    throw new Error("Cleaning the URL needs an active http(s) tab.");
+  }
+  const url = new URL(tabContext.url);
+  const removedParams = Array.from(new Set(url.searchParams.keys())).filter(isTrackingQueryParam);
+  if (removedParams.length === 0) {
+    return { removedParams, cleanUrl: url.href, loaded: false };
+  }
+  removedParams.forEach((param) => url.searchParams.delete(param));
+  const loaded = waitForTabLoad(tabContext.tabId, TAB_NAVIGATION_TIMEOUT_MS);
+  await chrome.tabs.update(tabContext.tabId, { url: url.href });
+  return { removedParams, cleanUrl: url.href, loaded: await loaded };
+}
+
+async function getObservedThirdPartyOrigins(tabContext) {
+  await networkStateRestored;
+  const events = networkEventsByTab.get(tabContext.tabId) ?? [];
+  const origins = new Set();
+  for (const event of events) {
+    if (!event?.requestHost || !isThirdPartyHost(event.requestHost, tabContext.hostname)) {
+      continue;
+    }
+    try {
+      origins.add(new URL(event.url).origin);
+    } catch {
+      // ignore malformed request URLs
+    }
+    if (origins.size >= MAX_THIRD_PARTY_STORAGE_ORIGINS) {
+      break;
+    }
+  }
+  return Array.from(origins).sort((a, b) => a.localeCompare(b));
+}
+
+async function countCookiesForOrigins(origins) {
+  const batches = await Promise.all(
+    origins.map(async (origin) => {
+      try {
+        return await chrome.cookies.getAll({ url: `${origin}/` });
+      } catch {
+        return [];
+      }
+    })
+  );
+  const uniqueCookies = new Set();
+  for (const batch of batches) {
+    for (const cookie of batch) {
+      uniqueCookies.add(`${cookie.storeId}|${cookie.domain}|${cookie.path}|${cookie.name}`);
+    }
+  }
+  return uniqueCookies.size;
+}
+
+async function countLocalStorageKeysForTab(tabId) {
+  try {
+    const pageSignals = await requestTopFrameSignals(tabId, createRequestId("storage_snapshot"));
+    const storageSignals = getNestedCollectorData(pageSignals, "storageSignals");
+    return typeof storageSignals?.localStorage?.keyCount === "number"
+      ? storageSignals.localStorage.keyCount
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Removes every storage type for the current origin (and optionally the
+ * third-party origins observed on the tab) via `chrome.browsingData`.
+ * Each type is removed separately so a per-type breakdown can be reported;
+ * item counts are only known for cookies and first-party localStorage.
+ */
+async function clearSiteStorageData(tabContext, rawOptions) {
+  if (!tabContext || !isSupportedHttpUrl(tabContext.url)) {
+    throw new Error("Clearing site data needs an active http(s) tab.");
+  }
+
+  const options = sanitizeSiteStorageClearingOptions(rawOptions);
+  const siteOrigin = new URL(tabContext.url).origin;
+  const thirdPartyOrigins = options.includeThirdPartyHosts
+    ? await getObservedThirdPartyOrigins(tabContext)
+    : [];
+  const origins = [siteOrigin, ...thirdPartyOrigins];
+
+  const [cookieCount, localStorageKeyCount] = await Promise.all([
+    countCookiesForOrigins(origins),
+    countLocalStorageKeysForTab(tabContext.tabId)
+  ]);
+  const knownItemCounts = {
+    cookies: cookieCount,
+    localStorage: localStorageKeyCount
+  };
+
+  const breakdown = [];
+  for (const { type, label } of SITE_STORAGE_DATA_TYPES) {
+    try {
+      await chrome.browsingData.remove({ since: 0, origins }, { [type]: true });
+      breakdown.push({
+        storageType: type,
+        label,
+        status: "cleared",
+        itemCount: knownItemCounts[type] ?? null
+      });
+    } catch (error) {
+      breakdown.push({
+        storageType: type,
+        label,
+        status: "failed",
+        itemCount: null,
+        error: error instanceof Error ? error.message : "Removal failed"
+      });
+    }
+  }
+
+  return { siteOrigin, thirdPartyOrigins, breakdown };
+}
+
+function formatStorageBreakdownEntry(entry) {
+  if (typeof entry.itemCount === "number") {
+    return `${entry.label} (${entry.itemCount})`;
+  }
+  return entry.label;
+}
+
+function requestConsentRejection(tabId) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(
+      tabId,
+      { type: MESSAGE_TYPES.REJECT_CONSENT_BANNERS, requestId: createRequestId("consent_reject") },
+      { frameId: 0 },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (!response || response.ok !== true) {
+          reject(new Error(response?.error ?? "Consent banner rejection returned invalid response"));
+          return;
+        }
+        resolve({
+          consentManagers: toSortedStringArray(response.consentManagers),
+          steps: Array.isArray(response.steps) ? response.steps : []
+        });
+      }
+    );
+  });
+}
+
+function requestLinkCleaning(tabId) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(
+      tabId,
+      { type: MESSAGE_TYPES.CLEAN_PAGE_LINKS, requestId: createRequestId("link_clean") },
+      { frameId: 0 },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (!response || response.ok !== true) {
+          reject(new Error(response?.error ?? "Link cleaning returned invalid response"));
+          return;
+        }
+        resolve({
+          scannedLinkCount: toSafeNumber(response.scannedLinkCount),
+          cleanedLinkCount: toSafeNumber(response.cleanedLinkCount),
+          unwrappedLinkCount: toSafeNumber(response.unwrappedLinkCount),
+          removedParams: sanitizeCountedItems(response.removedParams, "param")
+        });
+      }
+    );
+  });
+}
+
+function requestEmbedDeferral(tabId) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(
+      tabId,
+      { type: MESSAGE_TYPES.DEFER_SOCIAL_EMBEDS, requestId: createRequestId("embed_defer") },
+      { frameId: 0 },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (!response || response.ok !== true) {
+          reject(new Error(response?.error ?? "Embed deferral returned invalid response"));
+          return;
+        }
+        resolve({ deferredEmbedCount: toSafeNumber(response.deferredEmbedCount) });
+      }
+    );
+  });
+}
+
+function isEmbedBlockingRuleId(ruleId) {
+  return (
+    Number.isInteger(ruleId) &&
+    ruleId >= EMBED_BLOCKING_RULE_ID_RANGE.min &&
+    ruleId <= EMBED_BLOCKING_RULE_ID_RANGE.max
+  );
+}
+
+function findEmbedBlockingRule(dynamicRules, siteDomain) {
+  return (
+    dynamicRules.find(
+      (rule) =>
+        isEmbedBlockingRuleId(rule.id) && rule.condition?.initiatorDomains?.[0] === siteDomain
+    ) ?? null
+  );
+}
+
+/**
+ * Adds (or removes) the site's rule blocking embed frames it initiates. The
+ * content script swaps embeds for placeholders only once its storage read
+ * returns, so without the rule an embed in the initial HTML could start
+ * loading first.
+ */
+async function setEmbedFrameBlocking(siteDomain, enabled) {
+  const [dynamicRules, sessionRules] = await Promise.all([
+    chrome.declarativeNetRequest.getDynamicRules(),
+    chrome.declarativeNetRequest.getSessionRules()
+  ]);
+  const existingRule = findEmbedBlockingRule(dynamicRules, siteDomain);
+  if (!enabled) {
+    if (existingRule) {
+      await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds: [existingRule.id] });
+    }
+    return;
+  }
+  if (existingRule) {
+    return;
+  }
+  const [ruleId] = allocateRuleIds(
+    1,
+    EMBED_BLOCKING_RULE_ID_RANGE,
+    new Set([...dynamicRules, ...sessionRules].map((rule) => rule.id)),
+    "embed blocking"
+  );
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    addRules: [
+      {
+        id: ruleId,
+        priority: 1,
+        action: { type: "block" },
+        condition: {
+          regexFilter: EMBED_FRAME_REGEX_FILTER,
+          isUrlFilterCaseSensitive: false,
+          initiatorDomains: [siteDomain],
+          resourceTypes: ["sub_frame"]
+        }
+      }
+    ]
+  });
+}
+
+/**
+ * An anchored `regexFilter` for exactly this URL. The fragment is dropped,
+ * since declarativeNetRequest never sees it, and every other character is
+ * escaped so `*` or `|` in the page-supplied URL match only themselves.
+ */
+function toExactUrlRegexFilter(url) {
+  const parsed = new URL(url);
+  parsed.hash = "";
+  return `^${parsed.href.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`;
+}
+
+/**
+ * Lets one clicked embed through the site's block rule: a session allow rule
+ * for that exact frame URL in the sender's tab, removed when the tab closes.
+ * Clicking the same embed again reuses the tab's existing rule. Returns false
+ * when the URL is not a known embed or nothing blocks it.
+ */
+async function allowSocialEmbedFrame(tabId, pageUrl, frameUrl) {
+  const siteDomain = getComparableDomain(parseHostnameFromUrl(pageUrl) ?? "");
+  if (!siteDomain || !isSupportedHttpUrl(frameUrl) || !EMBED_FRAME_PATTERN.test(frameUrl)) {
+    return false;
+  }
+  const [dynamicRules, sessionRules] = await Promise.all([
+    chrome.declarativeNetRequest.getDynamicRules(),
+    chrome.declarativeNetRequest.getSessionRules()
+  ]);
+  if (!findEmbedBlockingRule(dynamicRules, siteDomain)) {
+    return false;
+  }
+  const regexFilter = toExactUrlRegexFilter(frameUrl);
+  const alreadyAllowed = sessionRules.some(
+    (rule) =>
+      isEmbedBlockingRuleId(rule.id) &&
+      rule.condition?.regexFilter === regexFilter &&
+      rule.condition?.tabIds?.includes(tabId)
+  );
+  if (alreadyAllowed) {
+    return true;
+  }
+  const [ruleId] = allocateRuleIds(
+    1,
+    EMBED_BLOCKING_RULE_ID_RANGE,
+    new Set([...dynamicRules, ...sessionRules].map((rule) => rule.id)),
+    "embed blocking"
+  );
+  await chrome.declarativeNetRequest.updateSessionRules({
+    addRules: [
+      {
+        id: ruleId,
+        priority: 2,
+        action: { type: "allow" },
+        condition: {
+          regexFilter,
+          resourceTypes: ["sub_frame"],
+          tabIds: [tabId]
+        }
+      }
+    ]
+  });
+  return true;
+}
+
+async function removeEmbedAllowRules(tabId) {
+  const sessionRules = await chrome.declarativeNetRequest.getSessionRules();
+  const removeRuleIds = sessionRules
+    .filter((rule) => isEmbedBlockingRuleId(rule.id) && rule.condition?.tabIds?.includes(tabId))
+    .map((rule) => rule.id);
+  if (removeRuleIds.length > 0) {
+    await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds });
+  }
+}
+
+/**
+ * Adds or removes a site domain in one of the per-site automatic run lists
+ * (consent rejection, link cleaning, embed placeholders) that content.js
+ * reads on page load.
+ */
+async function setSiteAutoRunSetting(storageKey, siteDomain, enabled) {
+  const stored = (await chrome.storage.local.get(storageKey))[storageKey];
+  const sites = new Set(Array.isArray(stored) ? stored.filter((site) => typeof site === "string") : []);
+  if (enabled) {
+    sites.add(siteDomain);
+  } else {
+    sites.delete(siteDomain);
+  }
+  await chrome.storage.local.set({ [storageKey]: Array.from(sites).sort() });
+}
+
+async function executeImproveAction(actionId, tabContext, actionOptions) {
+  if (actionId === "reduce_third_party_cookies") {
+    const summary = await clearCookiesForTabContext(tabContext, "third_party_only");
+    if (summary.eligibleCount === 0) {
+      return {
+        actionId,
+        status: "skipped",
+        message: "No third-party cookies were eligible for removal on this page."
+      };
+    }
+    if (summary.removedCount > 0) {
+      return {
+        actionId,
+        status: "success",
+        message: `Removed ${summary.removedCount} third-party cookie(s).`
+      };
+    }
+    await openSettingsTabForAction(actionId, "chrome://settings/cookies");
+    return {
+      actionId,
+      status: "success",
+      message:
+        "Automatic cookie cleanup was limited. Opened Cookies settings. Steps: 1) Block third-party cookies, 2) Clear site data if needed."
+    };
+  }
+
+  if (actionId === "clear_site_storage_data") {
+    const summary = await clearSiteStorageData(tabContext, actionOptions?.clear_site_storage_data);
+    const cleared = summary.breakdown.filter((entry) => entry.status === "cleared");
+    const failed = summary.breakdown.filter((entry) => entry.status === "failed");
+    const originLabel =
+      summary.thirdPartyOrigins.length > 0
+        ? `${summary.siteOrigin} and ${summary.thirdPartyOrigins.length} third-party origin(s)`
+        : summary.siteOrigin;
+    const details = {
+      siteOrigin: summary.siteOrigin,
+      thirdPartyOrigins: summary.thirdPartyOrigins,
+      breakdown: summary.breakdown
+    };
+    if (cleared.length === 0) {
+      return {
+        actionId,
+        status: "failed",
+        message: `Could not clear stored data for ${originLabel}.`,
+        details
+      };
+    }
+    return {
+      actionId,
+      status: "success",
+      message:
+        `Cleared ${cleared.map(formatStorageBreakdownEntry).join(", ")} for ${originLabel}.` +
+        (failed.length > 0
+          ? ` Failed: ${failed.map((entry) => entry.label).join(", ")}.`
+          : ""),
+      details
+    };
+  }
+
+  if (actionId === "review_tracking_permissions") {
+    const { mode, types } = actionOptions?.review_tracking_permissions ?? {
+      mode: "revoke",
+      types: []
+    };
+    if (types.length === 0) {
+      return {
+        actionId,
+        status: "skipped",
+        message:
+          mode === "restore"
+            ? "No site permissions were selected to re-allow."
+            : "No site permissions were selected to revoke."
+      };
+    }
+    if (mode === "restore") {
+      const restoration = await restoreSitePermissions(tabContext, types);
+      const details = { primaryPattern: restoration.primaryPattern, breakdown: restoration.breakdown };
+      const restored = restoration.breakdown.filter((entry) => entry.status === "success");
+      const failed = restoration.breakdown.filter(
+        (entry) => entry.status === "failed" && !restoration.unblockedElsewhere.includes(entry)
+      );
+      if (failed.length > 0 || restoration.unblockedElsewhere.length > 0) {
+        return {
+          actionId,
+          status: "failed",
+          message: [
+            failed.length > 0
+              ? `Could not re-allow ${failed.map((entry) => entry.label).join(", ")} for ${tabContext.hostname}.`
+              : "",
+            restored.length > 0 ? `Re-allowed ${restored.map((entry) => entry.label).join(", ")}.` : "",
+            restoration.unblockedElsewhere.length > 0
+              ? `Could not block ${restoration.unblockedElsewhere.map((entry) => entry.label).join(", ")} again; they are no longer listed as revoked.`
+              : ""
+          ]
+            .filter(Boolean)
+            .join(" "),
+          details
+        };
+      }
+      return {
+        actionId,
+        status: restored.length > 0 ? "success" : "skipped",
+        message:
+          restored.length > 0
+            ? `${restored.map((entry) => entry.label).join(", ")} on ${tabContext.hostname} went back to your own setting. Reload the page for the change to take effect.`
+            : `The selected permissions were not blocked by this extension for ${tabContext.hostname}.`,
+        details
+      };
+    }
+    const revocation = await revokeSitePermissions(tabContext, types);
+    const details = { primaryPattern: revocation.primaryPattern, breakdown: revocation.breakdown };
+    const revoked = revocation.breakdown.filter((entry) => entry.status === "success");
+    const failed = revocation.breakdown.filter((entry) => entry.status === "failed");
+    if (failed.length > 0) {
+      return {
+        actionId,
+        status: "failed",
+        message:
+          `Could not block ${failed.map((entry) => entry.label).join(", ")} for ${tabContext.hostname}.` +
+          (revoked.length > 0 ? ` Blocked ${revoked.map((entry) => entry.label).join(", ")}.` : ""),
+        details
+      };
+    }
+    if (revoked.length === 0) {
+      return {
+        actionId,
+        status: "skipped",
+        message: `The selected permissions were already blocked for ${tabContext.hostname}.`,
+        details
+      };
+    }
+    return {
+      actionId,
+      status: "success",
+      message: `Blocked ${revoked.map((entry) => entry.label).join(", ")} for ${tabContext.hostname}. Reload the page for the change to take effect; re-allow them under Revoked Permissions.`,
+      details
+    };
+  }
+
+  if (actionId === "harden_network_privacy") {
+    const { mode } = actionOptions?.harden_network_privacy ?? { mode: "harden" };
+    if (mode === "revert") {
+      const breakdown = await revertNetworkPrivacyPreset();
+      const restored = breakdown.filter((entry) => entry.status === "success");
+      if (breakdown.length === 0) {
+        return {
+          actionId,
+          status: "skipped",
+          message: "No recorded network privacy settings to restore.",
+          details: { mode, breakdown }
+        };
+      }
+      return {
+        actionId,
+        status: restored.length === breakdown.length ? "success" : "failed",
+        message: `Restored ${restored.length} of ${breakdown.length} network privacy setting(s) to their earlier values.`,
+        details: { mode, breakdown }
+      };
+    }
+
+    const { breakdown, lockedCount } = await applyNetworkPrivacyPreset();
+    const changed = breakdown.filter((entry) => entry.status === "success");
+    const failed = breakdown.filter((entry) => entry.status === "failed");
+    const lockedMessage =
+      lockedCount > 0 ? ` ${lockedCount} setting(s) are controlled by policy or another extension.` : "";
+    if (failed.length > 0 && changed.length === 0) {
+      return {
+        actionId,
+        status: "failed",
+        message: `Could not change ${failed.map((entry) => entry.label).join(", ")}.${lockedMessage}`,
+        details: { mode, breakdown }
+      };
+    }
+    if (changed.length === 0) {
+      return {
+        actionId,
+        status: "skipped",
+        message: `Network privacy settings were already hardened where this extension can change them.${lockedMessage}`,
+        details: { mode, breakdown }
+      };
+    }
+    return {
+      actionId,
+      status: "success",
+      message:
+        `Hardened ${changed.length} browser-wide network privacy setting(s); the earlier values can be restored from the popup.` +
+        `${failed.length > 0 ? ` Could not change ${failed.map((entry) => entry.label).join(", ")}.` : ""}${lockedMessage}`,
+      details: { mode, breakdown }
+    };
+  }
+
+  if (actionId === "limit_third_party_scripts") {
+    const options = actionOptions?.limit_third_party_scripts ?? { mode: "block", hosts: [] };
+    if (options.hosts.length === 0) {
+      return {
+        actionId,
+        status: "skipped",
+        message:
+          options.mode === "unblock"
+            ? "No script hosts were selected to re-enable."
+            : "No third-party script hosts were selected to block."
+      };
+    }
+    const summary = await setScriptBlocking(tabContext, options);
+    if (summary.mode === "unblock") {
+      return {
+        actionId,
+        status: summary.changedHosts.length > 0 ? "success" : "skipped",
+        message:
+          summary.changedHosts.length > 0
+            ? `Re-enabled scripts from ${summary.changedHosts.join(", ")} on ${summary.siteDomain}. Reload the page to load them.`
+            : `Scripts from the selected hosts were not blocked on ${summary.siteDomain}.`,
+        details: summary
+      };
+    }
+    if (summary.changedHosts.length === 0) {
+      return {
+        actionId,
+        status: "skipped",
+        message: `Scripts from the selected hosts are already blocked on ${summary.siteDomain}, or are served by the site itself.`,
+        details: summary
+      };
+    }
+    return {
+      actionId,
+      status: "success",
+      message:
+        `Blocked scripts from ${summary.changedHosts.length} host(s) on ${summary.siteDomain}. ` +
+        "Re-enable them under Blocked Scripts if the page breaks.",
+      details: summary
+    };
+  }
+
+  if (actionId === "block_known_trackers") {
+    const summary = await installTrackerBlockingRules(
+      tabContext,
+      actionOptions?.block_known_trackers
+    );
+    const scopeLabel =
+      summary.scope === "site" ? `on ${summary.siteDomain}` : "on all sites";
+    const persistenceLabel =
+      summary.persistence === "session" ? "until the browser restarts" : "until removed";
+    const details = {
+      addedRuleCount: summary.addedRuleIds.length,
+      existingRuleCount: summary.existingRuleCount,
+      scope: summary.scope,
+      siteDomain: summary.siteDomain,
+      persistence: summary.persistence
+    };
+    if (summary.addedRuleIds.length === 0) {
+      return {
+        actionId,
+        status: "skipped",
+        message: `All ${summary.existingRuleCount} known tracker domain(s) are already blocked ${scopeLabel}.`,
+        details
+      };
+    }
+    return {
+      actionId,
+      status: "success",
+      message:
+        `Added ${summary.addedRuleIds.length} tracker blocking rule(s) ${scopeLabel}, active ${persistenceLabel}.` +
+        (summary.existingRuleCount > 0
+          ? ` ${summary.existingRuleCount} domain(s) were already blocked.`
+          : ""),
+      details
+    };
+  }
+
+  if (actionId === "block_fingerprinting_scripts") {
+    const siteDomain = getComparableDomain(tabContext?.hostname ?? "");
+    const domains = (actionOptions?.block_fingerprinting_scripts?.domains ?? []).filter(
+      (domain) => siteDomain && isThirdPartyHost(domain, siteDomain)
+    );
+    if (domains.length === 0) {
+      return {
+        actionId,
+        status: "skipped",
+        message:
+          "No third-party fingerprinting scripts to block. Scripts served by the site itself cannot be blocked without breaking it."
+      };
+    }
+    const summary = await installTrackerBlockingRules(
+      tabContext,
+      { scope: "site", persistence: "dynamic" },
+      domains
+    );
+    const details = {
+      addedRuleCount: summary.addedRuleIds.length,
+      existingRuleCount: summary.existingRuleCount,
+      scope: summary.scope,
+      siteDomain: summary.siteDomain,
+      persistence: summary.persistence,
+      domains
+    };
+    if (summary.addedRuleIds.length === 0) {
+      return {
+        actionId,
+        status: "skipped",
+        message: `All ${domains.length} fingerprinting script domain(s) are already blocked on ${summary.siteDomain}.`,
+        details
+      };
+    }
+    return {
+      actionId,
+      status: "success",
+      message:
+        `Blocked ${summary.addedRuleIds.length} fingerprinting script domain(s) on ${summary.siteDomain}. ` +
+        "Remove the rules under Tracker Blocking if the site breaks.",
+      details
+    };
+  }
+
+  if (actionId === "reject_consent_banners") {
+    const siteDomain = getComparableDomain(tabContext?.hostname ?? "");
+    const { autoRunOnSite } = actionOptions?.reject_consent_banners ?? { autoRunOnSite: null };
+    let autoRunMessage = "";
+    if (siteDomain && autoRunOnSite !== null) {
+      await setSiteAutoRunSetting(CONSENT_AUTO_REJECT_STORAGE_KEY, siteDomain, autoRunOnSite);
+      autoRunMessage = autoRunOnSite
+        ? ` Banners on ${siteDomain} will be rejected automatically on future visits.`
+        : ` Automatic rejection is off for ${siteDomain}.`;
+    }
+
+    const rejection = await requestConsentRejection(tabContext.tabId);
+    const details = {
+      consentManagers: rejection.consentManagers,
+      autoRunOnSite,
+      breakdown: rejection.steps.map((step) => ({
+        label: `${String(step?.consentManager)}: ${String(step?.step)}`,
+        status: ["success", "failed", "skipped"].includes(step?.status) ? step.status : "failed",
+        itemCount: null,
+        message: typeof step?.message === "string" ? step.message : null
+      }))
+    };
+    if (rejection.steps.length === 0) {
+      return {
+        actionId,
+        status: "skipped",
+        message: `No supported consent banner is showing on this page.${autoRunMessage}`,
+        details
+      };
+    }
+    const failedSteps = details.breakdown.filter((step) => step.status === "failed");
+    if (failedSteps.length > 0) {
+      return {
+        actionId,
+        status: "failed",
+        message:
+          `Could not finish rejecting the ${rejection.consentManagers.join(", ")} banner: ` +
+          `${failedSteps.map((step) => step.label).join("; ")}.${autoRunMessage}`,
+        details
+      };
+    }
+    return {
+      actionId,
+      status: "success",
+      message: `Rejected non-essential cookies in the ${rejection.consentManagers.join(", ")} banner.${autoRunMessage}`,
+      details
+    };
+  }
+
+  if (actionId === "clean_link_decoration") {
+    const siteDomain = getComparableDomain(tabContext?.hostname ?? "");
+    const { autoRunOnSite } = actionOptions?.clean_link_decoration ?? { autoRunOnSite: null };
+    let autoRunMessage = "";
+    if (siteDomain && autoRunOnSite !== null) {
+      await setSiteAutoRunSetting(LINK_AUTO_CLEAN_STORAGE_KEY, siteDomain, autoRunOnSite);
+      autoRunMessage = autoRunOnSite
+        ? ` Links on ${siteDomain} will be cleaned automatically on future visits.`
+        : ` Automatic link cleaning is off for ${siteDomain}.`;
+    }
+
+    const cleaning = await requestLinkCleaning(tabContext.tabId);
+    const details = {
+      ...cleaning,
+      autoRunOnSite,
+      breakdown: cleaning.removedParams.map((item) => ({
+        label: item.param,
+        status: "success",
+        itemCount: item.count,
+        message: null
+      }))
+    };
+    if (cleaning.cleanedLinkCount === 0) {
+      return {
+        actionId,
+        status: "skipped",
+        message: `No decorated or redirect-wrapped links found among ${cleaning.scannedLinkCount} link(s).${autoRunMessage}`,
+        details
+      };
+    }
+    return {
+      actionId,
+      status: "success",
+      message:
+        `Cleaned ${cleaning.cleanedLinkCount} link(s): unwrapped ${cleaning.unwrappedLinkCount} click-tracking redirect(s) ` +
+        `and removed tracking parameters. Reload the page to restore the original links.${autoRunMessage}`,
+      details
+    };
+  }
+
+  if (actionId === "defer_social_embeds") {
+    const siteDomain = getComparableDomain(tabContext?.hostname ?? "");
+    const { autoRunOnSite } = actionOptions?.defer_social_embeds ?? { autoRunOnSite: null };
+    let autoRunMessage = "";
+    if (siteDomain && autoRunOnSite !== null) {
+      await setSiteAutoRunSetting(EMBED_PLACEHOLDER_STORAGE_KEY, siteDomain, autoRunOnSite);
+      await setEmbedFrameBlocking(siteDomain, autoRunOnSite);
+      autoRunMessage = autoRunOnSite
+        ? ` Embeds on ${siteDomain} will show placeholders before they load on future visits.`
+        : ` Automatic placeholders are off for ${siteDomain}.`;
+    }
+
+    const deferral = await requestEmbedDeferral(tabContext.tabId);
+    const details = { ...deferral, autoRunOnSite };
+    if (deferral.deferredEmbedCount === 0) {
+      return {
+        actionId,
+        status: "skipped",
+        message: `No loaded social or video embeds found on this page.${autoRunMessage}`,
+        details
+      };
+    }
+    return {
+      actionId,
+      status: "success",
+      message:
+        `Replaced ${deferral.deferredEmbedCount} embed(s) with click-to-load placeholders.${autoRunMessage}`,
+      details
+    };
+  }
+
+  if (actionId === "strip_tracking_params") {
+    const { scope } = actionOptions?.strip_tracking_params ?? { scope: "site" };
+    const stripping = await setTrackingParamStripping(tabContext, scope);
+    const target = stripping.scope === "global" ? "all sites" : stripping.siteDomain;
+    if (stripping.scope === "off") {
+      const removedTargets = stripping.removedScopes.map((removedScope) =>
+        removedScope === "global" ? "all sites" : stripping.siteDomain
+      );
+      return {
+        actionId,
+        status: removedTargets.length > 0 ? "success" : "skipped",
+        message:
+          removedTargets.length > 0
+            ? `Stopped stripping tracking parameters on ${removedTargets.join(" and ")}.`
+            : `Tracking parameters were not being stripped on ${stripping.siteDomain}.`,
+        details: stripping
+      };
+    }
+    return {
+      actionId,
+      status: stripping.changedRuleCount > 0 ? "success" : "skipped",
+      message:
+        stripping.changedRuleCount > 0
+          ? `Pages you open on ${target} will load without tracking parameters such as utm_source, fbclid and gclid.`
+          : `Tracking parameters are already stripped on ${target}.`,
+      details: stripping
+    };
+  }
+
+  if (actionId === "send_gpc_signal") {
+    const { scope } = actionOptions?.send_gpc_signal ?? { scope: "site" };
+    const gpc = await setGpcMode(tabContext, scope);
+    if (gpc.scope === "off") {
+      const removedTargets = gpc.removedScopes.map((removedScope) =>
+        removedScope === "global" ? "all sites" : gpc.siteDomain
+      );
+      return {
+        actionId,
+        status: removedTargets.length > 0 ? "success" : "skipped",
+        message:
+          removedTargets.length > 0
+            ? `Stopped sending Global Privacy Control on ${removedTargets.join(" and ")}.`
+            : `Global Privacy Control was not being sent on ${gpc.siteDomain}.`,
+        details: gpc
+      };
+    }
+    const target = gpc.scope === "global" ? "all sites" : gpc.siteDomain;
+    return {
+      actionId,
+      status: gpc.changedRuleCount > 0 ? "success" : "skipped",
+      message:
+        gpc.changedRuleCount > 0
+          ? `Global Privacy Control is now sent on ${target}. Reload the page so the site receives it; ` +
+            "the next analysis then checks whether tracker traffic dropped."
+          : `Global Privacy Control is already sent on ${target}.`,
+      details: gpc
+    };
+  }
+
+  if (actionId === "clean_current_url") {
+    const cleaning = await cleanTabUrl(tabContext);
+    const details = {
+      ...cleaning,
+      breakdown: cleaning.removedParams.map((param) => ({
+        label: param,
+        status: "success",
+        itemCount: null,
+        message: null
+      }))
+    };
+    if (cleaning.removedParams.length === 0) {
+      return {
+        actionId,
+        status: "skipped",
+        message: "This page's URL has no tracking parameters.",
+        details
+      };
+    }
+    return {
+      actionId,
+      status: "success",
+      message:
+        `Reloaded the page without ${cleaning.removedParams.join(", ")}.` +
+        (cleaning.loaded ? "" : " The page is still loading, so the refreshed analysis may be incomplete."),
+      details
+    };
+  }
+
+  await openSettingsTabForAction(actionId, "chrome://settings/privacy");
+  return {
+    actionId,
+    status: "success",
+    message:
+      "Opened general privacy settings. Steps: 1) Review tracking-related controls, 2) tighten permissions for this site."
+  };
+}
+
+async function executeImproveActionQueue(selectedActionIds, tabContext, actionOptions) {
+  if (!Array.isArray(selectedActionIds)) {
+    return [];
+  }
+
+  const seen = new Set();
+  const orderedActionIds = [];
+  for (const actionId of selectedActionIds) {
+    if (typeof actionId !== "string" || seen.has(actionId)) {
+      continue;
+    }
+    seen.add(actionId);
+    orderedActionIds.push(actionId);
+  }
+
+  const results = [];
+  for (const actionId of orderedActionIds) {
+    try {
+      const result = await executeImproveAction(actionId, tabContext, actionOptions);
+      results.push(result);
+    } catch (error) {
+      results.push({
+        actionId,
+        status: "failed",
+        message: error instanceof Error ? error.message : "Action failed unexpectedly."
+      });
+    }
+  }
+  const anyActionApplied = results.some((result) => result.status === "success");
+  if (anyActionApplied && tabContext && typeof tabContext.tabId === "number") {
+    // Drop pre-action network history so post-action scoring reflects fresh traffic sooner.
+    clearTabNetworkEvents(tabContext.tabId);
+  }
+  return results;
+}
+
+/**
+ * Runtime message router:
+ * - PING: quick health response
+ * - RUN_ANALYSIS: executes analysis pipeline asynchronously
+ * - EXECUTE_IMPROVE_PRIVACY_ACTIONS: runs selected actions, then refreshes analysis
+ * - LIST/REMOVE_TRACKER_BLOCKING_RULES: manage rules added by `block_known_trackers`
+ * - LIST/IMPORT/REMOVE_FILTER_LIST(S): manage imported tracker filter lists
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const validation = validateIncomingMessage(message);
+  if (!validation.ok) {
+    sendResponse(
+      createErrorPayload({
+        source: "background",
+        requestId: null,
+        code: "INVALID_MESSAGE",
+        error: validation.error
+      })
+    );
+    return;
+  }
+
+  if (message.type === MESSAGE_TYPES.PING) {
+    sendResponse({
+      ok: true,
+      source: "background",
+      requestId: message.requestId ?? null
+    });
+    return;
+  }
+
+  if (message.type === MESSAGE_TYPES.EXECUTE_IMPROVE_PRIVACY_ACTIONS) {
+    const requestId = message.requestId ?? createRequestId("improve_privacy");
+    const selectedActionIds = Array.isArray(message.selectedActionIds)
+      ? message.selectedActionIds
+          .filter((actionId) => typeof actionId === "string" && actionId.trim().length > 0)
+          .slice(0, 25)
+      : [];
+    const actionOptions = sanitizeActionOptions(message.actionOptions);
+
+    (async () => {
+      try {
+        let tabContext = null;
+        try {
+          tabContext = await getActiveTabContext();
+        } catch {
+          tabContext = null;
+        }
+
+        const results = await executeImproveActionQueue(
+          selectedActionIds,
+          tabContext,
+          actionOptions
+        );
+        const refreshedAnalysis = await runAnalysisPipeline(createRequestId("analysis_refresh"));
+
+        sendResponse({
+          ok: true,
+          source: "background",
+          requestId,
+          payload: {
+            results,
+            refreshedAnalysis
+          }
+        });
+      } catch (error) {
+        sendResponse(
           createErrorPayload({
             source: "background",
             requestId,
@@ -963,6 +4577,125 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === MESSAGE_TYPES.ALLOW_SOCIAL_EMBED) {
+    const requestId = message.requestId ?? createRequestId("embed_allow");
+
+    (async () => {
+      try {
+        // Placeholders are only rendered by the top frame's content script.
+        const tabId = sender.frameId === 0 ? sender.tab?.id : undefined;
+        const allowed =
+          typeof tabId === "number" && typeof message.url === "string"
+            ? await allowSocialEmbedFrame(tabId, sender.tab.url ?? "", message.url)
+            : false;
+        sendResponse({ ok: true, source: "background", requestId, payload: { allowed } });
+      } catch (error) {
+        sendResponse(
+          createErrorPayload({
+            source: "background",
+            requestId,
+            code: "ALLOW_SOCIAL_EMBED_FAILED",
+            error: error instanceof Error ? error.message : "Failed to allow the embed"
+          })
+        );
+      }
+    })();
+
+    return true;
+  }
+
+  if (message.type === MESSAGE_TYPES.LIST_TRACKER_BLOCKING_RULES) {
+    const requestId = message.requestId ?? createRequestId("tracker_rules");
+
+    (async () => {
+      try {
+        const rules = await listTrackerBlockingRules();
+        sendResponse({ ok: true, source: "background", requestId, payload: { rules } });
+      } catch (error) {
+        sendResponse(
+          createErrorPayload({
+            source: "background",
+            requestId,
+            code: "LIST_TRACKER_BLOCKING_RULES_FAILED",
+            error: error instanceof Error ? error.message : "Failed to list tracker blocking rules"
+          })
+        );
+      }
+    })();
+
+    return true;
+  }
+
+  if (message.type === MESSAGE_TYPES.REMOVE_TRACKER_BLOCKING_RULES) {
+    const requestId = message.requestId ?? createRequestId("tracker_rules_remove");
+
+    (async () => {
+      try {
+        const { removedCount } = await removeTrackerBlockingRules(message.ruleIds);
+        const rules = await listTrackerBlockingRules();
+        sendResponse({
+          ok: true,
+          source: "background",
+          requestId,
+          payload: { removedCount, rules }
+        });
+      } catch (error) {
+        sendResponse(
+          createErrorPayload({
+            source: "background",
+            requestId,
+            code: "REMOVE_TRACKER_BLOCKING_RULES_FAILED",
+            error: error instanceof Error ? error.message : "Failed to remove tracker blocking rules"
+          })
+        );
+      }
+    })();
+
+    return true;
+  }
+
+  if (
+    message.type === MESSAGE_TYPES.LIST_FILTER_LISTS ||
+    message.type === MESSAGE_TYPES.IMPORT_FILTER_LIST ||
+    message.type === MESSAGE_TYPES.REMOVE_FILTER_LIST
+  ) {
+    const requestId = message.requestId ?? createRequestId("filter_lists");
+
+    (async () => {
+      try {
+        let imported = null;
+        let removedCount = 0;
+        if (message.type === MESSAGE_TYPES.IMPORT_FILTER_LIST) {
+          imported = await importFilterList({
+            name: message.name,
+            fileName: message.fileName,
+            text: message.text
+          });
+        } else if (message.type === MESSAGE_TYPES.REMOVE_FILTER_LIST) {
+          ({ removedCount } = await removeFilterList(message.listId));
+        }
+        const lists = await listFilterLists();
+        sendResponse({
+          ok: true,
+          source: "background",
+          requestId,
+          payload: { lists, imported, removedCount }
+        });
+      } catch (error) {
+        sendResponse(
+          createErrorPayload({
+            source: "background",
+            requestId,
+            code: "FILTER_LISTS_REQUEST_FAILED",
+            error: error instanceof Error ? error.message : "Filter list request failed"
+          })
+        );
+      }
+    })();
+
+    return true;
+  }
+
   if (message.type !== MESSAGE_TYPES.RUN_ANALYSIS) {
     sendResponse(
       createErrorPayload({
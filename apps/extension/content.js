@@ -1,19 +1,10 @@
 /**
  * Content script module.
- * Collects page-level signals (scripts and storage) in a defensive way so
- * failures in one collector do not crash the full analysis response.
+ * Collects page-level signals (scripts, storage, forms, consent banners and
+ * the report from page-world.js) in a defensive way so failures in one collector
+ * do not crash the full analysis response. The manifest runs it in the top
+ * frame only; iframes get frame-signals.js on demand from background.js.
  */
-const KNOWN_TRACKER_DOMAIN_PATTERNS = Object.freeze([
-  "google-analytics.com",
-  "doubleclick.net",
-  "googletagmanager.com",
-  "facebook.net",
-  "connect.facebook.net",
-  "hotjar.com",
-  "segment.com",
-  "mixpanel.com"
-]);
-
 const SUSPICIOUS_ENDPOINT_PATTERNS = Object.freeze([
   "collect",
   "track",
@@ -35,140 +26,283 @@ const TRACKING_QUERY_PARAM_PATTERNS = Object.freeze([
   "gbraid"
 ]);
 
-const COMMON_MULTI_PART_PUBLIC_SUFFIXES = new Set([
-  "co.uk",
-  "org.uk",
-  "gov.uk",
-  "ac.uk",
-  "net.uk",
-  "sch.uk",
-  "com.au",
-  "net.au",
-  "org.au",
-  "edu.au",
-  "gov.au",
-  "asn.au",
-  "id.au",
-  "co.nz",
-  "org.nz",
-  "govt.nz",
-  "ac.nz",
-  "co.jp",
-  "ne.jp",
-  "or.jp",
-  "go.jp",
-  "ac.jp",
-  "com.br",
-  "net.br",
-  "org.br",
-  "gov.br",
-  "com.mx",
-  "org.mx",
-  "gob.mx",
-  "co.kr",
-  "or.kr",
-  "go.kr",
-  "ac.kr",
-  "co.in",
-  "firm.in",
-  "net.in",
-  "org.in",
-  "gen.in",
-  "ind.in",
-  "gov.in",
-  "edu.in",
-  "res.in",
-  "com.sg",
-  "net.sg",
-  "org.sg",
-  "gov.sg",
-  "edu.sg",
-  "com.tr",
-  "net.tr",
-  "org.tr",
-  "gov.tr",
-  "edu.tr"
-]);
+// Provided by domain.js, tracker-matcher.js, entities.js and frame-signals.js,
+// which the manifest loads before this file.
+const { getComparableDomain, isThirdPartyHost } = globalThis.PrivacyAssistantDomain;
+const { FILTER_LISTS_STORAGE_KEY, createTrackerRuleMatcher } =
+  globalThis.PrivacyAssistantTrackerMatcher;
+const { getEntityForHost } = globalThis.PrivacyAssistantEntities;
+const {
+  parseUrlSafely,
+  createCollectorSuccess,
+  createCollectorFailure,
+  runCollector,
+  estimateStorageBytes,
+  requestPageWorldReport,
+  collectFingerprintingSignals,
+  collectPixelSignals,
+  toSafeLabel,
+  collectSensitiveDataSignals
+} = globalThis.PrivacyAssistantFrameSignals;
+// From data/consent-managers.js, data/link-decoration.js and data/social-embeds.js,
+// also loaded by the manifest.
+const CONSENT_MANAGERS = globalThis.PRIVACY_ASSISTANT_CONSENT_MANAGERS;
+const LINK_DECORATION = globalThis.PRIVACY_ASSISTANT_LINK_DECORATION;
+const LINK_REDIRECT_WRAPPERS = LINK_DECORATION.redirectWrappers.map((wrapper) => ({
+  ...wrapper,
+  hostRegExp: new RegExp(wrapper.hostPattern, "i"),
+  pathRegExp: new RegExp(wrapper.pathPattern, "i")
+}));
+const SOCIAL_EMBEDS = globalThis.PRIVACY_ASSISTANT_SOCIAL_EMBEDS.map((embed) => ({
+  ...embed,
+  hostRegExp: new RegExp(embed.hostPattern, "i"),
+  pathRegExp: new RegExp(embed.pathPattern, "i")
+}));
 
-function getComparableDomain(hostname) {
-  if (typeof hostname !== "string") {
-    return "";
-  }
-  const clean = hostname.toLowerCase().trim().replace(/\.+$/, "").replace(/^\.+/, "");
-  if (!clean) {
-    return "";
-  }
+// Compiled lazily from imported filter lists; reset when the stored lists change.
+let trackerRuleMatcherPromise = null;
 
-  const isIpv4 = /^\d{1,3}(\.\d{1,3}){3}$/.test(clean);
-  if (isIpv4 || clean.includes(":")) {
-    return clean;
+function getTrackerRuleMatcher() {
+  if (!trackerRuleMatcherPromise) {
+    trackerRuleMatcherPromise = chrome.storage.local
+      .get(FILTER_LISTS_STORAGE_KEY)
+      .then((stored) => createTrackerRuleMatcher(stored[FILTER_LISTS_STORAGE_KEY] ?? []))
+      .catch(() => createTrackerRuleMatcher([]));
   }
-
-  const segments = clean.split(".").filter(Boolean);
-  if (segments.length <= 2) {
-    return clean;
-  }
-
-  const twoPartSuffix = segments.slice(-2).join(".");
-  if (COMMON_MULTI_PART_PUBLIC_SUFFIXES.has(twoPartSuffix) && segments.length >= 3) {
-    return segments.slice(-3).join(".");
-  }
-
-  return twoPartSuffix;
+  return trackerRuleMatcherPromise;
 }
 
-function isThirdPartyHost(targetHost, firstPartyHost) {
-  const target = getComparableDomain(targetHost);
-  const firstParty = getComparableDomain(firstPartyHost);
-  if (!target || !firstParty) {
-    return false;
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes[FILTER_LISTS_STORAGE_KEY]) {
+    trackerRuleMatcherPromise = null;
   }
-  return target !== firstParty;
-}
+});
 
+// Site domains where `reject_consent_banners` runs on every visit; written by background.js.
+const CONSENT_AUTO_REJECT_STORAGE_KEY = "privacyAssistantConsentAutoRejectSitesV1";
+// How long to wait for a banner to appear: short when the user clicked the
+// action on a loaded page, longer for automatic runs that start at document_start.
+const CONSENT_BANNER_WAIT_MS = 1500;
+const CONSENT_AUTO_RUN_BANNER_WAIT_MS = 10000;
+const CONSENT_STEP_TIMEOUT_MS = 2000;
+const CONSENT_POLL_INTERVAL_MS = 100;
+// Per storage API; the whole content collection must fit the background's timeout.
+const STORAGE_INVENTORY_TIMEOUT_MS = 500;
+const MAX_STORAGE_INVENTORY_NAMES = 50;
+// Keys set by common analytics and ad SDKs to hold a visitor or device id.
+const KNOWN_IDENTIFIER_KEY_PATTERNS = Object.freeze([
+  /^_ga(_\w+)?$/,
+  /^_gid$/,
+  /^_gcl_au$/,
+  /^__utma$/,
+  /^_fbp$/,
+  /^_fbc$/,
+  /^ajs_(anonymous|user)_id$/,
+  /^_hjSessionUser_\d+$/,
+  /^mp_\w+_mixpanel$/,
+  /^amp(litude_id)?_\w+$/i,
+  /^_uetvid$/,
+  /^__hstc$/,
+  /^hubspotutk$/,
+  /^_pin_unauth$/,
+  /^_ttp$/,
+  /^__qca$/,
+  /^_scid$/,
+  /^_clck$/,
+  /^_rdt_uuid$/
+]);
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+const ID_TOKEN_PATTERN = /[A-Za-z0-9+/_-]{16,}/g;
+// A token counts as an identifier when it carries at least this much Shannon
+// entropy in total and per character (a random 20-character hex string does).
+const MIN_IDENTIFIER_ENTROPY_BITS = 64;
+const MIN_IDENTIFIER_BITS_PER_CHAR = 3;
+const MAX_IDENTIFIER_SCAN_ENTRIES = 500;
+const MAX_IDENTIFIER_VALUE_LENGTH = 4096;
+const MAX_IDENTIFIER_SAMPLES = 20;
+// Site domains where outbound links are cleaned on every visit; written by background.js.
+const LINK_AUTO_CLEAN_STORAGE_KEY = "privacyAssistantLinkAutoCleanSitesV1";
+const LINK_AUTO_CLEAN_DEBOUNCE_MS = 500;
+const MAX_SCANNED_LINKS = 2000;
+// Redirectors wrapping redirectors (e.g. a Facebook link shared through Slack).
+const MAX_REDIRECT_UNWRAP_DEPTH = 3;
+const MAX_REPORTED_LINK_ITEMS = 20;
+// Site domains where social embeds become click-to-load placeholders; written by background.js.
+const EMBED_PLACEHOLDER_STORAGE_KEY = "privacyAssistantEmbedPlaceholderSitesV1";
+const DEFAULT_EMBED_PLACEHOLDER_SIZE = Object.freeze({ width: "100%", height: "150px" });
 const MESSAGE_TYPES = Object.freeze({
   PING_CONTENT: "PING_CONTENT",
-  COLLECT_PAGE_SIGNALS: "COLLECT_PAGE_SIGNALS"
+  COLLECT_PAGE_SIGNALS: "COLLECT_PAGE_SIGNALS",
+  REJECT_CONSENT_BANNERS: "REJECT_CONSENT_BANNERS",
+  CLEAN_PAGE_LINKS: "CLEAN_PAGE_LINKS",
+  DEFER_SOCIAL_EMBEDS: "DEFER_SOCIAL_EMBEDS",
+  ALLOW_SOCIAL_EMBED: "ALLOW_SOCIAL_EMBED"
 });
 
 function isValidRequestId(requestId) {
   return requestId === undefined || (typeof requestId === "string" && requestId.trim().length > 0);
 }
 
-function createCollectorSuccess(name, data, startedAt) {
-  return {
-    name,
-    status: "success",
-    durationMs: Date.now() - startedAt,
-    data
-  };
-}
-
-function createCollectorFailure(name, error, startedAt) {
-  return {
-    name,
-    status: "failed",
-    durationMs: Date.now() - startedAt,
-    error: error instanceof Error ? error.message : "Unknown collector error"
-  };
-}
-
-function runCollector(name, collector) {
+async function runAsyncCollector(name, collector) {
   const startedAt = Date.now();
   try {
-    const data = collector();
+    const data = await collector();
     return createCollectorSuccess(name, data, startedAt);
   } catch (error) {
     return createCollectorFailure(name, error, startedAt);
   }
 }
 
-function parseUrlSafely(rawUrl, baseUrl) {
-  try {
-    return new URL(rawUrl, baseUrl);
-  } catch {
+const REGISTRY_ELEMENT_SELECTOR = "script, iframe, img, link";
+const REGISTRY_URL_ATTRIBUTES = Object.freeze({ script: "src", iframe: "src", img: "src", link: "href" });
+// Counts keep growing past this; only per-element records (removal tracking) stop.
+const MAX_REGISTRY_RECORDS = 2000;
+const MAX_REGISTRY_URL_LENGTH = 1024;
+
+// `data:` URLs inline whole images or scripts, so only the scheme is kept;
+// other URLs (`blob:` included) are cut to MAX_REGISTRY_URL_LENGTH.
+function toRegistryUrl(rawUrl) {
+  if (!rawUrl) {
+    return null;
+  }
+  if (/^\s*data:/i.test(rawUrl)) {
+    return "data:";
+  }
+  return rawUrl.slice(0, MAX_REGISTRY_URL_LENGTH);
+}
+
+/**
+ * Registry of every script/iframe/img/link element inserted since
+ * document_start, including ones later removed. `insertedAtMs` and
+ * `removedAtMs` are milliseconds since navigation start; `dynamic` marks
+ * elements inserted after parsing finished, which only scripts can do.
+ */
+const elementRegistry = {
+  observedSinceMs: null,
+  records: [],
+  recordsByElement: new WeakMap(),
+  counts: {},
+  truncated: false
+};
+
+function getRegistryKind(element) {
+  const kind = element.localName;
+  return Object.hasOwn(REGISTRY_URL_ATTRIBUTES, kind) ? kind : null;
+}
+
+function describeParent(element) {
+  const parent = element.parentElement;
+  if (!parent) {
     return null;
   }
+  return parent.id ? `${parent.localName}#${parent.id}` : parent.localName;
+}
+
+function getRegistryCounts(kind) {
+  if (!elementRegistry.counts[kind]) {
+    elementRegistry.counts[kind] = { everInserted: 0, removed: 0, dynamic: 0 };
+  }
+  return elementRegistry.counts[kind];
+}
+
+function registerElement(element) {
+  const kind = getRegistryKind(element);
+  if (!kind) {
+    return;
+  }
+  const existing = elementRegistry.recordsByElement.get(element);
+  if (existing) {
+    // Moved rather than newly inserted.
+    if (existing.removedAtMs !== null) {
+      existing.removedAtMs = null;
+      getRegistryCounts(kind).removed -= 1;
+    }
+    return;
+  }
+
+  const dynamic = document.readyState !== "loading";
+  const counts = getRegistryCounts(kind);
+  counts.everInserted += 1;
+  if (dynamic) {
+    counts.dynamic += 1;
+  }
+  if (elementRegistry.records.length >= MAX_REGISTRY_RECORDS) {
+    elementRegistry.truncated = true;
+    return;
+  }
+
+  const record = {
+    kind,
+    url: toRegistryUrl(element.getAttribute(REGISTRY_URL_ATTRIBUTES[kind])),
+    rel: kind === "link" ? element.getAttribute("rel") : null,
+    parent: describeParent(element),
+    insertedAtMs: Math.round(performance.now()),
+    removedAtMs: null,
+    dynamic
+  };
+  elementRegistry.records.push(record);
+  elementRegistry.recordsByElement.set(element, record);
+}
+
+function markElementRemoved(element) {
+  const record = elementRegistry.recordsByElement.get(element);
+  if (!record || record.removedAtMs !== null || element.isConnected) {
+    return;
+  }
+  record.removedAtMs = Math.round(performance.now());
+  getRegistryCounts(record.kind).removed += 1;
+}
+
+function forEachRegistryElement(node, callback) {
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return;
+  }
+  if (node.matches(REGISTRY_ELEMENT_SELECTOR)) {
+    callback(node);
+  }
+  for (const descendant of node.querySelectorAll(REGISTRY_ELEMENT_SELECTOR)) {
+    callback(descendant);
+  }
+}
+
+function startElementRegistry() {
+  elementRegistry.observedSinceMs = Math.round(performance.now());
+  if (document.documentElement) {
+    forEachRegistryElement(document.documentElement, registerElement);
+  }
+
+  const observer = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      if (mutation.type === "attributes") {
+        // Lazy loaders often set src/href after insertion.
+        const record = elementRegistry.recordsByElement.get(mutation.target);
+        if (record && !record.url) {
+          record.url = toRegistryUrl(mutation.target.getAttribute(mutation.attributeName));
+        }
+        continue;
+      }
+      for (const node of mutation.addedNodes) {
+        forEachRegistryElement(node, registerElement);
+      }
+      for (const node of mutation.removedNodes) {
+        forEachRegistryElement(node, markElementRemoved);
+      }
+    }
+  });
+  observer.observe(document, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ["src", "href"]
+  });
+}
+
+startElementRegistry();
+
+function getRegistryScriptUrls() {
+  return elementRegistry.records
+    .filter((record) => record.kind === "script" && record.url)
+    .map((record) => record.url);
 }
 
 function collectScriptSignals() {
@@ -176,7 +310,7 @@ function collectScriptSignals() {
   const scriptElements = Array.from(document.querySelectorAll("script[src]"));
 
   const externalScripts = [];
-  const thirdPartyDomains = new Set();
+  const currentThirdPartyDomains = new Set();
 
   for (const scriptElement of scriptElements) {
     const src = scriptElement.getAttribute("src");
@@ -197,55 +331,285 @@ function collectScriptSignals() {
     });
 
     if (isThirdParty) {
+      currentThirdPartyDomains.add(parsed.hostname);
+    }
+  }
+
+  // Scripts that removed themselves after loading only survive in the registry.
+  const scriptDomains = new Set(externalScripts.map((script) => script.hostname));
+  const thirdPartyDomains = new Set(currentThirdPartyDomains);
+  for (const src of getRegistryScriptUrls()) {
+    const parsed = parseUrlSafely(src, window.location.href);
+    if (!parsed?.hostname) {
+      continue;
+    }
+    scriptDomains.add(parsed.hostname);
+    if (isThirdPartyHost(parsed.hostname, currentHost)) {
       thirdPartyDomains.add(parsed.hostname);
     }
   }
 
+  const elementCounts = {};
+  for (const kind of Object.keys(REGISTRY_URL_ATTRIBUTES)) {
+    const counts = getRegistryCounts(kind);
+    elementCounts[kind] = {
+      inDom: document.querySelectorAll(kind).length,
+      everLoaded: counts.everInserted,
+      removed: counts.removed,
+      dynamic: counts.dynamic
+    };
+  }
+
   return {
     totalScriptTagsWithSrc: scriptElements.length,
     externalScriptCount: externalScripts.length,
     thirdPartyScriptDomainCount: thirdPartyDomains.size,
     thirdPartyScriptDomains: Array.from(thirdPartyDomains),
-    sampledExternalScripts: externalScripts.slice(0, 25)
+    // All script hosts, so the background can judge them against the top frame.
+    scriptDomains: Array.from(scriptDomains),
+    currentThirdPartyScriptDomainCount: currentThirdPartyDomains.size,
+    sampledExternalScripts: externalScripts.slice(0, 25),
+    elementRegistry: {
+      observedSinceMs: elementRegistry.observedSinceMs,
+      truncated: elementRegistry.truncated,
+      elementCounts,
+      sampledDynamicElements: elementRegistry.records
+        .filter((record) => record.dynamic || record.removedAtMs !== null)
+        .slice(-25)
+        .map((record) => ({
+          ...record,
+          url: record.url
+            ? toRegistryUrl(parseUrlSafely(record.url, window.location.href)?.href ?? null)
+            : null
+        }))
+    }
   };
 }
 
-function estimateStorageBytes(storageArea) {
+/**
+ * Resolves to `fallback` when `task` rejects or takes longer than
+ * STORAGE_INVENTORY_TIMEOUT_MS, so one slow storage API cannot hold up the
+ * whole collector.
+ */
+function withStorageDeadline(task, fallback) {
+  return Promise.race([
+    Promise.resolve()
+      .then(task)
+      .catch(() => fallback),
+    delay(STORAGE_INVENTORY_TIMEOUT_MS).then(() => fallback)
+  ]);
+}
+
+// Names and sizes only; cookie values are never kept.
+function inventoryDocumentCookies() {
+  const names = [];
   let approxChars = 0;
-  const keys = [];
+  for (const [name, value] of readDocumentCookies()) {
+    names.push(name);
+    approxChars += name.length + value.length;
+  }
+  return {
+    available: true,
+    count: names.length,
+    approxBytes: approxChars * 2,
+    names: names.slice(0, MAX_STORAGE_INVENTORY_NAMES)
+  };
+}
 
-  for (let index = 0; index < storageArea.length; index++) {
-    const key = storageArea.key(index);
-    if (!key) {
+async function inventoryIndexedDb() {
+  if (typeof indexedDB?.databases !== "function") {
+    return { available: false, databaseCount: 0, databases: [] };
+  }
+  const databases = await indexedDB.databases();
+  return {
+    available: true,
+    databaseCount: databases.length,
+    databases: databases
+      .slice(0, MAX_STORAGE_INVENTORY_NAMES)
+      .map((database) => ({ name: String(database.name ?? ""), version: Number(database.version) || 0 }))
+  };
+}
+
+async function inventoryCacheStorage() {
+  // Cache Storage only exists in secure contexts.
+  if (!window.caches) {
+    return { available: false, cacheCount: 0, cacheNames: [] };
+  }
+  const cacheNames = await window.caches.keys();
+  return {
+    available: true,
+    cacheCount: cacheNames.length,
+    cacheNames: cacheNames.slice(0, MAX_STORAGE_INVENTORY_NAMES)
+  };
+}
+
+async function inventoryServiceWorkers() {
+  if (typeof navigator.serviceWorker?.getRegistrations !== "function") {
+    return { available: false, registrationCount: 0, registrations: [] };
+  }
+  const registrations = await navigator.serviceWorker.getRegistrations();
+  return {
+    available: true,
+    registrationCount: registrations.length,
+    registrations: registrations.slice(0, MAX_STORAGE_INVENTORY_NAMES).map((registration) => {
+      const scriptUrl = parseUrlSafely(registration.active?.scriptURL ?? registration.installing?.scriptURL ?? "");
+      return {
+        scope: parseUrlSafely(registration.scope)?.pathname ?? null,
+        scriptUrl: scriptUrl ? `${scriptUrl.origin}${scriptUrl.pathname}` : null
+      };
+    })
+  };
+}
+
+// `usageDetails` is Chrome-only and breaks usage down by storage type.
+async function readStorageEstimate() {
+  if (typeof navigator.storage?.estimate !== "function") {
+    return { available: false, usageBytes: 0, quotaBytes: 0, usageDetails: {} };
+  }
+  const estimate = await navigator.storage.estimate();
+  return {
+    available: true,
+    usageBytes: Number(estimate.usage) || 0,
+    quotaBytes: Number(estimate.quota) || 0,
+    usageDetails: Object.fromEntries(
+      Object.entries(estimate.usageDetails ?? {}).map(([type, bytes]) => [type, Number(bytes) || 0])
+    )
+  };
+}
+
+function getShannonBitsPerChar(token) {
+  const counts = new Map();
+  for (const char of token) {
+    counts.set(char, (counts.get(char) ?? 0) + 1);
+  }
+  let bits = 0;
+  for (const count of counts.values()) {
+    const probability = count / token.length;
+    bits -= probability * Math.log2(probability);
+  }
+  return bits;
+}
+
+/**
+ * Returns the strongest identifier-like token in a stored value as
+ * `{ kind, entropyBits }`, or null. UUIDs always count; other tokens need
+ * letters and at least two digits (ruling out words, camelCase names and
+ * timestamps) and must pass the entropy thresholds.
+ */
+function findIdentifierToken(value) {
+  const text = value.slice(0, MAX_IDENTIFIER_VALUE_LENGTH);
+  const uuid = text.match(UUID_PATTERN);
+  if (uuid) {
+    // The random bits of a version 4 UUID.
+    return { kind: "uuid", entropyBits: 122 };
+  }
+
+  let strongest = null;
+  for (const [token] of text.matchAll(ID_TOKEN_PATTERN)) {
+    if (!/\d.*\d/.test(token) || !/[a-z]/i.test(token)) {
+      continue;
+    }
+    const bitsPerChar = getShannonBitsPerChar(token);
+    const entropyBits = Math.round(bitsPerChar * token.length);
+    if (
+      bitsPerChar < MIN_IDENTIFIER_BITS_PER_CHAR ||
+      entropyBits < MIN_IDENTIFIER_ENTROPY_BITS ||
+      entropyBits <= (strongest?.entropyBits ?? 0)
+    ) {
       continue;
     }
-    keys.push(key);
+    strongest = { kind: /^[0-9a-f]+$/i.test(token) ? "hex" : "base64", entropyBits };
+  }
+  return strongest;
+}
 
-    const value = storageArea.getItem(key) ?? "";
-    approxChars += key.length + value.length;
+function readStorageAreaEntries(storageArea) {
+  const entries = [];
+  for (let index = 0; index < storageArea.length && entries.length < MAX_IDENTIFIER_SCAN_ENTRIES; index++) {
+    const key = storageArea.key(index);
+    if (key) {
+      entries.push([key, storageArea.getItem(key) ?? ""]);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Scans Web Storage and script-readable cookie values for persistent
+ * identifiers. Values never leave this function: only the store, a sanitized
+ * key name, the kind of match and its entropy are reported.
+ */
+function detectPersistentIdentifiers() {
+  const stores = {
+    localStorage: readStorageAreaEntries(window.localStorage),
+    sessionStorage: readStorageAreaEntries(window.sessionStorage),
+    cookies: Array.from(readDocumentCookies())
+      .slice(0, MAX_IDENTIFIER_SCAN_ENTRIES)
+      .map(([name, value]) => [name, decodeCookieValue(value)])
+  };
+  const byStore = { localStorage: 0, sessionStorage: 0, cookies: 0 };
+  const samples = [];
+  let knownKeyCount = 0;
+
+  for (const [store, entries] of Object.entries(stores)) {
+    for (const [key, value] of entries) {
+      const token = findIdentifierToken(value);
+      const knownKey = KNOWN_IDENTIFIER_KEY_PATTERNS.some((pattern) => pattern.test(key));
+      if (!token && !knownKey) {
+        continue;
+      }
+      byStore[store] += 1;
+      knownKeyCount += knownKey ? 1 : 0;
+      if (samples.length < MAX_IDENTIFIER_SAMPLES) {
+        samples.push({
+          store,
+          key: toSafeLabel(key),
+          kind: knownKey ? "known_key" : token.kind,
+          entropyBits: token?.entropyBits ?? 0
+        });
+      }
+    }
   }
 
   return {
-    keys,
-    keyCount: keys.length,
-    approxBytes: approxChars * 2
+    count: byStore.localStorage + byStore.sessionStorage + byStore.cookies,
+    knownKeyCount,
+    byStore,
+    samples
   };
 }
 
-function collectStorageSignals() {
+async function collectStorageSignals() {
   const local = estimateStorageBytes(window.localStorage);
   const session = estimateStorageBytes(window.sessionStorage);
+  const [indexedDb, cacheStorage, serviceWorkers, estimate] = await Promise.all([
+    withStorageDeadline(inventoryIndexedDb, { available: false, databaseCount: 0, databases: [] }),
+    withStorageDeadline(inventoryCacheStorage, { available: false, cacheCount: 0, cacheNames: [] }),
+    withStorageDeadline(inventoryServiceWorkers, { available: false, registrationCount: 0, registrations: [] }),
+    withStorageDeadline(readStorageEstimate, { available: false, usageBytes: 0, quotaBytes: 0, usageDetails: {} })
+  ]);
 
   return {
     localStorage: local,
-    sessionStorage: session
+    sessionStorage: session,
+    cookies: inventoryDocumentCookies(),
+    indexedDB: indexedDb,
+    cacheStorage,
+    serviceWorkers,
+    estimate,
+    persistentIdentifiers: detectPersistentIdentifiers()
   };
 }
 
-function collectTrackingHeuristics() {
-  const scriptSources = Array.from(document.querySelectorAll("script[src]"))
-    .map((script) => script.getAttribute("src"))
-    .filter(Boolean);
+function collectTrackingHeuristics(trackerRuleMatcher) {
+  const scriptSources = Array.from(
+    new Set([
+      ...Array.from(document.querySelectorAll("script[src]"))
+        .map((script) => script.getAttribute("src"))
+        .filter(Boolean),
+      ...getRegistryScriptUrls()
+    ])
+  );
 
   const trackerDomainHits = new Set();
   const endpointHits = [];
@@ -258,10 +622,12 @@ function collectTrackingHeuristics() {
 
     const hostname = parsed.hostname.toLowerCase();
     const hrefLower = parsed.href.toLowerCase();
-    for (const pattern of KNOWN_TRACKER_DOMAIN_PATTERNS) {
-      if (hostname.includes(pattern)) {
-        trackerDomainHits.add(hostname);
-      }
+    const isTracker = trackerRuleMatcher.matches(hostname, {
+      thirdParty: isThirdPartyHost(hostname, window.location.hostname),
+      resourceType: "script"
+    });
+    if (isTracker) {
+      trackerDomainHits.add(hostname);
     }
     for (const pattern of SUSPICIOUS_ENDPOINT_PATTERNS) {
       if (hrefLower.includes(pattern)) {
@@ -275,7 +641,7 @@ function collectTrackingHeuristics() {
   for (const [key] of currentParams.entries()) {
     const lowerKey = key.toLowerCase();
     if (TRACKING_QUERY_PARAM_PATTERNS.some((pattern) => lowerKey.includes(pattern))) {
-      activeQueryParams.push(key);
+      activeQueryParams.push(toSafeLabel(key));
     }
   }
 
@@ -289,24 +655,728 @@ function collectTrackingHeuristics() {
   };
 }
 
+function isTrackingLinkParam(name) {
+  const lowerName = name.toLowerCase();
+  return (
+    LINK_DECORATION.trackingParams.includes(lowerName) ||
+    LINK_DECORATION.trackingParamPrefixes.some((prefix) => lowerName.startsWith(prefix))
+  );
+}
+
+function unwrapRedirectLink(url) {
+  for (const wrapper of LINK_REDIRECT_WRAPPERS) {
+    if (!wrapper.hostRegExp.test(url.hostname) || !wrapper.pathRegExp.test(url.pathname)) {
+      continue;
+    }
+    for (const param of wrapper.params) {
+      const destination = parseUrlSafely(url.searchParams.get(param) ?? "");
+      if (destination && ["http:", "https:"].includes(destination.protocol)) {
+        return { wrapper, destination };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Works out the clean form of a link: click-tracking redirectors are unwrapped
+ * to their destination, and tracking parameters are removed when that
+ * destination is on another site. `cleanHref` is null when nothing changes.
+ */
+function analyzeLink(href) {
+  let url = parseUrlSafely(href);
+  if (!url || !["http:", "https:"].includes(url.protocol)) {
+    return null;
+  }
+
+  const redirectors = [];
+  for (let depth = 0; depth < MAX_REDIRECT_UNWRAP_DEPTH; depth++) {
+    const unwrapped = unwrapRedirectLink(url);
+    if (!unwrapped) {
+      break;
+    }
+    redirectors.push(unwrapped.wrapper.name);
+    url = unwrapped.destination;
+  }
+
+  const outbound = isThirdPartyHost(url.hostname, window.location.hostname);
+  const removedParams = outbound
+    ? Array.from(new Set(url.searchParams.keys())).filter(isTrackingLinkParam)
+    : [];
+  removedParams.forEach((param) => url.searchParams.delete(param));
+
+  return {
+    outbound,
+    redirectors,
+    removedParams,
+    cleanHref: redirectors.length > 0 || removedParams.length > 0 ? url.href : null
+  };
+}
+
+function analyzePageLinks() {
+  return Array.from(document.links)
+    .slice(0, MAX_SCANNED_LINKS)
+    .map((link) => ({ link, analysis: analyzeLink(link.href) }))
+    .filter(({ analysis }) => analysis !== null);
+}
+
+function toCountedLinkItems(values, key) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) ?? 0) + 1);
+  }
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_REPORTED_LINK_ITEMS)
+    .map(([value, count]) => ({ [key]: value, count }));
+}
+
+function cleanPageLinks() {
+  const analyzedLinks = analyzePageLinks();
+  const cleaned = analyzedLinks.filter(({ analysis }) => analysis.cleanHref !== null);
+  for (const { link, analysis } of cleaned) {
+    link.href = analysis.cleanHref;
+  }
+  return {
+    scannedLinkCount: analyzedLinks.length,
+    cleanedLinkCount: cleaned.length,
+    unwrappedLinkCount: cleaned.filter(({ analysis }) => analysis.redirectors.length > 0).length,
+    removedParams: toCountedLinkItems(
+      cleaned.flatMap(({ analysis }) => analysis.removedParams.map(toSafeLabel)),
+      "param"
+    )
+  };
+}
+
+// State of the automatic cleaning on this page, reported by the link collector.
+const linkAutoClean = { enabled: false, cleanedLinkCount: 0 };
+
+/**
+ * Cleans links once the DOM is parsed and again, debounced, whenever the page
+ * adds links or rewrites an href, so links rendered later are covered too.
+ */
+function startLinkAutoClean() {
+  chrome.storage.local
+    .get(LINK_AUTO_CLEAN_STORAGE_KEY)
+    .then((stored) => {
+      const sites = stored[LINK_AUTO_CLEAN_STORAGE_KEY];
+      if (!Array.isArray(sites) || !sites.includes(getComparableDomain(window.location.hostname))) {
+        return;
+      }
+      linkAutoClean.enabled = true;
+      const clean = () => {
+        linkAutoClean.cleanedLinkCount += cleanPageLinks().cleanedLinkCount;
+      };
+      let timer = null;
+      new MutationObserver(() => {
+        clearTimeout(timer);
+        timer = setTimeout(clean, LINK_AUTO_CLEAN_DEBOUNCE_MS);
+      }).observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ["href"]
+      });
+      if (document.readyState === "loading") {
+        document.addEventListener("DOMContentLoaded", clean, { once: true });
+      } else {
+        clean();
+      }
+    })
+    .catch(() => {
+      // automatic cleaning is best effort; the manual action reports errors
+    });
+}
+
+startLinkAutoClean();
+
+/**
+ * Reports links decorated with tracking parameters or wrapped in
+ * click-tracking redirectors. Only parameter names and redirector names are
+ * kept, never the URLs.
+ */
+function collectLinkDecorationSignals() {
+  const analyzedLinks = analyzePageLinks();
+  const outbound = analyzedLinks.filter(({ analysis }) => analysis.outbound);
+  const decorated = analyzedLinks.filter(({ analysis }) => analysis.removedParams.length > 0);
+  const wrapped = analyzedLinks.filter(({ analysis }) => analysis.redirectors.length > 0);
+
+  return {
+    scannedLinkCount: analyzedLinks.length,
+    outboundLinkCount: outbound.length,
+    decoratedLinkCount: decorated.length,
+    redirectWrappedLinkCount: wrapped.length,
+    trackingParams: toCountedLinkItems(
+      decorated.flatMap(({ analysis }) => analysis.removedParams.map(toSafeLabel)),
+      "param"
+    ),
+    redirectors: toCountedLinkItems(
+      wrapped.map(({ analysis }) => analysis.redirectors[0]),
+      "name"
+    ),
+    autoClean: { ...linkAutoClean }
+  };
+}
+
+function matchSocialEmbed(src) {
+  let url;
+  try {
+    url = new URL(src, window.location.href);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    return null;
+  }
+  const embed = SOCIAL_EMBEDS.find(
+    (candidate) => candidate.hostRegExp.test(url.hostname) && candidate.pathRegExp.test(url.pathname)
+  );
+  return embed ? { embed, url } : null;
+}
+
+function toPrivacyFriendlyEmbedUrl(embed, url) {
+  if (!embed.privacyHost) {
+    return url.href;
+  }
+  const privacyUrl = new URL(url.href);
+  privacyUrl.protocol = "https:";
+  privacyUrl.host = embed.privacyHost;
+  return privacyUrl.href;
+}
+
+function toCssLength(value, fallback) {
+  if (/^\d+$/.test(value ?? "")) {
+    return `${value}px`;
+  }
+  return /^\d+(\.\d+)?(px|%)$/.test(value ?? "") ? value : fallback;
+}
+
+// Embeds deferred on this page; `restoredCount` are the ones loaded by a click.
+const embedPlaceholders = { autoDeferEnabled: false, deferred: [], restoredCount: 0 };
+// Iframes put back by a click, so the automatic observer leaves them alone.
+const restoredEmbedFrames = new WeakSet();
+
+/**
+ * Swaps the iframe for a placeholder in a closed shadow root (so page styles
+ * cannot hide its notice) that names the host a click would contact.
+ * Detaching the iframe stops its load; the click asks the background to let
+ * the URL past the site's embed block rule, then puts the iframe back with
+ * the privacy-friendly URL.
+ */
+function deferSocialEmbed(iframe) {
+  if (restoredEmbedFrames.has(iframe) || !iframe.isConnected) {
+    return false;
+  }
+  const match = matchSocialEmbed(iframe.getAttribute("src") ?? "");
+  if (!match) {
+    return false;
+  }
+  const loadUrl = toPrivacyFriendlyEmbedUrl(match.embed, match.url);
+  const contactedHost = new URL(loadUrl).hostname;
+  const entity = getEntityForHost(contactedHost);
+
+  const placeholder = document.createElement("div");
+  placeholder.style.display = "inline-block";
+  placeholder.style.width = toCssLength(iframe.getAttribute("width"), DEFAULT_EMBED_PLACEHOLDER_SIZE.width);
+  placeholder.style.height = toCssLength(
+    iframe.getAttribute("height"),
+    DEFAULT_EMBED_PLACEHOLDER_SIZE.height
+  );
+  placeholder.style.maxWidth = "100%";
+  const shadow = placeholder.attachShadow({ mode: "closed" });
+  const box = document.createElement("div");
+  box.style.cssText =
+    "box-sizing:border-box;height:100%;display:flex;flex-direction:column;align-items:center;" +
+    "justify-content:center;gap:8px;padding:12px;border:1px solid #c8c8c8;border-radius:8px;" +
+    "background:#f4f4f4;color:#222;font:14px/1.4 system-ui,sans-serif;text-align:center;";
+  const title = document.createElement("strong");
+  title.textContent = `${match.embed.name} content blocked`;
+  const notice = document.createElement("span");
+  notice.textContent = `Loading it contacts ${contactedHost}${entity ? ` (${entity.name})` : ""}.`;
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = `Load ${match.embed.name} content`;
+  button.addEventListener("click", () => {
+    button.disabled = true;
+    chrome.runtime
+      .sendMessage({ type: MESSAGE_TYPES.ALLOW_SOCIAL_EMBED, url: loadUrl })
+      .catch(() => null)
+      .then(() => {
+        restoredEmbedFrames.add(iframe);
+        iframe.setAttribute("src", loadUrl);
+        placeholder.replaceWith(iframe);
+        embedPlaceholders.restoredCount += 1;
+      });
+  });
+  box.append(title, notice, button);
+  shadow.append(box);
+
+  iframe.replaceWith(placeholder);
+  embedPlaceholders.deferred.push(match.embed.name);
+  return true;
+}
+
+function deferPageEmbeds(root = document) {
+  return Array.from(root.querySelectorAll("iframe[src]")).filter((iframe) => deferSocialEmbed(iframe))
+    .length;
+}
+
+/**
+ * Replaces embeds as soon as they are inserted, without debouncing: an
+ * iframe starts loading when it is attached, so a delay would let it load.
+ * Embeds inserted before the storage read returns may already have sent
+ * their request; the site's declarativeNetRequest rule (added by
+ * `defer_social_embeds` in background.js) blocks those.
+ */
+function startEmbedPlaceholders() {
+  chrome.storage.local
+    .get(EMBED_PLACEHOLDER_STORAGE_KEY)
+    .then((stored) => {
+      const sites = stored[EMBED_PLACEHOLDER_STORAGE_KEY];
+      if (!Array.isArray(sites) || !sites.includes(getComparableDomain(window.location.hostname))) {
+        return;
+      }
+      embedPlaceholders.autoDeferEnabled = true;
+      new MutationObserver((mutations) => {
+        for (const mutation of mutations) {
+          if (mutation.type === "attributes") {
+            if (mutation.target instanceof HTMLIFrameElement) {
+              deferSocialEmbed(mutation.target);
+            }
+            continue;
+          }
+          for (const node of mutation.addedNodes) {
+            if (node instanceof HTMLIFrameElement) {
+              deferSocialEmbed(node);
+            } else if (node instanceof Element) {
+              deferPageEmbeds(node);
+            }
+          }
+        }
+      }).observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ["src"]
+      });
+      deferPageEmbeds();
+    })
+    .catch(() => {
+      // placeholders are best effort; the manual action reports errors
+    });
+}
+
+startEmbedPlaceholders();
+
+/**
+ * Counts known social and video embeds: the ones still loaded in the page and
+ * the ones deferred behind a placeholder (and how many of those were then
+ * loaded by a click).
+ */
+function collectEmbedSignals() {
+  const loaded = Array.from(document.querySelectorAll("iframe[src]"))
+    .map((iframe) => matchSocialEmbed(iframe.getAttribute("src") ?? ""))
+    .filter(Boolean)
+    .map((match) => match.embed.name);
+  return {
+    loadedEmbedCount: loaded.length,
+    deferredEmbedCount: embedPlaceholders.deferred.length,
+    restoredEmbedCount: embedPlaceholders.restoredCount,
+    providers: toCountedLinkItems(loaded, "name"),
+    autoDefer: { enabled: embedPlaceholders.autoDeferEnabled }
+  };
+}
+
+function readDocumentCookies() {
+  const cookies = new Map();
+  for (const pair of document.cookie.split(";")) {
+    const separatorIndex = pair.indexOf("=");
+    if (separatorIndex > 0) {
+      cookies.set(pair.slice(0, separatorIndex).trim(), pair.slice(separatorIndex + 1).trim());
+    }
+  }
+  return cookies;
+}
+
+function decodeCookieValue(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Reads LastUpdated and the purpose consent bits from the core segment of an
+ * IAB TCF v2 TC string. CMPs usually round LastUpdated to the day.
+ */
+function decodeTcString(tcString) {
+  let binary;
+  try {
+    binary = atob(String(tcString).split(".")[0].replace(/-/g, "+").replace(/_/g, "/"));
+  } catch {
+    return null;
+  }
+  const bits = Array.from(binary, (char) => char.charCodeAt(0).toString(2).padStart(8, "0")).join("");
+  const readInt = (offset, length) => Number.parseInt(bits.slice(offset, offset + length), 2);
+  // Version (6 bits) must be 2; PurposesConsent is 24 bits at offset 152.
+  if (bits.length < 176 || readInt(0, 6) !== 2) {
+    return null;
+  }
+  return {
+    lastUpdatedMs: readInt(42, 36) * 100,
+    purposeConsentCount: bits.slice(152, 176).split("").filter((bit) => bit === "1").length
+  };
+}
+
+/**
+ * Turns a TC string into a consent choice. A `useractioncomplete` event seen
+ * on this page gives the exact time; otherwise the day-rounded LastUpdated
+ * from the string is used and marked imprecise.
+ */
+function toTcfChoice(source, tcString, userActionAt) {
+  const decoded = decodeTcString(tcString);
+  if (!decoded) {
+    return null;
+  }
+  return {
+    source,
+    recordedAtMs: userActionAt ?? decoded.lastUpdatedMs,
+    precise: typeof userActionAt === "number",
+    accepted: decoded.purposeConsentCount > 0
+  };
+}
+
+// Reads the choice a CMP stored in its first-party cookie; null when the
+// user has not chosen yet or the cookie is not readable from script.
+function readConsentCookieChoice(consentManager, cookies) {
+  if (consentManager.id === "onetrust") {
+    const closedAt = Date.parse(decodeCookieValue(cookies.get("OptanonAlertBoxClosed") ?? ""));
+    if (Number.isNaN(closedAt)) {
+      return null;
+    }
+    const groups = new URLSearchParams(decodeCookieValue(cookies.get("OptanonConsent") ?? "")).get("groups") ?? "";
+    return {
+      source: consentManager.name,
+      recordedAtMs: closedAt,
+      precise: true,
+      // C0001 is "strictly necessary", which cannot be declined.
+      accepted: groups
+        .split(",")
+        .some((group) => group.endsWith(":1") && !group.startsWith("C0001:"))
+    };
+  }
+  if (consentManager.id === "cookiebot") {
+    const value = decodeCookieValue(cookies.get("CookieConsent") ?? "");
+    const utc = /utc:(\d+)/.exec(value);
+    if (!utc) {
+      return null;
+    }
+    return {
+      source: consentManager.name,
+      recordedAtMs: Number(utc[1]),
+      precise: true,
+      accepted: /(preferences|statistics|marketing):true/.test(value)
+    };
+  }
+  if (consentManager.id === "didomi") {
+    try {
+      const token = JSON.parse(atob(decodeCookieValue(cookies.get("didomi_token") ?? "")));
+      const updatedAt = Date.parse(token?.updated ?? token?.created);
+      if (Number.isNaN(updatedAt)) {
+        return null;
+      }
+      const enabled = [...(token.purposes?.enabled ?? []), ...(token.vendors?.enabled ?? [])];
+      return { source: consentManager.name, recordedAtMs: updatedAt, precise: true, accepted: enabled.length > 0 };
+    } catch {
+      return null;
+    }
+  }
+  if (consentManager.id === "quantcast" && cookies.has("euconsent-v2")) {
+    return toTcfChoice(consentManager.name, decodeCookieValue(cookies.get("euconsent-v2")), null);
+  }
+  return null;
+}
+
+function isElementVisible(element) {
+  const rect = element.getBoundingClientRect();
+  const style = window.getComputedStyle(element);
+  return rect.width > 0 && rect.height > 0 && style.visibility !== "hidden" && style.display !== "none";
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function waitForValue(find, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = find();
+    if (value || Date.now() >= deadline) {
+      return value;
+    }
+    await delay(CONSENT_POLL_INTERVAL_MS);
+  }
+}
+
+function findConsentStepTarget(step) {
+  const textPattern = step.textPattern ? new RegExp(step.textPattern, "i") : null;
+  for (const selector of step.selectors) {
+    for (const element of document.querySelectorAll(selector)) {
+      if (isElementVisible(element) && (!textPattern || textPattern.test(element.textContent.trim()))) {
+        return { element, selector };
+      }
+    }
+  }
+  return null;
+}
+
+function findConsentRecipeStart(consentManager) {
+  for (const path of consentManager.rejectRecipe.paths) {
+    const target = findConsentStepTarget(path[0]);
+    if (target) {
+      return { path, target };
+    }
+  }
+  return null;
+}
+
+function isConsentBannerHidden(consentManager) {
+  return consentManager.rejectRecipe.verifyHidden.every(
+    (selector) => !Array.from(document.querySelectorAll(selector)).some(isElementVisible)
+  );
+}
+
+/**
+ * Follows one CMP's reject recipe and returns a result per step. A step that
+ * finds nothing fails and the remaining steps are skipped; a final step
+ * checks that the banner went away.
+ */
+async function runConsentRejectRecipe(consentManager, start) {
+  const toStep = (step, status, message) => ({
+    consentManager: consentManager.name,
+    step: step.description,
+    status,
+    message
+  });
+  const results = [];
+  let blocked = false;
+  for (const [index, step] of start.path.entries()) {
+    if (blocked) {
+      results.push(toStep(step, "skipped", "An earlier step failed."));
+      continue;
+    }
+    const target =
+      index === 0 ? start.target : await waitForValue(() => findConsentStepTarget(step), CONSENT_STEP_TIMEOUT_MS);
+    if (!target) {
+      blocked = true;
+      results.push(toStep(step, "failed", `Nothing visible matched ${step.selectors.join(", ")}.`));
+      continue;
+    }
+    target.element.click();
+    results.push(toStep(step, "success", `Clicked ${target.selector}.`));
+  }
+
+  const bannerClosed =
+    !blocked && (await waitForValue(() => isConsentBannerHidden(consentManager), CONSENT_STEP_TIMEOUT_MS));
+  results.push(
+    toStep(
+      { description: "Check the banner closed" },
+      blocked ? "skipped" : bannerClosed ? "success" : "failed",
+      blocked ? "The recipe did not finish." : bannerClosed ? "The banner is gone." : "The banner is still visible."
+    )
+  );
+  return results;
+}
+
+/**
+ * Waits up to `bannerWaitMs` for a supported CMP to show its reject controls,
+ * then runs the recipe of every CMP showing them. Returns the per-step results
+ * (empty when no supported banner appeared).
+ */
+async function rejectConsentBanners(bannerWaitMs) {
+  const findStarts = () => {
+    const starts = CONSENT_MANAGERS.map((consentManager) => ({
+      consentManager,
+      start: findConsentRecipeStart(consentManager)
+    })).filter((entry) => entry.start);
+    return starts.length > 0 ? starts : null;
+  };
+  const starts = (await waitForValue(findStarts, bannerWaitMs)) ?? [];
+  const steps = [];
+  for (const { consentManager, start } of starts) {
+    steps.push(...(await runConsentRejectRecipe(consentManager, start)));
+  }
+  return {
+    consentManagers: starts.map(({ consentManager }) => consentManager.name),
+    steps
+  };
+}
+
+// Result of the automatic run on this page, reported by the consent collector.
+const consentAutoReject = { enabled: false, ranAt: null, result: null };
+
+function startConsentAutoReject() {
+  chrome.storage.local
+    .get(CONSENT_AUTO_REJECT_STORAGE_KEY)
+    .then(async (stored) => {
+      const sites = stored[CONSENT_AUTO_REJECT_STORAGE_KEY];
+      if (!Array.isArray(sites) || !sites.includes(getComparableDomain(window.location.hostname))) {
+        return;
+      }
+      consentAutoReject.enabled = true;
+      consentAutoReject.result = await rejectConsentBanners(CONSENT_AUTO_RUN_BANNER_WAIT_MS);
+      consentAutoReject.ranAt = new Date().toISOString();
+    })
+    .catch(() => {
+      // automatic rejection is best effort; the manual action reports errors
+    });
+}
+
+startConsentAutoReject();
+
+/**
+ * Detects consent management platforms and reads the user's recorded choice
+ * (from CMP cookies and the TCF API) so the background can compare it with
+ * network timestamps. Only timestamps and accept/reject verdicts are kept.
+ */
+function collectConsentSignals(pageWorldReport) {
+  const consentReport = pageWorldReport?.consent ?? null;
+  const cookies = readDocumentCookies();
+  const pageGlobals = Array.isArray(consentReport?.globals) ? consentReport.globals : [];
+  const tcData = consentReport?.tcf?.tcData ?? null;
+  const gppPing = consentReport?.gpp?.ping ?? null;
+  const scriptHosts = new Set(
+    [
+      ...Array.from(document.querySelectorAll("script[src]"), (script) => script.getAttribute("src")),
+      ...getRegistryScriptUrls()
+    ]
+      .map((src) => parseUrlSafely(src, window.location.href)?.hostname)
+      .filter(Boolean)
+  );
+
+  const consentManagers = [];
+  const choices = [];
+  let bannerVisible = false;
+  for (const consentManager of CONSENT_MANAGERS) {
+    const evidence = [];
+    consentManager.globals
+      .filter((name) => pageGlobals.includes(name))
+      .forEach((name) => evidence.push(`window.${name} defined`));
+    for (const selector of consentManager.selectors) {
+      const element = document.querySelector(selector);
+      if (element) {
+        evidence.push(`banner element ${selector}`);
+        bannerVisible = bannerVisible || isElementVisible(element);
+      }
+    }
+    for (const host of scriptHosts) {
+      if (consentManager.scriptHosts.some((cmpHost) => host === cmpHost || host.endsWith(`.${cmpHost}`))) {
+        evidence.push(`script from ${host}`);
+      }
+    }
+    const tcfCmpId = tcData?.cmpId ?? gppPing?.cmpId;
+    if (consentManager.tcfCmpIds.includes(tcfCmpId)) {
+      evidence.push(`IAB CMP id ${tcfCmpId}`);
+    }
+    if (evidence.length === 0) {
+      continue;
+    }
+    consentManagers.push({ id: consentManager.id, name: consentManager.name, evidence });
+    const choice = readConsentCookieChoice(consentManager, cookies);
+    if (choice) {
+      choices.push(choice);
+    }
+  }
+
+  const tcfEvents = Array.isArray(consentReport?.tcf?.events) ? consentReport.tcf.events : [];
+  const userActionAt = tcfEvents.find((event) => event?.eventStatus === "useractioncomplete")?.at;
+  if (tcData?.tcString && ["tcloaded", "useractioncomplete"].includes(tcData.eventStatus)) {
+    const choice = toTcfChoice("IAB TCF", tcData.tcString, typeof userActionAt === "number" ? userActionAt : null);
+    if (choice) {
+      choices.push(choice);
+    }
+  }
+
+  // Precise sources win over day-rounded TC string timestamps.
+  const preciseChoices = choices.filter((choice) => choice.precise);
+  const earliestChoice = (preciseChoices.length > 0 ? preciseChoices : choices).reduce(
+    (earliest, choice) => (!earliest || choice.recordedAtMs < earliest.recordedAtMs ? choice : earliest),
+    null
+  );
+  const frameworkPresent = consentReport?.tcf?.present === true || consentReport?.gpp?.present === true;
+  let state = "no_cmp";
+  if (earliestChoice) {
+    state = choices.some((choice) => choice.accepted) ? "given" : "rejected";
+  } else if (tcData?.gdprApplies === false) {
+    state = "not_required";
+  } else if (consentManagers.length > 0 || frameworkPresent) {
+    state = "pending";
+  }
+
+  return {
+    instrumented: Boolean(consentReport),
+    pageStartedAtMs: Math.round(performance.timeOrigin),
+    consentManagers,
+    bannerVisible,
+    frameworks: {
+      tcf: {
+        present: consentReport?.tcf?.present === true,
+        gdprApplies: typeof tcData?.gdprApplies === "boolean" ? tcData.gdprApplies : null,
+        eventStatus: typeof tcData?.eventStatus === "string" ? tcData.eventStatus : null,
+        cmpId: Number(tcData?.cmpId) || null
+      },
+      gpp: {
+        present: consentReport?.gpp?.present === true,
+        signalStatus: gppPing?.signalStatus ?? null,
+        cmpDisplayStatus: gppPing?.cmpDisplayStatus ?? null,
+        applicableSections: Array.isArray(gppPing?.applicableSections) ? gppPing.applicableSections : []
+      }
+    },
+    consent: {
+      state,
+      source: earliestChoice?.source ?? null,
+      recordedAtMs: earliestChoice?.recordedAtMs ?? null,
+      precise: earliestChoice?.precise ?? false
+    },
+    autoReject: {
+      enabled: consentAutoReject.enabled,
+      ranAt: consentAutoReject.ranAt,
+      consentManagers: consentAutoReject.result?.consentManagers ?? [],
+      failedStepCount:
+        consentAutoReject.result?.steps.filter((step) => step.status === "failed").length ?? 0
+    }
+  };
+}
+
 function collectPageContext() {
   return {
     url: window.location.href,
     hostname: window.location.hostname,
-    title: document.title
+    title: document.title,
+    startedAtMs: performance.timeOrigin
   };
 }
 
-function collectPageSignals(requestId) {
+async function collectPageSignals(requestId, trackerRuleMatcher) {
   const requestedAt = new Date().toISOString();
   const startedAt = Date.now();
+  const pageWorldReport = requestPageWorldReport();
 
-  const collectors = [
+  const collectors = await Promise.all([
     runCollector("pageContext", () => collectPageContext()),
     runCollector("scriptSignals", () => collectScriptSignals()),
-    runCollector("storageSignals", () => collectStorageSignals()),
-    runCollector("trackingHeuristics", () => collectTrackingHeuristics())
-  ];
+    runAsyncCollector("storageSignals", () => collectStorageSignals()),
+    runCollector("trackingHeuristics", () => collectTrackingHeuristics(trackerRuleMatcher)),
+    runCollector("fingerprintingSignals", () => collectFingerprintingSignals(pageWorldReport)),
+    runCollector("pixelSignals", () => collectPixelSignals(pageWorldReport)),
+    runCollector("sensitiveDataSignals", () =>
+      collectSensitiveDataSignals(pageWorldReport, getRegistryScriptUrls())
+    ),
+    runCollector("consentSignals", () => collectConsentSignals(pageWorldReport)),
+    runCollector("linkDecorationSignals", () => collectLinkDecorationSignals()),
+    runCollector("embedSignals", () => collectEmbedSignals())
+  ]);
 
   const succeeded = collectors.filter((collector) => collector.status === "success").length;
   const failed = collectors.length - succeeded;
@@ -358,6 +1428,57 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     return;
   }
 
+  if (message.type === MESSAGE_TYPES.REJECT_CONSENT_BANNERS) {
+    rejectConsentBanners(CONSENT_BANNER_WAIT_MS)
+      .then((result) => {
+        sendResponse({ ok: true, source: "content", requestId: message.requestId ?? null, ...result });
+      })
+      .catch((error) => {
+        sendResponse({
+          ok: false,
+          source: "content",
+          requestId: message.requestId ?? null,
+          status: "failed",
+          code: "CONSENT_REJECTION_FAILED",
+          error: error instanceof Error ? error.message : "Consent banner rejection failed unexpectedly"
+        });
+      });
+    return true;
+  }
+
+  if (message.type === MESSAGE_TYPES.CLEAN_PAGE_LINKS) {
+    try {
+      sendResponse({ ok: true, source: "content", requestId: message.requestId ?? null, ...cleanPageLinks() });
+    } catch (error) {
+      sendResponse({
+        ok: false,
+        source: "content",
+        requestId: message.requestId ?? null,
+        status: "failed",
+        code: "LINK_CLEANING_FAILED",
+        error: error instanceof Error ? error.message : "Link cleaning failed unexpectedly"
+      });
+    }
+    return;
+  }
+
+  if (message.type === MESSAGE_TYPES.DEFER_SOCIAL_EMBEDS) {
+    try {
+      const deferredEmbedCount = deferPageEmbeds();
+      sendResponse({ ok: true, source: "content", requestId: message.requestId ?? null, deferredEmbedCount });
+    } catch (error) {
+      sendResponse({
+        ok: false,
+        source: "content",
+        requestId: message.requestId ?? null,
+        status: "failed",
+        code: "EMBED_DEFERRAL_FAILED",
+        error: error instanceof Error ? error.message : "Embed deferral failed unexpectedly"
+      });
+    }
+    return;
+  }
+
   if (message.type !== MESSAGE_TYPES.COLLECT_PAGE_SIGNALS) {
     sendResponse({
       ok: false,
@@ -370,17 +1491,18 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     return;
   }
 
-  try {
-    const result = collectPageSignals(message.requestId);
-    sendResponse(result);
-  } catch (error) {
-    sendResponse({
-      ok: false,
-      source: "content",
-      requestId: message.requestId ?? null,
-      status: "failed",
-      code: "CONTENT_COLLECTION_FAILED",
-      error: error instanceof Error ? error.message : "Content collection failed unexpectedly"
+  getTrackerRuleMatcher()
+    .then((trackerRuleMatcher) => collectPageSignals(message.requestId, trackerRuleMatcher))
+    .then(sendResponse)
+    .catch((error) => {
+      sendResponse({
+        ok: false,
+        source: "content",
+        requestId: message.requestId ?? null,
+        status: "failed",
+        code: "CONTENT_COLLECTION_FAILED",
+        error: error instanceof Error ? error.message : "Content collection failed unexpectedly"
+      });
     });
-  }
+  return true;
 });
@@ -0,0 +1,124 @@
+/**
+ * Bundled consent management platform (CMP) dataset.
+ * Each CMP lists the page globals its SDK defines (reported by page-world.js),
+ * DOM selectors for its banner, the hosts serving its SDK, its registered IAB
+ * TCF CMP ids and the first-party cookies where it records the user's choice.
+ *
+ * `rejectRecipe` drives the banner to "reject all" for `reject_consent_banners`:
+ * `paths` are alternative click sequences, and the first path whose first step
+ * finds a visible element is followed. A step clicks the first visible element
+ * matching one of its `selectors` (and `textPattern`, a case-insensitive
+ * regular expression tested against the trimmed text, when given). The banner
+ * counts as dismissed once nothing matching `verifyHidden` is visible.
+ *
+ * Loaded as a classic content script and as a module side-effect import, so
+ * it only assigns a frozen global.
+ */
+globalThis.PRIVACY_ASSISTANT_CONSENT_MANAGERS = Object.freeze([
+  {
+    id: "onetrust",
+    name: "OneTrust",
+    globals: ["OneTrust", "Optanon"],
+    selectors: ["#onetrust-banner-sdk", "#onetrust-consent-sdk"],
+    scriptHosts: ["cdn.cookielaw.org", "cookie-cdn.cookiepro.com", "optanon.blob.core.windows.net"],
+    tcfCmpIds: [28],
+    consentCookies: ["OptanonAlertBoxClosed", "OptanonConsent"],
+    rejectRecipe: {
+      paths: [
+        [{ description: "Click \"Reject All\" in the banner", selectors: ["#onetrust-reject-all-handler"] }],
+        [
+          { description: "Open the preference center", selectors: ["#onetrust-pc-btn-handler"] },
+          {
+            description: "Reject all in the preference center",
+            selectors: [".ot-pc-refuse-all-handler", "#onetrust-pc-sdk .save-preference-btn-handler"]
+          }
+        ]
+      ],
+      verifyHidden: ["#onetrust-banner-sdk", "#onetrust-pc-sdk"]
+    }
+  },
+  {
+    id: "cookiebot",
+    name: "Cookiebot",
+    globals: ["Cookiebot"],
+    selectors: ["#CybotCookiebotDialog"],
+    scriptHosts: ["consent.cookiebot.com", "consentcdn.cookiebot.com"],
+    tcfCmpIds: [134],
+    consentCookies: ["CookieConsent"],
+    rejectRecipe: {
+      paths: [
+        [
+          {
+            description: "Click \"Deny\"",
+            selectors: [
+              "#CybotCookiebotDialogBodyButtonDecline",
+              "#CybotCookiebotDialogBodyLevelButtonLevelOptinDeclineAll"
+            ]
+          }
+        ]
+      ],
+      verifyHidden: ["#CybotCookiebotDialog"]
+    }
+  },
+  {
+    id: "didomi",
+    name: "Didomi",
+    globals: ["Didomi"],
+    selectors: ["#didomi-host", "#didomi-notice"],
+    scriptHosts: ["sdk.privacy-center.org", "api.privacy-center.org"],
+    tcfCmpIds: [7],
+    consentCookies: ["didomi_token"],
+    rejectRecipe: {
+      paths: [
+        [
+          {
+            description: "Click \"Disagree\" in the notice",
+            selectors: ["#didomi-notice-disagree-button", ".didomi-continue-without-agreeing"]
+          }
+        ],
+        [
+          { description: "Open the preferences", selectors: ["#didomi-notice-learn-more-button"] },
+          {
+            description: "Disagree to all purposes",
+            selectors: [".didomi-consent-popup-actions button", "#didomi-popup button"],
+            textPattern: "^(disagree to all|reject all|refuse all)$"
+          }
+        ]
+      ],
+      verifyHidden: ["#didomi-notice", ".didomi-popup-container"]
+    }
+  },
+  {
+    id: "quantcast",
+    name: "Quantcast Choice",
+    globals: [],
+    selectors: ["#qc-cmp2-container", "#qc-cmp2-ui"],
+    scriptHosts: ["cmp.quantcast.com", "quantcast.mgr.consensu.org"],
+    tcfCmpIds: [10],
+    consentCookies: ["euconsent-v2"],
+    rejectRecipe: {
+      paths: [
+        [
+          {
+            description: "Click \"Reject\" in the banner",
+            selectors: ["#qc-cmp2-ui button"],
+            textPattern: "^(reject all|reject|i do not agree|disagree)$"
+          }
+        ],
+        [
+          {
+            description: "Open \"More options\"",
+            selectors: ["#qc-cmp2-ui button"],
+            textPattern: "^more options$"
+          },
+          {
+            description: "Reject all in the options",
+            selectors: ["#qc-cmp2-ui button"],
+            textPattern: "^(reject all|disagree to all)$"
+          }
+        ]
+      ],
+      verifyHidden: ["#qc-cmp2-ui"]
+    }
+  }
+]);
@@ -0,0 +1,138 @@
+/**
+ * Bundled link decoration dataset.
+ * `trackingParams` are query parameters that only identify the click or the
+ * campaign (exact names, lowercase), and `trackingParamPrefixes` cover
+ * families such as `utm_*`. `redirectWrappers` are click-tracking redirectors
+ * that carry the real destination in a query parameter: a link matches when
+ * its hostname matches `hostPattern` and its path matches `pathPattern` (both
+ * case-insensitive regular expressions), and the destination is read from the
+ * first of `params` holding an http(s) URL.
+ *
+ * Loaded as a classic content script and as a module side-effect import, so
+ * it only assigns a frozen global.
+ */
+globalThis.PRIVACY_ASSISTANT_LINK_DECORATION = Object.freeze({
+  trackingParams: Object.freeze([
+    "utm_source",
+    "utm_medium",
+    "utm_campaign",
+    "utm_term",
+    "utm_content",
+    "utm_id",
+    "utm_name",
+    "utm_source_platform",
+    "utm_creative_format",
+    "utm_marketing_tactic",
+    "fbclid",
+    "gclid",
+    "gclsrc",
+    "dclid",
+    "gbraid",
+    "wbraid",
+    "msclkid",
+    "yclid",
+    "ttclid",
+    "twclid",
+    "igshid",
+    "li_fat_id",
+    "epik",
+    "mc_cid",
+    "mc_eid",
+    "_hsenc",
+    "_hsmi",
+    "mkt_tok",
+    "oly_anon_id",
+    "oly_enc_id",
+    "vero_id",
+    "rb_clickid",
+    "s_cid",
+    "_openstat"
+  ]),
+  trackingParamPrefixes: Object.freeze(["utm_"]),
+  redirectWrappers: Object.freeze([
+    {
+      id: "google",
+      name: "Google",
+      hostPattern: "^(www\\.)?google\\.[a-z.]+$",
+      pathPattern: "^/url$",
+      params: ["q", "url"]
+    },
+    {
+      id: "youtube",
+      name: "YouTube",
+      hostPattern: "^(www\\.|m\\.)?youtube\\.com$",
+      pathPattern: "^/redirect$",
+      params: ["q"]
+    },
+    {
+      id: "facebook",
+      name: "Facebook",
+      hostPattern: "^(l|lm)\\.facebook\\.com$",
+      pathPattern: "^/l\\.php$",
+      params: ["u"]
+    },
+    {
+      id: "messenger",
+      name: "Messenger",
+      hostPattern: "^l\\.messenger\\.com$",
+      pathPattern: "^/l\\.php$",
+      params: ["u"]
+    },
+    {
+      id: "instagram",
+      name: "Instagram",
+      hostPattern: "^l\\.instagram\\.com$",
+      pathPattern: "^/$",
+      params: ["u"]
+    },
+    {
+      id: "threads",
+      name: "Threads",
+      hostPattern: "^l\\.threads\\.net$",
+      pathPattern: "^/$",
+      params: ["u"]
+    },
+    {
+      id: "linkedin",
+      name: "LinkedIn",
+      hostPattern: "^(www\\.)?linkedin\\.com$",
+      pathPattern: "^/redir/redirect/?$",
+      params: ["url"]
+    },
+    {
+      id: "reddit",
+      name: "Reddit",
+      hostPattern: "^out\\.reddit\\.com$",
+      pathPattern: "^/",
+      params: ["url"]
+    },
+    {
+      id: "vk",
+      name: "VK",
+      hostPattern: "^(away\\.)?vk\\.com$",
+      pathPattern: "^/away\\.php$",
+      params: ["to"]
+    },
+    {
+      id: "slack",
+      name: "Slack",
+      hostPattern: "^slack-redir\\.net$",
+      pathPattern: "^/link$",
+      params: ["url"]
+    },
+    {
+      id: "steam",
+      name: "Steam",
+      hostPattern: "^steamcommunity\\.com$",
+      pathPattern: "^/linkfilter/?$",
+      params: ["url", "u"]
+    },
+    {
+      id: "duckduckgo",
+      name: "DuckDuckGo",
+      hostPattern: "^duckduckgo\\.com$",
+      pathPattern: "^/l/?$",
+      params: ["uddg"]
+    }
+  ])
+});
@@ -0,0 +1,44 @@
+/**
+ * Bundled social and video embed dataset for click-to-load placeholders.
+ * An iframe is a known embed when its hostname matches `hostPattern` and its
+ * path matches `pathPattern` (both case-insensitive regular expressions).
+ * When `privacyHost` is set, the embed is loaded from that host instead once
+ * the user clicks, keeping the original path and query.
+ *
+ * Widget scripts (Twitter `widgets.js`, Instagram `embed.js`, the Facebook
+ * SDK) render their posts into iframes on these same hosts, so the iframe
+ * patterns cover them too.
+ *
+ * Loaded as a classic content script before content.js, so it only assigns
+ * a frozen global.
+ */
+globalThis.PRIVACY_ASSISTANT_SOCIAL_EMBEDS = Object.freeze([
+  {
+    id: "youtube",
+    name: "YouTube",
+    hostPattern: "^(www\\.)?youtube(-nocookie)?\\.com$",
+    pathPattern: "^/embed/",
+    privacyHost: "www.youtube-nocookie.com"
+  },
+  {
+    id: "facebook",
+    name: "Facebook",
+    hostPattern: "^(www\\.|web\\.|m\\.)?facebook\\.com$",
+    pathPattern: "^/(v[0-9.]+/)?plugins/",
+    privacyHost: null
+  },
+  {
+    id: "twitter",
+    name: "X (Twitter)",
+    hostPattern: "^(platform|syndication)\\.(twitter|x)\\.com$",
+    pathPattern: "^/(embed|widgets)/",
+    privacyHost: null
+  },
+  {
+    id: "instagram",
+    name: "Instagram",
+    hostPattern: "^(www\\.)?instagram\\.com$",
+    pathPattern: "^/(p|reel|tv)/[^/]+/embed",
+    privacyHost: null
+  }
+]);
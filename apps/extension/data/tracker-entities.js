@@ -0,0 +1,392 @@
+/**
+ * Bundled domain -> owning organization dataset.
+ * Each domain carries the category of the service it serves; subdomains are
+ * matched by suffix, and a more specific entry (e.g. `fonts.googleapis.com`)
+ * wins over its parent. Loaded as a classic content script and as a module
+ * side-effect import, so it only assigns a frozen global.
+ *
+ * Categories: ads, analytics, social, cdn, fonts, payments, session_replay.
+ */
+globalThis.PRIVACY_ASSISTANT_TRACKER_ENTITIES = Object.freeze([
+  {
+    name: "Google",
+    domains: {
+      "doubleclick.net": "ads",
+      "googlesyndication.com": "ads",
+      "googleadservices.com": "ads",
+      "googletagservices.com": "ads",
+      "adservice.google.com": "ads",
+      "google-analytics.com": "analytics",
+      "googletagmanager.com": "analytics",
+      "analytics.google.com": "analytics",
+      "googleapis.com": "cdn",
+      "gstatic.com": "cdn",
+      "fonts.googleapis.com": "fonts",
+      "fonts.gstatic.com": "fonts",
+      "youtube.com": "social",
+      "youtube-nocookie.com": "social",
+      "ytimg.com": "cdn",
+      "recaptcha.net": "cdn",
+      "pay.google.com": "payments"
+    }
+  },
+  {
+    name: "Meta",
+    domains: {
+      "facebook.net": "ads",
+      "facebook.com": "social",
+      "fbcdn.net": "cdn",
+      "instagram.com": "social",
+      "cdninstagram.com": "cdn",
+      "whatsapp.net": "social"
+    }
+  },
+  {
+    name: "Microsoft",
+    domains: {
+      "bing.com": "ads",
+      "bat.bing.com": "ads",
+      "clarity.ms": "session_replay",
+      "msecnd.net": "cdn",
+      "azureedge.net": "cdn",
+      "applicationinsights.azure.com": "analytics",
+      "linkedin.com": "social",
+      "licdn.com": "social",
+      "ads.linkedin.com": "ads",
+      "snap.licdn.com": "ads"
+    }
+  },
+  {
+    name: "Amazon",
+    domains: {
+      "amazon-adsystem.com": "ads",
+      "assoc-amazon.com": "ads",
+      "cloudfront.net": "cdn",
+      "media-amazon.com": "cdn"
+    }
+  },
+  {
+    name: "X (Twitter)",
+    domains: {
+      "twitter.com": "social",
+      "x.com": "social",
+      "twimg.com": "social",
+      "t.co": "ads",
+      "ads-twitter.com": "ads",
+      "analytics.twitter.com": "analytics"
+    }
+  },
+  {
+    name: "ByteDance (TikTok)",
+    domains: {
+      "tiktok.com": "social",
+      "analytics.tiktok.com": "analytics",
+      "tiktokcdn.com": "cdn",
+      "byteoversea.com": "analytics"
+    }
+  },
+  {
+    name: "Pinterest",
+    domains: {
+      "pinterest.com": "social",
+      "pinimg.com": "social",
+      "ct.pinterest.com": "ads"
+    }
+  },
+  {
+    name: "Snap",
+    domains: {
+      "snapchat.com": "social",
+      "sc-static.net": "ads"
+    }
+  },
+  {
+    name: "Reddit",
+    domains: {
+      "reddit.com": "social",
+      "redditstatic.com": "social",
+      "redditmedia.com": "social"
+    }
+  },
+  {
+    name: "Adobe",
+    domains: {
+      "omtrdc.net": "analytics",
+      "2o7.net": "analytics",
+      "demdex.net": "ads",
+      "everesttech.net": "ads",
+      "adobedtm.com": "analytics",
+      "typekit.net": "fonts",
+      "use.typekit.net": "fonts"
+    }
+  },
+  {
+    name: "Oracle",
+    domains: {
+      "bluekai.com": "ads",
+      "addthis.com": "social",
+      "moatads.com": "ads"
+    }
+  },
+  {
+    name: "Criteo",
+    domains: {
+      "criteo.com": "ads",
+      "criteo.net": "ads"
+    }
+  },
+  {
+    name: "Taboola",
+    domains: {
+      "taboola.com": "ads"
+    }
+  },
+  {
+    name: "Outbrain",
+    domains: {
+      "outbrain.com": "ads",
+      "outbrainimg.com": "ads"
+    }
+  },
+  {
+    name: "The Trade Desk",
+    domains: {
+      "adsrvr.org": "ads"
+    }
+  },
+  {
+    name: "Xandr",
+    domains: {
+      "adnxs.com": "ads"
+    }
+  },
+  {
+    name: "PubMatic",
+    domains: {
+      "pubmatic.com": "ads"
+    }
+  },
+  {
+    name: "Magnite",
+    domains: {
+      "rubiconproject.com": "ads"
+    }
+  },
+  {
+    name: "OpenX",
+    domains: {
+      "openx.net": "ads"
+    }
+  },
+  {
+    name: "Index Exchange",
+    domains: {
+      "casalemedia.com": "ads"
+    }
+  },
+  {
+    name: "Quantcast",
+    domains: {
+      "quantserve.com": "ads",
+      "quantcount.com": "analytics",
+      "quantcast.com": "ads"
+    }
+  },
+  {
+    name: "Comscore",
+    domains: {
+      "scorecardresearch.com": "analytics"
+    }
+  },
+  {
+    name: "Yandex",
+    domains: {
+      "yandex.ru": "ads",
+      "mc.yandex.ru": "analytics",
+      "yastatic.net": "cdn"
+    }
+  },
+  {
+    name: "Baidu",
+    domains: {
+      "hm.baidu.com": "analytics"
+    }
+  },
+  {
+    name: "Twilio Segment",
+    domains: {
+      "segment.com": "analytics",
+      "segment.io": "analytics"
+    }
+  },
+  {
+    name: "Mixpanel",
+    domains: {
+      "mixpanel.com": "analytics",
+      "mxpnl.com": "analytics"
+    }
+  },
+  {
+    name: "Amplitude",
+    domains: {
+      "amplitude.com": "analytics"
+    }
+  },
+  {
+    name: "Heap",
+    domains: {
+      "heapanalytics.com": "analytics"
+    }
+  },
+  {
+    name: "HubSpot",
+    domains: {
+      "hubspot.com": "analytics",
+      "hs-scripts.com": "analytics",
+      "hs-analytics.net": "analytics",
+      "hsforms.com": "analytics"
+    }
+  },
+  {
+    name: "New Relic",
+    domains: {
+      "newrelic.com": "analytics",
+      "nr-data.net": "analytics"
+    }
+  },
+  {
+    name: "Datadog",
+    domains: {
+      "datadoghq.com": "analytics",
+      "browser-intake-datadoghq.com": "analytics"
+    }
+  },
+  {
+    name: "Optimizely",
+    domains: {
+      "optimizely.com": "analytics"
+    }
+  },
+  {
+    name: "Hotjar",
+    domains: {
+      "hotjar.com": "session_replay",
+      "hotjar.io": "session_replay"
+    }
+  },
+  {
+    name: "FullStory",
+    domains: {
+      "fullstory.com": "session_replay"
+    }
+  },
+  {
+    name: "LogRocket",
+    domains: {
+      "logrocket.com": "session_replay",
+      "logrocket.io": "session_replay",
+      "lr-ingest.io": "session_replay",
+      "lr-in.com": "session_replay"
+    }
+  },
+  {
+    name: "Contentsquare",
+    domains: {
+      "contentsquare.net": "session_replay",
+      "contentsquare.com": "session_replay"
+    }
+  },
+  {
+    name: "Mouseflow",
+    domains: {
+      "mouseflow.com": "session_replay"
+    }
+  },
+  {
+    name: "Smartlook",
+    domains: {
+      "smartlook.com": "session_replay"
+    }
+  },
+  {
+    name: "Cloudflare",
+    domains: {
+      "cloudflare.com": "cdn",
+      "cdnjs.cloudflare.com": "cdn",
+      "cloudflareinsights.com": "analytics"
+    }
+  },
+  {
+    name: "jsDelivr",
+    domains: {
+      "jsdelivr.net": "cdn"
+    }
+  },
+  {
+    name: "unpkg",
+    domains: {
+      "unpkg.com": "cdn"
+    }
+  },
+  {
+    name: "Akamai",
+    domains: {
+      "akamaihd.net": "cdn",
+      "akamaized.net": "cdn",
+      "akamai.net": "cdn"
+    }
+  },
+  {
+    name: "Fastly",
+    domains: {
+      "fastly.net": "cdn",
+      "fastly.com": "cdn"
+    }
+  },
+  {
+    name: "jQuery",
+    domains: {
+      "jquery.com": "cdn"
+    }
+  },
+  {
+    name: "Font Awesome",
+    domains: {
+      "fontawesome.com": "fonts"
+    }
+  },
+  {
+    name: "Stripe",
+    domains: {
+      "stripe.com": "payments",
+      "stripe.network": "payments"
+    }
+  },
+  {
+    name: "PayPal",
+    domains: {
+      "paypal.com": "payments",
+      "paypalobjects.com": "payments",
+      "braintreegateway.com": "payments"
+    }
+  },
+  {
+    name: "Adyen",
+    domains: {
+      "adyen.com": "payments"
+    }
+  },
+  {
+    name: "Klarna",
+    domains: {
+      "klarna.com": "payments",
+      "klarnacdn.net": "payments"
+    }
+  },
+  {
+    name: "Apple",
+    domains: {
+      "apple-pay-gateway.apple.com": "payments"
+    }
+  }
+]);
@@ -0,0 +1,138 @@
+/**
+ * Shared domain helpers backed by the bundled Public Suffix List snapshot.
+ * Runs as a classic content script (after data/public-suffix-list.js) and as a
+ * module side-effect import in background/popup, so it exposes a frozen
+ * global instead of using `export`.
+ */
+(() => {
+  const suffixList = globalThis.PRIVACY_ASSISTANT_PUBLIC_SUFFIX_LIST;
+  if (!suffixList) {
+    throw new Error("data/public-suffix-list.js must be loaded before domain.js");
+  }
+
+  // Built on the first lookup: the content script runs in every frame, and
+  // most ad and widget iframes never compare a domain.
+  let ruleMaps = null;
+
+  /**
+   * Returns the exact, wildcard and exception rule maps, each from a rule's
+   * domain part to the section it came from.
+   */
+  function getRuleMaps() {
+    if (ruleMaps) {
+      return ruleMaps;
+    }
+    const exactRules = new Map();
+    const wildcardRules = new Map();
+    const exceptionRules = new Map();
+    for (const [rules, section] of [
+      [suffixList.icann, "icann"],
+      [suffixList.private, "private"]
+    ]) {
+      for (const rule of rules) {
+        if (rule.startsWith("!")) {
+          exceptionRules.set(rule.slice(1), section);
+        } else if (rule.startsWith("*.")) {
+          wildcardRules.set(rule.slice(2), section);
+        } else {
+          exactRules.set(rule, section);
+        }
+      }
+    }
+    ruleMaps = { exactRules, wildcardRules, exceptionRules };
+    return ruleMaps;
+  }
+
+  function isRuleAllowed(section, includePrivate) {
+    return section !== undefined && (includePrivate || section === "icann");
+  }
+
+  function normalizeHostname(hostname) {
+    if (typeof hostname !== "string") {
+      return "";
+    }
+    return hostname.toLowerCase().trim().replace(/\.+$/, "").replace(/^\.+/, "");
+  }
+
+  function isIpAddress(hostname) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.includes(":");
+  }
+
+  /**
+   * Returns the public suffix of `hostname` following the PSL algorithm:
+   * exception rules win, otherwise the longest matching rule, otherwise the
+   * implicit `*` rule (the last label). Set `includePrivate: false` to only
+   * apply ICANN rules (e.g. treat `github.io` as a normal registrable domain).
+   */
+  function getPublicSuffix(hostname, { includePrivate = true } = {}) {
+    const clean = normalizeHostname(hostname);
+    if (!clean || isIpAddress(clean)) {
+      return "";
+    }
+
+    const { exactRules, wildcardRules, exceptionRules } = getRuleMaps();
+    const labels = clean.split(".").filter(Boolean);
+    // Scanning from the leftmost label finds the longest candidate first.
+    for (let index = 0; index < labels.length; index++) {
+      const candidate = labels.slice(index).join(".");
+      if (isRuleAllowed(exceptionRules.get(candidate), includePrivate)) {
+        return labels.slice(index + 1).join(".");
+      }
+      if (isRuleAllowed(exactRules.get(candidate), includePrivate)) {
+        return candidate;
+      }
+      const parent = labels.slice(index + 1).join(".");
+      if (parent && isRuleAllowed(wildcardRules.get(parent), includePrivate)) {
+        return candidate;
+      }
+    }
+    return labels[labels.length - 1] ?? "";
+  }
+
+  /**
+   * Returns the registrable domain (public suffix plus one label), or an
+   * empty string when the hostname is an IP address or itself a public suffix.
+   */
+  function getRegistrableDomain(hostname, options) {
+    const clean = normalizeHostname(hostname);
+    const suffix = getPublicSuffix(clean, options);
+    if (!suffix || clean === suffix) {
+      return "";
+    }
+    const labels = clean.split(".").filter(Boolean);
+    const suffixLabelCount = suffix.split(".").length;
+    return labels.slice(-(suffixLabelCount + 1)).join(".");
+  }
+
+  /**
+   * Key used for first/third-party comparisons: the registrable domain, the
+   * address itself for IPs, or the hostname when it is a bare public suffix.
+   */
+  function getComparableDomain(hostname, options) {
+    const clean = normalizeHostname(hostname);
+    if (!clean) {
+      return "";
+    }
+    if (isIpAddress(clean)) {
+      return clean;
+    }
+    return getRegistrableDomain(clean, options) || clean;
+  }
+
+  function isThirdPartyHost(targetHost, firstPartyHost, options) {
+    const target = getComparableDomain(targetHost, options);
+    const firstParty = getComparableDomain(firstPartyHost, options);
+    if (!target || !firstParty) {
+      return false;
+    }
+    return target !== firstParty;
+  }
+
+  globalThis.PrivacyAssistantDomain = Object.freeze({
+    publicSuffixSnapshotDate: suffixList.snapshotDate,
+    getPublicSuffix,
+    getRegistrableDomain,
+    getComparableDomain,
+    isThirdPartyHost
+  });
+})();
@@ -0,0 +1,60 @@
+/**
+ * Resolves hostnames to the organization that operates them, using the
+ * bundled dataset in data/tracker-entities.js. Loaded after tracker-matcher.js
+ * as a classic script or module side-effect import, like domain.js.
+ */
+(() => {
+  const entities = globalThis.PRIVACY_ASSISTANT_TRACKER_ENTITIES;
+  const trackerMatcher = globalThis.PrivacyAssistantTrackerMatcher;
+  if (!entities || !trackerMatcher) {
+    throw new Error("data/tracker-entities.js and tracker-matcher.js must be loaded before entities.js");
+  }
+
+  // Every category used in the dataset, plus the fallback for unlisted hosts.
+  const THIRD_PARTY_CATEGORIES = Object.freeze([
+    "ads",
+    "analytics",
+    "social",
+    "session_replay",
+    "cdn",
+    "fonts",
+    "payments",
+    "unknown"
+  ]);
+
+  const entityMatcher = trackerMatcher.createDomainSuffixMatcher(
+    entities.flatMap((entity) =>
+      Object.entries(entity.domains).map(([domain, category]) => ({
+        domain,
+        data: { name: entity.name, category }
+      }))
+    )
+  );
+
+  /**
+   * Returns `{ name, category, domain }` for the organization operating
+   * `hostname` (where `domain` is the dataset entry that matched), or null.
+   */
+  function getEntityForHost(hostname) {
+    const matched = entityMatcher.match(hostname);
+    if (!matched) {
+      return null;
+    }
+    return { name: matched.data.name, category: matched.data.category, domain: matched.domain };
+  }
+
+  /**
+   * Returns the service category of `hostname`, or "unknown" when the host is
+   * not in the dataset.
+   */
+  function classifyHost(hostname) {
+    return getEntityForHost(hostname)?.category ?? "unknown";
+  }
+
+  globalThis.PrivacyAssistantEntities = Object.freeze({
+    THIRD_PARTY_CATEGORIES,
+    entityCount: entities.length,
+    getEntityForHost,
+    classifyHost
+  });
+})();
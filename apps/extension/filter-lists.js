@@ -0,0 +1,144 @@
+/**
+ * Adblock Plus filter list parser (background only).
+ * Compiles the domain-anchored subset of ABP network rules (`||domain^`,
+ * optional `$third-party` / resource-type options, `@@` exceptions) into the
+ * plain-object form stored in chrome.storage.local and read by
+ * `createTrackerRuleMatcher` in tracker-matcher.js.
+ */
+import "./tracker-matcher.js";
+
+const { FILTER_RESOURCE_TYPES } = globalThis.PrivacyAssistantTrackerMatcher;
+
+const MAX_FILTER_LIST_NAME_LENGTH = 80;
+const DOMAIN_ANCHOR_PATTERN = /^\|\|([a-z0-9][a-z0-9.-]*[a-z0-9])\^\|?$/;
+const OPTION_ALIASES = Object.freeze({
+  "3p": "third-party",
+  "1p": "~third-party",
+  "first-party": "~third-party",
+  xhr: "xmlhttprequest",
+  frame: "subdocument",
+  css: "stylesheet"
+});
+// Options that do not change which requests a rule matches.
+const IGNORED_OPTIONS = Object.freeze(["important", "match-case", "all"]);
+
+function parseRuleOptions(rawOptions) {
+  let party = "any";
+  const includedTypes = new Set();
+  const excludedTypes = new Set();
+
+  for (const rawOption of rawOptions.split(",")) {
+    const option = OPTION_ALIASES[rawOption.trim().toLowerCase()] ?? rawOption.trim().toLowerCase();
+    if (!option || IGNORED_OPTIONS.includes(option)) {
+      continue;
+    }
+    if (option === "third-party") {
+      party = "third";
+      continue;
+    }
+    if (option === "~third-party") {
+      party = "first";
+      continue;
+    }
+    const negated = option.startsWith("~");
+    const typeName = OPTION_ALIASES[option.replace(/^~/, "")] ?? option.replace(/^~/, "");
+    if (!FILTER_RESOURCE_TYPES.includes(typeName)) {
+      // `domain=`, `redirect=`, `csp=` etc. change semantics we cannot honor.
+      return null;
+    }
+    (negated ? excludedTypes : includedTypes).add(typeName);
+  }
+
+  let resourceTypes = null;
+  if (includedTypes.size > 0) {
+    resourceTypes = Array.from(includedTypes).filter((type) => !excludedTypes.has(type));
+  } else if (excludedTypes.size > 0) {
+    resourceTypes = FILTER_RESOURCE_TYPES.filter((type) => !excludedTypes.has(type));
+  }
+  if (resourceTypes && resourceTypes.length === 0) {
+    return null;
+  }
+  return { party, resourceTypes };
+}
+
+function parseNetworkRule(line) {
+  const isException = line.startsWith("@@");
+  const body = isException ? line.slice(2) : line;
+  const optionsIndex = body.lastIndexOf("$");
+  const pattern = (optionsIndex >= 0 ? body.slice(0, optionsIndex) : body).toLowerCase();
+  const domainMatch = DOMAIN_ANCHOR_PATTERN.exec(pattern);
+  if (!domainMatch) {
+    return null;
+  }
+
+  const options = optionsIndex >= 0 ? parseRuleOptions(body.slice(optionsIndex + 1)) : {
+    party: "any",
+    resourceTypes: null
+  };
+  if (!options) {
+    return null;
+  }
+  return {
+    isException,
+    rule: { domain: domainMatch[1], party: options.party, resourceTypes: options.resourceTypes }
+  };
+}
+
+/**
+ * Parses filter list text. Cosmetic filters, path or wildcard patterns,
+ * domain anchors without the `^` separator (which would also match
+ * `example.community`) and rules with unsupported options are counted in
+ * `skippedCount` rather than approximated, so imported lists never block more than they say.
+ */
+export function parseFilterList(text) {
+  const block = [];
+  const allow = [];
+  let title = null;
+  let skippedCount = 0;
+
+  for (const rawLine of String(text ?? "").split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("[")) {
+      continue;
+    }
+    if (line.startsWith("!")) {
+      const titleMatch = /^!\s*Title:\s*(.+)$/i.exec(line);
+      if (titleMatch && !title) {
+        title = titleMatch[1].trim();
+      }
+      continue;
+    }
+    if (/#[@?$%]?#/.test(line)) {
+      skippedCount += 1;
+      continue;
+    }
+
+    const parsed = parseNetworkRule(line);
+    if (!parsed) {
+      skippedCount += 1;
+      continue;
+    }
+    (parsed.isException ? allow : block).push(parsed.rule);
+  }
+
+  return { title, block, allow, skippedCount };
+}
+
+export function sanitizeFilterListName(rawName, fallbackName) {
+  const name = typeof rawName === "string" ? rawName.trim() : "";
+  const resolved = name || fallbackName || "Imported filter list";
+  return resolved.slice(0, MAX_FILTER_LIST_NAME_LENGTH);
+}
+
+/**
+ * Returns `lists` with `imported` added in the form stored under
+ * FILTER_LISTS_STORAGE_KEY. A stored list with the same name is replaced in
+ * place and keeps its id, so re-importing a list refreshes it.
+ */
+export function upsertFilterList(lists, imported) {
+  const existing = lists.find((list) => list.name === imported.name) ?? null;
+  if (!existing) {
+    return [...lists, imported];
+  }
+  return lists.map((list) => (list.id === existing.id ? { ...imported, id: existing.id } : list));
+}
@@ -0,0 +1,492 @@
+/**
+ * Frame-level collectors shared by content.js in the top frame and by the
+ * subframe collection in background.js, which injects this file (after
+ * data/public-suffix-list.js, domain.js, tracker-matcher.js,
+ * data/tracker-entities.js and entities.js) into iframes only when an
+ * analysis runs. Like domain.js it exposes a frozen global instead of using
+ * `export`, and it can be injected into the same frame more than once.
+ */
+(() => {
+  const { isThirdPartyHost } = globalThis.PrivacyAssistantDomain;
+  const { getEntityForHost } = globalThis.PrivacyAssistantEntities;
+
+  // Events shared with page-world.js, which runs in the page's MAIN world.
+  const PAGE_REPORT_REQUEST_EVENT = "privacy-assistant:request-page-report";
+  const PAGE_REPORT_EVENT = "privacy-assistant:page-report";
+  // A handful of distinct fonts is normal text styling; dozens means probing.
+  const FONT_ENUMERATION_THRESHOLD = 10;
+  const MAX_FINGERPRINTING_CALLERS = 10;
+  // Images at or below this size in both dimensions are treated as pixels.
+  const TRACKING_PIXEL_MAX_SIZE = 2;
+  const MAX_SENSITIVE_FIELD_LISTENERS = 20;
+  const MAX_RISKY_FORMS = 10;
+  const MAX_FIELDS_PER_FORM = 10;
+  // Must match KEY_EVENT_TYPES in page-world.js; anything else in a report is spoofed.
+  const KEYSTROKE_EVENT_TYPES = Object.freeze([
+    "input",
+    "beforeinput",
+    "change",
+    "keydown",
+    "keyup",
+    "keypress",
+    "paste"
+  ]);
+
+  function parseUrlSafely(rawUrl, baseUrl) {
+    try {
+      return new URL(rawUrl, baseUrl);
+    } catch {
+      return null;
+    }
+  }
+
+  function createCollectorSuccess(name, data, startedAt) {
+    return {
+      name,
+      status: "success",
+      durationMs: Date.now() - startedAt,
+      data
+    };
+  }
+
+  function createCollectorFailure(name, error, startedAt) {
+    return {
+      name,
+      status: "failed",
+      durationMs: Date.now() - startedAt,
+      error: error instanceof Error ? error.message : "Unknown collector error"
+    };
+  }
+
+  function runCollector(name, collector) {
+    const startedAt = Date.now();
+    try {
+      const data = collector();
+      return createCollectorSuccess(name, data, startedAt);
+    } catch (error) {
+      return createCollectorFailure(name, error, startedAt);
+    }
+  }
+
+  function estimateStorageBytes(storageArea) {
+    let approxChars = 0;
+    const keys = [];
+
+    for (let index = 0; index < storageArea.length; index++) {
+      const key = storageArea.key(index);
+      if (!key) {
+        continue;
+      }
+      keys.push(key);
+
+      const value = storageArea.getItem(key) ?? "";
+      approxChars += key.length + value.length;
+    }
+
+    return {
+      keys,
+      keyCount: keys.length,
+      approxBytes: approxChars * 2
+    };
+  }
+
+  /**
+   * Asks page-world.js for its report. The listener runs synchronously inside
+   * dispatchEvent, so the reply is available as soon as the call returns; null
+   * means the page-world script is not running in this document.
+   */
+  function requestPageWorldReport() {
+    let report = null;
+    const handleReport = (event) => {
+      try {
+        report = typeof event.detail === "string" ? JSON.parse(event.detail) : null;
+      } catch {
+        report = null;
+      }
+    };
+    document.addEventListener(PAGE_REPORT_EVENT, handleReport);
+    try {
+      document.dispatchEvent(new CustomEvent(PAGE_REPORT_REQUEST_EVENT));
+    } finally {
+      document.removeEventListener(PAGE_REPORT_EVENT, handleReport);
+    }
+    return report;
+  }
+
+  function getFingerprintingTechnique(api, distinctMeasuredFontCount) {
+    const technique = api.split(".")[0];
+    if (technique === "fonts" && distinctMeasuredFontCount < FONT_ENUMERATION_THRESHOLD) {
+      return null;
+    }
+    return ["canvas", "webgl", "audio", "navigator", "fonts"].includes(technique) ? technique : null;
+  }
+
+  function collectFingerprintingSignals(pageWorldReport) {
+    const fingerprinting = pageWorldReport?.fingerprinting;
+    if (!fingerprinting || !Array.isArray(fingerprinting.apiCalls)) {
+      return {
+        instrumented: false,
+        techniques: [],
+        apiCalls: [],
+        callers: [],
+        thirdPartyCallerHosts: [],
+        distinctMeasuredFontCount: 0
+      };
+    }
+
+    const distinctMeasuredFontCount = Number(fingerprinting.distinctMeasuredFontCount) || 0;
+    const techniques = new Set();
+    const apiCalls = [];
+    const callersByUrl = new Map();
+
+    for (const call of fingerprinting.apiCalls) {
+      const technique =
+        typeof call?.api === "string"
+          ? getFingerprintingTechnique(call.api, distinctMeasuredFontCount)
+          : null;
+      if (!technique) {
+        continue;
+      }
+      techniques.add(technique);
+      apiCalls.push({ api: call.api, technique, count: Number(call.count) || 0 });
+
+      for (const [scriptUrl, count] of Object.entries(call.callers ?? {})) {
+        const caller = callersByUrl.get(scriptUrl) ?? {
+          scriptUrl,
+          techniques: new Set(),
+          callCount: 0
+        };
+        caller.techniques.add(technique);
+        caller.callCount += Number(count) || 0;
+        callersByUrl.set(scriptUrl, caller);
+      }
+    }
+
+    const callers = Array.from(callersByUrl.values()).map((caller) => {
+      const parsed = caller.scriptUrl === "unknown" ? null : parseUrlSafely(caller.scriptUrl);
+      const hostname = parsed?.hostname ?? null;
+      return {
+        // Re-serialized so the popup only ever sees a parsed, percent-encoded URL.
+        scriptUrl: parsed ? `${parsed.origin}${parsed.pathname}` : "unknown",
+        hostname,
+        isThirdParty: hostname ? isThirdPartyHost(hostname, window.location.hostname) : false,
+        techniques: Array.from(caller.techniques).sort(),
+        callCount: caller.callCount
+      };
+    });
+    callers.sort(
+      (a, b) => b.techniques.length - a.techniques.length || b.callCount - a.callCount
+    );
+
+    return {
+      instrumented: true,
+      techniques: Array.from(techniques).sort(),
+      apiCalls: apiCalls.sort((a, b) => b.count - a.count),
+      callers: callers.slice(0, MAX_FINGERPRINTING_CALLERS),
+      thirdPartyCallerHosts: Array.from(
+        new Set(callers.filter((caller) => caller.isThirdParty).map((caller) => caller.hostname))
+      ),
+      distinctMeasuredFontCount
+    };
+  }
+
+  function isTinyImage(image) {
+    const declaredWidth = Number(image.getAttribute("width"));
+    const declaredHeight = Number(image.getAttribute("height"));
+    if (
+      image.hasAttribute("width") &&
+      image.hasAttribute("height") &&
+      declaredWidth <= TRACKING_PIXEL_MAX_SIZE &&
+      declaredHeight <= TRACKING_PIXEL_MAX_SIZE
+    ) {
+      return true;
+    }
+    return (
+      image.complete &&
+      image.naturalWidth > 0 &&
+      image.naturalWidth <= TRACKING_PIXEL_MAX_SIZE &&
+      image.naturalHeight <= TRACKING_PIXEL_MAX_SIZE
+    );
+  }
+
+  /**
+   * Pixel and beacon hints visible from the page: tiny third-party images,
+   * `<noscript>` pixel fallbacks (inert while JavaScript runs, but they name the
+   * vendor) and `navigator.sendBeacon` calls reported by page-world.js.
+   */
+  function collectPixelSignals(pageWorldReport) {
+    const currentHost = window.location.hostname;
+    const tinyImageHosts = new Set();
+    let tinyImageCount = 0;
+    for (const image of document.images) {
+      const parsed = parseUrlSafely(image.currentSrc || image.src, window.location.href);
+      if (!parsed?.hostname || !isTinyImage(image)) {
+        continue;
+      }
+      tinyImageCount += 1;
+      if (isThirdPartyHost(parsed.hostname, currentHost)) {
+        tinyImageHosts.add(parsed.hostname);
+      }
+    }
+
+    const noscriptPixelHosts = new Set();
+    let noscriptPixelCount = 0;
+    for (const noscript of document.querySelectorAll("noscript")) {
+      for (const match of (noscript.textContent ?? "").matchAll(/<img[^>]+src=["']([^"']+)["']/gi)) {
+        const parsed = parseUrlSafely(match[1], window.location.href);
+        if (!parsed?.hostname) {
+          continue;
+        }
+        noscriptPixelCount += 1;
+        if (isThirdPartyHost(parsed.hostname, currentHost)) {
+          noscriptPixelHosts.add(parsed.hostname);
+        }
+      }
+    }
+
+    const beacons = pageWorldReport?.beacons;
+    const beaconDestinations = Object.entries(beacons?.destinations ?? {}).map(([host, count]) => ({
+      host,
+      count: Number(count) || 0,
+      isThirdParty: host !== "unknown" && isThirdPartyHost(host, currentHost)
+    }));
+
+    return {
+      beaconInstrumented: Boolean(beacons),
+      tinyImageCount,
+      tinyThirdPartyImageHosts: Array.from(tinyImageHosts),
+      noscriptPixelCount,
+      noscriptPixelHosts: Array.from(noscriptPixelHosts),
+      beaconCallCount: Number(beacons?.callCount) || 0,
+      beaconDestinations
+    };
+  }
+
+  /**
+   * Classifies a field descriptor (`{ type, name, id, autocomplete }`) as
+   * "password", "card" or "email", or null. Only markup is inspected.
+   */
+  function getFieldSensitivity(field) {
+    const type = String(field?.type ?? "").toLowerCase();
+    const autocomplete = String(field?.autocomplete ?? "").toLowerCase();
+    const label = `${field?.name ?? ""} ${field?.id ?? ""}`.toLowerCase();
+    if (
+      type === "password" ||
+      /\b(current|new)-password\b/.test(autocomplete) ||
+      /passw(or)?d|passwd/.test(label)
+    ) {
+      return "password";
+    }
+    if (/\bcc-/.test(autocomplete) || /card.?(number|num|no)|cc.?num|cvc|cvv|csc|expir/.test(label)) {
+      return "card";
+    }
+    if (type === "email" || /\bemail\b/.test(autocomplete) || /e-?mail/.test(label)) {
+      return "email";
+    }
+    return null;
+  }
+
+  function describeFormField(element) {
+    return {
+      type: element.getAttribute("type") || element.localName,
+      name: element.getAttribute("name") || null,
+      id: element.id || null,
+      autocomplete: element.getAttribute("autocomplete") || null
+    };
+  }
+
+  // Labels come from page markup and end up in popup HTML, so only plain
+  // identifier characters are kept.
+  function toSafeLabel(value) {
+    return String(value)
+      .slice(0, 60)
+      .replace(/[^\w.:[\]-]/g, "_");
+  }
+
+  function toFieldLabel(field) {
+    return toSafeLabel(field.name || field.id || field.type || "unnamed");
+  }
+
+  function collectReplayVendors(pageWorldReport, extraScriptUrls) {
+    const vendors = new Map();
+    const addEvidence = (entity, evidence) => {
+      const vendor = vendors.get(entity.name) ?? { name: entity.name, evidence: new Set() };
+      vendor.evidence.add(evidence);
+      vendors.set(entity.name, vendor);
+    };
+
+    const scriptSources = new Set([
+      ...Array.from(document.querySelectorAll("script[src]"), (script) => script.getAttribute("src")),
+      ...extraScriptUrls
+    ]);
+    for (const src of scriptSources) {
+      const hostname = parseUrlSafely(src, window.location.href)?.hostname;
+      const entity = hostname ? getEntityForHost(hostname) : null;
+      if (entity?.category === "session_replay") {
+        addEvidence(entity, `script from ${hostname}`);
+      }
+    }
+
+    for (const replayGlobal of Array.isArray(pageWorldReport?.replayGlobals) ? pageWorldReport.replayGlobals : []) {
+      const entity = typeof replayGlobal?.domain === "string" ? getEntityForHost(replayGlobal.domain) : null;
+      if (entity && /^[\w$]+$/.test(String(replayGlobal.global))) {
+        addEvidence(entity, `window.${replayGlobal.global} defined`);
+      }
+    }
+
+    return Array.from(vendors.values()).map((vendor) => ({
+      name: vendor.name,
+      evidence: Array.from(vendor.evidence).sort()
+    }));
+  }
+
+  /**
+   * Keystroke listeners that third-party scripts attached to sensitive fields,
+   * or to the whole document or a form containing them, merged per script and
+   * target. Recorded by page-world.js when the listener was added.
+   */
+  function collectSensitiveFieldListeners(pageWorldReport, pageHasSensitiveFields) {
+    const currentHost = window.location.hostname;
+    const listeners = new Map();
+
+    for (const listener of Array.isArray(pageWorldReport?.inputListeners) ? pageWorldReport.inputListeners : []) {
+      const parsed = listener?.caller === "unknown" ? null : parseUrlSafely(listener?.caller);
+      if (
+        !parsed?.hostname ||
+        !isThirdPartyHost(parsed.hostname, currentHost) ||
+        !KEYSTROKE_EVENT_TYPES.includes(listener.eventType)
+      ) {
+        continue;
+      }
+      const isFieldTarget = listener.target === "field";
+      const sensitivity = isFieldTarget ? getFieldSensitivity(listener.field) : null;
+      if (isFieldTarget ? !sensitivity : !pageHasSensitiveFields) {
+        continue;
+      }
+
+      const scriptUrl = `${parsed.origin}${parsed.pathname}`;
+      const fieldLabel = isFieldTarget ? toFieldLabel(listener.field) : null;
+      const key = [scriptUrl, listener.target, fieldLabel].join("|");
+      const entry = listeners.get(key) ?? {
+        scriptUrl,
+        hostname: parsed.hostname,
+        target: isFieldTarget ? "field" : listener.target === "form" ? "form" : "document",
+        fieldLabel,
+        sensitivity,
+        eventTypes: new Set()
+      };
+      entry.eventTypes.add(listener.eventType);
+      listeners.set(key, entry);
+    }
+
+    return Array.from(listeners.values())
+      .map((entry) => ({ ...entry, eventTypes: Array.from(entry.eventTypes).sort() }))
+      .slice(0, MAX_SENSITIVE_FIELD_LISTENERS);
+  }
+
+  /**
+   * Forms whose submission leaves the site or travels over plain HTTP, with the
+   * sensitive fields they would send. Field values are never read.
+   */
+  function collectRiskyForms() {
+    const currentHost = window.location.hostname;
+    const riskyForms = [];
+
+    for (const form of document.forms) {
+      const action = parseUrlSafely(form.getAttribute("action") || window.location.href, window.location.href);
+      if (!action?.hostname) {
+        continue;
+      }
+      const isThirdParty = isThirdPartyHost(action.hostname, currentHost);
+      const isInsecure = action.protocol === "http:";
+      if (!isThirdParty && !isInsecure) {
+        continue;
+      }
+
+      const sensitiveFields = [];
+      for (const element of form.querySelectorAll("input, textarea, select")) {
+        const field = describeFormField(element);
+        const sensitivity = getFieldSensitivity(field);
+        if (sensitivity) {
+          sensitiveFields.push({ label: toFieldLabel(field), sensitivity });
+        }
+      }
+
+      riskyForms.push({
+        actionOrigin: action.origin,
+        method: String(form.getAttribute("method") || "get").toLowerCase() === "post" ? "post" : "get",
+        isThirdParty,
+        isInsecure,
+        sensitiveFields: sensitiveFields.slice(0, MAX_FIELDS_PER_FORM),
+        sensitiveFieldCount: sensitiveFields.length
+      });
+    }
+
+    riskyForms.sort((a, b) => b.sensitiveFieldCount - a.sensitiveFieldCount);
+    return riskyForms.slice(0, MAX_RISKY_FORMS);
+  }
+
+  /**
+   * `extraScriptUrls` are scripts no longer in the DOM that should still count
+   * as replay evidence, such as the ones content.js keeps in its registry.
+   */
+  function collectSensitiveDataSignals(pageWorldReport, extraScriptUrls = []) {
+    const pageHasSensitiveFields = Array.from(
+      document.querySelectorAll("input, textarea, select")
+    ).some((element) => getFieldSensitivity(describeFormField(element)) !== null);
+
+    return {
+      listenersInstrumented: Array.isArray(pageWorldReport?.inputListeners),
+      pageHasSensitiveFields,
+      replayVendors: collectReplayVendors(pageWorldReport, extraScriptUrls),
+      sensitiveFieldListeners: collectSensitiveFieldListeners(pageWorldReport, pageHasSensitiveFields),
+      riskyForms: collectRiskyForms()
+    };
+  }
+
+  function collectScriptDomains() {
+    const scriptDomains = new Set();
+    for (const script of document.querySelectorAll("script[src]")) {
+      const hostname = parseUrlSafely(script.getAttribute("src"), window.location.href)?.hostname;
+      if (hostname) {
+        scriptDomains.add(hostname);
+      }
+    }
+    return Array.from(scriptDomains);
+  }
+
+  /**
+   * Collects one subframe's signals in the shape buildFrameBreakdown in
+   * background.js reads. Script hosts are reported unjudged: the background
+   * checks them against the top frame and its tracker rules.
+   */
+  function collectFrameSignals() {
+    const pageWorldReport = requestPageWorldReport();
+    const collectors = [
+      runCollector("scriptSignals", () => ({ scriptDomains: collectScriptDomains() })),
+      runCollector("storageSignals", () => ({
+        localStorage: estimateStorageBytes(window.localStorage),
+        sessionStorage: estimateStorageBytes(window.sessionStorage)
+      })),
+      runCollector("fingerprintingSignals", () => collectFingerprintingSignals(pageWorldReport)),
+      runCollector("pixelSignals", () => collectPixelSignals(pageWorldReport)),
+      runCollector("sensitiveDataSignals", () => collectSensitiveDataSignals(pageWorldReport))
+    ];
+    const failed = collectors.filter((collector) => collector.status !== "success").length;
+    return { status: failed === 0 ? "success" : "partial", collectors };
+  }
+
+  globalThis.PrivacyAssistantFrameSignals = Object.freeze({
+    parseUrlSafely,
+    createCollectorSuccess,
+    createCollectorFailure,
+    runCollector,
+    estimateStorageBytes,
+    requestPageWorldReport,
+    collectFingerprintingSignals,
+    collectPixelSignals,
+    toSafeLabel,
+    collectSensitiveDataSignals,
+    collectFrameSignals
+  });
+})();
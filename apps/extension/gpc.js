@@ -0,0 +1,21 @@
+/**
+ * Global Privacy Control page script.
+ * Not listed in manifest.json: background.js registers it with
+ * `chrome.scripting` in the MAIN world at document_start, only on the sites
+ * where `send_gpc_signal` is on, so `navigator.globalPrivacyControl` reads
+ * true there alongside the `Sec-GPC: 1` request header.
+ */
+(() => {
+  if (navigator.globalPrivacyControl === true) {
+    return;
+  }
+  try {
+    Object.defineProperty(Navigator.prototype, "globalPrivacyControl", {
+      get: () => true,
+      configurable: true,
+      enumerable: true
+    });
+  } catch {
+    // a page that froze Navigator.prototype first keeps its own value
+  }
+})();
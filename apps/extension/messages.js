@@ -2,24 +2,40 @@
  * Runtime message contracts for extension contexts.
  * Shared by popup/background (module scripts) to keep message handling consistent.
  */
+import "./data/public-suffix-list.js";
+import "./domain.js";
+import "./tracker-matcher.js";
+import "./data/tracker-entities.js";
+import "./entities.js";
+import "./data/consent-managers.js";
+import "./data/link-decoration.js";
+import "./data/social-embeds.js";
+
 export const MESSAGE_TYPES = Object.freeze({
   PING: "PING",
   RUN_ANALYSIS: "RUN_ANALYSIS",
   PING_CONTENT: "PING_CONTENT",
   COLLECT_PAGE_SIGNALS: "COLLECT_PAGE_SIGNALS",
-  EXECUTE_IMPROVE_PRIVACY_ACTIONS: "EXECUTE_IMPROVE_PRIVACY_ACTIONS"
+  REJECT_CONSENT_BANNERS: "REJECT_CONSENT_BANNERS",
+  CLEAN_PAGE_LINKS: "CLEAN_PAGE_LINKS",
+  DEFER_SOCIAL_EMBEDS: "DEFER_SOCIAL_EMBEDS",
+  ALLOW_SOCIAL_EMBED: "ALLOW_SOCIAL_EMBED",
+  EXECUTE_IMPROVE_PRIVACY_ACTIONS: "EXECUTE_IMPROVE_PRIVACY_ACTIONS",
+  LIST_TRACKER_BLOCKING_RULES: "LIST_TRACKER_BLOCKING_RULES",
+  REMOVE_TRACKER_BLOCKING_RULES: "REMOVE_TRACKER_BLOCKING_RULES",
+  LIST_FILTER_LISTS: "LIST_FILTER_LISTS",
+  IMPORT_FILTER_LIST: "IMPORT_FILTER_LIST",
+  REMOVE_FILTER_LIST: "REMOVE_FILTER_LIST"
 });
 
-export const KNOWN_TRACKER_DOMAIN_PATTERNS = Object.freeze([
-  "google-analytics.com",
-  "doubleclick.net",
-  "googletagmanager.com",
-  "facebook.net",
-  "connect.facebook.net",
-  "hotjar.com",
-  "segment.com",
-  "mixpanel.com"
-]);
+export const {
+  KNOWN_TRACKER_DOMAIN_PATTERNS,
+  FILTER_LISTS_STORAGE_KEY,
+  createDomainSuffixMatcher,
+  createTrackerRuleMatcher,
+  toFilterResourceType,
+  knownTrackerMatcher
+} = globalThis.PrivacyAssistantTrackerMatcher;
 
 export const SUSPICIOUS_ENDPOINT_PATTERNS = Object.freeze([
   "collect",
@@ -29,97 +45,30 @@ export const SUSPICIOUS_ENDPOINT_PATTERNS = Object.freeze([
   "events"
 ]);
 
-const COMMON_MULTI_PART_PUBLIC_SUFFIXES = new Set([
-  "co.uk",
-  "org.uk",
-  "gov.uk",
-  "ac.uk",
-  "net.uk",
-  "sch.uk",
-  "com.au",
-  "net.au",
-  "org.au",
-  "edu.au",
-  "gov.au",
-  "asn.au",
-  "id.au",
-  "co.nz",
-  "org.nz",
-  "govt.nz",
-  "ac.nz",
-  "co.jp",
-  "ne.jp",
-  "or.jp",
-  "go.jp",
-  "ac.jp",
-  "com.br",
-  "net.br",
-  "org.br",
-  "gov.br",
-  "com.mx",
-  "org.mx",
-  "gob.mx",
-  "co.kr",
-  "or.kr",
-  "go.kr",
-  "ac.kr",
-  "co.in",
-  "firm.in",
-  "net.in",
-  "org.in",
-  "gen.in",
-  "ind.in",
-  "gov.in",
-  "edu.in",
-  "res.in",
-  "com.sg",
-  "net.sg",
-  "org.sg",
-  "gov.sg",
-  "edu.sg",
-  "com.tr",
-  "net.tr",
-  "org.tr",
-  "gov.tr",
-  "edu.tr"
+export const TRACKING_QUERY_PARAM_PATTERNS = Object.freeze([
+  "utm_",
+  "fbclid",
+  "gclid",
+  "msclkid",
+  "yclid",
+  "ttclid",
+  "twclid",
+  "igshid",
+  "wbraid",
+  "gbraid"
 ]);
 
-export function getComparableDomain(hostname) {
-  if (typeof hostname !== "string") {
-    return "";
-  }
-
-  const clean = hostname.toLowerCase().trim().replace(/\.+$/, "").replace(/^\.+/, "");
-  if (!clean) {
-    return "";
-  }
-
-  const isIpv4 = /^\d{1,3}(\.\d{1,3}){3}$/.test(clean);
-  if (isIpv4 || clean.includes(":")) {
-    return clean;
-  }
+export const { getComparableDomain, getRegistrableDomain, isThirdPartyHost } =
+  globalThis.PrivacyAssistantDomain;
 
-  const segments = clean.split(".").filter(Boolean);
-  if (segments.length <= 2) {
-    return clean;
-  }
+export const { THIRD_PARTY_CATEGORIES, getEntityForHost, classifyHost } =
+  globalThis.PrivacyAssistantEntities;
 
-  const twoPartSuffix = segments.slice(-2).join(".");
-  if (COMMON_MULTI_PART_PUBLIC_SUFFIXES.has(twoPartSuffix) && segments.length >= 3) {
-    return segments.slice(-3).join(".");
-  }
+export const CONSENT_MANAGERS = globalThis.PRIVACY_ASSISTANT_CONSENT_MANAGERS;
 
-  return twoPartSuffix;
-}
+export const LINK_DECORATION = globalThis.PRIVACY_ASSISTANT_LINK_DECORATION;
 
-export function isThirdPartyHost(targetHost, firstPartyHost) {
-  const target = getComparableDomain(targetHost);
-  const firstParty = getComparableDomain(firstPartyHost);
-  if (!target || !firstParty) {
-    return false;
-  }
-  return target !== firstParty;
-}
+export const SOCIAL_EMBEDS = globalThis.PRIVACY_ASSISTANT_SOCIAL_EMBEDS;
 
 function isObject(value) {
   return typeof value === "object" && value !== null;
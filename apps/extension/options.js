@@ -0,0 +1,180 @@
+import { MESSAGE_TYPES, createRequestId } from "./messages.js";
+
+const root = document.getElementById("app");
+
+const state = {
+  lists: [],
+  loading: true,
+  isProcessing: false,
+  errorMessage: null,
+  statusMessage: null
+};
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatImportDate(isoString) {
+  if (typeof isoString !== "string") {
+    return "unknown";
+  }
+  const parsed = new Date(isoString);
+  return Number.isNaN(parsed.getTime()) ? "unknown" : parsed.toLocaleString();
+}
+
+function sendMessage(request) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(request, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+function renderFilterLists() {
+  if (state.loading) {
+    return "<p class=\"muted-text\">Loading filter lists...</p>";
+  }
+  if (state.lists.length === 0) {
+    return "<p class=\"muted-text\">No filter lists imported. The built-in tracker list is used.</p>";
+  }
+  return `<ul class="rule-list">${state.lists
+    .map(
+      (list) => `
+      <li class="rule-item">
+        <div>
+          <p class="risk-title">${escapeHtml(list.name)}</p>
+          <p class="list-meta">
+            ${list.blockRuleCount} block rule(s), ${list.exceptionRuleCount} exception(s),
+            ${list.skippedRuleCount} unsupported line(s) skipped
+          </p>
+          <p class="list-meta">Last imported: ${escapeHtml(formatImportDate(list.importedAt))}</p>
+        </div>
+        <button class="inline-button" type="button" data-remove-list-id="${escapeHtml(list.id)}" ${state.isProcessing ? "disabled" : ""}>Remove</button>
+      </li>
+    `
+    )
+    .join("")}</ul>`;
+}
+
+function render() {
+  if (!root) {
+    return;
+  }
+
+  root.innerHTML = `
+    <main class="app-shell">
+      <section class="panel panel-hero">
+        <h1>Privacy Assistant Options</h1>
+      </section>
+
+      <section class="panel">
+        <h2>Tracker Filter Lists</h2>
+        <p class="item-description">
+          Import Adblock Plus style lists such as EasyPrivacy from a local file. Domain rules
+          (<code>||example.com^</code>) with <code>$third-party</code>, resource-type options and
+          <code>@@</code> exceptions are used for tracker detection; other rules are skipped.
+        </p>
+        ${renderFilterLists()}
+      </section>
+
+      <section class="panel">
+        <h2>Import List</h2>
+        <form id="import-form">
+          <label class="form-row">
+            <span>Filter list file</span>
+            <input type="file" id="filter-list-file" accept=".txt,text/plain" required />
+          </label>
+          <label class="form-row">
+            <span>Name (optional, defaults to the list title)</span>
+            <input type="text" id="filter-list-name" maxlength="80" />
+          </label>
+          <button class="primary-button" type="submit" ${state.isProcessing ? "disabled" : ""}>
+            ${state.isProcessing ? "Importing..." : "Import"}
+          </button>
+        </form>
+        ${state.statusMessage ? `<p class="status-text status-success" role="status">${escapeHtml(state.statusMessage)}</p>` : ""}
+        ${state.errorMessage ? `<p class="error-text" role="alert">${escapeHtml(state.errorMessage)}</p>` : ""}
+      </section>
+    </main>
+  `;
+
+  root.querySelector("#import-form")?.addEventListener("submit", (event) => {
+    event.preventDefault();
+    void importSelectedFile();
+  });
+
+  const removeButtons = Array.from(root.querySelectorAll("button[data-remove-list-id]"));
+  for (const button of removeButtons) {
+    button.addEventListener("click", () => {
+      void runFilterListRequest({
+        type: MESSAGE_TYPES.REMOVE_FILTER_LIST,
+        listId: button.getAttribute("data-remove-list-id")
+      });
+    });
+  }
+}
+
+async function runFilterListRequest(request) {
+  state.isProcessing = true;
+  state.errorMessage = null;
+  state.statusMessage = null;
+  render();
+
+  try {
+    const response = await sendMessage({ ...request, requestId: createRequestId("options_filter_lists") });
+    if (!response || response.ok !== true) {
+      throw new Error(response?.error ?? "Filter list request failed.");
+    }
+    state.lists = Array.isArray(response.payload?.lists) ? response.payload.lists : [];
+    const imported = response.payload?.imported;
+    if (imported) {
+      state.statusMessage = `Imported "${imported.name}" with ${imported.blockRuleCount} block rule(s).`;
+    } else if (response.payload?.removedCount > 0) {
+      state.statusMessage = "Filter list removed.";
+    }
+  } catch (error) {
+    state.errorMessage = error instanceof Error ? error.message : "Filter list request failed.";
+  } finally {
+    state.loading = false;
+    state.isProcessing = false;
+    render();
+  }
+}
+
+async function importSelectedFile() {
+  const fileInput = root?.querySelector("#filter-list-file");
+  const nameInput = root?.querySelector("#filter-list-name");
+  const file = fileInput?.files?.[0];
+  if (!file) {
+    state.errorMessage = "Choose a filter list file first.";
+    render();
+    return;
+  }
+
+  let text;
+  try {
+    text = await file.text();
+  } catch {
+    state.errorMessage = "Could not read the selected file.";
+    render();
+    return;
+  }
+
+  await runFilterListRequest({
+    type: MESSAGE_TYPES.IMPORT_FILTER_LIST,
+    name: nameInput?.value ?? "",
+    fileName: file.name,
+    text
+  });
+}
+
+render();
+void runFilterListRequest({ type: MESSAGE_TYPES.LIST_FILTER_LISTS });
@@ -0,0 +1,388 @@
+/**
+ * Page-world instrumentation.
+ * Runs in the page's MAIN world at document_start (see manifest.json) so it
+ * can observe calls page scripts make to fingerprinting-prone APIs,
+ * `navigator.sendBeacon` and keystroke listeners, and see session-replay and
+ * consent-manager globals and the IAB TCF/GPP consent APIs. It has no access
+ * to extension APIs: content.js asks for a report by dispatching
+ * REPORT_REQUEST_EVENT on `document`, and this script answers synchronously
+ * with REPORT_EVENT carrying a JSON string (objects do not cross worlds).
+ * Pages can see and spoof these events, so reports are treated as hints.
+ *
+ * The manifest runs it in every frame because the API wrappers have to be in
+ * place before a frame's own scripts run: fingerprinting and keystroke
+ * listeners often live in third-party iframes (ad, widget and payment
+ * frames), and frame-signals.js reads those frames' reports on demand. The
+ * consent APIs are only polled and reported in the top frame, where the
+ * page's CMP runs.
+ */
+(() => {
+  const REPORT_REQUEST_EVENT = "privacy-assistant:request-page-report";
+  const REPORT_EVENT = "privacy-assistant:page-report";
+  // Stack capture is the expensive part; later calls are only counted.
+  const MAX_ATTRIBUTED_CALLS_PER_API = 50;
+  const MAX_TRACKED_FONTS = 200;
+  // getParameter() values that identify the GPU and driver.
+  const IDENTIFYING_WEBGL_PARAMETERS = new Set([
+    0x1f00, // VENDOR
+    0x1f01, // RENDERER
+    0x1f02, // VERSION
+    0x8b8c, // SHADING_LANGUAGE_VERSION
+    0x9245, // UNMASKED_VENDOR_WEBGL
+    0x9246 // UNMASKED_RENDERER_WEBGL
+  ]);
+
+  const startedAt = new Date().toISOString();
+  const apiCalls = new Map();
+  const measuredFonts = new Set();
+  const beacons = { callCount: 0, destinations: {}, callers: {} };
+  const KEY_EVENT_TYPES = new Set(["input", "beforeinput", "change", "keydown", "keyup", "keypress", "paste"]);
+  const MAX_RECORDED_INPUT_LISTENERS = 200;
+  const MAX_FIELD_ATTRIBUTE_LENGTH = 60;
+  // Page globals defined by session-replay SDKs, mapped to the vendor domain
+  // content.js looks up in data/tracker-entities.js.
+  const REPLAY_VENDOR_GLOBALS = Object.freeze({
+    hj: "hotjar.com",
+    FS: "fullstory.com",
+    clarity: "clarity.ms",
+    LogRocket: "logrocket.com",
+    _lr_loaded: "logrocket.com",
+    mouseflow: "mouseflow.com",
+    smartlook: "smartlook.com",
+    _uxa: "contentsquare.net"
+  });
+  const inputListeners = [];
+  const inputListenerKeys = new Set();
+  // Globals listed under `globals` in data/consent-managers.js.
+  const CONSENT_MANAGER_GLOBALS = Object.freeze(["OneTrust", "Optanon", "Cookiebot", "Didomi"]);
+  const TCF_LISTENER_ATTEMPT_INTERVAL_MS = 1000;
+  const MAX_TCF_LISTENER_ATTEMPTS = 30;
+  const MAX_TCF_EVENTS = 20;
+  // TCF consent events as they happened, timestamped with Date.now().
+  const tcf = { listening: false, events: [], tcData: null };
+  const isTopFrame = window === window.top;
+
+  function getCallerScriptUrl() {
+    const stack = new Error().stack ?? "";
+    // Frames from this file have a chrome-extension:// URL and are skipped.
+    for (const line of stack.split("\n").slice(1)) {
+      const match = /(https?:\/\/[^\s()]+?)(?::\d+){1,2}\)?\s*$/.exec(line);
+      if (match) {
+        return match[1].split(/[?#]/)[0];
+      }
+    }
+    return null;
+  }
+
+  function recordCall(api) {
+    const entry = apiCalls.get(api) ?? { count: 0, callers: {} };
+    entry.count += 1;
+    if (entry.count <= MAX_ATTRIBUTED_CALLS_PER_API) {
+      const caller = getCallerScriptUrl() ?? "unknown";
+      entry.callers[caller] = (entry.callers[caller] ?? 0) + 1;
+    }
+    apiCalls.set(api, entry);
+  }
+
+  function wrapMethod(target, methodName, api, shouldRecord) {
+    const descriptor = target ? Object.getOwnPropertyDescriptor(target, methodName) : null;
+    if (!descriptor || typeof descriptor.value !== "function") {
+      return;
+    }
+    const original = descriptor.value;
+    const wrapped = function (...args) {
+      try {
+        if (!shouldRecord || shouldRecord.call(this, args)) {
+          recordCall(api);
+        }
+      } catch {
+        // instrumentation must never break the page
+      }
+      return original.apply(this, args);
+    };
+    Object.defineProperty(target, methodName, { ...descriptor, value: wrapped });
+  }
+
+  function wrapGetter(target, propertyName, api) {
+    const descriptor = target ? Object.getOwnPropertyDescriptor(target, propertyName) : null;
+    if (!descriptor || typeof descriptor.get !== "function") {
+      return;
+    }
+    const originalGet = descriptor.get;
+    Object.defineProperty(target, propertyName, {
+      ...descriptor,
+      get() {
+        try {
+          recordCall(api);
+        } catch {
+          // instrumentation must never break the page
+        }
+        return originalGet.call(this);
+      }
+    });
+  }
+
+  function wrapConstructor(name, api) {
+    const Original = window[name];
+    if (typeof Original !== "function") {
+      return;
+    }
+    window[name] = new Proxy(Original, {
+      construct(target, args, newTarget) {
+        recordCall(api);
+        return Reflect.construct(target, args, newTarget);
+      }
+    });
+  }
+
+  function isIdentifyingWebGlParameter(args) {
+    return IDENTIFYING_WEBGL_PARAMETERS.has(args[0]);
+  }
+
+  function isDebugRendererExtension(args) {
+    return args[0] === "WEBGL_debug_renderer_info";
+  }
+
+  // Only calls that measure a font not seen before are recorded, so normal
+  // text layout (one font, many strings) stays quiet.
+  function isNewMeasuredFont() {
+    const font = String(this.font);
+    if (measuredFonts.has(font) || measuredFonts.size >= MAX_TRACKED_FONTS) {
+      return false;
+    }
+    measuredFonts.add(font);
+    return true;
+  }
+
+  wrapMethod(window.HTMLCanvasElement?.prototype, "toDataURL", "canvas.toDataURL");
+  wrapMethod(window.HTMLCanvasElement?.prototype, "toBlob", "canvas.toBlob");
+  wrapMethod(
+    window.CanvasRenderingContext2D?.prototype,
+    "getImageData",
+    "canvas.getImageData"
+  );
+  wrapMethod(
+    window.CanvasRenderingContext2D?.prototype,
+    "measureText",
+    "fonts.measureText",
+    isNewMeasuredFont
+  );
+  wrapMethod(window.FontFaceSet?.prototype, "check", "fonts.check");
+  for (const contextName of ["WebGLRenderingContext", "WebGL2RenderingContext"]) {
+    wrapMethod(
+      window[contextName]?.prototype,
+      "getParameter",
+      "webgl.getParameter",
+      isIdentifyingWebGlParameter
+    );
+    wrapMethod(
+      window[contextName]?.prototype,
+      "getExtension",
+      "webgl.debugRendererInfo",
+      isDebugRendererExtension
+    );
+  }
+  wrapConstructor("OfflineAudioContext", "audio.OfflineAudioContext");
+  wrapConstructor("webkitOfflineAudioContext", "audio.OfflineAudioContext");
+  for (const propertyName of ["plugins", "mimeTypes", "hardwareConcurrency", "deviceMemory"]) {
+    wrapGetter(window.Navigator?.prototype, propertyName, `navigator.${propertyName}`);
+  }
+
+  // Beacons are reported by destination host only; payloads are never read.
+  // Returning false keeps sendBeacon out of the fingerprinting `apiCalls`.
+  function recordBeacon(args) {
+    let destinationHost = "unknown";
+    try {
+      destinationHost = new URL(String(args[0]), window.location.href).hostname;
+    } catch {
+      // keep "unknown" for malformed URLs
+    }
+    beacons.callCount += 1;
+    beacons.destinations[destinationHost] = (beacons.destinations[destinationHost] ?? 0) + 1;
+    if (beacons.callCount <= MAX_ATTRIBUTED_CALLS_PER_API) {
+      const caller = getCallerScriptUrl() ?? "unknown";
+      beacons.callers[caller] = (beacons.callers[caller] ?? 0) + 1;
+    }
+    return false;
+  }
+
+  wrapMethod(window.Navigator?.prototype, "sendBeacon", "beacon.sendBeacon", recordBeacon);
+
+  function truncateAttribute(value) {
+    return typeof value === "string" && value ? value.slice(0, MAX_FIELD_ATTRIBUTE_LENGTH) : null;
+  }
+
+  // Describes a form field by its markup only; values are never read.
+  function describeField(element) {
+    return {
+      tag: element.localName,
+      type: truncateAttribute(element.getAttribute("type")),
+      name: truncateAttribute(element.getAttribute("name")),
+      id: truncateAttribute(element.id),
+      autocomplete: truncateAttribute(element.getAttribute("autocomplete"))
+    };
+  }
+
+  function describeListenerTarget(target) {
+    if (target === window || target === document || target === document.body) {
+      return { target: "document", field: null };
+    }
+    if (
+      target instanceof HTMLInputElement ||
+      target instanceof HTMLTextAreaElement ||
+      target instanceof HTMLSelectElement
+    ) {
+      return { target: "field", field: describeField(target) };
+    }
+    if (target instanceof HTMLFormElement) {
+      return { target: "form", field: null };
+    }
+    return null;
+  }
+
+  // Records who listens to typing, on which field; like recordBeacon it keeps
+  // addEventListener itself out of `apiCalls`.
+  function recordInputListener(args) {
+    if (!KEY_EVENT_TYPES.has(args[0]) || inputListeners.length >= MAX_RECORDED_INPUT_LISTENERS) {
+      return false;
+    }
+    const described = describeListenerTarget(this);
+    if (!described) {
+      return false;
+    }
+    const caller = getCallerScriptUrl() ?? "unknown";
+    const key = [caller, args[0], described.target, JSON.stringify(described.field)].join("|");
+    if (!inputListenerKeys.has(key)) {
+      inputListenerKeys.add(key);
+      inputListeners.push({ caller, eventType: args[0], ...described });
+    }
+    return false;
+  }
+
+  wrapMethod(
+    window.EventTarget?.prototype,
+    "addEventListener",
+    "events.addEventListener",
+    recordInputListener
+  );
+
+  function detectReplayGlobals() {
+    return Object.keys(REPLAY_VENDOR_GLOBALS)
+      .filter((name) => Object.hasOwn(window, name) && window[name] !== undefined)
+      .map((name) => ({ global: name, domain: REPLAY_VENDOR_GLOBALS[name] }));
+  }
+
+  function handleTcfEvent(tcData, success) {
+    if (!success || !tcData || typeof tcData !== "object") {
+      return;
+    }
+    if (tcf.events.length < MAX_TCF_EVENTS) {
+      tcf.events.push({ eventStatus: String(tcData.eventStatus), at: Date.now() });
+    }
+    tcf.tcData = {
+      gdprApplies: typeof tcData.gdprApplies === "boolean" ? tcData.gdprApplies : null,
+      eventStatus: String(tcData.eventStatus),
+      cmpId: Number(tcData.cmpId) || null,
+      // Decoded by content.js for its timestamps and purpose bits, then dropped.
+      tcString: typeof tcData.tcString === "string" ? tcData.tcString : null
+    };
+  }
+
+  // CMPs define __tcfapi after this script runs, so registration is retried
+  // for a while rather than done once.
+  function listenToTcfApi() {
+    if (tcf.listening || typeof window.__tcfapi !== "function") {
+      return tcf.listening;
+    }
+    try {
+      window.__tcfapi("addEventListener", 2, handleTcfEvent);
+      tcf.listening = true;
+    } catch {
+      // a broken CMP stub is reported as not listening
+    }
+    return tcf.listening;
+  }
+
+  if (isTopFrame) {
+    let tcfListenerAttempts = 0;
+    const tcfListenerTimer = setInterval(() => {
+      tcfListenerAttempts += 1;
+      if (listenToTcfApi() || tcfListenerAttempts >= MAX_TCF_LISTENER_ATTEMPTS) {
+        clearInterval(tcfListenerTimer);
+      }
+    }, TCF_LISTENER_ATTEMPT_INTERVAL_MS);
+  }
+
+  // GPP 1.1 returns ping data directly; 1.0 passes it to the callback, which
+  // CMPs call synchronously once loaded.
+  function readGppPing() {
+    if (typeof window.__gpp !== "function") {
+      return { present: false, ping: null };
+    }
+    let pingData = null;
+    try {
+      const returned = window.__gpp("ping", (data) => {
+        pingData = data;
+      });
+      pingData = pingData ?? returned;
+    } catch {
+      return { present: true, ping: null };
+    }
+    if (!pingData || typeof pingData !== "object") {
+      return { present: true, ping: null };
+    }
+    return {
+      present: true,
+      ping: {
+        cmpId: Number(pingData.cmpId) || null,
+        cmpStatus: typeof pingData.cmpStatus === "string" ? pingData.cmpStatus : null,
+        cmpDisplayStatus:
+          typeof pingData.cmpDisplayStatus === "string" ? pingData.cmpDisplayStatus : null,
+        signalStatus: typeof pingData.signalStatus === "string" ? pingData.signalStatus : null,
+        applicableSections: Array.isArray(pingData.applicableSections)
+          ? pingData.applicableSections.filter((section) => Number.isInteger(section))
+          : []
+      }
+    };
+  }
+
+  function buildConsentReport() {
+    listenToTcfApi();
+    return {
+      globals: CONSENT_MANAGER_GLOBALS.filter(
+        (name) => Object.hasOwn(window, name) && window[name] !== undefined
+      ),
+      tcf: {
+        present: typeof window.__tcfapi === "function",
+        listening: tcf.listening,
+        events: tcf.events,
+        tcData: tcf.tcData
+      },
+      gpp: readGppPing()
+    };
+  }
+
+  function buildReport() {
+    return {
+      startedAt,
+      fingerprinting: {
+        apiCalls: Array.from(apiCalls.entries()).map(([api, entry]) => ({
+          api,
+          count: entry.count,
+          callers: entry.callers
+        })),
+        distinctMeasuredFontCount: measuredFonts.size
+      },
+      beacons,
+      inputListeners,
+      replayGlobals: detectReplayGlobals(),
+      consent: isTopFrame ? buildConsentReport() : null
+    };
+  }
+
+  document.addEventListener(REPORT_REQUEST_EVENT, () => {
+    document.dispatchEvent(
+      new CustomEvent(REPORT_EVENT, { detail: JSON.stringify(buildReport()) })
+    );
+  });
+})();
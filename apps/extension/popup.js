@@ -1,4 +1,4 @@
-import { MESSAGE_TYPES, createRequestId } from "./messages.js";
+import { MESSAGE_TYPES, classifyHost, createRequestId } from "./messages.js";
 
 const root = document.getElementById("app");
 
@@ -12,14 +12,116 @@ const state = {
   instructionsModal: {
     open: false,
     actionIds: []
-  }
+  },
+  actionOptions: {
+    block_known_trackers: {
+      scope: "site",
+      persistence: "dynamic"
+    },
+    clear_site_storage_data: {
+      includeThirdPartyHosts: false
+    },
+    reject_consent_banners: {
+      // null until the user touches the checkbox; the site's saved setting applies.
+      autoRunOnSite: null
+    },
+    clean_link_decoration: {
+      autoRunOnSite: null
+    },
+    defer_social_embeds: {
+      autoRunOnSite: null
+    },
+    strip_tracking_params: {
+      scope: "site"
+    },
+    send_gpc_signal: {
+      scope: "site"
+    },
+    review_tracking_permissions: {
+      // null until the user touches a checkbox; sensitive grants are preselected.
+      types: null
+    },
+    limit_third_party_scripts: {
+      hosts: []
+    }
+  },
+  trackerBlockingRules: [],
+  trackerBlockingRulesError: null
 };
 const COMPLETED_GUIDED_ACTIONS_STORAGE_KEY = "privacyAssistantCompletedGuidedActionsV1";
 
+const GPC_WELL_KNOWN_LABELS = Object.freeze({
+  supported: "declares GPC support",
+  not_supported: "does not declare GPC support",
+  missing: "not published",
+  unavailable: "could not be fetched"
+});
+const GPC_HONORING_LABELS = Object.freeze({
+  not_enabled: "Not sent on this site.",
+  no_baseline: "Unknown: no tracker count from before GPC was turned on.",
+  unavailable: "Unknown: network observation is unavailable or missed part of the page load.",
+  awaiting_reload: "Reload the page to find out.",
+  inconclusive: "Unclear: tracker traffic changed too little to tell, or there was too little to begin with.",
+  likely_honored: "Likely: tracker requests dropped by half or more.",
+  not_honored: "Unlikely: tracker requests did not drop."
+});
+const SITE_PERMISSION_SETTING_LABELS = Object.freeze({
+  allow: "allowed",
+  block: "blocked",
+  ask: "asks first",
+  session_only: "until the browser closes"
+});
+const NETWORK_PRIVACY_LOCKED_LABELS = Object.freeze({
+  not_controllable: "controlled by policy",
+  controlled_by_other_extensions: "controlled by another extension"
+});
+const CONSENT_STATE_LABELS = Object.freeze({
+  given: "accepted",
+  rejected: "rejected",
+  pending: "no choice recorded yet",
+  not_required: "not required in your region",
+  no_cmp: "no consent manager found"
+});
+
+const ENTITY_CATEGORY_LABELS = Object.freeze({
+  ads: "Advertising",
+  analytics: "Analytics",
+  social: "Social",
+  cdn: "CDN",
+  fonts: "Fonts",
+  payments: "Payments",
+  session_replay: "Session replay",
+  unknown: "Unknown"
+});
+// Per-category share of the third-party script and request penalties. Shared
+// infrastructure (CDNs, fonts, payment widgets) still counts, but far less
+// than hosts whose purpose is collecting data.
+const THIRD_PARTY_CATEGORY_WEIGHTS = Object.freeze({
+  ads: 1,
+  analytics: 1,
+  social: 0.75,
+  session_replay: 1.5,
+  cdn: 0.2,
+  fonts: 0.2,
+  payments: 0.3,
+  unknown: 1
+});
+const MAX_WATCHING_ENTITIES = 8;
+
 function toSafeNumber(value) {
   return typeof value === "number" && Number.isFinite(value) ? value : 0;
 }
 
+// Risk text, action results and host lists carry strings from page content
+// and response headers (cookie names, hosts), so they are escaped on render.
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 function formatList(values, limit = 3) {
   if (!Array.isArray(values) || values.length === 0) {
     return "none";
@@ -37,17 +139,99 @@ function formatCountedItems(values, key, limit = 3) {
     .join(", ");
 }
 
-function toCountedDetailLines(values, key, unitLabel, limit = 3) {
+function toCountedDetailLines(values, key, unitLabel, limit = 3, formatLabel = (label) => label) {
   if (!Array.isArray(values) || values.length === 0) {
     return [];
   }
   return values.slice(0, limit).map((item) => {
-    const label = item?.[key] ?? "unknown";
+    const label = formatLabel(item?.[key] ?? "unknown");
     const count = toSafeNumber(item?.count);
     return `${label}: ${count} ${unitLabel}`;
   });
 }
 
+function getHostCategory(normalized, host) {
+  const hostCategories = normalized?.thirdPartyCategories?.hostCategories ?? {};
+  return Object.hasOwn(hostCategories, host) ? hostCategories[host] : classifyHost(host);
+}
+
+function toCategorizedHostLabel(normalized, host) {
+  return `${host} [${toEntityCategoryLabel(getHostCategory(normalized, host))}]`;
+}
+
+function formatCategorizedHostList(normalized, hosts, limit = 3) {
+  if (!Array.isArray(hosts) || hosts.length === 0) {
+    return "none";
+  }
+  return hosts
+    .slice(0, limit)
+    .map((host) => toCategorizedHostLabel(normalized, host))
+    .join(", ");
+}
+
+function toSetCookieDetailLines(sampledSetCookies, hosts, limit = 3) {
+  if (!Array.isArray(sampledSetCookies) || !Array.isArray(hosts)) {
+    return [];
+  }
+  return sampledSetCookies
+    .filter((cookie) => hosts.includes(cookie?.host))
+    .slice(0, limit)
+    .map((cookie) => {
+      const expiry = cookie.expiresAt ? `expires ${cookie.expiresAt.slice(0, 10)}` : "session";
+      const partitioned = cookie.partitioned ? ", partitioned" : "";
+      return `${cookie.name} on ${cookie.domain} (${expiry}, SameSite=${cookie.sameSite}${partitioned})`;
+    });
+}
+
+function formatBytes(bytes) {
+  const value = toSafeNumber(bytes);
+  if (value >= 1000000) {
+    return `${(value / 1000000).toFixed(1)} MB`;
+  }
+  if (value >= 1000) {
+    return `${(value / 1000).toFixed(1)} KB`;
+  }
+  return `${value} B`;
+}
+
+// Older analyses only carry Web Storage sizes, so fall back to those.
+function getStorageFootprintBytes(normalized) {
+  const storageSignals = normalized?.storageSignals;
+  if (typeof storageSignals?.totalFootprintBytes === "number") {
+    return toSafeNumber(storageSignals.totalFootprintBytes);
+  }
+  return (
+    toSafeNumber(storageSignals?.localStorage?.approxBytes) +
+    toSafeNumber(storageSignals?.sessionStorage?.approxBytes)
+  );
+}
+
+function toStorageFootprintDetailLines(normalized) {
+  const storageSignals = normalized?.storageSignals ?? {};
+  const unavailable = (part) => (part?.available === false ? " (unavailable)" : "");
+  return [
+    `Total footprint: ${formatBytes(getStorageFootprintBytes(normalized))}`,
+    `localStorage + sessionStorage: ${formatBytes(
+      toSafeNumber(storageSignals.localStorage?.approxBytes) +
+      toSafeNumber(storageSignals.sessionStorage?.approxBytes)
+    )}`,
+    `Script-readable cookies: ${toSafeNumber(storageSignals.cookies?.count)} (${formatBytes(
+      storageSignals.cookies?.approxBytes
+    )})`,
+    `Browser estimate (IndexedDB, caches, workers): ${formatBytes(
+      storageSignals.estimate?.usageBytes
+    )}${unavailable(storageSignals.estimate)}`,
+    `IndexedDB databases: ${toSafeNumber(storageSignals.indexedDB?.databaseCount)}${unavailable(
+      storageSignals.indexedDB
+    )}, caches: ${toSafeNumber(storageSignals.cacheStorage?.cacheCount)}${unavailable(
+      storageSignals.cacheStorage
+    )}`,
+    `Service workers: ${toSafeNumber(storageSignals.serviceWorkers?.registrationCount)}${unavailable(
+      storageSignals.serviceWorkers
+    )}`
+  ];
+}
+
 function buildRiskDetails(...lines) {
   return lines
     .flat()
@@ -103,36 +287,12 @@ function buildStatusAnnouncement() {
 }
 
 const GUIDED_ACTION_INSTRUCTIONS = Object.freeze({
-  limit_third_party_scripts: {
-    title: "Limit third-party scripts",
-    steps: [
-      "Chrome will open JavaScript settings.",
-      "Set stricter JavaScript behavior for high-risk sites.",
-      "Use site-specific blocking for untrusted domains."
-    ]
-  },
-  block_known_trackers: {
-    title: "Block known tracker domains",
-    steps: [
-      "Chrome will open cookie and tracking controls.",
-      "Enable third-party cookie blocking.",
-      "Clear existing site data if tracking persists."
-    ]
-  },
-  review_tracking_permissions: {
-    title: "Review tracking permissions",
-    steps: [
-      "Chrome will open cookie/permission settings.",
-      "Review and restrict broad site permissions.",
-      "Disable permissions that are not required."
-    ]
-  },
   harden_network_privacy: {
     title: "Harden network privacy",
     steps: [
-      "Chrome will open security settings.",
-      "Enable Enhanced protection.",
-      "Review secure DNS and other privacy controls."
+      "This changes Chrome settings for every site, not just this one.",
+      "WebRTC stops exposing local IP addresses; hyperlink auditing, referrers, network prediction and third-party cookies are turned off.",
+      "Some sites may break; the earlier values can be restored from this popup."
     ]
   }
 });
@@ -192,6 +352,494 @@ function persistCompletedGuidedActionsForDomain(domain, actionIds) {
   writeCompletedGuidedActionsMap(map);
 }
 
+function renderTrackerBlockingOptions() {
+  const options = state.actionOptions.block_known_trackers;
+  return `
+    <fieldset class="action-options" aria-label="Tracker blocking options">
+      <label class="option-row">
+        <input type="radio" name="tracker-blocking-scope" value="site" ${options.scope === "site" ? "checked" : ""} />
+        <span>This site only</span>
+      </label>
+      <label class="option-row">
+        <input type="radio" name="tracker-blocking-scope" value="global" ${options.scope === "global" ? "checked" : ""} />
+        <span>All sites</span>
+      </label>
+      <label class="option-row">
+        <input type="checkbox" id="tracker-blocking-session" ${options.persistence === "session" ? "checked" : ""} />
+        <span>Only until the browser restarts</span>
+      </label>
+    </fieldset>
+  `;
+}
+
+function renderSiteStorageClearingOptions() {
+  const options = state.actionOptions.clear_site_storage_data;
+  return `
+    <fieldset class="action-options" aria-label="Site data clearing options">
+      <label class="option-row">
+        <input type="checkbox" id="clear-storage-third-party" ${options.includeThirdPartyHosts ? "checked" : ""} />
+        <span>Also clear third-party hosts seen on this page</span>
+      </label>
+    </fieldset>
+  `;
+}
+
+function getFingerprintingScriptDomains(normalized) {
+  return Array.isArray(normalized?.fingerprintingSignals?.thirdPartyCallerHosts)
+    ? normalized.fingerprintingSignals.thirdPartyCallerHosts
+    : [];
+}
+
+function renderFingerprintingBlockingOptions() {
+  const domains = getFingerprintingScriptDomains(state.analysisResult?.normalizedAnalysis);
+  return `
+    <div class="action-options">
+      <p class="item-description">${domains.length > 0
+        ? `Will block on this site: ${escapeHtml(formatList(domains, 5))}`
+        : "No third-party fingerprinting scripts were attributed on this page."
+      }</p>
+    </div>
+  `;
+}
+
+function renderConsentRejectionOptions() {
+  const autoReject = state.analysisResult?.normalizedAnalysis?.consentSignals?.autoReject;
+  const autoRunOnSite =
+    state.actionOptions.reject_consent_banners.autoRunOnSite ?? autoReject?.enabled === true;
+  return `
+    <fieldset class="action-options" aria-label="Consent banner options">
+      <label class="option-row">
+        <input type="checkbox" id="consent-auto-reject" ${autoRunOnSite ? "checked" : ""} />
+        <span>Also reject automatically on future visits to this site</span>
+      </label>
+    </fieldset>
+  `;
+}
+
+function renderLinkCleaningOptions() {
+  const autoClean = state.analysisResult?.normalizedAnalysis?.linkDecorationSignals?.autoClean;
+  const autoRunOnSite =
+    state.actionOptions.clean_link_decoration.autoRunOnSite ?? autoClean?.enabled === true;
+  return `
+    <fieldset class="action-options" aria-label="Link cleaning options">
+      <label class="option-row">
+        <input type="checkbox" id="link-auto-clean" ${autoRunOnSite ? "checked" : ""} />
+        <span>Also clean links automatically on future visits to this site</span>
+      </label>
+    </fieldset>
+  `;
+}
+
+function renderEmbedDeferralOptions() {
+  const embedSignals = state.analysisResult?.normalizedAnalysis?.embedSignals;
+  const autoRunOnSite =
+    state.actionOptions.defer_social_embeds.autoRunOnSite ?? embedSignals?.autoDefer?.enabled === true;
+  return `
+    <fieldset class="action-options" aria-label="Embed placeholder options">
+      <label class="option-row">
+        <input type="checkbox" id="embed-auto-defer" ${autoRunOnSite ? "checked" : ""} />
+        <span>Show placeholders before embeds load on future visits to this site</span>
+      </label>
+    </fieldset>
+  `;
+}
+
+// scope: "site" | "global" | "off", as reported for the current site.
+function toSiteScopeStatus(scope) {
+  if (scope === "global") {
+    return "on for all sites";
+  }
+  return scope === "site" ? "on for this site" : "off for this site";
+}
+
+function toTrackingParamStrippingScope(stripping) {
+  if (!stripping?.available) {
+    return null;
+  }
+  if (stripping.globalEnabled) {
+    return "global";
+  }
+  return stripping.siteEnabled ? "site" : "off";
+}
+
+function renderSiteScopeOptions({ ariaLabel, name, selectedScope, currentScope, notes = [] }) {
+  return `
+    <fieldset class="action-options" aria-label="${ariaLabel}">
+      <label class="option-row">
+        <input type="radio" name="${name}" value="site" ${selectedScope === "site" ? "checked" : ""} />
+        <span>This site only</span>
+      </label>
+      <label class="option-row">
+        <input type="radio" name="${name}" value="global" ${selectedScope === "global" ? "checked" : ""} />
+        <span>All sites</span>
+      </label>
+      <label class="option-row">
+        <input type="radio" name="${name}" value="off" ${selectedScope === "off" ? "checked" : ""} />
+        <span>Turn off for this site and all sites</span>
+      </label>
+      ${currentScope ? `<p class="muted-text">Currently ${toSiteScopeStatus(currentScope)}.</p>` : ""}
+      ${notes.map((note) => `<p class="muted-text">${note}</p>`).join("")}
+    </fieldset>
+  `;
+}
+
+function renderTrackingParamStrippingOptions() {
+  return renderSiteScopeOptions({
+    ariaLabel: "Tracking parameter stripping options",
+    name: "tracking-param-stripping-scope",
+    selectedScope: state.actionOptions.strip_tracking_params.scope,
+    currentScope: toTrackingParamStrippingScope(
+      state.analysisResult?.normalizedAnalysis?.trackingParamStripping
+    )
+  });
+}
+
+function renderGpcOptions() {
+  const gpcSignals = state.analysisResult?.normalizedAnalysis?.gpcSignals;
+  return renderSiteScopeOptions({
+    ariaLabel: "Global Privacy Control options",
+    name: "gpc-scope",
+    selectedScope: state.actionOptions.send_gpc_signal.scope,
+    currentScope: gpcSignals?.available ? gpcSignals.scope : null,
+    notes: gpcSignals?.available
+      ? [
+        `GPC honored? ${GPC_HONORING_LABELS[gpcSignals.honoring?.status] ?? "Unknown."}`,
+        `Site's /.well-known/gpc.json: ${GPC_WELL_KNOWN_LABELS[gpcSignals.wellKnown?.status] ?? "not checked"}.`
+      ]
+      : []
+  });
+}
+
+function getBlockedScriptHosts(normalized) {
+  return Array.isArray(normalized?.scriptBlocking?.blockedHosts)
+    ? normalized.scriptBlocking.blockedHosts.map((rule) => rule.host)
+    : [];
+}
+
+function renderScriptBlockingOptions() {
+  const normalized = state.analysisResult?.normalizedAnalysis;
+  const blockedHosts = getBlockedScriptHosts(normalized);
+  const hosts = (
+    Array.isArray(normalized?.scriptSignals?.thirdPartyScriptDomains)
+      ? normalized.scriptSignals.thirdPartyScriptDomains
+      : []
+  ).filter((host) => !blockedHosts.includes(host));
+  if (hosts.length === 0) {
+    return `
+      <div class="action-options">
+        <p class="item-description">No unblocked third-party script hosts were seen on this page.</p>
+      </div>
+    `;
+  }
+  const selectedHosts = state.actionOptions.limit_third_party_scripts.hosts;
+  return `
+    <fieldset class="action-options" aria-label="Script hosts to block on this site">
+      ${hosts
+        .map(
+          (host) => `
+        <label class="option-row">
+          <input type="checkbox" data-script-block-host="${escapeHtml(host)}" ${selectedHosts.includes(host) ? "checked" : ""} />
+          <span>${escapeHtml(host)}</span>
+        </label>
+      `
+        )
+        .join("")}
+      <p class="muted-text">Only this site is affected; blocked hosts can be re-enabled under Blocked Scripts.</p>
+    </fieldset>
+  `;
+}
+
+function getSitePermissions(normalized) {
+  return Array.isArray(normalized?.sitePermissions?.permissions)
+    ? normalized.sitePermissions.permissions
+    : [];
+}
+
+function getSelectedSitePermissionTypes(normalized) {
+  const allowed = getSitePermissions(normalized).filter((permission) => permission.setting === "allow");
+  const selectedTypes = state.actionOptions.review_tracking_permissions.types;
+  if (Array.isArray(selectedTypes)) {
+    return allowed
+      .filter((permission) => selectedTypes.includes(permission.type))
+      .map((permission) => permission.type);
+  }
+  return allowed
+    .filter((permission) => permission.sensitivity !== "low")
+    .map((permission) => permission.type);
+}
+
+function renderSitePermissionOptions() {
+  const normalized = state.analysisResult?.normalizedAnalysis;
+  if (!normalized?.sitePermissions?.available) {
+    return `
+      <div class="action-options">
+        <p class="item-description">This site's permissions could not be read.</p>
+      </div>
+    `;
+  }
+  const permissions = getSitePermissions(normalized);
+  const allowed = permissions.filter((permission) => permission.setting === "allow");
+  const others = permissions.filter((permission) => permission.setting !== "allow");
+  const selectedTypes = getSelectedSitePermissionTypes(normalized);
+  return `
+    <fieldset class="action-options" aria-label="Site permissions to revoke">
+      ${allowed.length === 0 ? '<p class="item-description">This site is not allowed anything to revoke.</p>' : ""}
+      ${allowed
+        .map(
+          (permission) => `
+        <label class="option-row">
+          <input type="checkbox" data-site-permission-type="${permission.type}" ${selectedTypes.includes(permission.type) ? "checked" : ""} />
+          <span>Block ${permission.label}</span>
+        </label>
+      `
+        )
+        .join("")}
+      ${others.length > 0
+        ? `<p class="muted-text">Not allowed: ${others
+          .map((permission) => `${permission.label} (${SITE_PERMISSION_SETTING_LABELS[permission.setting]})`)
+          .join(", ")}.</p>`
+        : ""
+      }
+    </fieldset>
+  `;
+}
+
+function formatPrivacySettingValue(value) {
+  if (typeof value === "boolean") {
+    return value ? "on" : "off";
+  }
+  return String(value);
+}
+
+function renderNetworkPrivacyOptions() {
+  const networkPrivacy = state.analysisResult?.normalizedAnalysis?.networkPrivacySettings;
+  if (!networkPrivacy?.available) {
+    return `
+      <div class="action-options">
+        <p class="item-description">Current network privacy settings could not be read.</p>
+      </div>
+    `;
+  }
+  return `
+    <div class="action-options">
+      <ul>${networkPrivacy.settings
+        .map((setting) => {
+          const lockedReason = NETWORK_PRIVACY_LOCKED_LABELS[setting.levelOfControl];
+          const change =
+            setting.value === setting.hardenedValue
+              ? "already hardened"
+              : `will change to ${formatPrivacySettingValue(setting.hardenedValue)}`;
+          return `<li>${setting.label}: ${formatPrivacySettingValue(setting.value)} (${lockedReason ?? change})</li>`;
+        })
+        .join("")}</ul>
+    </div>
+  `;
+}
+
+function renderActionOptions(actionId) {
+  if (!state.selectedActionIds.includes(actionId)) {
+    return "";
+  }
+  if (actionId === "block_known_trackers") {
+    return renderTrackerBlockingOptions();
+  }
+  if (actionId === "clear_site_storage_data") {
+    return renderSiteStorageClearingOptions();
+  }
+  if (actionId === "block_fingerprinting_scripts") {
+    return renderFingerprintingBlockingOptions();
+  }
+  if (actionId === "reject_consent_banners") {
+    return renderConsentRejectionOptions();
+  }
+  if (actionId === "clean_link_decoration") {
+    return renderLinkCleaningOptions();
+  }
+  if (actionId === "defer_social_embeds") {
+    return renderEmbedDeferralOptions();
+  }
+  if (actionId === "strip_tracking_params") {
+    return renderTrackingParamStrippingOptions();
+  }
+  if (actionId === "send_gpc_signal") {
+    return renderGpcOptions();
+  }
+  if (actionId === "harden_network_privacy") {
+    return renderNetworkPrivacyOptions();
+  }
+  if (actionId === "review_tracking_permissions") {
+    return renderSitePermissionOptions();
+  }
+  if (actionId === "limit_third_party_scripts") {
+    return renderScriptBlockingOptions();
+  }
+  return "";
+}
+
+function renderActionResultBreakdown(result) {
+  const breakdown = result?.details?.breakdown;
+  if (!Array.isArray(breakdown) || breakdown.length === 0) {
+    return "";
+  }
+  return `<details class="risk-details"><summary>Show breakdown</summary><ul>${breakdown
+    .map((entry) => {
+      const count = typeof entry?.itemCount === "number" ? ` (${entry.itemCount})` : "";
+      const message = typeof entry?.message === "string" ? ` (${entry.message})` : "";
+      return `<li>${escapeHtml(entry?.label ?? entry?.storageType ?? "unknown")}${count}: ${escapeHtml(entry?.status ?? "unknown")}${escapeHtml(message)}</li>`;
+    })
+    .join("")}</ul></details>`;
+}
+
+function toTrackerBlockingRuleLabel(rule) {
+  const scopeLabel = rule.scope === "site" ? rule.siteDomain : "all sites";
+  const persistenceLabel = rule.persistence === "session" ? ", this session" : "";
+  return `${rule.trackerDomain} (${scopeLabel}${persistenceLabel})`;
+}
+
+function renderTrackerBlockingRulesPanel() {
+  if (state.trackerBlockingRulesError) {
+    return `
+      <section class="panel">
+        <h2>Tracker Blocking</h2>
+        <p class="muted-text">${escapeHtml(state.trackerBlockingRulesError)}</p>
+      </section>
+    `;
+  }
+  if (state.trackerBlockingRules.length === 0) {
+    return "";
+  }
+  return `
+    <section class="panel">
+      <h2>Tracker Blocking</h2>
+      <p class="selected-text">Active rules: ${state.trackerBlockingRules.length}</p>
+      <ul class="rule-list">${state.trackerBlockingRules
+        .map(
+          (rule) => `
+          <li class="rule-item">
+            <span>${escapeHtml(toTrackerBlockingRuleLabel(rule))}</span>
+            <button class="inline-button" type="button" data-remove-rule-id="${rule.ruleId}" ${state.isProcessing ? "disabled" : ""}>Remove</button>
+          </li>
+        `
+        )
+        .join("")}</ul>
+      <button id="remove-all-tracker-rules-button" type="button" ${state.isProcessing ? "disabled" : ""}>Remove all tracker blocking rules</button>
+    </section>
+  `;
+}
+
+function renderBlockedScriptsPanel() {
+  const scriptBlocking = state.analysisResult?.normalizedAnalysis?.scriptBlocking;
+  const blockedHosts = getBlockedScriptHosts(state.analysisResult?.normalizedAnalysis);
+  if (blockedHosts.length === 0) {
+    return "";
+  }
+  return `
+    <section class="panel">
+      <h2>Blocked Scripts</h2>
+      <p class="selected-text">Blocked on ${escapeHtml(scriptBlocking.siteDomain)}: ${blockedHosts.length}</p>
+      <ul class="rule-list">${blockedHosts
+        .map(
+          (host) => `
+          <li class="rule-item">
+            <span>${escapeHtml(host)}</span>
+            <button class="inline-button" type="button" data-unblock-script-host="${escapeHtml(host)}" ${state.isProcessing ? "disabled" : ""}>Re-enable</button>
+          </li>
+        `
+        )
+        .join("")}</ul>
+      <button id="unblock-all-scripts-button" type="button" ${state.isProcessing ? "disabled" : ""}>Re-enable all scripts on this site</button>
+    </section>
+  `;
+}
+
+function renderRevokedSitePermissionsPanel() {
+  const normalized = state.analysisResult?.normalizedAnalysis;
+  const revokedTypes = Array.isArray(normalized?.sitePermissions?.revokedTypes)
+    ? normalized.sitePermissions.revokedTypes
+    : [];
+  if (revokedTypes.length === 0) {
+    return "";
+  }
+  const labels = new Map(
+    getSitePermissions(normalized).map((permission) => [permission.type, permission.label])
+  );
+  return `
+    <section class="panel">
+      <h2>Revoked Permissions</h2>
+      <p class="selected-text">Blocked on ${escapeHtml(normalized.sitePermissions.origin)}: ${revokedTypes.length}</p>
+      <ul class="rule-list">${revokedTypes
+        .map(
+          (type) => `
+          <li class="rule-item">
+            <span>${labels.get(type) ?? type}</span>
+            <button class="inline-button" type="button" data-restore-site-permission="${type}" ${state.isProcessing ? "disabled" : ""}>Re-allow</button>
+          </li>
+        `
+        )
+        .join("")}</ul>
+      <button id="restore-all-site-permissions-button" type="button" ${state.isProcessing ? "disabled" : ""}>Re-allow all on this site</button>
+    </section>
+  `;
+}
+
+function renderNetworkPrivacyRevertPanel() {
+  const networkPrivacy = state.analysisResult?.normalizedAnalysis?.networkPrivacySettings;
+  if (!networkPrivacy?.revertAvailable) {
+    return "";
+  }
+  return `
+    <section class="panel">
+      <h2>Network Privacy Settings</h2>
+      <p class="muted-text">Chrome-wide settings were hardened by this extension.</p>
+      <button id="revert-network-privacy-button" type="button" ${state.isProcessing ? "disabled" : ""}>Restore earlier settings</button>
+    </section>
+  `;
+}
+
+function toEntityCategoryLabel(category) {
+  return ENTITY_CATEGORY_LABELS[category] ?? ENTITY_CATEGORY_LABELS.unknown;
+}
+
+function renderWhoIsWatchingPanel(entitySignals) {
+  const entities = Array.isArray(entitySignals?.entities) ? entitySignals.entities : [];
+  const unattributedHostCount = toSafeNumber(entitySignals?.unattributedHostCount);
+  if (entities.length === 0 && unattributedHostCount === 0) {
+    return "";
+  }
+
+  const hiddenEntityCount = Math.max(0, entities.length - MAX_WATCHING_ENTITIES);
+  const entityItems = entities
+    .slice(0, MAX_WATCHING_ENTITIES)
+    .map((entity) => {
+      const requestCount = toSafeNumber(entity.requestCount);
+      return `
+        <li class="entity-item">
+          <div class="risk-title-row">
+            <p class="risk-title">${escapeHtml(entity.name)}</p>
+            <span class="entity-count">${requestCount} ${requestCount === 1 ? "request" : "requests"}</span>
+          </div>
+          <p class="item-description">${entity.categories.map(toEntityCategoryLabel).join(", ")} · ${escapeHtml(formatList(entity.hosts))}</p>
+        </li>
+      `;
+    })
+    .join("");
+  const otherLines = [
+    hiddenEntityCount > 0 ? `${hiddenEntityCount} more organizations` : "",
+    unattributedHostCount > 0
+      ? `${unattributedHostCount} unrecognized third-party ${unattributedHostCount === 1 ? "host" : "hosts"} (${toSafeNumber(entitySignals.unattributedRequestCount)} requests)`
+      : ""
+  ].filter(Boolean);
+
+  return `
+    <section class="panel">
+      <h2>Who is watching</h2>
+      <p class="selected-text">Organizations: ${toSafeNumber(entitySignals.entityCount)}</p>
+      ${entityItems ? `<ul class="entity-list">${entityItems}</ul>` : ""}
+      ${otherLines.map((line) => `<p class="muted-text">${line}</p>`).join("")}
+    </section>
+  `;
+}
+
 function renderInstructionsModal() {
   if (!state.instructionsModal.open || state.instructionsModal.actionIds.length === 0) {
     return "";
@@ -224,7 +872,7 @@ function renderInstructionsModal() {
         aria-describedby="instructions-modal-description"
       >
         <h2 id="instructions-modal-title">Before we continue</h2>
-        <p id="instructions-modal-description">Some selected actions need a quick manual confirmation in Chrome settings.</p>
+        <p id="instructions-modal-description">Some selected actions change Chrome settings beyond this page. Please confirm before continuing.</p>
         ${content}
         <div class="instructions-actions">
           <button id="instructions-cancel-button" type="button">Cancel</button>
@@ -254,19 +902,54 @@ function scaleSignalToFiveSecondWindow(value, observedWindowMs) {
   return (safeValue * 5000) / windowMs;
 }
 
+function sumWeightedCategoryCounts(countsByCategory) {
+  return Object.entries(countsByCategory).reduce(
+    (sum, [category, count]) =>
+      sum + toSafeNumber(count) * (THIRD_PARTY_CATEGORY_WEIGHTS[category] ?? 1),
+    0
+  );
+}
+
+/**
+ * Third-party script domain count with each domain weighted by category.
+ * Analyses without category data fall back to the raw count.
+ */
+function getWeightedThirdPartyScriptDomainCount(normalized) {
+  const countsByCategory = normalized?.thirdPartyCategories?.scriptDomainCountsByCategory;
+  if (!countsByCategory) {
+    return toSafeNumber(normalized?.scriptSignals?.thirdPartyScriptDomainCount);
+  }
+  return sumWeightedCategoryCounts(countsByCategory);
+}
+
+function getWeightedThirdPartyRequestCount(normalized) {
+  const countsByCategory = normalized?.thirdPartyCategories?.requestCountsByCategory;
+  if (!countsByCategory) {
+    return toSafeNumber(normalized?.networkSignals?.thirdPartyRequestCount);
+  }
+  return sumWeightedCategoryCounts(countsByCategory);
+}
+
+function toScriptRegistryDetailLine(normalized) {
+  const scriptCounts = normalized?.scriptSignals?.elementRegistry?.elementCounts?.script;
+  if (!scriptCounts || toSafeNumber(scriptCounts.everLoaded) === 0) {
+    return "";
+  }
+  return (
+    `Script tags in page now: ${toSafeNumber(scriptCounts.inDom)}, ever loaded: ${toSafeNumber(scriptCounts.everLoaded)} ` +
+    `(${toSafeNumber(scriptCounts.dynamic)} injected later, ${toSafeNumber(scriptCounts.removed)} removed)`
+  );
+}
+
 function computeScore(normalized) {
   if (!normalized) {
     return 0;
   }
-  const thirdPartyScriptDomainCount = toSafeNumber(
-    normalized.scriptSignals?.thirdPartyScriptDomainCount
-  );
+  const thirdPartyScriptDomainCount = getWeightedThirdPartyScriptDomainCount(normalized);
   const thirdPartyCookieEstimateCount = toSafeNumber(
     normalized.cookieSignals?.thirdPartyCookieEstimateCount
   );
-  const storageBytes =
-    toSafeNumber(normalized.storageSignals?.localStorage?.approxBytes) +
-    toSafeNumber(normalized.storageSignals?.sessionStorage?.approxBytes);
+  const storageBytes = getStorageFootprintBytes(normalized);
   const trackingIndicators =
     toSafeNumber(normalized.trackingHeuristics?.trackerDomainHitCount) +
     toSafeNumber(normalized.trackingHeuristics?.endpointPatternHitCount) +
@@ -274,7 +957,7 @@ function computeScore(normalized) {
   const networkAvailable = normalized.networkSignals?.available !== false;
   const networkObservedWindowMs = toSafeNumber(normalized.networkSignals?.observedWindowMs);
   const scaledThirdPartyRequests = scaleSignalToFiveSecondWindow(
-    normalized.networkSignals?.thirdPartyRequestCount,
+    getWeightedThirdPartyRequestCount(normalized),
     networkObservedWindowMs
   );
   const scaledSuspiciousEndpoints = scaleSignalToFiveSecondWindow(
@@ -339,7 +1022,14 @@ function detectRisks(normalized, score) {
         `Tracker indicators: ${toSafeNumber(normalized.trackingHeuristics?.trackerDomainHitCount) +
         toSafeNumber(normalized.trackingHeuristics?.endpointPatternHitCount) +
         toSafeNumber(normalized.trackingHeuristics?.trackingQueryParamCount)
-        }`
+        }`,
+        toSafeNumber(normalized.frameSignals?.thirdPartyFrameCount) > 0
+          ? `Third-party frames: ${toSafeNumber(normalized.frameSignals.thirdPartyFrameCount)} (${formatList(
+            normalized.frameSignals.frames
+              .filter((frame) => frame.isThirdParty)
+              .map((frame) => frame.origin)
+          )})`
+          : ""
       )
     });
   }
@@ -359,7 +1049,8 @@ function detectRisks(normalized, score) {
       explanation: "A large number of third-party cookies can enable cross-site tracking."
     });
   }
-  if (toSafeNumber(normalized.scriptSignals?.thirdPartyScriptDomainCount) >= 10) {
+  const weightedScriptDomainCount = getWeightedThirdPartyScriptDomainCount(normalized);
+  if (weightedScriptDomainCount >= 10) {
     risks.push({
       id: "third_party_script_domains",
       title: "Many third-party script domains",
@@ -370,10 +1061,12 @@ function detectRisks(normalized, score) {
         `Total third-party script domains: ${toSafeNumber(
           normalized.scriptSignals?.thirdPartyScriptDomainCount
         )}`,
-        `Sample domains: ${formatList(normalized.scriptSignals?.thirdPartyScriptDomains, 5)}`
+        `Category-weighted count: ${weightedScriptDomainCount.toFixed(1)}`,
+        toScriptRegistryDetailLine(normalized),
+        `Sample domains: ${formatCategorizedHostList(normalized, normalized.scriptSignals?.thirdPartyScriptDomains, 5)}`
       )
     });
-  } else if (toSafeNumber(normalized.scriptSignals?.thirdPartyScriptDomainCount) >= 5) {
+  } else if (weightedScriptDomainCount >= 5) {
     risks.push({
       id: "third_party_script_domains_moderate",
       title: "Moderate third-party script activity",
@@ -384,19 +1077,50 @@ function detectRisks(normalized, score) {
         `Total third-party script domains: ${toSafeNumber(
           normalized.scriptSignals?.thirdPartyScriptDomainCount
         )}`,
-        `Sample domains: ${formatList(normalized.scriptSignals?.thirdPartyScriptDomains, 5)}`
+        `Category-weighted count: ${weightedScriptDomainCount.toFixed(1)}`,
+        toScriptRegistryDetailLine(normalized),
+        `Sample domains: ${formatCategorizedHostList(normalized, normalized.scriptSignals?.thirdPartyScriptDomains, 5)}`
       )
     });
   }
-  const storageBytes =
-    toSafeNumber(normalized.storageSignals?.localStorage?.approxBytes) +
-    toSafeNumber(normalized.storageSignals?.sessionStorage?.approxBytes);
-  if (storageBytes >= 2000000) {
+  if (getStorageFootprintBytes(normalized) >= 2000000) {
     risks.push({
       id: "persistent_storage_footprint",
       title: "Large persistent storage footprint",
       severity: "medium",
-      explanation: "Large browser storage may indicate persistent identifiers for tracking."
+      explanation: "Large browser storage may indicate persistent identifiers for tracking.",
+      details: buildRiskDetails(toStorageFootprintDetailLines(normalized))
+    });
+  }
+  const persistentIdentifiers = normalized.storageSignals?.persistentIdentifiers;
+  const persistentIdentifierCount = toSafeNumber(persistentIdentifiers?.count);
+  const knownIdentifierKeyCount = toSafeNumber(persistentIdentifiers?.knownKeyCount);
+  // One random-looking value alone is often a CSRF or session token.
+  if (knownIdentifierKeyCount > 0 || persistentIdentifierCount >= 2) {
+    const byStore = persistentIdentifiers.byStore ?? {};
+    risks.push({
+      id: "persistent_identifiers",
+      title: "Persistent identifiers stored",
+      severity: knownIdentifierKeyCount > 0 ? "high" : "medium",
+      explanation:
+        "The site keeps ID-like values in cookies or web storage that can recognize you across visits.",
+      evidence: `Keys: ${formatList(
+        (persistentIdentifiers.samples ?? []).map((sample) => sample.key)
+      )}`,
+      details: buildRiskDetails(
+        `Identifier-like values: ${persistentIdentifierCount} (${knownIdentifierKeyCount} under known analytics or ad keys)`,
+        `Cookies: ${toSafeNumber(byStore.cookies)}, localStorage: ${toSafeNumber(
+          byStore.localStorage
+        )}, sessionStorage: ${toSafeNumber(byStore.sessionStorage)}`,
+        (persistentIdentifiers.samples ?? [])
+          .slice(0, 4)
+          .map(
+            (sample) =>
+              `${sample.key} in ${sample.store}: ${
+                sample.kind === "known_key" ? "known tracking key" : `${sample.kind}, ~${sample.entropyBits} bits`
+              }`
+          )
+      )
     });
   }
   const trackingIndicators =
@@ -416,7 +1140,7 @@ function detectRisks(normalized, score) {
           normalized.trackingHeuristics?.endpointPatternHitCount
         )}`,
         `Tracking query params: ${toSafeNumber(normalized.trackingHeuristics?.trackingQueryParamCount)}`,
-        `Sample tracker domains: ${formatList(normalized.trackingHeuristics?.trackerDomainHits, 5)}`
+        `Sample tracker domains: ${formatCategorizedHostList(normalized, normalized.trackingHeuristics?.trackerDomainHits, 5)}`
       )
     });
   } else if (trackingIndicators >= 6) {
@@ -432,7 +1156,7 @@ function detectRisks(normalized, score) {
           normalized.trackingHeuristics?.endpointPatternHitCount
         )}`,
         `Tracking query params: ${toSafeNumber(normalized.trackingHeuristics?.trackingQueryParamCount)}`,
-        `Sample tracker domains: ${formatList(normalized.trackingHeuristics?.trackerDomainHits, 5)}`
+        `Sample tracker domains: ${formatCategorizedHostList(normalized, normalized.trackingHeuristics?.trackerDomainHits, 5)}`
       )
     });
   }
@@ -440,7 +1164,7 @@ function detectRisks(normalized, score) {
   if (normalized.networkSignals?.available !== false) {
     const observedWindowMs = toSafeNumber(normalized.networkSignals?.observedWindowMs);
     const thirdPartyRequestCount = scaleSignalToFiveSecondWindow(
-      normalized.networkSignals?.thirdPartyRequestCount,
+      getWeightedThirdPartyRequestCount(normalized),
       observedWindowMs
     );
     const suspiciousEndpointHitCount = scaleSignalToFiveSecondWindow(
@@ -464,11 +1188,13 @@ function detectRisks(normalized, score) {
           `Top hosts: ${formatCountedItems(normalized.networkSignals?.thirdPartyTopHosts, "host")}`,
         details: buildRiskDetails(
           `Observed window: ${toSafeNumber(normalized.networkSignals?.observedWindowMs) / 1000}s`,
-          `Third-party requests (5s-equivalent): ${thirdPartyRequestCount.toFixed(1)}`,
+          `Category-weighted third-party requests (5s-equivalent): ${thirdPartyRequestCount.toFixed(1)}`,
           ...toCountedDetailLines(
             normalized.networkSignals?.thirdPartyTopHosts,
             "host",
-            "requests"
+            "requests",
+            3,
+            (host) => toCategorizedHostLabel(normalized, host)
           )
         )
       });
@@ -483,11 +1209,13 @@ function detectRisks(normalized, score) {
           `Top hosts: ${formatCountedItems(normalized.networkSignals?.thirdPartyTopHosts, "host")}`,
         details: buildRiskDetails(
           `Observed window: ${toSafeNumber(normalized.networkSignals?.observedWindowMs) / 1000}s`,
-          `Third-party requests (5s-equivalent): ${thirdPartyRequestCount.toFixed(1)}`,
+          `Category-weighted third-party requests (5s-equivalent): ${thirdPartyRequestCount.toFixed(1)}`,
           ...toCountedDetailLines(
             normalized.networkSignals?.thirdPartyTopHosts,
             "host",
-            "requests"
+            "requests",
+            3,
+            (host) => toCategorizedHostLabel(normalized, host)
           )
         )
       });
@@ -525,7 +1253,7 @@ function detectRisks(normalized, score) {
         evidence: `Known tracker domains: ${formatList(normalized.networkSignals?.knownTrackerDomains)}`,
         details: buildRiskDetails(
           `Known tracker-domain hits (5s-equivalent): ${knownTrackerDomainHitCount.toFixed(1)}`,
-          `Sample domains: ${formatList(normalized.networkSignals?.knownTrackerDomains, 6)}`
+          `Sample domains: ${formatCategorizedHostList(normalized, normalized.networkSignals?.knownTrackerDomains, 6)}`
         )
       });
     }
@@ -545,6 +1273,368 @@ function detectRisks(normalized, score) {
     }
   }
 
+  const fingerprintingSignals = normalized.fingerprintingSignals ?? {};
+  const fingerprintingTechniques = Array.isArray(fingerprintingSignals.techniques)
+    ? fingerprintingSignals.techniques
+    : [];
+  // Navigator reads alone are common in ordinary feature detection.
+  const strongFingerprintingTechniques = fingerprintingTechniques.filter(
+    (technique) => technique !== "navigator"
+  );
+  if (fingerprintingSignals.instrumented && strongFingerprintingTechniques.length > 0) {
+    const callers = Array.isArray(fingerprintingSignals.callers) ? fingerprintingSignals.callers : [];
+    risks.push({
+      id: "fingerprinting_apis",
+      title:
+        strongFingerprintingTechniques.length >= 2
+          ? "Browser fingerprinting detected"
+          : "Possible browser fingerprinting",
+      severity: strongFingerprintingTechniques.length >= 2 ? "high" : "medium",
+      explanation:
+        "Scripts read canvas, WebGL, audio or font details that can identify your browser without cookies.",
+      details: buildRiskDetails(
+        `Techniques: ${fingerprintingTechniques.join(", ")}`,
+        callers
+          .slice(0, 4)
+          .map(
+            (caller) =>
+              `${caller.scriptUrl}${caller.isThirdParty ? " (third-party)" : ""}: ${caller.techniques.join(", ")}`
+          ),
+        toSafeNumber(fingerprintingSignals.distinctMeasuredFontCount) > 0
+          ? `Distinct fonts measured: ${toSafeNumber(fingerprintingSignals.distinctMeasuredFontCount)}`
+          : ""
+      )
+    });
+  }
+
+  const pixelSignals = normalized.pixelSignals ?? {};
+  const pixelHosts = Array.isArray(pixelSignals.pixelHosts) ? pixelSignals.pixelHosts : [];
+  if (pixelHosts.length > 0) {
+    const beaconHosts = Array.isArray(pixelSignals.beaconHosts) ? pixelSignals.beaconHosts : [];
+    risks.push({
+      id: "tracking_pixels",
+      title: pixelHosts.length >= 3 ? "Tracking pixels and beacons" : "Tracking pixel detected",
+      severity: pixelHosts.length >= 3 ? "high" : "medium",
+      explanation:
+        "Invisible images and beacons report your visit to third parties, often without any script on the page.",
+      details: buildRiskDetails(
+        `Hosts receiving pixels or beacons: ${formatCategorizedHostList(normalized, pixelHosts, 5)}`,
+        toCountedDetailLines(beaconHosts, "host", "sendBeacon calls", 3, (host) =>
+          toCategorizedHostLabel(normalized, host)
+        ),
+        toSafeNumber(pixelSignals.pingRequestCount) > 0
+          ? `Ping/beacon requests: ${toSafeNumber(pixelSignals.pingRequestCount)}`
+          : "",
+        toSafeNumber(pixelSignals.pixelLikeImageRequestCount) > 0
+          ? `Pixel-like image requests: ${toSafeNumber(pixelSignals.pixelLikeImageRequestCount)}`
+          : "",
+        toSafeNumber(pixelSignals.tinyImageCount) > 0
+          ? `Tiny images in page: ${toSafeNumber(pixelSignals.tinyImageCount)}`
+          : "",
+        Array.isArray(pixelSignals.noscriptPixelHosts) && pixelSignals.noscriptPixelHosts.length > 0
+          ? `No-script fallback pixel vendors: ${formatList(pixelSignals.noscriptPixelHosts)}`
+          : ""
+      )
+    });
+  }
+
+  const sensitiveDataSignals = normalized.sensitiveDataSignals ?? {};
+  const replayVendors = Array.isArray(sensitiveDataSignals.replayVendors)
+    ? sensitiveDataSignals.replayVendors
+    : [];
+  if (replayVendors.length > 0) {
+    risks.push({
+      id: "session_replay",
+      title: "Session recording detected",
+      severity: "high",
+      explanation:
+        "Session-replay services record clicks, scrolling and typing so the site can play back your visit, and may capture what you enter in forms.",
+      details: buildRiskDetails(
+        replayVendors.map((vendor) => `${vendor.name}: ${formatList(vendor.evidence)}`),
+        sensitiveDataSignals.pageHasSensitiveFields
+          ? "This page has password, email or payment fields."
+          : ""
+      )
+    });
+  }
+
+  const sensitiveFieldListeners = Array.isArray(sensitiveDataSignals.sensitiveFieldListeners)
+    ? sensitiveDataSignals.sensitiveFieldListeners
+    : [];
+  if (sensitiveFieldListeners.length > 0) {
+    risks.push({
+      id: "sensitive_field_listeners",
+      title: "Third-party scripts watch what you type",
+      severity: "high",
+      explanation:
+        "Scripts from other companies listen to keystrokes on password, email or payment fields, so they can read what you enter before you submit.",
+      details: buildRiskDetails(
+        sensitiveFieldListeners.slice(0, 5).map((listener) => {
+          const target =
+            listener.target === "field"
+              ? `${listener.sensitivity} field "${listener.fieldLabel}"`
+              : `every field in the ${listener.target === "form" ? "form" : "page"}`;
+          return `${toCategorizedHostLabel(normalized, listener.hostname ?? listener.scriptUrl)} listens to ${target} (${formatList(listener.eventTypes)})`;
+        }),
+        sensitiveFieldListeners.length > 5
+          ? `${sensitiveFieldListeners.length - 5} more listeners not shown`
+          : ""
+      )
+    });
+  }
+
+  // Search boxes and newsletter forms often post to another site; that alone
+  // is not a risk unless the form has sensitive fields or skips encryption.
+  const riskyForms = Array.isArray(sensitiveDataSignals.riskyForms)
+    ? sensitiveDataSignals.riskyForms.filter(
+      (form) => toSafeNumber(form.sensitiveFieldCount) > 0 || form.isInsecure === true
+    )
+    : [];
+  if (riskyForms.length > 0) {
+    const hasSensitiveFields = riskyForms.some((form) => toSafeNumber(form.sensitiveFieldCount) > 0);
+    risks.push({
+      id: "risky_form_submission",
+      title: hasSensitiveFields
+        ? "Forms send sensitive data off-site or unencrypted"
+        : "Forms submit over plain HTTP",
+      severity: hasSensitiveFields ? "high" : "medium",
+      explanation:
+        "Submitting these forms sends what you typed to another company's server or over an unencrypted connection.",
+      details: buildRiskDetails(
+        riskyForms.slice(0, 4).map((form) => {
+          const reasons = [form.isThirdParty ? "another site" : "", form.isInsecure ? "plain HTTP" : ""]
+            .filter(Boolean)
+            .join(" over ");
+          const fields = Array.isArray(form.sensitiveFields) && form.sensitiveFields.length > 0
+            ? `; fields: ${form.sensitiveFields.map((field) => `${field.label} (${field.sensitivity})`).join(", ")}`
+            : "";
+          return `${form.method.toUpperCase()} to ${form.actionOrigin} (${reasons})${fields}`;
+        })
+      )
+    });
+  }
+
+  const consentSignals = normalized.consentSignals ?? {};
+  const preConsentAudit = consentSignals.preConsentAudit ?? {};
+  const preConsentTrackerHosts = Array.isArray(preConsentAudit.trackerHosts)
+    ? preConsentAudit.trackerHosts
+    : [];
+  if (preConsentTrackerHosts.length > 0) {
+    const consentManagerNames = Array.isArray(consentSignals.consentManagers)
+      ? consentSignals.consentManagers.map((consentManager) => consentManager.name)
+      : [];
+    const consentStillMissing = ["pending", "rejected"].includes(consentSignals.consentState);
+    risks.push({
+      id: "pre_consent_tracking",
+      title: consentStillMissing
+        ? "Trackers loaded without your consent"
+        : "Trackers loaded before you consented",
+      severity: consentStillMissing ? "high" : "medium",
+      explanation:
+        "The site shows a consent banner, but tracker requests were sent before any choice was recorded.",
+      details: buildRiskDetails(
+        `Consent manager: ${consentManagerNames.length > 0 ? formatList(consentManagerNames) : "IAB consent framework"}`,
+        `Consent: ${CONSENT_STATE_LABELS[consentSignals.consentState] ?? "unknown"}${consentSignals.consentRecordedAt ? ` (recorded ${new Date(consentSignals.consentRecordedAt).toLocaleTimeString()})` : ""
+        }`,
+        `Tracker requests before consent: ${toSafeNumber(preConsentAudit.trackerRequestCount)}`,
+        toCountedDetailLines(preConsentTrackerHosts, "host", "requests", 5, (host) =>
+          toCategorizedHostLabel(normalized, host)
+        ),
+        preConsentAudit.status === "partial"
+          ? "Part of the page load happened before network observation started, so the real count may be higher."
+          : ""
+      )
+    });
+  }
+
+  const autoReject = consentSignals.autoReject ?? {};
+  if (
+    preConsentTrackerHosts.length === 0 &&
+    consentSignals.consentState === "pending" &&
+    consentSignals.bannerVisible
+  ) {
+    risks.push({
+      id: "consent_choice_pending",
+      title: "Cookie banner is waiting for your choice",
+      severity: "low",
+      explanation:
+        "The site is asking for consent. Rejecting non-essential purposes keeps advertising and analytics cookies off.",
+      details: buildRiskDetails(
+        `Consent manager: ${formatList(
+          Array.isArray(consentSignals.consentManagers)
+            ? consentSignals.consentManagers.map((consentManager) => consentManager.name)
+            : []
+        )}`,
+        autoReject.enabled && toSafeNumber(autoReject.failedStepCount) > 0
+          ? "Automatic rejection ran on this page but did not finish."
+          : ""
+      )
+    });
+  }
+
+  const trackingQueryParams = normalized.trackingHeuristics?.trackingQueryParams ?? [];
+  if (trackingQueryParams.length > 0) {
+    const strippingScope = toTrackingParamStrippingScope(normalized.trackingParamStripping);
+    risks.push({
+      id: "tracking_params_in_url",
+      title: "Tracking parameters in this page's URL",
+      severity: "low",
+      explanation:
+        "The address carries click IDs or campaign tags that tell this site (and anyone you share the link with) where you came from.",
+      evidence: `Parameters: ${formatList(trackingQueryParams, 5)}`,
+      details: buildRiskDetails(
+        strippingScope ? `Stripping on navigation is ${toSiteScopeStatus(strippingScope)}.` : ""
+      )
+    });
+  }
+
+  const embedSignals = normalized.embedSignals;
+  if (toSafeNumber(embedSignals?.loadedEmbedCount) > 0) {
+    risks.push({
+      id: "social_embeds",
+      title: "Social and video embeds contact their platforms",
+      severity: "low",
+      explanation:
+        "Embedded posts and videos load from the platform that hosts them, which can recognize you whether or not you interact with them.",
+      evidence: `Loaded embeds: ${toSafeNumber(embedSignals.loadedEmbedCount)} (${formatCountedItems(embedSignals.providers, "name")})`,
+      details: buildRiskDetails(
+        toSafeNumber(embedSignals.deferredEmbedCount) > 0
+          ? `Deferred behind placeholders: ${toSafeNumber(embedSignals.deferredEmbedCount)}, loaded by click: ${toSafeNumber(embedSignals.restoredEmbedCount)}`
+          : ""
+      )
+    });
+  }
+
+  const sensitiveGrants = getSitePermissions(normalized).filter(
+    (permission) => permission.setting === "allow" && permission.sensitivity !== "low"
+  );
+  if (sensitiveGrants.length > 0) {
+    risks.push({
+      id: "sensitive_site_permissions",
+      title: "Site can use sensitive permissions",
+      severity: sensitiveGrants.some((permission) => permission.sensitivity === "high")
+        ? "high"
+        : "medium",
+      explanation:
+        "This site was granted access that lets it locate you, listen or watch, or reach you outside the page without asking again.",
+      evidence: `Allowed: ${formatList(sensitiveGrants.map((permission) => permission.label), 6)}`
+    });
+  }
+
+  const gpcSignals = normalized.gpcSignals;
+  if (gpcSignals?.honoring?.status === "not_honored") {
+    risks.push({
+      id: "gpc_not_honored",
+      title: "Global Privacy Control may be ignored",
+      severity: "medium",
+      explanation:
+        "This site receives your opt-out signal, but tracker traffic did not drop after it was turned on.",
+      evidence: `Tracker requests: ${toSafeNumber(gpcSignals.honoring.baselineTrackerRequests)} before GPC, ${toSafeNumber(gpcSignals.honoring.currentTrackerRequests)} on this page load`,
+      details: buildRiskDetails(
+        `GPC is ${toSiteScopeStatus(gpcSignals.scope)}`,
+        `Site's /.well-known/gpc.json: ${GPC_WELL_KNOWN_LABELS[gpcSignals.wellKnown?.status] ?? "not checked"}`
+      )
+    });
+  }
+
+  const linkDecorationSignals = normalized.linkDecorationSignals ?? {};
+  const decoratedLinkCount = toSafeNumber(linkDecorationSignals.decoratedLinkCount);
+  const redirectWrappedLinkCount = toSafeNumber(linkDecorationSignals.redirectWrappedLinkCount);
+  if (decoratedLinkCount + redirectWrappedLinkCount > 0) {
+    risks.push({
+      id: "decorated_links",
+      title: "Links carry tracking data",
+      severity: redirectWrappedLinkCount > 0 ? "medium" : "low",
+      explanation:
+        "Outbound links add click IDs or campaign parameters, or route clicks through a tracking redirect, so your visit can be tied back to this page.",
+      evidence: `Parameters: ${formatCountedItems(linkDecorationSignals.trackingParams, "param")}`,
+      details: buildRiskDetails(
+        `Decorated outbound links: ${decoratedLinkCount} of ${toSafeNumber(
+          linkDecorationSignals.outboundLinkCount
+        )}`,
+        `Redirect-wrapped links: ${redirectWrappedLinkCount}`,
+        redirectWrappedLinkCount > 0
+          ? `Redirectors: ${formatCountedItems(linkDecorationSignals.redirectors, "name")}`
+          : "",
+        linkDecorationSignals.autoClean?.enabled
+          ? `Automatic cleaning is on (${toSafeNumber(
+            linkDecorationSignals.autoClean.cleanedLinkCount
+          )} link(s) cleaned so far); these links were added after its last pass.`
+          : ""
+      )
+    });
+  }
+
+  const headerSignals = normalized.headerSignals ?? {};
+  const securityHeaderIssues = Array.isArray(headerSignals.securityHeaders?.issues)
+    ? headerSignals.securityHeaders.issues
+    : [];
+  if (headerSignals.securityHeaders?.observed && securityHeaderIssues.length > 0) {
+    risks.push({
+      id: securityHeaderIssues.length >= 3 ? "weak_security_headers" : "weak_security_headers_minor",
+      title:
+        securityHeaderIssues.length >= 3
+          ? "Missing or weak security headers"
+          : "Some security headers could be stronger",
+      severity: securityHeaderIssues.length >= 3 ? "medium" : "low",
+      explanation:
+        "The page's response headers leave room for injected scripts, referrer leaks, or unrestricted browser features.",
+      details: buildRiskDetails(
+        securityHeaderIssues.map((item) => `${item.header}: ${item.issue}`)
+      )
+    });
+  }
+
+  const trackerCookieSettingHosts = Array.isArray(headerSignals.trackerCookieSettingHosts)
+    ? headerSignals.trackerCookieSettingHosts
+    : [];
+  const thirdPartyCookieSettingHosts = Array.isArray(headerSignals.thirdPartyCookieSettingHosts)
+    ? headerSignals.thirdPartyCookieSettingHosts
+    : [];
+  if (trackerCookieSettingHosts.length > 0) {
+    risks.push({
+      id: "tracker_set_cookies",
+      title: "Trackers are setting cookies",
+      severity: "high",
+      explanation: "Known tracker domains responded with Set-Cookie, creating identifiers that follow you across sites.",
+      details: buildRiskDetails(
+        `Tracker hosts setting cookies: ${formatCategorizedHostList(normalized, trackerCookieSettingHosts, 5)}`,
+        `Third-party Set-Cookie responses: ${toSafeNumber(headerSignals.thirdPartySetCookieCount)}`,
+        toSetCookieDetailLines(headerSignals.sampledThirdPartySetCookies, trackerCookieSettingHosts)
+      )
+    });
+  } else if (thirdPartyCookieSettingHosts.length >= 3) {
+    risks.push({
+      id: "third_party_set_cookies",
+      title: "Third parties are setting cookies",
+      severity: "medium",
+      explanation: "Several third-party hosts set cookies while this page was open.",
+      details: buildRiskDetails(
+        `Hosts setting cookies: ${formatCategorizedHostList(normalized, thirdPartyCookieSettingHosts, 5)}`,
+        `Third-party Set-Cookie responses: ${toSafeNumber(headerSignals.thirdPartySetCookieCount)}`,
+        toSetCookieDetailLines(headerSignals.sampledThirdPartySetCookies, thirdPartyCookieSettingHosts)
+      )
+    });
+  }
+
+  if (
+    normalized.networkSignals?.available !== false &&
+    normalized.networkSignals?.windowStatus === "interrupted"
+  ) {
+    risks.push({
+      id: "network_window_interrupted",
+      title: "Network observation was interrupted",
+      severity: "low",
+      explanation:
+        "The extension background worker restarted during the observation window, so some requests may be missing from network checks.",
+      details: buildRiskDetails(
+        `Last interruption: ${normalized.networkSignals?.lastInterruptionAt ?? "unknown"}`,
+        `Observed coverage: ${toSafeNumber(normalized.networkSignals?.windowCoverageMs) / 1000}s of ${toSafeNumber(normalized.networkSignals?.observedWindowMs) / 1000
+        }s`
+      )
+    });
+  }
+
   if (normalized.networkSignals?.available === false) {
     risks.push({
       id: "network_signals_unavailable",
@@ -569,7 +1659,7 @@ const RECOMMENDATION_CATALOG = Object.freeze({
   },
   limit_third_party_scripts: {
     title: "Limit third-party scripts",
-    rationale: "Limiting third-party scripts lowers data-sharing and fingerprinting exposure."
+    rationale: "Blocking scripts from the third-party hosts you pick, on this site only, stops them running here without switching JavaScript off."
   },
   clear_site_storage_data: {
     title: "Clear site storage data",
@@ -580,12 +1670,40 @@ const RECOMMENDATION_CATALOG = Object.freeze({
     rationale: "Blocking known trackers reduces profiling and telemetry collection."
   },
   review_tracking_permissions: {
-    title: "Review tracking-related permissions",
-    rationale: "Restricting site permissions can reduce silent data access."
+    title: "Revoke site permissions",
+    rationale: "Blocking location, camera, microphone, notification and similar grants the site does not need stops silent access to them."
   },
   harden_network_privacy: {
     title: "Harden network privacy settings",
-    rationale: "Network privacy controls can reduce endpoint telemetry."
+    rationale: "Hiding local IP addresses from WebRTC and turning off link pings, referrers, prediction and third-party cookies limits what every site can learn about you."
+  },
+  reject_consent_banners: {
+    title: "Reject cookie consent banners",
+    rationale: "Answering \"Reject all\" on the site's consent banner withholds consent for advertising and analytics cookies."
+  },
+  clean_link_decoration: {
+    title: "Clean tracking links",
+    rationale: "Removing click IDs and campaign parameters, and skipping click-tracking redirects, stops the next site learning where you came from."
+  },
+  defer_social_embeds: {
+    title: "Use click-to-load for social embeds",
+    rationale: "Placeholders keep Facebook, X, Instagram and YouTube embeds from loading until you click, and YouTube then loads from youtube-nocookie.com."
+  },
+  clean_current_url: {
+    title: "Clean this URL",
+    rationale: "Reloading the page without click IDs and campaign parameters keeps them out of bookmarks, shared links and the site's own analytics."
+  },
+  send_gpc_signal: {
+    title: "Send Global Privacy Control",
+    rationale: "The Sec-GPC header tells sites you opt out of the sale or sharing of your data, which several privacy laws require them to honor."
+  },
+  strip_tracking_params: {
+    title: "Strip tracking parameters on navigation",
+    rationale: "Removing utm_*, fbclid, gclid and similar parameters before pages load stops them linking your visit to the ad or email you clicked."
+  },
+  block_fingerprinting_scripts: {
+    title: "Block fingerprinting scripts",
+    rationale: "Blocking third-party scripts that probe canvas, WebGL or audio stops them building a device fingerprint on this site."
   }
 });
 
@@ -601,13 +1719,28 @@ const RISK_TO_ACTIONS = Object.freeze({
   third_party_script_domains: ["limit_third_party_scripts", "review_tracking_permissions"],
   third_party_script_domains_moderate: ["limit_third_party_scripts"],
   persistent_storage_footprint: ["clear_site_storage_data"],
-  tracking_indicator_density: ["block_known_trackers", "harden_network_privacy"],
+  persistent_identifiers: ["clear_site_storage_data"],
+  tracking_indicator_density: ["block_known_trackers", "harden_network_privacy", "send_gpc_signal"],
   tracking_indicator_density_moderate: ["harden_network_privacy"],
   network_heavy_third_party_requests: ["harden_network_privacy", "block_known_trackers"],
   network_moderate_third_party_requests: ["harden_network_privacy"],
   network_suspicious_endpoint_repetition: ["harden_network_privacy", "block_known_trackers"],
   network_tracker_domain_concentration: ["block_known_trackers", "harden_network_privacy"],
-  network_short_window_burst: ["harden_network_privacy"]
+  network_short_window_burst: ["harden_network_privacy"],
+  weak_security_headers: ["harden_network_privacy"],
+  tracker_set_cookies: ["reduce_third_party_cookies", "block_known_trackers", "send_gpc_signal"],
+  third_party_set_cookies: ["reduce_third_party_cookies"],
+  fingerprinting_apis: ["block_fingerprinting_scripts"],
+  tracking_pixels: ["block_known_trackers"],
+  session_replay: ["block_known_trackers", "limit_third_party_scripts"],
+  sensitive_field_listeners: ["limit_third_party_scripts"],
+  pre_consent_tracking: ["reject_consent_banners", "block_known_trackers"],
+  consent_choice_pending: ["reject_consent_banners"],
+  decorated_links: ["clean_link_decoration"],
+  tracking_params_in_url: ["clean_current_url", "strip_tracking_params"],
+  gpc_not_honored: ["block_known_trackers"],
+  sensitive_site_permissions: ["review_tracking_permissions"],
+  social_embeds: ["defer_social_embeds"]
 });
 
 function buildRecommendations(risks) {
@@ -668,7 +1801,10 @@ function asViewModel(analysisResult) {
   const sourceFlags = normalized?.sourceFlags ?? {};
   let confidence = normalized?.confidence ?? "low";
   if (sourceFlags.contentSignalsAvailable && sourceFlags.cookieSignalsAvailable) {
-    confidence = sourceFlags.networkSignalsAvailable ? "high" : "medium";
+    confidence =
+      sourceFlags.networkSignalsAvailable && normalized.networkSignals?.windowStatus === "complete"
+        ? "high"
+        : "medium";
   } else if (sourceFlags.contentSignalsAvailable || sourceFlags.cookieSignalsAvailable) {
     confidence = "medium";
   }
@@ -677,7 +1813,8 @@ function asViewModel(analysisResult) {
     score,
     confidence,
     risks,
-    recommendations
+    recommendations,
+    entitySignals: normalized?.entitySignals ?? null
   };
   return viewModel;
 }
@@ -702,7 +1839,7 @@ function render() {
     root.innerHTML = `
       <main class="app-shell">
         <section class="panel panel-error">
-          <p class="error-text">${state.errorMessage}</p>
+          <p class="error-text">${escapeHtml(state.errorMessage)}</p>
         </section>
       </main>
     `;
@@ -731,6 +1868,7 @@ function render() {
               : ""
             }
             <p class="item-description">${recommendation.rationale}</p>
+            ${renderActionOptions(recommendation.actionId)}
           </li>
         `
         )
@@ -744,13 +1882,13 @@ function render() {
           (risk) => `
           <li class="risk-item">
             <div class="risk-title-row">
-              <p class="risk-title">${risk.title}</p>
+              <p class="risk-title">${escapeHtml(risk.title)}</p>
               <span class="severity-pill ${getSeverityClass(risk.severity)}">${risk.severity}</span>
             </div>
-            <p class="item-description">${risk.explanation}</p>
+            <p class="item-description">${escapeHtml(risk.explanation)}</p>
             ${Array.isArray(risk.details) && risk.details.length > 0
               ? `<details class="risk-details"><summary>Show details</summary><ul>${risk.details
-                .map((detail) => `<li>${detail}</li>`)
+                .map((detail) => `<li>${escapeHtml(detail)}</li>`)
                 .join("")}</ul></details>`
               : ""
             }
@@ -768,8 +1906,9 @@ function render() {
         .map(
           (result) => `
             <li class="result-item">
-              <p class="result-title"><strong>${toActionDisplayLabel(result.actionId)}</strong>: ${result.status}</p>
-              <p class="item-description">${result.message}</p>
+              <p class="result-title"><strong>${escapeHtml(toActionDisplayLabel(result.actionId))}</strong>: ${escapeHtml(result.status)}</p>
+              <p class="item-description">${escapeHtml(result.message)}</p>
+              ${renderActionResultBreakdown(result)}
             </li>
           `
         )
@@ -783,7 +1922,7 @@ function render() {
         <h1>Privacy Assistant</h1>
         <span class="confidence-pill">Confidence: ${String(model.confidence).toUpperCase()}</span>
       </div>
-      <p class="domain-text">Domain: ${model.domain}</p>
+      <p class="domain-text">Domain: ${escapeHtml(model.domain)}</p>
       <p class="status-text" role="status" aria-live="polite" aria-atomic="true">${buildStatusAnnouncement()}</p>
     </section>
 
@@ -797,6 +1936,8 @@ function render() {
       ${riskItems}
     </section>
 
+    ${renderWhoIsWatchingPanel(model.entitySignals)}
+
     <section class="panel">
       <h2>Recommendations</h2>
       <p class="selected-text">Selected: ${state.selectedActionIds.length}</p>
@@ -811,6 +1952,11 @@ function render() {
       </button>
       ${actionResultItems}
     </section>
+    ${renderTrackerBlockingRulesPanel()}
+    ${renderBlockedScriptsPanel()}
+    ${renderRevokedSitePermissionsPanel()}
+    ${renderNetworkPrivacyRevertPanel()}
+    <button id="open-options-button" type="button">Manage tracker filter lists</button>
     ${renderInstructionsModal()}
     </main>
   `;
@@ -826,6 +1972,131 @@ function render() {
     });
   }
 
+  const scopeRadios = Array.from(root.querySelectorAll('input[name="tracker-blocking-scope"]'));
+  for (const radio of scopeRadios) {
+    radio.addEventListener("change", () => {
+      state.actionOptions.block_known_trackers.scope = radio.value === "global" ? "global" : "site";
+    });
+  }
+
+  const sessionCheckbox = root.querySelector("#tracker-blocking-session");
+  sessionCheckbox?.addEventListener("change", () => {
+    state.actionOptions.block_known_trackers.persistence = sessionCheckbox.checked
+      ? "session"
+      : "dynamic";
+  });
+
+  const consentAutoRejectCheckbox = root.querySelector("#consent-auto-reject");
+  consentAutoRejectCheckbox?.addEventListener("change", () => {
+    state.actionOptions.reject_consent_banners.autoRunOnSite = consentAutoRejectCheckbox.checked;
+  });
+
+  for (const [radioName, actionId] of [
+    ["tracking-param-stripping-scope", "strip_tracking_params"],
+    ["gpc-scope", "send_gpc_signal"]
+  ]) {
+    for (const radio of root.querySelectorAll(`input[name="${radioName}"]`)) {
+      radio.addEventListener("change", () => {
+        state.actionOptions[actionId].scope = ["global", "off"].includes(radio.value)
+          ? radio.value
+          : "site";
+      });
+    }
+  }
+
+  const sitePermissionCheckboxes = Array.from(
+    root.querySelectorAll("input[data-site-permission-type]")
+  );
+  for (const checkbox of sitePermissionCheckboxes) {
+    checkbox.addEventListener("change", () => {
+      state.actionOptions.review_tracking_permissions.types = sitePermissionCheckboxes
+        .filter((element) => element.checked)
+        .map((element) => element.getAttribute("data-site-permission-type"));
+    });
+  }
+
+  const embedAutoDeferCheckbox = root.querySelector("#embed-auto-defer");
+  embedAutoDeferCheckbox?.addEventListener("change", () => {
+    state.actionOptions.defer_social_embeds.autoRunOnSite = embedAutoDeferCheckbox.checked;
+  });
+
+  const linkAutoCleanCheckbox = root.querySelector("#link-auto-clean");
+  linkAutoCleanCheckbox?.addEventListener("change", () => {
+    state.actionOptions.clean_link_decoration.autoRunOnSite = linkAutoCleanCheckbox.checked;
+  });
+
+  const clearThirdPartyCheckbox = root.querySelector("#clear-storage-third-party");
+  clearThirdPartyCheckbox?.addEventListener("change", () => {
+    state.actionOptions.clear_site_storage_data.includeThirdPartyHosts =
+      clearThirdPartyCheckbox.checked;
+  });
+
+  const removeRuleButtons = Array.from(root.querySelectorAll("button[data-remove-rule-id]"));
+  for (const button of removeRuleButtons) {
+    button.addEventListener("click", () => {
+      const ruleId = Number(button.getAttribute("data-remove-rule-id"));
+      void removeTrackerBlockingRules([ruleId]);
+    });
+  }
+
+  root.querySelector("#revert-network-privacy-button")?.addEventListener("click", () => {
+    void runStandaloneAction(
+      "harden_network_privacy",
+      { mode: "revert" },
+      "Failed to restore network privacy settings."
+    );
+  });
+
+  const scriptBlockCheckboxes = Array.from(root.querySelectorAll("input[data-script-block-host]"));
+  for (const checkbox of scriptBlockCheckboxes) {
+    checkbox.addEventListener("change", () => {
+      state.actionOptions.limit_third_party_scripts.hosts = scriptBlockCheckboxes
+        .filter((element) => element.checked)
+        .map((element) => element.getAttribute("data-script-block-host"));
+    });
+  }
+
+  const unblockScripts = (hosts) =>
+    runStandaloneAction(
+      "limit_third_party_scripts",
+      { mode: "unblock", hosts },
+      "Failed to re-enable blocked scripts."
+    );
+  for (const button of root.querySelectorAll("button[data-unblock-script-host]")) {
+    button.addEventListener("click", () => {
+      void unblockScripts([button.getAttribute("data-unblock-script-host")]);
+    });
+  }
+  root.querySelector("#unblock-all-scripts-button")?.addEventListener("click", () => {
+    void unblockScripts(getBlockedScriptHosts(state.analysisResult?.normalizedAnalysis));
+  });
+
+  const restoreSitePermissions = (types) =>
+    runStandaloneAction(
+      "review_tracking_permissions",
+      { mode: "restore", types },
+      "Failed to re-allow site permissions."
+    );
+  for (const button of root.querySelectorAll("button[data-restore-site-permission]")) {
+    button.addEventListener("click", () => {
+      void restoreSitePermissions([button.getAttribute("data-restore-site-permission")]);
+    });
+  }
+  root.querySelector("#restore-all-site-permissions-button")?.addEventListener("click", () => {
+    void restoreSitePermissions(
+      state.analysisResult?.normalizedAnalysis?.sitePermissions?.revokedTypes ?? []
+    );
+  });
+
+  const removeAllRulesButton = root.querySelector("#remove-all-tracker-rules-button");
+  removeAllRulesButton?.addEventListener("click", () => {
+    void removeTrackerBlockingRules(state.trackerBlockingRules.map((rule) => rule.ruleId));
+  });
+
+  root.querySelector("#open-options-button")?.addEventListener("click", () => {
+    void chrome.runtime.openOptionsPage();
+  });
+
   const improveButton = root.querySelector("#improve-privacy-button");
   improveButton?.addEventListener("click", () => {
     void runImprovePrivacyFlow(false);
@@ -885,6 +2156,87 @@ async function loadAnalysis() {
   state.analysisResult = response;
 }
 
+async function loadTrackerBlockingRules() {
+  try {
+    const response = await sendMessage({
+      type: MESSAGE_TYPES.LIST_TRACKER_BLOCKING_RULES,
+      requestId: createRequestId("popup_tracker_rules")
+    });
+    if (!response || response.ok !== true) {
+      throw new Error(response?.error ?? "Failed to load tracker blocking rules.");
+    }
+    state.trackerBlockingRules = Array.isArray(response.payload?.rules) ? response.payload.rules : [];
+    state.trackerBlockingRulesError = null;
+  } catch (error) {
+    state.trackerBlockingRulesError =
+      error instanceof Error ? error.message : "Failed to load tracker blocking rules.";
+  }
+}
+
+async function removeTrackerBlockingRules(ruleIds) {
+  if (ruleIds.length === 0 || state.isProcessing) {
+    return;
+  }
+  state.isProcessing = true;
+  render();
+
+  try {
+    const response = await sendMessage({
+      type: MESSAGE_TYPES.REMOVE_TRACKER_BLOCKING_RULES,
+      requestId: createRequestId("popup_tracker_rules_remove"),
+      ruleIds
+    });
+    if (!response || response.ok !== true) {
+      throw new Error(response?.error ?? "Failed to remove tracker blocking rules.");
+    }
+    state.trackerBlockingRules = Array.isArray(response.payload?.rules) ? response.payload.rules : [];
+    state.trackerBlockingRulesError = null;
+  } catch (error) {
+    state.trackerBlockingRulesError =
+      error instanceof Error ? error.message : "Failed to remove tracker blocking rules.";
+  } finally {
+    state.isProcessing = false;
+    render();
+  }
+}
+
+/**
+ * Runs one action from a panel button (restore, re-enable) without touching
+ * the recommendations the user has selected.
+ */
+async function runStandaloneAction(actionId, actionOptions, failureMessage) {
+  if (state.isProcessing) {
+    return;
+  }
+  state.isProcessing = true;
+  render();
+
+  try {
+    const response = await sendMessage({
+      type: MESSAGE_TYPES.EXECUTE_IMPROVE_PRIVACY_ACTIONS,
+      requestId: createRequestId("popup_standalone_action"),
+      selectedActionIds: [actionId],
+      actionOptions: { [actionId]: actionOptions }
+    });
+    if (!response || response.ok !== true) {
+      throw new Error(response?.error ?? failureMessage);
+    }
+    state.actionResults = Array.isArray(response.payload?.results) ? response.payload.results : [];
+    state.analysisResult = response.payload?.refreshedAnalysis ?? state.analysisResult;
+  } catch (error) {
+    state.actionResults = [
+      {
+        actionId,
+        status: "failed",
+        message: error instanceof Error ? error.message : failureMessage
+      }
+    ];
+  } finally {
+    state.isProcessing = false;
+    render();
+  }
+}
+
 async function runImprovePrivacyFlow(instructionsConfirmed) {
   if (state.selectedActionIds.length === 0 || state.isProcessing) {
     return;
@@ -912,7 +2264,16 @@ async function runImprovePrivacyFlow(instructionsConfirmed) {
     const response = await sendMessage({
       type: MESSAGE_TYPES.EXECUTE_IMPROVE_PRIVACY_ACTIONS,
       requestId,
-      selectedActionIds: state.selectedActionIds
+      selectedActionIds: state.selectedActionIds,
+      actionOptions: {
+        ...state.actionOptions,
+        block_fingerprinting_scripts: {
+          domains: getFingerprintingScriptDomains(state.analysisResult?.normalizedAnalysis)
+        },
+        review_tracking_permissions: {
+          types: getSelectedSitePermissionTypes(state.analysisResult?.normalizedAnalysis)
+        }
+      }
     });
     if (!response || response.ok !== true) {
       throw new Error(response?.error ?? "Failed to execute Improve Privacy actions.");
@@ -921,6 +2282,8 @@ async function runImprovePrivacyFlow(instructionsConfirmed) {
     state.actionResults = Array.isArray(response.payload?.results) ? response.payload.results : [];
     state.analysisResult = response.payload?.refreshedAnalysis ?? state.analysisResult;
     state.selectedActionIds = [];
+    state.actionOptions.limit_third_party_scripts.hosts = [];
+    await loadTrackerBlockingRules();
   } catch (error) {
     state.actionResults = state.selectedActionIds.map((actionId) => ({
       actionId,
@@ -935,7 +2298,7 @@ async function runImprovePrivacyFlow(instructionsConfirmed) {
 
 async function bootstrap() {
   try {
-    await loadAnalysis();
+    await Promise.all([loadAnalysis(), loadTrackerBlockingRules()]);
   } catch (error) {
     state.errorMessage = error instanceof Error ? error.message : "Failed to load analysis.";
   } finally {
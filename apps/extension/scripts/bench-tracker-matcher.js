@@ -0,0 +1,90 @@
+/**
+ * Benchmarks the suffix-trie tracker matcher against the previous
+ * substring scan (`hostname.includes(pattern)` for every pattern).
+ *
+ * Usage: node scripts/bench-tracker-matcher.js [domainCount ...]
+ * Substring hits above the trie count are false positives such as
+ * `mysegment.com` matching `segment.com`.
+ */
+import "../tracker-matcher.js";
+
+const { createDomainSuffixMatcher } = globalThis.PrivacyAssistantTrackerMatcher;
+const LOOKUP_COUNT = 20000;
+// The substring scan is O(lookups x domains); beyond this it takes minutes.
+const MAX_SUBSTRING_SCAN_DOMAINS = 10000;
+const TLDS = ["com", "net", "io", "org", "co.uk", "de"];
+
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+function randomLabel(random) {
+  const length = 4 + Math.floor(random() * 10);
+  let label = "";
+  for (let index = 0; index < length; index++) {
+    label += String.fromCharCode(97 + Math.floor(random() * 26));
+  }
+  return label;
+}
+
+function generateDomains(count, random) {
+  const domains = new Set();
+  while (domains.size < count) {
+    domains.add(`${randomLabel(random)}.${TLDS[Math.floor(random() * TLDS.length)]}`);
+  }
+  return Array.from(domains);
+}
+
+function generateHostnames(domains, random) {
+  const hostnames = [];
+  for (let index = 0; index < LOOKUP_COUNT; index++) {
+    // Roughly one in four lookups hits a listed domain, like a tracker-heavy page.
+    hostnames.push(
+      random() < 0.25
+        ? `cdn.${domains[Math.floor(random() * domains.length)]}`
+        : `www.${randomLabel(random)}.${TLDS[Math.floor(random() * TLDS.length)]}`
+    );
+  }
+  return hostnames;
+}
+
+function time(task) {
+  const startedAt = process.hrtime.bigint();
+  const result = task();
+  return { result, ms: Number(process.hrtime.bigint() - startedAt) / 1e6 };
+}
+
+const domainCounts = process.argv.slice(2).map(Number).filter((value) => value > 0);
+const random = createRandom(42);
+
+console.log(`lookups per run: ${LOOKUP_COUNT}`);
+for (const domainCount of domainCounts.length > 0 ? domainCounts : [100, 1000, 10000, 50000]) {
+  const domains = generateDomains(domainCount, random);
+  const hostnames = generateHostnames(domains, random);
+
+  const compile = time(() => createDomainSuffixMatcher(domains));
+  const matcher = compile.result;
+  const trieLookup = time(() => hostnames.filter((hostname) => matcher.matches(hostname)).length);
+  const substringScan =
+    domainCount <= MAX_SUBSTRING_SCAN_DOMAINS
+      ? time(
+        () =>
+          hostnames.filter((hostname) => domains.some((domain) => hostname.includes(domain))).length
+      )
+      : null;
+
+  console.log(
+    [
+      `domains: ${String(domainCount).padStart(6)}`,
+      `compile: ${compile.ms.toFixed(1).padStart(7)}ms`,
+      `trie: ${trieLookup.ms.toFixed(1).padStart(7)}ms (${trieLookup.result} hits)`,
+      substringScan
+        ? `substring scan: ${substringScan.ms.toFixed(1).padStart(9)}ms (${substringScan.result} hits)`
+        : "substring scan: skipped"
+    ].join("  ")
+  );
+}
@@ -0,0 +1,91 @@
+/**
+ * Regenerates `data/public-suffix-list.js` from a downloaded copy of
+ * https://publicsuffix.org/list/public_suffix_list.dat.
+ *
+ * Usage: node scripts/update-public-suffix-list.js <path-to-public_suffix_list.dat>
+ *
+ * Rules are converted to punycode so they match `URL.hostname` directly, and
+ * kept in their ICANN / PRIVATE sections so callers can ignore private rules.
+ */
+import { readFileSync, writeFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath, domainToASCII } from "node:url";
+
+const OUTPUT_PATH = resolve(
+  dirname(fileURLToPath(import.meta.url)),
+  "../data/public-suffix-list.js"
+);
+
+function toAsciiRule(rule) {
+  const prefix = rule.startsWith("!") ? "!" : rule.startsWith("*.") ? "*." : "";
+  const domain = rule.slice(prefix.length);
+  const asciiDomain = domainToASCII(domain);
+  if (!asciiDomain) {
+    throw new Error(`Cannot convert public suffix rule to ASCII: ${rule}`);
+  }
+  return `${prefix}${asciiDomain}`;
+}
+
+function parsePublicSuffixList(text) {
+  const sections = { icann: [], private: [] };
+  let currentSection = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (line.includes("===BEGIN ICANN DOMAINS===")) {
+      currentSection = "icann";
+      continue;
+    }
+    if (line.includes("===BEGIN PRIVATE DOMAINS===")) {
+      currentSection = "private";
+      continue;
+    }
+    if (line.includes("===END ")) {
+      currentSection = null;
+      continue;
+    }
+    if (!currentSection || line.length === 0 || line.startsWith("//")) {
+      continue;
+    }
+    // Only the first whitespace-delimited token of a line is the rule.
+    sections[currentSection].push(toAsciiRule(line.split(/\s+/)[0].toLowerCase()));
+  }
+
+  if (sections.icann.length === 0) {
+    throw new Error("No ICANN rules found; is this a public_suffix_list.dat file?");
+  }
+  return sections;
+}
+
+function renderDataModule(sections, snapshotDate) {
+  const renderRules = (rules) => rules.map((rule) => `    "${rule}"`).join(",\n");
+  return `/**
+ * Public Suffix List snapshot (https://publicsuffix.org/list/), MPL-2.0.
+ * Generated by scripts/update-public-suffix-list.js; do not edit by hand.
+ * Loaded as a classic content script and as a module side-effect import, so it
+ * only assigns a frozen global instead of exporting.
+ */
+globalThis.PRIVACY_ASSISTANT_PUBLIC_SUFFIX_LIST = Object.freeze({
+  snapshotDate: "${snapshotDate}",
+  icann: Object.freeze([
+${renderRules(sections.icann)}
+  ]),
+  private: Object.freeze([
+${renderRules(sections.private)}
+  ])
+});
+`;
+}
+
+const inputPath = process.argv[2];
+if (!inputPath) {
+  console.error("Usage: node scripts/update-public-suffix-list.js <path-to-public_suffix_list.dat>");
+  process.exit(1);
+}
+
+const sections = parsePublicSuffixList(readFileSync(inputPath, "utf8"));
+const snapshotDate = new Date().toISOString().slice(0, 10);
+writeFileSync(OUTPUT_PATH, renderDataModule(sections, snapshotDate));
+console.log(
+  `Wrote ${sections.icann.length} ICANN and ${sections.private.length} private rules to ${OUTPUT_PATH}`
+);
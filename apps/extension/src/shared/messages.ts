@@ -37,7 +37,14 @@ export type RecommendationActionId =
   | "clear_site_storage_data"
   | "block_known_trackers"
   | "review_tracking_permissions"
-  | "harden_network_privacy";
+  | "harden_network_privacy"
+  | "block_fingerprinting_scripts"
+  | "reject_consent_banners"
+  | "clean_link_decoration"
+  | "clean_current_url"
+  | "strip_tracking_params"
+  | "send_gpc_signal"
+  | "defer_social_embeds";
 
 export type Recommendation = {
   actionId: RecommendationActionId;
@@ -53,7 +60,16 @@ export const MESSAGE_TYPES = {
   RUN_ANALYSIS: "RUN_ANALYSIS",
   PING_CONTENT: "PING_CONTENT",
   COLLECT_PAGE_SIGNALS: "COLLECT_PAGE_SIGNALS",
-  EXECUTE_IMPROVE_PRIVACY_ACTIONS: "EXECUTE_IMPROVE_PRIVACY_ACTIONS"
+  REJECT_CONSENT_BANNERS: "REJECT_CONSENT_BANNERS",
+  CLEAN_PAGE_LINKS: "CLEAN_PAGE_LINKS",
+  DEFER_SOCIAL_EMBEDS: "DEFER_SOCIAL_EMBEDS",
+  ALLOW_SOCIAL_EMBED: "ALLOW_SOCIAL_EMBED",
+  EXECUTE_IMPROVE_PRIVACY_ACTIONS: "EXECUTE_IMPROVE_PRIVACY_ACTIONS",
+  LIST_TRACKER_BLOCKING_RULES: "LIST_TRACKER_BLOCKING_RULES",
+  REMOVE_TRACKER_BLOCKING_RULES: "REMOVE_TRACKER_BLOCKING_RULES",
+  LIST_FILTER_LISTS: "LIST_FILTER_LISTS",
+  IMPORT_FILTER_LIST: "IMPORT_FILTER_LIST",
+  REMOVE_FILTER_LIST: "REMOVE_FILTER_LIST"
 } as const;
 
 export const KNOWN_TRACKER_DOMAIN_PATTERNS = [
@@ -75,6 +91,19 @@ export const SUSPICIOUS_ENDPOINT_PATTERNS = [
   "events"
 ] as const;
 
+export const TRACKING_QUERY_PARAM_PATTERNS = [
+  "utm_",
+  "fbclid",
+  "gclid",
+  "msclkid",
+  "yclid",
+  "ttclid",
+  "twclid",
+  "igshid",
+  "wbraid",
+  "gbraid"
+] as const;
+
 export type MessageType = (typeof MESSAGE_TYPES)[keyof typeof MESSAGE_TYPES];
 
 export type ExtensionMessage = {
@@ -98,6 +127,39 @@ export type MessageErrorPayload = {
   error: string;
 };
 
+export type EntityCategory =
+  | "ads"
+  | "analytics"
+  | "social"
+  | "cdn"
+  | "fonts"
+  | "payments"
+  | "session_replay";
+
+export type ThirdPartyCategory = EntityCategory | "unknown";
+
+export type ThirdPartyCategorySignals = {
+  hostCategories: Record<string, ThirdPartyCategory>;
+  scriptDomainCountsByCategory: Record<ThirdPartyCategory, number>;
+  requestCountsByCategory: Record<ThirdPartyCategory, number>;
+};
+
+export type TrackerEntityGroup = {
+  name: string;
+  categories: readonly EntityCategory[];
+  hosts: readonly string[];
+  requestCount: number;
+  scriptDomainCount: number;
+};
+
+export type EntitySignals = {
+  entityCount: number;
+  entities: readonly TrackerEntityGroup[];
+  unattributedHostCount: number;
+  unattributedHosts: readonly string[];
+  unattributedRequestCount: number;
+};
+
 export type PopupAnalysisViewModel = {
   tabId: number;
   pageUrl: string;
@@ -107,6 +169,7 @@ export type PopupAnalysisViewModel = {
   confidence: ConfidenceAssessment;
   risks: RiskDetectionOutput;
   recommendations: readonly Recommendation[];
+  entitySignals: EntitySignals | null;
 };
 
 export type ImprovePrivacyActionStatus = "success" | "failed" | "skipped";
@@ -115,6 +178,451 @@ export type ImprovePrivacyActionResult = {
   actionId: RecommendationActionId;
   status: ImprovePrivacyActionStatus;
   message: string;
+  details?: Record<string, unknown>;
+};
+
+export type TrackerBlockingScope = "site" | "global";
+
+export type TrackerBlockingPersistence = "dynamic" | "session";
+
+export type TrackerBlockingOptions = {
+  scope: TrackerBlockingScope;
+  persistence: TrackerBlockingPersistence;
+};
+
+export type SiteStorageClearingOptions = {
+  includeThirdPartyHosts: boolean;
+};
+
+export type SiteStorageDataType =
+  | "cookies"
+  | "localStorage"
+  | "indexedDB"
+  | "cacheStorage"
+  | "serviceWorkers"
+  | "fileSystems";
+
+export type SiteStorageClearingBreakdownEntry = {
+  storageType: SiteStorageDataType;
+  label: string;
+  status: "cleared" | "failed";
+  itemCount: number | null;
+  error?: string;
+};
+
+export type FingerprintingBlockingOptions = {
+  // Third-party script hosts attributed by `fingerprintingSignals`.
+  domains: readonly string[];
+};
+
+export type ConsentRejectionOptions = {
+  // null leaves the site's automatic rejection setting unchanged.
+  autoRunOnSite: boolean | null;
+};
+
+export type ConsentRejectionStepResult = {
+  // "<CMP name>: <step description>"
+  label: string;
+  status: ImprovePrivacyActionStatus;
+  itemCount: null;
+  message: string | null;
+};
+
+export type LinkCleaningOptions = {
+  // null leaves the site's automatic cleaning setting unchanged.
+  autoRunOnSite: boolean | null;
+};
+
+export type LinkCleaningResult = {
+  scannedLinkCount: number;
+  cleanedLinkCount: number;
+  unwrappedLinkCount: number;
+  removedParams: readonly { param: string; count: number }[];
+};
+
+export type EmbedDeferralOptions = {
+  // null leaves the site's automatic placeholder setting unchanged.
+  autoRunOnSite: boolean | null;
+};
+
+export type TrackingParamStrippingOptions = {
+  // "off" removes both the current site's rule and the all-sites rule.
+  scope: "site" | "global" | "off";
+};
+
+export type TrackingParamStrippingState = {
+  available: boolean;
+  globalEnabled: boolean;
+  siteEnabled: boolean;
+  siteRuleCount: number;
+};
+
+export type UrlCleaningResult = {
+  removedParams: readonly string[];
+  cleanUrl: string;
+  // False when the cleaned page had not finished loading within the wait.
+  loaded: boolean;
+};
+
+export type GpcOptions = {
+  // "off" removes both the current site's rules and the all-sites rule.
+  scope: "site" | "global" | "off";
+};
+
+export type GpcHonoringStatus =
+  | "not_enabled"
+  | "no_baseline"
+  | "unavailable"
+  | "awaiting_reload"
+  | "inconclusive"
+  | "likely_honored"
+  | "not_honored";
+
+export type GpcSignals = {
+  available: boolean;
+  enabled: boolean;
+  scope: "site" | "global" | "off";
+  wellKnown: {
+    status: "supported" | "not_supported" | "missing" | "unavailable";
+    lastUpdate: string | null;
+  };
+  // "GPC honored?": tracker requests on this page load vs. just before GPC was turned on.
+  honoring: {
+    status: GpcHonoringStatus;
+    baselineTrackerRequests: number | null;
+    currentTrackerRequests: number | null;
+  };
+};
+
+export type ScriptBlockingOptions = {
+  // "unblock" removes this site's rules for `hosts` instead of adding them.
+  mode: "block" | "unblock";
+  hosts: readonly string[];
+};
+
+export type ScriptBlockingState = {
+  available: boolean;
+  siteDomain: string | null;
+  // One `script` block rule per host, scoped to `siteDomain` via initiatorDomains.
+  blockedHosts: readonly { ruleId: number; host: string }[];
+};
+
+export type SitePermissionType =
+  | "location"
+  | "camera"
+  | "microphone"
+  | "notifications"
+  | "popups"
+  | "automaticDownloads"
+  | "javascript"
+  | "cookies";
+
+export type SitePermissionOptions = {
+  // "restore" re-allows types this extension blocked instead of blocking them.
+  mode: "revoke" | "restore";
+  // Types set to "block" for the site; the popup preselects sensitive grants.
+  types: readonly SitePermissionType[];
+};
+
+export type SitePermissions = {
+  available: boolean;
+  origin: string | null;
+  permissions: readonly {
+    type: SitePermissionType;
+    label: string;
+    // "low" types are allowed by default, so an "allow" there is not a grant.
+    sensitivity: "high" | "medium" | "low";
+    setting: "allow" | "block" | "ask" | "session_only";
+  }[];
+  // Types this extension blocked for the origin and can re-allow.
+  revokedTypes: readonly SitePermissionType[];
+};
+
+export type NetworkPrivacyOptions = {
+  // "revert" restores the values recorded before the preset was first applied.
+  mode: "harden" | "revert";
+};
+
+export type PrivacySettingLevelOfControl =
+  | "not_controllable"
+  | "controlled_by_other_extensions"
+  | "controllable_by_this_extension"
+  | "controlled_by_this_extension";
+
+export type NetworkPrivacySetting = {
+  id:
+    | "webRTCIPHandlingPolicy"
+    | "hyperlinkAuditingEnabled"
+    | "referrersEnabled"
+    | "networkPredictionEnabled"
+    | "thirdPartyCookiesAllowed";
+  label: string;
+  value: boolean | string;
+  hardenedValue: boolean | string;
+  levelOfControl: PrivacySettingLevelOfControl;
+};
+
+export type NetworkPrivacySettings = {
+  available: boolean;
+  settings: readonly NetworkPrivacySetting[];
+  // True while values recorded before hardening are waiting to be restored.
+  revertAvailable: boolean;
+};
+
+export type ImprovePrivacyActionOptions = {
+  block_known_trackers?: TrackerBlockingOptions;
+  clear_site_storage_data?: SiteStorageClearingOptions;
+  block_fingerprinting_scripts?: FingerprintingBlockingOptions;
+  reject_consent_banners?: ConsentRejectionOptions;
+  clean_link_decoration?: LinkCleaningOptions;
+  strip_tracking_params?: TrackingParamStrippingOptions;
+  send_gpc_signal?: GpcOptions;
+  harden_network_privacy?: NetworkPrivacyOptions;
+  review_tracking_permissions?: SitePermissionOptions;
+  limit_third_party_scripts?: ScriptBlockingOptions;
+  defer_social_embeds?: EmbedDeferralOptions;
+};
+
+export type RegistryElementKind = "script" | "iframe" | "img" | "link";
+
+export type RegistryElementCounts = {
+  inDom: number;
+  everLoaded: number;
+  removed: number;
+  // Inserted after the document finished parsing.
+  dynamic: number;
+};
+
+export type RegistryElementRecord = {
+  kind: RegistryElementKind;
+  url: string | null;
+  rel: string | null;
+  parent: string | null;
+  insertedAtMs: number;
+  removedAtMs: number | null;
+  dynamic: boolean;
+};
+
+export type ElementRegistrySignals = {
+  observing: boolean;
+  observedSinceMs: number;
+  truncated: boolean;
+  elementCounts: Record<RegistryElementKind, RegistryElementCounts>;
+  sampledDynamicElements: readonly RegistryElementRecord[];
+};
+
+export type FrameSignalBreakdown = {
+  frameId: number;
+  parentFrameId: number;
+  // Origin only; full frame URLs are not kept in the analysis.
+  origin: string | null;
+  isThirdParty: boolean;
+  status: "success" | "partial" | "failed";
+  scriptDomainCount: number;
+  thirdPartyScriptDomains: readonly string[];
+  storage: {
+    localStorageKeyCount: number;
+    sessionStorageKeyCount: number;
+    approxBytes: number;
+  };
+  trackerDomainHits: readonly string[];
+  fingerprintingTechniques: readonly string[];
+};
+
+export type FrameSignals = {
+  subframeCount: number;
+  collectedSubframeCount: number;
+  thirdPartyFrameCount: number;
+  frames: readonly FrameSignalBreakdown[];
+};
+
+export type PixelSignals = {
+  // False when page-world.js did not report, so sendBeacon calls are unknown.
+  beaconInstrumented: boolean;
+  pingRequestCount: number;
+  pingHosts: readonly string[];
+  pixelLikeImageRequestCount: number;
+  pixelLikeImageHosts: readonly string[];
+  tinyImageCount: number;
+  tinyThirdPartyImageHosts: readonly string[];
+  noscriptPixelCount: number;
+  noscriptPixelHosts: readonly string[];
+  beaconCallCount: number;
+  beaconHosts: readonly { host: string; count: number }[];
+  // Union of every third-party host above.
+  pixelHosts: readonly string[];
+};
+
+export type FingerprintingTechnique = "canvas" | "webgl" | "audio" | "fonts" | "navigator";
+
+export type FingerprintingCaller = {
+  scriptUrl: string;
+  hostname: string | null;
+  isThirdParty: boolean;
+  techniques: readonly FingerprintingTechnique[];
+  callCount: number;
+};
+
+export type FingerprintingSignals = {
+  instrumented: boolean;
+  techniques: readonly FingerprintingTechnique[];
+  techniqueCount: number;
+  apiCalls: readonly { api: string; technique: FingerprintingTechnique; count: number }[];
+  callers: readonly FingerprintingCaller[];
+  thirdPartyCallerHosts: readonly string[];
+  distinctMeasuredFontCount: number;
+};
+
+export type SensitiveFieldKind = "password" | "card" | "email";
+
+export type SensitiveFieldListener = {
+  scriptUrl: string;
+  hostname: string | null;
+  // "form" and "document" listeners see every field inside them.
+  target: "field" | "form" | "document";
+  fieldLabel: string | null;
+  sensitivity: SensitiveFieldKind | null;
+  eventTypes: readonly string[];
+  // Null for the top frame.
+  frameOrigin: string | null;
+};
+
+export type RiskyForm = {
+  actionOrigin: string;
+  method: "get" | "post";
+  isThirdParty: boolean;
+  isInsecure: boolean;
+  sensitiveFields: readonly { label: string; sensitivity: SensitiveFieldKind }[];
+  sensitiveFieldCount: number;
+  frameOrigin: string | null;
+};
+
+export type SensitiveDataSignals = {
+  // False when page-world.js did not report, so keystroke listeners are unknown.
+  listenersInstrumented: boolean;
+  pageHasSensitiveFields: boolean;
+  replayVendorCount: number;
+  replayVendors: readonly { name: string; evidence: readonly string[] }[];
+  sensitiveFieldListenerCount: number;
+  sensitiveFieldListeners: readonly SensitiveFieldListener[];
+  riskyFormCount: number;
+  riskyForms: readonly RiskyForm[];
+};
+
+export type WebStorageAreaSignals = {
+  keyCount: number;
+  approxBytes: number;
+};
+
+export type PersistentIdentifierStore = "localStorage" | "sessionStorage" | "cookies";
+
+export type PersistentIdentifierSample = {
+  store: PersistentIdentifierStore;
+  // Sanitized key or cookie name; values are never reported.
+  key: string;
+  // "known_key" for keys used by common analytics and ad SDKs.
+  kind: "known_key" | "uuid" | "hex" | "base64";
+  entropyBits: number;
+};
+
+export type StorageSignals = {
+  localStorage: WebStorageAreaSignals;
+  sessionStorage: WebStorageAreaSignals;
+  // Script-readable cookies only; values are never collected.
+  cookies: { available: boolean; count: number; approxBytes: number; names: readonly string[] };
+  indexedDB: {
+    available: boolean;
+    databaseCount: number;
+    databases: readonly { name: string; version: number }[];
+  };
+  cacheStorage: { available: boolean; cacheCount: number; cacheNames: readonly string[] };
+  serviceWorkers: {
+    available: boolean;
+    registrationCount: number;
+    registrations: readonly { scope: string | null; scriptUrl: string | null }[];
+  };
+  estimate: {
+    available: boolean;
+    usageBytes: number;
+    quotaBytes: number;
+    usageDetails: Readonly<Record<string, number>>;
+  };
+  // Web Storage + cookie sizes + `navigator.storage.estimate()` usage.
+  totalFootprintBytes: number;
+  persistentIdentifiers: {
+    count: number;
+    knownKeyCount: number;
+    byStore: Readonly<Record<PersistentIdentifierStore, number>>;
+    samples: readonly PersistentIdentifierSample[];
+  };
+};
+
+export type LinkDecorationSignals = {
+  scannedLinkCount: number;
+  outboundLinkCount: number;
+  // Outbound links carrying tracking parameters.
+  decoratedLinkCount: number;
+  // Links routed through a click-tracking redirector such as google.com/url.
+  redirectWrappedLinkCount: number;
+  trackingParams: readonly { param: string; count: number }[];
+  redirectors: readonly { name: string; count: number }[];
+  autoClean: { enabled: boolean; cleanedLinkCount: number };
+};
+
+export type EmbedSignals = {
+  // Known social and video embeds still loaded in the page.
+  loadedEmbedCount: number;
+  // Embeds replaced by a click-to-load placeholder on this page load.
+  deferredEmbedCount: number;
+  // Deferred embeds the user then loaded by clicking the placeholder.
+  restoredEmbedCount: number;
+  // Platforms of the embeds still loaded.
+  providers: readonly { name: string; count: number }[];
+  autoDefer: { enabled: boolean };
+};
+
+export type ConsentState = "given" | "rejected" | "pending" | "not_required" | "no_cmp";
+
+export type ConsentSignals = {
+  instrumented: boolean;
+  consentManagers: readonly { id: string; name: string; evidence: readonly string[] }[];
+  bannerVisible: boolean;
+  frameworks: {
+    tcf: { present: boolean; gdprApplies: boolean | null; eventStatus: string | null; cmpId: number | null };
+    gpp: {
+      present: boolean;
+      signalStatus: string | null;
+      cmpDisplayStatus: string | null;
+      applicableSections: readonly number[];
+    };
+  } | null;
+  consentState: ConsentState;
+  consentSource: string | null;
+  consentRecordedAt: string | null;
+  consentRecordedBeforePageLoad: boolean;
+  // False when the time comes from a day-rounded TC string.
+  consentTimestampPrecise: boolean;
+  // Automatic `reject_consent_banners` run on this page load, if enabled for the site.
+  autoReject: {
+    enabled: boolean;
+    ranAt: string | null;
+    consentManagers: readonly string[];
+    failedStepCount: number;
+  };
+  preConsentAudit: {
+    // "partial" when part of the page load predates network observation.
+    status: "complete" | "partial" | "unavailable" | "not_applicable";
+    trackerRequestCount: number;
+    trackerHosts: readonly { host: string; count: number }[];
+  };
+};
+
+export type TrackerBlockingRuleSummary = {
+  ruleId: number;
+  trackerDomain: string;
+  scope: TrackerBlockingScope;
+  siteDomain: string | null;
+  persistence: TrackerBlockingPersistence;
 };
 
 type RequestMessageBase = {
@@ -124,10 +632,86 @@ type RequestMessageBase = {
 export type ExecuteImprovePrivacyActionsRequest = RequestMessageBase & {
   type: typeof MESSAGE_TYPES.EXECUTE_IMPROVE_PRIVACY_ACTIONS;
   selectedActionIds: readonly RecommendationActionId[];
+  actionOptions?: ImprovePrivacyActionOptions;
 };
 
+export type ListTrackerBlockingRulesRequest = RequestMessageBase & {
+  type: typeof MESSAGE_TYPES.LIST_TRACKER_BLOCKING_RULES;
+};
+
+export type RemoveTrackerBlockingRulesRequest = RequestMessageBase & {
+  type: typeof MESSAGE_TYPES.REMOVE_TRACKER_BLOCKING_RULES;
+  ruleIds: readonly number[];
+};
+
+export type FilterRuleParty = "any" | "third" | "first";
+
+export type CompiledFilterRule = {
+  domain: string;
+  party: FilterRuleParty;
+  resourceTypes: readonly string[] | null;
+};
+
+export type StoredFilterList = {
+  id: string;
+  name: string;
+  importedAt: string;
+  block: readonly CompiledFilterRule[];
+  allow: readonly CompiledFilterRule[];
+  skippedCount: number;
+};
+
+export type FilterListSummary = {
+  id: string;
+  name: string;
+  blockRuleCount: number;
+  exceptionRuleCount: number;
+  skippedRuleCount: number;
+  importedAt: string | null;
+};
+
+export type ListFilterListsRequest = RequestMessageBase & {
+  type: typeof MESSAGE_TYPES.LIST_FILTER_LISTS;
+};
+
+export type ImportFilterListRequest = RequestMessageBase & {
+  type: typeof MESSAGE_TYPES.IMPORT_FILTER_LIST;
+  name?: string;
+  fileName?: string;
+  text: string;
+};
+
+export type RemoveFilterListRequest = RequestMessageBase & {
+  type: typeof MESSAGE_TYPES.REMOVE_FILTER_LIST;
+  listId: string;
+};
+
+export type OptionsToBackgroundRequest =
+  | ListFilterListsRequest
+  | ImportFilterListRequest
+  | RemoveFilterListRequest;
+
+export type FilterListsResponse = MessageSuccessPayload<{
+  lists: readonly FilterListSummary[];
+  imported: FilterListSummary | null;
+  removedCount: number;
+}>;
+
+// Sent by content.js when a click-to-load placeholder is clicked, so the
+// site's embed block rule lets that one frame URL through in the tab.
+export type AllowSocialEmbedRequest = RequestMessageBase & {
+  type: typeof MESSAGE_TYPES.ALLOW_SOCIAL_EMBED;
+  url: string;
+};
+
+export type AllowSocialEmbedResponse = MessageSuccessPayload<{
+  allowed: boolean;
+}>;
+
 export type PopupToBackgroundRequest =
   | ExecuteImprovePrivacyActionsRequest
+  | ListTrackerBlockingRulesRequest
+  | RemoveTrackerBlockingRulesRequest
   | (RequestMessageBase & {
     type: typeof MESSAGE_TYPES.RUN_ANALYSIS;
   });
@@ -136,3 +720,12 @@ export type ExecuteImprovePrivacyActionsResponse = MessageSuccessPayload<{
   results: readonly ImprovePrivacyActionResult[];
   refreshedAnalysis: PopupAnalysisViewModel;
 }>;
+
+export type TrackerBlockingRulesResponse = MessageSuccessPayload<{
+  rules: readonly TrackerBlockingRuleSummary[];
+}>;
+
+export type RemoveTrackerBlockingRulesResponse = MessageSuccessPayload<{
+  removedCount: number;
+  rules: readonly TrackerBlockingRuleSummary[];
+}>;
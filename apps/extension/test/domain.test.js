@@ -0,0 +1,84 @@
+/**
+ * Public Suffix List lookups in domain.js, run against the bundled snapshot.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import "../data/public-suffix-list.js";
+import "../domain.js";
+
+const { getPublicSuffix, getRegistrableDomain, getComparableDomain, isThirdPartyHost } =
+  globalThis.PrivacyAssistantDomain;
+
+test("multi-part ICANN suffixes keep one label above the suffix", () => {
+  assert.equal(getPublicSuffix("www.example.co.za"), "co.za");
+  assert.equal(getRegistrableDomain("www.example.co.za"), "example.co.za");
+  assert.equal(isThirdPartyHost("cdn.example.co.za", "www.example.co.za"), false);
+});
+
+test("private-section suffixes make each customer subdomain its own site", () => {
+  assert.equal(getPublicSuffix("user.github.io"), "github.io");
+  assert.equal(getRegistrableDomain("my-app.herokuapp.com"), "my-app.herokuapp.com");
+  assert.equal(isThirdPartyHost("alice.github.io", "bob.github.io"), true);
+});
+
+test("includePrivate: false applies ICANN rules only", () => {
+  const icannOnly = { includePrivate: false };
+  assert.equal(getPublicSuffix("user.github.io", icannOnly), "io");
+  assert.equal(getRegistrableDomain("myblog.blogspot.com", icannOnly), "blogspot.com");
+  assert.equal(isThirdPartyHost("alice.github.io", "bob.github.io", icannOnly), false);
+});
+
+test("wildcard rules cover every label below them", () => {
+  // *.kawasaki.jp
+  assert.equal(getPublicSuffix("foo.bar.kawasaki.jp"), "bar.kawasaki.jp");
+  assert.equal(isThirdPartyHost("foo.bar.kawasaki.jp", "baz.bar.kawasaki.jp"), true);
+});
+
+test("exception rules win over the wildcard they carve out of", () => {
+  // !city.kawasaki.jp
+  assert.equal(getPublicSuffix("www.city.kawasaki.jp"), "kawasaki.jp");
+  assert.equal(getRegistrableDomain("www.city.kawasaki.jp"), "city.kawasaki.jp");
+});
+
+test("a hostname that is itself a public suffix has no registrable domain", () => {
+  assert.equal(getRegistrableDomain("github.io"), "");
+  assert.equal(getRegistrableDomain("co.za"), "");
+  assert.equal(getComparableDomain("co.za"), "co.za");
+});
+
+test("unlisted TLDs fall back to the implicit * rule", () => {
+  assert.equal(getPublicSuffix("a.b.unlisted-tld"), "unlisted-tld");
+  assert.equal(getRegistrableDomain("a.b.unlisted-tld"), "b.unlisted-tld");
+  assert.equal(getRegistrableDomain("localhost"), "");
+});
+
+test("case, surrounding whitespace and leading or trailing dots are ignored", () => {
+  assert.equal(getComparableDomain("WWW.Example.COM"), "example.com");
+  assert.equal(getComparableDomain(" www.example.com. "), "example.com");
+  assert.equal(getComparableDomain(".example.com"), "example.com");
+  assert.equal(isThirdPartyHost("static.example.com.", "example.com"), false);
+});
+
+test("IP addresses compare as themselves and have no public suffix", () => {
+  assert.equal(getPublicSuffix("192.168.0.1"), "");
+  assert.equal(getComparableDomain("192.168.0.1"), "192.168.0.1");
+  assert.equal(getComparableDomain("2001:db8::1"), "2001:db8::1");
+  assert.equal(isThirdPartyHost("10.0.0.2", "10.0.0.1"), true);
+});
+
+test("empty, non-string and dot-only hostnames yield empty results", () => {
+  for (const hostname of ["", "..", null, undefined, 42]) {
+    assert.equal(getPublicSuffix(hostname), "");
+    assert.equal(getRegistrableDomain(hostname), "");
+    assert.equal(getComparableDomain(hostname), "");
+  }
+});
+
+test("empty labels in a malformed hostname are skipped", () => {
+  assert.equal(getRegistrableDomain("a..b.example.com"), "example.com");
+});
+
+test("isThirdPartyHost is false when either host is missing", () => {
+  assert.equal(isThirdPartyHost("", "example.com"), false);
+  assert.equal(isThirdPartyHost("tracker.example", null), false);
+});
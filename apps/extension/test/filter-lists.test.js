@@ -0,0 +1,117 @@
+/**
+ * Adblock Plus list parsing in filter-lists.js, and the compiled lists as
+ * stored and read back by createTrackerRuleMatcher.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseFilterList, sanitizeFilterListName, upsertFilterList } from "../filter-lists.js";
+
+const { createTrackerRuleMatcher } = globalThis.PrivacyAssistantTrackerMatcher;
+
+test("||domain^ compiles to a block rule for any party and resource type", () => {
+  assert.deepEqual(parseFilterList("||Tracker.Example^").block, [
+    { domain: "tracker.example", party: "any", resourceTypes: null }
+  ]);
+  assert.deepEqual(parseFilterList("||tracker.example^|").block.length, 1);
+});
+
+test("a domain anchor without ^ is skipped, since it would also match longer domains", () => {
+  const parsed = parseFilterList("||tracker.example");
+  assert.deepEqual(parsed.block, []);
+  assert.equal(parsed.skippedCount, 1);
+});
+
+test("path and wildcard patterns are skipped", () => {
+  assert.equal(parseFilterList("||tracker.example/pixel.gif\n/ads/*\n||*.example^").skippedCount, 3);
+});
+
+test("$third-party and its aliases restrict the party", () => {
+  assert.equal(parseFilterList("||ads.example^$third-party").block[0].party, "third");
+  assert.equal(parseFilterList("||ads.example^$3p").block[0].party, "third");
+  assert.equal(parseFilterList("||ads.example^$~third-party").block[0].party, "first");
+});
+
+test("$script restricts the rule to scripts", () => {
+  assert.deepEqual(parseFilterList("||widgets.example^$script,third-party").block, [
+    { domain: "widgets.example", party: "third", resourceTypes: ["script"] }
+  ]);
+});
+
+test("a negated resource type keeps every other type", () => {
+  const [rule] = parseFilterList("||widgets.example^$~image").block;
+  assert.equal(rule.resourceTypes.includes("image"), false);
+  assert.equal(rule.resourceTypes.includes("script"), true);
+});
+
+test("@@ rules compile to exceptions", () => {
+  const parsed = parseFilterList("@@||ok.tracker.example^$script");
+  assert.deepEqual(parsed.block, []);
+  assert.deepEqual(parsed.allow, [
+    { domain: "ok.tracker.example", party: "any", resourceTypes: ["script"] }
+  ]);
+});
+
+test("rules with options that change matching semantics are skipped", () => {
+  const parsed = parseFilterList(
+    [
+      "||tracker.example^$domain=news.example",
+      "||tracker.example^$redirect=noopjs",
+      "||tracker.example^$csp=script-src 'none'"
+    ].join("\n")
+  );
+  assert.deepEqual(parsed.block, []);
+  assert.equal(parsed.skippedCount, 3);
+});
+
+test("malformed $ options are skipped instead of guessed", () => {
+  const parsed = parseFilterList(
+    ["||tracker.example^$scripts", "||tracker.example^$third-party=1", "||tracker.example^$script,~script"].join("\n")
+  );
+  assert.deepEqual(parsed.block, []);
+  assert.equal(parsed.skippedCount, 3);
+});
+
+test("the title is read from the header comment; comments, headers and cosmetic filters are not rules", () => {
+  const parsed = parseFilterList(
+    ["[Adblock Plus 2.0]", "! Title: Test list", "! Homepage: https://example.org", "example.com##.ad", "||tracker.example^", ""].join("\r\n")
+  );
+  assert.equal(parsed.title, "Test list");
+  assert.equal(parsed.block.length, 1);
+  assert.equal(parsed.skippedCount, 1);
+});
+
+test("list names fall back to the file name and are cut to 80 characters", () => {
+  assert.equal(sanitizeFilterListName("  ", "easyprivacy.txt"), "easyprivacy.txt");
+  assert.equal(sanitizeFilterListName(undefined, undefined), "Imported filter list");
+  assert.equal(sanitizeFilterListName("x".repeat(100)).length, 80);
+});
+
+test("re-importing a list with the same name replaces it and keeps its id", () => {
+  const first = { id: "list_1", name: "Test list", block: [], allow: [] };
+  const other = { id: "list_2", name: "Other", block: [], allow: [] };
+  const lists = upsertFilterList([first, other], { id: "list_3", name: "Test list", block: [{ domain: "a.example" }], allow: [] });
+  assert.deepEqual(lists.map((list) => list.id), ["list_1", "list_2"]);
+  assert.deepEqual(lists[0].block, [{ domain: "a.example" }]);
+  assert.equal(upsertFilterList(lists, { id: "list_4", name: "New", block: [], allow: [] }).length, 3);
+});
+
+test("a stored list drives the tracker matcher with its party, type and exception rules", () => {
+  const parsed = parseFilterList(
+    ["||ads.example^$third-party", "||widgets.example^$script", "||tracker.example^", "@@||ok.tracker.example^"].join("\n")
+  );
+  const stored = upsertFilterList([], { id: "list_1", name: "Test list", ...parsed });
+  // chrome.storage keeps JSON-serializable values only.
+  const matcher = createTrackerRuleMatcher(JSON.parse(JSON.stringify(stored)));
+
+  assert.deepEqual(matcher.match("cdn.ads.example", { thirdParty: true }), {
+    domain: "ads.example",
+    listName: "Test list"
+  });
+  assert.equal(matcher.matches("cdn.ads.example", { thirdParty: false }), false);
+  assert.equal(matcher.matches("widgets.example", { resourceType: "script" }), true);
+  assert.equal(matcher.matches("widgets.example", { resourceType: "image" }), false);
+  assert.equal(matcher.matches("api.tracker.example"), true);
+  assert.equal(matcher.matches("api.ok.tracker.example"), false);
+  // Built-in trackers stay on alongside imported lists.
+  assert.equal(matcher.match("cdn.segment.com").listName, "Built-in trackers");
+});
@@ -0,0 +1,82 @@
+/**
+ * Label-aware suffix matching in tracker-matcher.js.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import "../tracker-matcher.js";
+
+const { createDomainSuffixMatcher, createTrackerRuleMatcher, knownTrackerMatcher } =
+  globalThis.PrivacyAssistantTrackerMatcher;
+
+test("a rule matches its own domain and every subdomain", () => {
+  assert.equal(knownTrackerMatcher.matches("segment.com"), true);
+  assert.equal(knownTrackerMatcher.matches("cdn.segment.com"), true);
+  assert.equal(knownTrackerMatcher.matches("a.b.cdn.segment.com"), true);
+});
+
+test("mysegment.com does not match segment.com", () => {
+  assert.equal(knownTrackerMatcher.matches("mysegment.com"), false);
+});
+
+test("notsegment.com.evil.io does not match segment.com", () => {
+  assert.equal(knownTrackerMatcher.matches("notsegment.com.evil.io"), false);
+  assert.equal(knownTrackerMatcher.matches("segment.com.evil.io"), false);
+});
+
+test("a parent of a rule domain does not match it", () => {
+  assert.equal(knownTrackerMatcher.matches("com"), false);
+  assert.equal(knownTrackerMatcher.matches("facebook.com"), false);
+});
+
+test("hostnames are compared without case or leading and trailing dots", () => {
+  assert.equal(knownTrackerMatcher.matches("CDN.Segment.com."), true);
+  assert.equal(knownTrackerMatcher.match(".segment.com").domain, "segment.com");
+});
+
+test("the most specific covering rule is returned with its data", () => {
+  const matcher = createDomainSuffixMatcher([
+    { domain: "example.com", data: "site" },
+    { domain: "ads.example.com", data: "ads" }
+  ]);
+  assert.deepEqual(matcher.match("x.ads.example.com"), { domain: "ads.example.com", data: "ads" });
+  assert.deepEqual(matcher.match("www.example.com"), { domain: "example.com", data: "site" });
+});
+
+test("empty and non-string entries or hostnames are ignored", () => {
+  const matcher = createDomainSuffixMatcher(["", null, "tracker.example", "TRACKER.example."]);
+  assert.equal(matcher.size, 1);
+  assert.equal(matcher.match(""), null);
+  assert.equal(matcher.match(undefined), null);
+  assert.equal(createDomainSuffixMatcher(undefined).match("tracker.example"), null);
+});
+
+test("matchAll lists every covering rule, most specific first", () => {
+  const matcher = createDomainSuffixMatcher([
+    { domain: "example.com", data: "site" },
+    { domain: "ads.example.com", data: "ads" }
+  ]);
+  assert.deepEqual(
+    matcher.matchAll("x.ads.example.com").map((entry) => entry.data),
+    ["ads", "site"]
+  );
+});
+
+test("an exception rule wins over a block rule for the same hostname", () => {
+  const matcher = createTrackerRuleMatcher([
+    { name: "Test list", block: [{ domain: "tracker.example" }], allow: [{ domain: "ok.tracker.example" }] }
+  ]);
+  assert.equal(matcher.matches("ok.tracker.example"), false);
+  assert.equal(matcher.matches("api.ok.tracker.example"), false);
+  assert.deepEqual(matcher.match("notok.tracker.example"), {
+    domain: "tracker.example",
+    listName: "Test list"
+  });
+});
+
+test("rules restricted by party or resource type need that request context", () => {
+  const matcher = createTrackerRuleMatcher([
+    { name: "Test list", block: [{ domain: "ads.example", party: "third" }], allow: [] }
+  ]);
+  assert.equal(matcher.matches("ads.example"), false);
+  assert.equal(matcher.matches("ads.example", { thirdParty: true }), true);
+});
@@ -0,0 +1,220 @@
+/**
+ * Label-aware domain suffix matcher shared by background and content script.
+ * Like domain.js it is loaded both as a classic content script and as a module
+ * side-effect import, so it exposes a frozen global instead of using `export`.
+ */
+(() => {
+  const KNOWN_TRACKER_DOMAIN_PATTERNS = Object.freeze([
+    "google-analytics.com",
+    "doubleclick.net",
+    "googletagmanager.com",
+    "facebook.net",
+    "connect.facebook.net",
+    "hotjar.com",
+    "segment.com",
+    "mixpanel.com"
+  ]);
+  const FILTER_LISTS_STORAGE_KEY = "privacyAssistantFilterListsV1";
+  const BUILT_IN_LIST_NAME = "Built-in trackers";
+  // ABP resource-type option names, keyed from chrome.webRequest resource types.
+  const WEB_REQUEST_TO_FILTER_RESOURCE_TYPE = Object.freeze({
+    sub_frame: "subdocument",
+    stylesheet: "stylesheet",
+    script: "script",
+    image: "image",
+    font: "font",
+    object: "object",
+    xmlhttprequest: "xmlhttprequest",
+    ping: "ping",
+    csp_report: "other",
+    media: "media",
+    websocket: "websocket",
+    other: "other"
+  });
+  const FILTER_RESOURCE_TYPES = Object.freeze(
+    Array.from(new Set(Object.values(WEB_REQUEST_TO_FILTER_RESOURCE_TYPE)))
+  );
+
+  function normalizeDomain(domain) {
+    if (typeof domain !== "string") {
+      return "";
+    }
+    return domain.toLowerCase().trim().replace(/\.+$/, "").replace(/^\.+/, "");
+  }
+
+  function createTrieNode() {
+    return { children: new Map(), entry: null };
+  }
+
+  /**
+   * Compiles domains into a trie keyed by labels from the TLD inwards, so a
+   * lookup costs one map access per hostname label regardless of list size.
+   * A rule for `segment.com` matches `segment.com` and `cdn.segment.com`, but
+   * not `mysegment.com` or `segment.com.evil.io`.
+   *
+   * Entries are domain strings or `{ domain, data }` objects; `data` is
+   * returned with the match so callers can attach metadata to each rule.
+   */
+  function createDomainSuffixMatcher(entries) {
+    const root = createTrieNode();
+    let size = 0;
+
+    for (const rawEntry of entries ?? []) {
+      const entry = typeof rawEntry === "string" ? { domain: rawEntry, data: null } : rawEntry;
+      const domain = normalizeDomain(entry?.domain);
+      if (!domain) {
+        continue;
+      }
+
+      let node = root;
+      const labels = domain.split(".");
+      for (let index = labels.length - 1; index >= 0; index--) {
+        let child = node.children.get(labels[index]);
+        if (!child) {
+          child = createTrieNode();
+          node.children.set(labels[index], child);
+        }
+        node = child;
+      }
+      if (!node.entry) {
+        size += 1;
+      }
+      node.entry = { domain, data: entry.data ?? null };
+    }
+
+    /**
+     * Returns every rule covering `hostname`, most specific first.
+     */
+    function matchAll(hostname) {
+      const clean = normalizeDomain(hostname);
+      if (!clean) {
+        return [];
+      }
+
+      let node = root;
+      const matched = [];
+      const labels = clean.split(".");
+      for (let index = labels.length - 1; index >= 0; index--) {
+        node = node.children.get(labels[index]);
+        if (!node) {
+          break;
+        }
+        if (node.entry) {
+          matched.unshift(node.entry);
+        }
+      }
+      return matched;
+    }
+
+    /**
+     * Returns the most specific rule covering `hostname`, or null.
+     */
+    function match(hostname) {
+      return matchAll(hostname)[0] ?? null;
+    }
+
+    return Object.freeze({
+      size,
+      match,
+      matchAll,
+      matches: (hostname) => match(hostname) !== null
+    });
+  }
+
+  function toFilterResourceType(webRequestType) {
+    return WEB_REQUEST_TO_FILTER_RESOURCE_TYPE[webRequestType] ?? null;
+  }
+
+  /**
+   * `thirdParty` and `resourceType` may be unknown (undefined/null); rules
+   * restricted on an unknown property do not apply, so only unrestricted
+   * rules can match without that context.
+   */
+  function ruleAppliesTo(rule, { thirdParty, resourceType }) {
+    if (rule.party === "third" && thirdParty !== true) {
+      return false;
+    }
+    if (rule.party === "first" && thirdParty !== false) {
+      return false;
+    }
+    if (Array.isArray(rule.resourceTypes) && !rule.resourceTypes.includes(resourceType)) {
+      return false;
+    }
+    return true;
+  }
+
+  function groupRulesByDomain(lists, ruleKey) {
+    const rulesByDomain = new Map();
+    for (const list of lists) {
+      const rules = Array.isArray(list?.[ruleKey]) ? list[ruleKey] : [];
+      for (const rule of rules) {
+        const domain = normalizeDomain(rule?.domain);
+        if (!domain) {
+          continue;
+        }
+        const domainRules = rulesByDomain.get(domain) ?? [];
+        domainRules.push({
+          party: rule.party ?? "any",
+          resourceTypes: Array.isArray(rule.resourceTypes) ? rule.resourceTypes : null,
+          listName: list.name ?? BUILT_IN_LIST_NAME
+        });
+        rulesByDomain.set(domain, domainRules);
+      }
+    }
+    return Array.from(rulesByDomain.entries()).map(([domain, data]) => ({ domain, data }));
+  }
+
+  /**
+   * Combines the built-in tracker domains with imported filter lists (the
+   * compiled form stored under FILTER_LISTS_STORAGE_KEY). Exception rules win
+   * over block rules, as in Adblock Plus.
+   */
+  function createTrackerRuleMatcher(filterLists) {
+    const lists = [
+      {
+        name: BUILT_IN_LIST_NAME,
+        block: KNOWN_TRACKER_DOMAIN_PATTERNS.map((domain) => ({ domain })),
+        allow: []
+      },
+      ...(Array.isArray(filterLists) ? filterLists : [])
+    ];
+    const blockMatcher = createDomainSuffixMatcher(groupRulesByDomain(lists, "block"));
+    const allowMatcher = createDomainSuffixMatcher(groupRulesByDomain(lists, "allow"));
+
+    /**
+     * Returns `{ domain, listName }` for the rule that marks `hostname` as a
+     * tracker in the given request context, or null.
+     */
+    function match(hostname, context = {}) {
+      const isAllowed = allowMatcher
+        .matchAll(hostname)
+        .some((entry) => entry.data.some((rule) => ruleAppliesTo(rule, context)));
+      if (isAllowed) {
+        return null;
+      }
+      for (const entry of blockMatcher.matchAll(hostname)) {
+        const rule = entry.data.find((candidate) => ruleAppliesTo(candidate, context));
+        if (rule) {
+          return { domain: entry.domain, listName: rule.listName };
+        }
+      }
+      return null;
+    }
+
+    return Object.freeze({
+      size: blockMatcher.size,
+      match,
+      matches: (hostname, context) => match(hostname, context) !== null
+    });
+  }
+
+  globalThis.PrivacyAssistantTrackerMatcher = Object.freeze({
+    KNOWN_TRACKER_DOMAIN_PATTERNS,
+    FILTER_LISTS_STORAGE_KEY,
+    FILTER_RESOURCE_TYPES,
+    createDomainSuffixMatcher,
+    createTrackerRuleMatcher,
+    toFilterResourceType,
+    knownTrackerMatcher: createDomainSuffixMatcher(KNOWN_TRACKER_DOMAIN_PATTERNS)
+  });
+})();
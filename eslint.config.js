@@ -22,6 +22,14 @@ export default [
       }
     }
   },
+  {
+    files: ["**/scripts/**/*.js"],
+    languageOptions: {
+      globals: {
+        ...globals.node
+      }
+    }
+  },
   js.configs.recommended,
   ...tseslint.configs.recommended,
   {